@@ -1,4 +1,4 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect } from 'react';
 import { ConnectButton } from '@mysten/dapp-kit';
 import GameBoard from './components/GameBoard.jsx';
 import GameInfo from './components/GameInfo.jsx';
@@ -13,14 +13,24 @@ import BattleView from './components/BattleView.jsx';
 import SkinUnlockNotification from './components/SkinUnlockNotification.jsx';
 import CustomizationMenu from './components/CustomizationMenu.jsx';
 import MarketplaceView from './components/MarketplaceView.jsx';
+import ProfileView from './components/ProfileView.jsx';
 import { useGame } from './hooks/useGame.js';
 import { useBlockchain } from './hooks/useBlockchain.js';
+import { useLeaderboard } from './hooks/useLeaderboard.js';
 import { useWebSocket } from './hooks/useWebSocket.js';
 import { useBattleFlow } from './hooks/useBattleFlow.js';
-import { useMultiplayerBattle } from './hooks/useMultiplayerBattle.js';
+import { useBattleClient } from './hooks/useBattleClient.js';
+import { useSpectator } from './hooks/useSpectator.js';
 import { useSkinUnlocks } from './hooks/useSkinUnlocks.js';
+import { usePlayerProfile } from './hooks/usePlayerProfile.js';
 import { useSound } from './hooks/useSound.js';
+import { useModeTimer } from './hooks/useModeTimer.js';
 import { getSkinById } from './skinConfig.js';
+import { requestScoreAttestation } from './scoreVerification.js';
+import { getReplayRunTime, submitSprintRun } from './leaderboardApi.js';
+import { getScoreVerifierId } from './config.js';
+import { GAME_MODES, getModeConfig, getDailySeed, getRankedRunMessage, formatTime, formatResult } from './modes.js';
+import { getPersonalBest, getPersonalBestRecords, savePersonalBest } from './personalBests.js';
 import "./App.css";
 
 // Authentication states
@@ -38,6 +48,7 @@ function App() {
     const [currentScreen, setCurrentScreen] = useState('landing'); // landing, menu, solo, multiplayer, config, marketplace, customization
     const [gameMode, setGameMode] = useState('menu'); // menu, playing, gameOver
     const [loadingMessage, setLoadingMessage] = useState('');
+    const [isVerifyingScore, setIsVerifyingScore] = useState(false);
     const [authState, setAuthState] = useState(AUTH_STATES.DISCONNECTED);
     const [authMessage, setAuthMessage] = useState('');
     const [toast, setToast] = useState({ show: false, type: 'success', message: '' });
@@ -46,37 +57,31 @@ function App() {
         return parseInt(localStorage.getItem('selectedSkin') || '0');
     });
     const [isClaimingSkin, setIsClaimingSkin] = useState(false);
+    const [isSubmittingRun, setIsSubmittingRun] = useState(false);
+    const [soloMode, setSoloMode] = useState(GAME_MODES.MARATHON);
+    const [modeSeed, setModeSeed] = useState(''); // Shared seed text for non-Marathon modes
+    const [personalBest, setPersonalBest] = useState(null); // PB on the current mode and seed
     
-    const game = useGame(gameSeed);
+    const modeConfig = getModeConfig(soloMode);
+    const game = useGame(gameSeed, modeConfig.options);
+    const modeTimer = useModeTimer(game.subscribe, soloMode, game.gameState.isPaused);
     const blockchain = useBlockchain();
+    const rankings = useLeaderboard(blockchain.account?.address);
     const sound = useSound();
     
-    // Memoize game stats for skin unlock system
-    const gameStats = useMemo(() => ({
-        score: game.gameState.score,
-        level: game.gameState.level,
-        linesCleared: game.gameState.linesCleared,
-        tetrisCount: game.gameState.tetrisCount,
-        maxCombo: game.gameState.maxCombo
-    }), [
-        game.gameState.score,
-        game.gameState.level,
-        game.gameState.linesCleared,
-        game.gameState.tetrisCount,
-        game.gameState.maxCombo
-    ]);
-    
-    // Skin unlock system
-    const skinUnlocks = useSkinUnlocks(gameStats);
+    // Lifetime stats and skin unlock system
+    const playerProfile = usePlayerProfile(game.subscribe, blockchain.account?.address);
+    const skinUnlocks = useSkinUnlocks(game.subscribe, playerProfile.localProfile);
     
     // Multiplayer hooks
     const webSocket = useWebSocket(blockchain.account?.address, blockchain.username);
     const battleFlow = useBattleFlow(webSocket.socket, blockchain.account?.address, blockchain.username);
-    const multiplayerBattle = useMultiplayerBattle(
+    const battleClient = useBattleClient(
         webSocket.socket,
         battleFlow.roomData,
-        battleFlow.opponentData
+        blockchain.account?.address
     );
+    const spectator = useSpectator(webSocket.socket);
     
     // Handle wallet connection state transitions
     useEffect(() => {
@@ -139,6 +144,19 @@ function App() {
             return;
         }
 
+        // Other modes run on shared seed text so everyone on it gets the same pieces
+        if (soloMode !== GAME_MODES.MARATHON) {
+            const seed = modeSeed.trim() || getDailySeed(soloMode);
+            setModeSeed(seed);
+            setPersonalBest(getPersonalBest(soloMode, seed));
+            setGameSeedObjectId(null);
+            setGameSeed(seed);
+            game.startGame(seed);
+            modeTimer.start();
+            setGameMode('playing');
+            return;
+        }
+
         try {
             setLoadingMessage('Creating game seed on blockchain...');
             const result = await blockchain.createGameSeed();
@@ -146,7 +164,8 @@ function App() {
             setGameSeed(result.seed);
             showToast('success', 'Game seed created! Your game is provably fair.');
             
-            game.startGame();
+            game.startGame(result.seed);
+            modeTimer.start();
             setGameMode('playing');
         } catch (error) {
             console.error('Failed to start game:', error);
@@ -161,6 +180,39 @@ function App() {
         }
     }, [game.gameState.isGameOver, gameMode]);
 
+    // Save finished runs of the other modes as personal bests
+    useEffect(() => {
+        const result = modeTimer.result;
+        if (soloMode === GAME_MODES.MARATHON || !result?.finished) return;
+
+        const run = {
+            seed: modeSeed,
+            time: result.time,
+            score: game.gameState.score,
+            linesCleared: game.gameState.linesCleared,
+            pieces: game.gameState.piecesPlaced,
+            splits: result.splits,
+            player: blockchain.account?.address || null,
+            timestamp: Date.now()
+        };
+        const { isPersonalBest, previous } = savePersonalBest(soloMode, run);
+        if (isPersonalBest) {
+            showToast('success', previous
+                ? `New personal best! ${formatResult(soloMode, run)} (was ${formatResult(soloMode, previous)})`
+                : `Personal best set: ${formatResult(soloMode, run)}`);
+        }
+    }, [modeTimer.result]); // Only when a run finishes
+
+    // Add finished battles to this device's lifetime stats (the server counts them itself)
+    useEffect(() => {
+        const result = battleFlow.battleResult;
+        if (!result) return;
+
+        const won = result.winner === blockchain.account?.address;
+        playerProfile.recordBattle(battleClient.localGameState, won, result.duration);
+        playerProfile.refresh();
+    }, [battleFlow.battleResult]); // Only when a battle ends
+
     // Handle submit score
     const handleSubmitScore = async () => {
         if (!gameSeedObjectId || !blockchain.account) {
@@ -169,8 +221,19 @@ function App() {
         }
 
         try {
+            getScoreVerifierId(); // Fail before the replay is sent if submissions can't work
+
+            setIsVerifyingScore(true);
+            setLoadingMessage('Verifying score with the game server...');
+            const attestation = await requestScoreAttestation(
+                gameSeedObjectId,
+                blockchain.account.address,
+                game.getReplay()
+            );
+            setIsVerifyingScore(false);
+
             setLoadingMessage('Submitting score to blockchain...');
-            const result = await blockchain.submitScore(gameSeedObjectId, game.gameState.score);
+            const result = await blockchain.submitScore(gameSeedObjectId, attestation.score, attestation);
             showToast('success', `Score submitted! You earned ${result.tokensEarned} TETRI tokens!`);
             
             // Wait a bit for blockchain to process, then refresh data
@@ -179,17 +242,52 @@ function App() {
             
             await blockchain.fetchLeaderboard();
             await blockchain.fetchPlayerBalance();
+            rankings.refresh(); // The server indexes the new score on its next poll
+            skinUnlocks.refresh(); // Along with the skins it verifies
+            playerProfile.refresh(); // And the game's lifetime totals
             
             setLoadingMessage('');
         } catch (error) {
             console.error('Failed to submit score:', error);
             showToast('error', error.message || 'Failed to submit score to blockchain.');
+            setIsVerifyingScore(false);
+            setLoadingMessage('');
+        }
+    };
+
+    // Only finished Sprint runs on the daily seed can be ranked by the server
+    const canSubmitSprintRun = soloMode === GAME_MODES.SPRINT && modeTimer.result?.finished &&
+        !!blockchain.account && modeSeed === getDailySeed(GAME_MODES.SPRINT);
+
+    // Handle submit Sprint run
+    const handleSubmitSprintRun = async () => {
+        try {
+            setIsSubmittingRun(true);
+            const replay = game.getReplay();
+            const message = getRankedRunMessage(GAME_MODES.SPRINT, modeSeed, getReplayRunTime(replay));
+
+            setLoadingMessage('Sign the run with your wallet...');
+            const signature = await blockchain.signMessage(message);
+
+            setLoadingMessage('Verifying run with the game server...');
+            const { run, rank } = await submitSprintRun(blockchain.account.address, replay, signature);
+            showToast('success', rank
+                ? `Run ranked #${rank} today: ${formatTime(run.time)}`
+                : `Run verified: ${formatTime(run.time)}`);
+
+            rankings.refresh();
+        } catch (error) {
+            console.error('Failed to submit Sprint run:', error);
+            showToast('error', error.message || 'Failed to submit Sprint run.');
+        } finally {
+            setIsSubmittingRun(false);
             setLoadingMessage('');
         }
     };
 
     // Handle play again
     const handlePlayAgain = () => {
+        modeTimer.reset();
         setGameMode('menu');
         setGameSeedObjectId(null);
         setGameSeed(null);
@@ -244,7 +342,9 @@ function App() {
                         <div className="tutorial-content">
                             <h3>CONTROLS</h3>
                             <p><kbd>←</kbd> <kbd>→</kbd> Move piece left/right</p>
-                            <p><kbd>↑</kbd> Rotate piece</p>
+                            <p><kbd>↑</kbd> Rotate piece clockwise</p>
+                            <p><kbd>Z</kbd> Rotate piece counter-clockwise</p>
+                            <p><kbd>A</kbd> Rotate piece 180°</p>
                             <p><kbd>↓</kbd> Soft drop (faster fall)</p>
                             <p><kbd>SPACE</kbd> Hard drop (instant fall)</p>
                             <p><kbd>P</kbd> Pause/Resume</p>
@@ -377,6 +477,21 @@ function App() {
                             </div>
                         </button>
 
+                        <button 
+                            className="menu-button profile-button"
+                            onMouseEnter={() => sound.playHoverSound()}
+                            onClick={() => {
+                                sound.playClickSound();
+                                setCurrentScreen('profile');
+                            }}
+                        >
+                            <div className="menu-button-icon">📊</div>
+                            <div className="menu-button-content">
+                                <div className="menu-button-title">PROFILE</div>
+                                <div className="menu-button-subtitle">LIFETIME STATS AND BATTLE RECORD</div>
+                            </div>
+                        </button>
+
                         <button 
                             className="menu-button marketplace-button"
                             onMouseEnter={() => sound.playHoverSound()}
@@ -414,6 +529,7 @@ function App() {
                     <button 
                         className="btn btn-secondary back-button"
                         onClick={() => {
+                            modeTimer.reset();
                             setCurrentScreen('menu');
                             setGameMode('menu');
                         }}
@@ -437,12 +553,36 @@ function App() {
                                             <p className="status-message connected">
                                                 ✓ WALLET CONNECTED - READY TO PLAY!
                                             </p>
+                                            <div className="mode-select">
+                                                {Object.values(GAME_MODES).map((mode) => (
+                                                    <button
+                                                        key={mode}
+                                                        className={`btn btn-secondary ${soloMode === mode ? 'active' : ''}`}
+                                                        onClick={() => {
+                                                            setSoloMode(mode);
+                                                            setModeSeed(mode === GAME_MODES.MARATHON ? '' : getDailySeed(mode));
+                                                        }}
+                                                    >
+                                                        {getModeConfig(mode).label.toUpperCase()}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                            {soloMode !== GAME_MODES.MARATHON && (
+                                                <label className="seed-input">
+                                                    SEED (SHARE IT TO RACE ON THE SAME PIECES)
+                                                    <input
+                                                        type="text"
+                                                        value={modeSeed}
+                                                        onChange={(e) => setModeSeed(e.target.value)}
+                                                    />
+                                                </label>
+                                            )}
                                             <button 
                                                 onClick={handleStartGame} 
                                                 className="btn btn-primary start-button"
                                                 disabled={blockchain.isCreatingGameSeed}
                                             >
-                                                {blockchain.isCreatingGameSeed ? 'CREATING GAME SEED...' : 'START GAME'}
+                                                {blockchain.isCreatingGameSeed ? 'CREATING GAME SEED...' : `START ${modeConfig.label.toUpperCase()}`}
                                             </button>
                                         </>
                                     )}
@@ -450,7 +590,9 @@ function App() {
                                         <h3>CONTROLS</h3>
                                         <p><span>Move Left</span> <kbd>←</kbd></p>
                                         <p><span>Move Right</span> <kbd>→</kbd></p>
-                                        <p><span>Rotate</span> <kbd>↑</kbd></p>
+                                        <p><span>Rotate CW</span> <kbd>↑</kbd></p>
+                                        <p><span>Rotate CCW</span> <kbd>Z</kbd></p>
+                                        <p><span>Rotate 180</span> <kbd>A</kbd></p>
                                         <p><span>Soft Drop</span> <kbd>↓</kbd></p>
                                         <p><span>Hard Drop</span> <kbd>SPACE</kbd></p>
                                         <p><span>Pause</span> <kbd>P</kbd></p>
@@ -466,6 +608,15 @@ function App() {
                                         lines={game.gameState.linesCleared}
                                         isPaused={game.gameState.isPaused}
                                         onPause={game.togglePause}
+                                        lastClear={game.gameState.lastClear}
+                                        elapsed={soloMode !== GAME_MODES.MARATHON ? modeTimer.elapsed : null}
+                                        lineGoal={game.gameState.lineGoal}
+                                        timeLimit={game.gameState.timeLimit}
+                                        digLines={game.gameState.digLines}
+                                        garbageRemaining={game.gameState.garbageRemaining}
+                                        pieces={soloMode !== GAME_MODES.MARATHON ? game.gameState.piecesPlaced : null}
+                                        splits={modeTimer.splits}
+                                        personalBest={personalBest}
                                     />
                                     
                                     <div className="game-area-with-previews">
@@ -488,6 +639,9 @@ function App() {
                                             clearingLines={game.clearingLines}
                                             renderTrigger={game.renderTrigger}
                                             skinColors={getSkinById(selectedSkin).colors}
+                                            width={game.gameState.width}
+                                            height={game.gameState.height}
+                                            bufferRows={game.gameState.bufferRows}
                                         />
 
                                         {/* NEXT */}
@@ -507,16 +661,70 @@ function App() {
 
                             {gameMode === 'gameOver' && (
                                 <div className="game-over">
-                                    <h2>Game Over!</h2>
-                                    <p>Final Score: <span>{game.gameState.score.toLocaleString()}</span></p>
+                                    {soloMode === GAME_MODES.SPRINT ? (
+                                        modeTimer.result?.finished ? (
+                                            <>
+                                                <h2>Sprint Complete!</h2>
+                                                <p>Time: <span>{formatTime(modeTimer.result.time)}</span></p>
+                                                <div className="run-splits">
+                                                    {modeTimer.result.splits.map((split) => (
+                                                        <div key={split.lines} className="run-split">
+                                                            <span className="split-lines">{split.lines}L</span>
+                                                            <span className="split-time">{formatTime(split.time)}</span>
+                                                        </div>
+                                                    ))}
+                                                </div>
+                                            </>
+                                        ) : (
+                                            <>
+                                                <h2>Game Over!</h2>
+                                                <p>Topped out at <span>{game.gameState.linesCleared}/{game.gameState.lineGoal}</span> lines</p>
+                                            </>
+                                        )
+                                    ) : soloMode === GAME_MODES.DIG ? (
+                                        modeTimer.result?.finished ? (
+                                            <>
+                                                <h2>Dig Complete!</h2>
+                                                <p>Time: <span>{formatTime(modeTimer.result.time)}</span></p>
+                                                <p>Pieces Used: <span>{game.gameState.piecesPlaced}</span></p>
+                                            </>
+                                        ) : (
+                                            <>
+                                                <h2>Game Over!</h2>
+                                                <p>Garbage Left: <span>{game.gameState.garbageRemaining}/{game.gameState.digLines}</span></p>
+                                            </>
+                                        )
+                                    ) : soloMode !== GAME_MODES.MARATHON ? (
+                                        <>
+                                            <h2>{modeTimer.result?.finished ? "Time's Up!" : 'Game Over!'}</h2>
+                                            <p>{getModeConfig(soloMode).label} Score: <span>{game.gameState.score.toLocaleString()}</span></p>
+                                            {personalBest && (
+                                                <p>Previous Best: <span>{personalBest.score.toLocaleString()}</span></p>
+                                            )}
+                                        </>
+                                    ) : (
+                                        <>
+                                            <h2>Game Over!</h2>
+                                            <p>Final Score: <span>{game.gameState.score.toLocaleString()}</span></p>
+                                        </>
+                                    )}
                                     <div className="game-over-actions">
                                         {blockchain.account && gameSeedObjectId && (
                                             <button 
                                                 onClick={handleSubmitScore} 
                                                 className="btn btn-primary"
-                                                disabled={blockchain.isSubmittingScore}
+                                                disabled={isVerifyingScore || blockchain.isSubmittingScore}
+                                            >
+                                                {isVerifyingScore ? 'VERIFYING...' : blockchain.isSubmittingScore ? 'SUBMITTING...' : 'SUBMIT TO BLOCKCHAIN'}
+                                            </button>
+                                        )}
+                                        {canSubmitSprintRun && (
+                                            <button
+                                                onClick={handleSubmitSprintRun}
+                                                className="btn btn-primary"
+                                                disabled={isSubmittingRun}
                                             >
-                                                {blockchain.isSubmittingScore ? 'SUBMITTING...' : 'SUBMIT TO BLOCKCHAIN'}
+                                                {isSubmittingRun ? 'SUBMITTING...' : 'SUBMIT TO SPRINT LEADERBOARD'}
                                             </button>
                                         )}
                                         <button onClick={handlePlayAgain} className="btn btn-secondary">
@@ -536,9 +744,13 @@ function App() {
                             />
                             <Leaderboard 
                                 scores={blockchain.leaderboard}
+                                rankings={rankings}
                                 currentPlayerAddress={blockchain.account?.address}
                                 isLoading={blockchain.isLoadingLeaderboard}
                                 onRefresh={blockchain.fetchLeaderboard}
+                                modeRecords={Object.fromEntries(
+                                    Object.values(GAME_MODES).map((mode) => [mode, getPersonalBestRecords(mode)])
+                                )}
                                 usernameMap={blockchain.account && blockchain.username ? {
                                     [blockchain.account.address]: blockchain.username
                                 } : {}}
@@ -555,6 +767,7 @@ function App() {
                         className="btn btn-secondary back-button"
                         onClick={() => {
                             battleFlow.resetBattle();
+                            spectator.stopSpectating();
                             setCurrentScreen('menu');
                         }}
                     >
@@ -562,12 +775,43 @@ function App() {
                     </button>
                     
                     {/* Show Battle View if in battle */}
-                    {battleFlow.battleState === 'playing' && battleFlow.roomData ? (
+                    {spectator.isSpectating ? (
+                        <BattleView
+                            spectating
+                            localPlayer={spectator.battle.players[0]}
+                            localGameState={spectator.boards[spectator.battle.players[0]?.address]}
+                            localPlacement={spectator.placements[spectator.battle.players[0]?.address] ?? null}
+                            opponents={spectator.battle.players.slice(1).map(player => ({
+                                ...player,
+                                gameState: spectator.boards[player.address],
+                                placement: spectator.placements[player.address],
+                            }))}
+                            spectatorCount={spectator.spectatorCount}
+                            spectatorResult={spectator.result && `${
+                                spectator.battle.players.find(player => player.address === spectator.result.winner)?.username || 'Unknown'
+                            } WINS`}
+                            wager={spectator.battle.wager}
+                            onLeave={() => spectator.stopSpectating()}
+                        />
+                    ) : battleFlow.battleState === 'playing' && battleFlow.roomData ? (
                         <BattleView
                             localPlayer={{ username: blockchain.username, address: blockchain.account?.address }}
-                            localGameState={multiplayerBattle.localGameState}
-                            opponentPlayer={{ username: battleFlow.opponentData?.username, address: battleFlow.opponentData?.address }}
-                            opponentGameState={multiplayerBattle.opponentGameState}
+                            localGameState={battleClient.localGameState}
+                            incomingGarbageLines={battleClient.incomingGarbageLines}
+                            localPlacement={battleClient.localPlacement}
+                            opponents={battleClient.opponents.map(opponent => ({
+                                ...opponent,
+                                gameState: battleClient.opponentGameStates[opponent.address],
+                                placement: battleClient.placements[opponent.address],
+                                reconnecting: battleClient.reconnectingPlayers.includes(opponent.address),
+                            }))}
+                            targeting={battleClient.targeting}
+                            onTargetingChange={battleClient.setTargeting}
+                            resuming={webSocket.resuming}
+                            isPaused={battleClient.isPaused}
+                            spectatorCount={battleFlow.spectatorCount}
+                            allowSpectators={battleFlow.allowSpectators}
+                            onToggleSpectators={battleFlow.isHost ? battleFlow.setAllowSpectators : undefined}
                             wager={battleFlow.roomData?.wager}
                             onForfeit={() => battleFlow.forfeitBattle()}
                         />
@@ -575,10 +819,19 @@ function App() {
                         /* Show Multiplayer Menu for matchmaking */
                         <MultiplayerMenu
                             onRandomMatchmaking={(wager) => battleFlow.startMatchmaking(wager)}
-                            onPrivateRoom={(wager) => battleFlow.createPrivateRoom(wager)}
+                            onPrivateRoom={(wager, options) => battleFlow.createPrivateRoom(wager, options)}
+                            onJoinRoom={(roomKey) => battleFlow.joinPrivateRoom(roomKey)}
                             matchmakingStatus={battleFlow.battleState}
+                            room={battleFlow.roomData}
+                            walletAddress={blockchain.account?.address}
+                            onReady={(ready) => battleFlow.setReady(ready)}
+                            onLeaveRoom={() => battleFlow.leaveRoom()}
                             estimatedWaitTime={battleFlow.estimatedWaitTime}
                             onCancel={() => battleFlow.cancelMatchmaking()}
+                            liveBattles={spectator.liveBattles}
+                            spectateError={spectator.error}
+                            onRefreshBattles={spectator.refreshBattles}
+                            onSpectate={spectator.spectate}
                         />
                     )}
                 </div>
@@ -587,7 +840,6 @@ function App() {
             {/* Customization Screen */}
             {currentScreen === 'customization' && (
                 <CustomizationMenu
-                    gameStats={gameStats}
                     onBack={() => setCurrentScreen('menu')}
                     onSkinSelect={(skin) => {
                         setSelectedSkin(skin.id);
@@ -596,6 +848,16 @@ function App() {
                 />
             )}
 
+            {/* Profile Screen */}
+            {currentScreen === 'profile' && (
+                <ProfileView
+                    playerProfile={playerProfile}
+                    username={blockchain.username}
+                    walletAddress={blockchain.account?.address}
+                    onBack={() => setCurrentScreen('menu')}
+                />
+            )}
+
             {/* Marketplace Screen */}
             {currentScreen === 'marketplace' && (
                 <MarketplaceView
@@ -624,7 +886,7 @@ function App() {
             )}
 
             {/* Loading Overlay */}
-            {(blockchain.isCreatingGameSeed || blockchain.isSubmittingScore || 
+            {(blockchain.isCreatingGameSeed || isVerifyingScore || blockchain.isSubmittingScore || isSubmittingRun ||
               authState === AUTH_STATES.VERIFYING) && (
                 <LoadingOverlay message={authState === AUTH_STATES.VERIFYING ? authMessage : loadingMessage} />
             )}
@@ -0,0 +1,211 @@
+/**
+ * Attack - Garbage Sent by Line Clears, and the Incoming Garbage Queue
+ *
+ * Shared by the client and the battle server (loaded through the server's
+ * game engine loader), so both sides agree on how much every clear sends.
+ */
+
+// Garbage lines sent by T-spin kind and lines cleared
+export const ATTACK_LINES = {
+    none: [0, 0, 1, 2, 4],
+    mini: [0, 0, 1],
+    full: [0, 2, 4, 6]
+};
+
+export const B2B_ATTACK = 1; // Extra line for a back-to-back Tetris or T-spin
+export const PERFECT_CLEAR_ATTACK = 10;
+
+// Extra lines by combo (0 = first clear of a chain); longer combos use the last entry
+export const COMBO_ATTACK = [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5];
+
+export const DEFAULT_GARBAGE_DELAY = 1000; // ms incoming garbage waits before it rises
+
+/**
+ * Garbage lines a clear sends, before cancelling
+ * @param {Object} clear - A linesCleared event or lastClear from TetrisGame
+ * @param {number} clear.lines - Lines cleared
+ * @param {string|null} clear.tSpin - One of T_SPIN, or null
+ * @param {boolean} clear.b2b - Whether the clear continued a back-to-back chain
+ * @param {number} clear.combo - Consecutive clears before this one
+ * @param {boolean} clear.perfectClear - Whether the clear emptied the board
+ * @returns {number}
+ */
+export function calculateAttack({ lines = 0, tSpin = null, b2b = false, combo = 0, perfectClear = false }) {
+    if (lines <= 0) {
+        return 0;
+    }
+
+    let attack = (ATTACK_LINES[tSpin || 'none'] || ATTACK_LINES.none)[lines] || 0;
+    if (b2b) {
+        attack += B2B_ATTACK;
+    }
+    attack += COMBO_ATTACK[Math.min(Math.max(0, combo), COMBO_ATTACK.length - 1)];
+    if (perfectClear) {
+        attack += PERFECT_CLEAR_ATTACK;
+    }
+    return attack;
+}
+
+/**
+ * Who an attack goes to, in battles of more than two players
+ * - random: the whole attack to one opponent drawn at random
+ * - attackers: split between the opponents whose last attack hit the sender (random if none)
+ * - kos: the whole attack to the opponent closest to topping out
+ * - even: split between every opponent still in the battle
+ */
+export const TARGETING = {
+    RANDOM: 'random',
+    ATTACKERS: 'attackers',
+    KOS: 'kos',
+    EVEN: 'even'
+};
+
+export const DEFAULT_TARGETING = TARGETING.RANDOM;
+
+/**
+ * Split lines between targets as evenly as possible, starting at a random one
+ * so the remainder isn't always sent to the same player
+ */
+function splitAttack(lines, addresses, rng) {
+    const start = rng.nextInt(0, addresses.length - 1);
+    const base = Math.floor(lines / addresses.length);
+    const extra = lines % addresses.length;
+
+    const shares = [];
+    for (let i = 0; i < addresses.length; i++) {
+        const share = base + (i < extra ? 1 : 0);
+        if (share > 0) {
+            shares.push({ address: addresses[(start + i) % addresses.length], lines: share });
+        }
+    }
+    return shares;
+}
+
+/**
+ * Decide who an attack goes to
+ * @param {number} lines - Lines to send, after cancelling
+ * @param {string} mode - One of TARGETING
+ * @param {Object[]} opponents - Opponents still in the battle
+ * @param {string} opponents[].address
+ * @param {number} opponents[].danger - How close they are to topping out (stack height plus pending garbage)
+ * @param {boolean} opponents[].attacking - Whether their last attack hit the sender
+ * @param {Object} rng - Seeded random source (see createSeededRandom), so a battle's targets can be replayed
+ * @returns {Array<{address: string, lines: number}>}
+ */
+export function chooseTargets(lines, mode, opponents, rng) {
+    if (lines <= 0 || opponents.length === 0) {
+        return [];
+    }
+
+    const pick = (candidates) => [{ address: candidates[rng.nextInt(0, candidates.length - 1)].address, lines }];
+
+    switch (mode) {
+        case TARGETING.ATTACKERS: {
+            const attackers = opponents.filter(opponent => opponent.attacking);
+            return attackers.length > 0
+                ? splitAttack(lines, attackers.map(opponent => opponent.address), rng)
+                : pick(opponents);
+        }
+        case TARGETING.KOS: {
+            const danger = Math.max(...opponents.map(opponent => opponent.danger));
+            return pick(opponents.filter(opponent => opponent.danger === danger));
+        }
+        case TARGETING.EVEN:
+            return splitAttack(lines, opponents.map(opponent => opponent.address), rng);
+        default:
+            return pick(opponents);
+    }
+}
+
+/**
+ * GarbageQueue - Incoming garbage waiting to rise
+ * Each entry keeps the hole column of each of its rows and the time it is
+ * ready to be added to the board. Outgoing attacks cancel the oldest
+ * pending rows first.
+ */
+export class GarbageQueue {
+    constructor() {
+        this.entries = []; // { lines, holes, readyAt, id, queuedAt }, oldest first
+    }
+
+    /**
+     * Queue incoming garbage
+     * @param {number[]} holes - Hole column of each row, in the order they are added
+     * @param {number} readyAt - Clock time the rows rise at
+     * @param {number|null} id - Identifies the attack (e.g. the server's garbage id)
+     * @param {number|null} queuedAt - Clock time it arrived, if known (see postpone)
+     */
+    add(holes, readyAt, id = null, queuedAt = null) {
+        if (holes.length > 0) {
+            this.entries.push({ lines: holes.length, holes: [...holes], readyAt, id, queuedAt });
+        }
+    }
+
+    /**
+     * Cancel pending rows with an outgoing attack
+     * @param {number} attack - Lines the clear would send
+     * @returns {number} - Lines left to send after cancelling
+     */
+    cancel(attack) {
+        let remaining = attack;
+        while (remaining > 0 && this.entries.length > 0) {
+            const entry = this.entries[0];
+            const cancelled = Math.min(remaining, entry.lines);
+            entry.holes.splice(0, cancelled);
+            entry.lines -= cancelled;
+            remaining -= cancelled;
+            if (entry.lines === 0) {
+                this.entries.shift();
+            }
+        }
+        return remaining;
+    }
+
+    /**
+     * Remove and return the entries whose delay is over
+     * @param {number} now - Current clock time
+     */
+    takeReady(now) {
+        const ready = this.entries.filter(entry => entry.readyAt <= now);
+        this.entries = this.entries.filter(entry => entry.readyAt > now);
+        return ready;
+    }
+
+    /**
+     * Remove and return one entry regardless of its delay
+     * @param {number} id - Id the entry was added with
+     * @returns {Object|null} - The entry, or null if it was cancelled or already taken
+     */
+    remove(id) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        return index === -1 ? null : this.entries.splice(index, 1)[0];
+    }
+
+    /**
+     * Push back pending rises by the time a battle was paused
+     * Entries queued before the pause wait the whole pause out; an entry queued
+     * during it only starts waiting when the pause ends.
+     * @param {number} delay - Length of the pause
+     * @param {number} pausedAt - Clock time the pause began (by default every entry predates it)
+     */
+    postpone(delay, pausedAt = Infinity) {
+        for (const entry of this.entries) {
+            const queuedDuringPause = entry.queuedAt !== null && entry.queuedAt > pausedAt;
+            entry.readyAt += queuedDuringPause ? pausedAt + delay - entry.queuedAt : delay;
+        }
+    }
+
+    /**
+     * Rows still waiting to rise
+     */
+    getPendingLines() {
+        return this.entries.reduce((total, entry) => total + entry.lines, 0);
+    }
+
+    /**
+     * Drop everything pending
+     */
+    clear() {
+        this.entries = [];
+    }
+}
@@ -12,7 +12,8 @@
 import { SuiClient } from '@mysten/sui.js/client';
 import { TransactionBlock } from '@mysten/sui.js/transactions';
 import { Transaction } from '@mysten/sui/transactions';
-import { CONTRACT_CONFIG, RPC_URL, TX_CONFIG, NETWORK } from './config.js';
+import { CONTRACT_CONFIG, RPC_URL, TX_CONFIG, NETWORK, getScoreVerifierId } from './config.js';
+import { getAttestationSignature, getAttestedStats } from './scoreVerification.js';
 
 /**
  * Error codes from the smart contract
@@ -24,7 +25,9 @@ const CONTRACT_ERRORS = {
     ESeedAlreadyUsed: 'This game seed has already been used. Please start a new game.',
     EScoreVerificationFailed: 'Score verification failed. The score does not match the game seed.',
     EUnauthorized: 'You are not authorized to use this game seed. It belongs to a different player.',
-    EInsufficientGas: 'Insufficient SUI for transaction. Please add more SUI to your wallet.'
+    EInsufficientGas: 'Insufficient SUI for transaction. Please add more SUI to your wallet.',
+    EInvalidAttestation: 'The game server\'s score attestation did not verify. Please try submitting again.',
+    EVerifierKeyNotSet: 'Score submissions are not open yet: the contract has no score verifier key.'
 };
 
 /**
@@ -53,9 +56,10 @@ function parseBlockchainError(error) {
         return errorMessage;
     }
     
-    // Check for validation errors (return as-is, already user-friendly)
+    // Check for validation and configuration errors (return as-is, already user-friendly)
     if (errorMessage.includes('Invalid score') || 
-        errorMessage.includes('Invalid game seed')) {
+        errorMessage.includes('Invalid game seed') ||
+        errorMessage.includes('not configured')) {
         return errorMessage;
     }
     
@@ -649,15 +653,16 @@ export class BlockchainInterface {
      * 
      * Requirements: 3.1, 3.2, 4.3, 8.1, 8.2, 8.3, 8.4, 8.5
      * - Builds transaction to call contract's submit_score()
-     * - Includes game seed reference and final score
+     * - Includes game seed reference, final score and the server's replay attestation
      * - Signs and executes transaction via OneWallet
      * - Parses transaction result
      * 
      * @param {string} gameSeedObjectId - The object ID of the GameSeed created for this game
      * @param {number} score - The final score from the game (0-999,999)
+     * @param {Object} attestation - Signed attestation from the game server (see scoreVerification.js)
      * @returns {Promise<{success: boolean, tokensEarned?: number, txDigest?: string, error?: string, gasEstimate?: string}>}
      */
-    async submitScore(gameSeedObjectId, score) {
+    async submitScore(gameSeedObjectId, score, attestation = null) {
         try {
             // Check if wallet is connected
             if (!this.isWalletConnected()) {
@@ -679,6 +684,13 @@ export class BlockchainInterface {
                 throw new Error('Invalid score. Score must be a number between 0 and 999,999.');
             }
 
+            // The submitted score must be the one the server verified
+            if (attestation && attestation.score !== score) {
+                throw new Error('Score does not match the verified score.');
+            }
+
+            const scoreVerifierId = getScoreVerifierId();
+
             console.log('Submitting score to blockchain...', { gameSeedObjectId, score });
             console.log('Estimated gas cost:', getGasEstimate('submitScore'));
 
@@ -699,12 +711,15 @@ export class BlockchainInterface {
             tx.setSender(this.playerAddress);
             
             // Call the submit_score function
-            // Parameters: game_seed, score, leaderboard, treasury, clock
+            // Parameters: game_seed, score, the attested stats, verifier, signature, leaderboard, treasury, clock
             tx.moveCall({
                 target: `${CONTRACT_CONFIG.packageId}::${CONTRACT_CONFIG.moduleName}::submit_score`,
                 arguments: [
                     tx.object(gameSeedObjectId),              // game_seed: &mut GameSeed
                     tx.pure(score, 'u64'),                    // score: u64
+                    ...getAttestedStats(attestation).map(value => tx.pure(value, 'u64')), // level .. play_time_ms: u64
+                    tx.object(scoreVerifierId),               // verifier: &ScoreVerifier
+                    tx.pure(getAttestationSignature(attestation), 'vector<u8>'), // signature: vector<u8>
                     tx.object(CONTRACT_CONFIG.leaderboardId), // leaderboard: &mut Leaderboard
                     tx.object(CONTRACT_CONFIG.treasuryId),    // treasury: &mut TokenTreasury
                     tx.object(CONTRACT_CONFIG.clockId),       // clock: &Clock
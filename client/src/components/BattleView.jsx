@@ -1,8 +1,19 @@
 import { memo } from 'react';
 import GameBoard from './GameBoard.jsx';
+import { GRID_WIDTH, GRID_HEIGHT } from '../game.js';
 import PiecePreview from './PiecePreview.jsx';
+import GarbageIndicator from './GarbageIndicator.jsx';
+import { TARGETING } from '../attack.js';
+import { useUsernames } from '../hooks/useUsernames.js';
 import './BattleView.css';
 
+const TARGETING_LABELS = {
+  [TARGETING.RANDOM]: 'RANDOM',
+  [TARGETING.ATTACKERS]: 'ATTACKERS',
+  [TARGETING.KOS]: 'KOs',
+  [TARGETING.EVEN]: 'EVEN',
+};
+
 // Memoized opponent game board to prevent unnecessary re-renders
 // Only re-renders when opponent's game state actually changes
 const OpponentGameBoard = memo(({ opponentState }) => {
@@ -16,6 +27,9 @@ const OpponentGameBoard = memo(({ opponentState }) => {
       isPaused={false}
       clearingLines={opponentState.clearingLines || []}
       isOpponent={true}
+      width={opponentState.width}
+      height={opponentState.height}
+      bufferRows={opponentState.bufferRows}
     />
   );
 }, (prevProps, nextProps) => {
@@ -34,6 +48,7 @@ const OpponentGameBoard = memo(({ opponentState }) => {
     prev.currentPiece?.x === next.currentPiece?.x &&
     prev.currentPiece?.y === next.currentPiece?.y &&
     prev.currentPiece?.rotation === next.currentPiece?.rotation &&
+    prev.bufferRows === next.bufferRows &&
     JSON.stringify(prev.grid) === JSON.stringify(next.grid)
   );
 });
@@ -44,25 +59,40 @@ function BattleView({
   // Local player data
   localPlayer,
   localGameState,
+  incomingGarbageLines = 0,
+  localPlacement = null, // Set once the local player is out
   
-  // Opponent data
-  opponentPlayer,
-  opponentGameState,
+  // Opponent data: [{ address, username, gameState, placement, reconnecting }]
+  opponents = [],
+  targeting, // Who our attacks go to, with more than one opponent
   
   // Battle data
   wager = 0,
   battleTimer = 0,
   vsScore,
+
+  // Connection
+  resuming = false, // Our connection dropped and is coming back
+  isPaused = false, // Battle paused until the players are back
+
+  // Spectating
+  spectating = false, // Watching, not playing: both sides are other players' boards
+  spectatorCount = 0,
+  allowSpectators = true,
+  spectatorResult = null, // Result text shown to spectators when the battle ends
   
   // Callbacks
-  onForfeit
+  onForfeit,
+  onLeave, // Stop spectating
+  onToggleSpectators, // Host only
+  onTargetingChange
 }) {
   // Default game state if not provided
   const defaultGameState = {
     score: 0,
     linesCleared: 0,
     piecesPlaced: 0,
-    grid: Array(20).fill(null).map(() => Array(10).fill(null)),
+    grid: Array(GRID_HEIGHT).fill(null).map(() => Array(GRID_WIDTH).fill(null)),
     currentPiece: null,
     ghostPiece: null,
     holdPiece: null,
@@ -73,14 +103,22 @@ function BattleView({
   };
 
   const localState = localGameState || defaultGameState;
-  const opponentState = opponentGameState || defaultGameState;
+
+  // One opponent gets the full-size board; more share a grid of small ones
+  const isMultiBattle = opponents.length > 1;
+  const opponentPlayer = opponents[0];
+  const opponentState = opponentPlayer?.gameState || defaultGameState;
+  const reconnecting = opponents.filter(opponent => opponent.reconnecting);
+
+  // Registered on-chain usernames win over the names players sent when they connected
+  const usernames = useUsernames([localPlayer?.address, ...opponents.map(opponent => opponent.address)]);
+  const nameOf = (player, fallback) => usernames[player?.address] || player?.username || fallback;
 
   // Debug logging
   if (Math.random() < 0.01) { // Log occasionally
     console.log('🎨 BattleView render:', {
-      hasOpponentState: !!opponentGameState,
-      opponentScore: opponentState.score,
-      opponentHasPiece: !!opponentState.currentPiece
+      opponents: opponents.length,
+      boardsReceived: opponents.filter(opponent => opponent.gameState).length
     });
   }
 
@@ -108,21 +146,61 @@ function BattleView({
           {formatTime(battleTimer)}
         </div>
 
-        <button 
-          className="forfeit-button"
-          onClick={onForfeit}
-          title="Forfeit Battle"
-        >
-          🏳️ FORFEIT
-        </button>
+        <div className="battle-header-actions">
+          <div className="battle-spectators" title="Spectators">
+            👁️ {allowSpectators ? spectatorCount : 'OFF'}
+          </div>
+
+          {onToggleSpectators && (
+            <button
+              className="spectators-toggle"
+              onClick={() => onToggleSpectators(!allowSpectators)}
+              title={allowSpectators ? 'Stop others from watching' : 'Let others watch'}
+            >
+              {allowSpectators ? 'DISABLE SPECTATORS' : 'ALLOW SPECTATORS'}
+            </button>
+          )}
+
+          {spectating ? (
+            <button
+              className="forfeit-button"
+              onClick={onLeave}
+              title="Stop Watching"
+            >
+              LEAVE
+            </button>
+          ) : (
+            <button 
+              className="forfeit-button"
+              onClick={onForfeit}
+              title="Forfeit Battle"
+            >
+              🏳️ FORFEIT
+            </button>
+          )}
+        </div>
       </div>
 
+      {spectatorResult && (
+        <div className="battle-connection-notice battle-result-notice">{spectatorResult}</div>
+      )}
+
+      {/* Dropped connections */}
+      {(resuming || reconnecting.length > 0) && (
+        <div className="battle-connection-notice">
+          {resuming
+            ? 'Connection lost - reconnecting...'
+            : `${reconnecting.map(opponent => nameOf(opponent, 'Opponent')).join(', ')} disconnected - waiting for them to reconnect...`}
+          {isPaused && <span className="battle-paused-label">BATTLE PAUSED</span>}
+        </div>
+      )}
+
       {/* Battle Arena */}
-      <div className="battle-arena">
+      <div className={`battle-arena ${isMultiBattle ? 'multi-battle' : ''}`}>
         {/* Local Player Side */}
         <div className="player-side local-player">
           <div className="player-info">
-            <div className="player-name">{localPlayer?.username || 'Player'}</div>
+            <div className="player-name">{nameOf(localPlayer, 'Player')}</div>
             <div className="player-stats">
               <div className="stat">
                 <span className="stat-label">SCORE</span>
@@ -141,7 +219,27 @@ function BattleView({
             </div>
           </div>
 
+          {isMultiBattle && !spectating && onTargetingChange && (
+            <div className="targeting-selector">
+              <span className="stat-label">TARGET</span>
+              {Object.values(TARGETING).map(mode => (
+                <button
+                  key={mode}
+                  className={`targeting-button ${targeting === mode ? 'active' : ''}`}
+                  onClick={() => onTargetingChange(mode)}
+                  disabled={localPlacement !== null}
+                >
+                  {TARGETING_LABELS[mode]}
+                </button>
+              ))}
+            </div>
+          )}
+
           <div className="game-area-with-previews">
+            {localPlacement !== null && (
+              <div className="placement-overlay">#{localPlacement}</div>
+            )}
+
             {/* HOLD */}
             <div className="hold-container">
               <div className="preview-label">HOLD</div>
@@ -149,6 +247,7 @@ function BattleView({
             </div>
 
             {/* GAME BOARD */}
+            <GarbageIndicator incomingGarbageLines={incomingGarbageLines} />
             <GameBoard 
               grid={localState.grid}
               currentPiece={localState.currentPiece}
@@ -156,6 +255,9 @@ function BattleView({
               isPaused={localState.isPaused}
               clearingLines={localState.clearingLines}
               renderTrigger={localState.renderTrigger}
+              width={localState.width}
+              height={localState.height}
+              bufferRows={localState.bufferRows}
             />
 
             {/* NEXT */}
@@ -168,63 +270,91 @@ function BattleView({
           </div>
         </div>
 
-        {/* VS Divider */}
-        <div className="vs-divider">
-          <div className="vs-score">
-            <div className="vs-label">VS</div>
-            <div className="score-comparison">
-              <span className={localState.score > opponentState.score ? 'winning' : ''}>
-                {localState.score.toLocaleString()}
-              </span>
-              <span className="vs-dash">-</span>
-              <span className={opponentState.score > localState.score ? 'winning' : ''}>
-                {opponentState.score.toLocaleString()}
-              </span>
-            </div>
+        {isMultiBattle ? (
+          /* Opponent Grid */
+          <div className="opponent-grid">
+            {opponents.map(opponent => {
+              const state = opponent.gameState || defaultGameState;
+              return (
+                <div
+                  key={opponent.address}
+                  className={`opponent-tile ${opponent.placement ? 'eliminated' : ''}`}
+                >
+                  <div className="opponent-tile-header">
+                    <span className="player-name">{nameOf(opponent, 'Opponent')}</span>
+                    <span className="opponent-tile-score">{state.score.toLocaleString()}</span>
+                  </div>
+                  <div className="opponent-tile-board">
+                    <OpponentGameBoard opponentState={state} />
+                    {opponent.placement && (
+                      <div className="placement-overlay">#{opponent.placement}</div>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
           </div>
-        </div>
-
-        {/* Opponent Side */}
-        <div className="player-side opponent-player">
-          <div className="player-info">
-            <div className="player-name">{opponentPlayer?.username || 'Opponent'}</div>
-            <div className="player-stats">
-              <div className="stat">
-                <span className="stat-label">SCORE</span>
-                <span className="stat-value">{opponentState.score.toLocaleString()}</span>
-              </div>
-              <div className="stat">
-                <span className="stat-label">LINES</span>
-                <span className="stat-value">{opponentState.linesCleared}</span>
-              </div>
-              <div className="stat">
-                <span className="stat-label">PPS</span>
-                <span className="stat-value">
-                  {calculatePPS(opponentState.piecesPlaced, battleTimer)}
-                </span>
+        ) : (
+          <>
+            {/* VS Divider */}
+            <div className="vs-divider">
+              <div className="vs-score">
+                <div className="vs-label">VS</div>
+                <div className="score-comparison">
+                  <span className={localState.score > opponentState.score ? 'winning' : ''}>
+                    {localState.score.toLocaleString()}
+                  </span>
+                  <span className="vs-dash">-</span>
+                  <span className={opponentState.score > localState.score ? 'winning' : ''}>
+                    {opponentState.score.toLocaleString()}
+                  </span>
+                </div>
               </div>
             </div>
-          </div>
 
-          <div className="game-area-with-previews">
-            {/* HOLD */}
-            <div className="hold-container">
-              <div className="preview-label">HOLD</div>
-              <PiecePreview pieceType={opponentState.holdPiece?.type} />
-            </div>
+            {/* Opponent Side */}
+            <div className="player-side opponent-player">
+              <div className="player-info">
+                <div className="player-name">{nameOf(opponentPlayer, 'Opponent')}</div>
+                <div className="player-stats">
+                  <div className="stat">
+                    <span className="stat-label">SCORE</span>
+                    <span className="stat-value">{opponentState.score.toLocaleString()}</span>
+                  </div>
+                  <div className="stat">
+                    <span className="stat-label">LINES</span>
+                    <span className="stat-value">{opponentState.linesCleared}</span>
+                  </div>
+                  <div className="stat">
+                    <span className="stat-label">PPS</span>
+                    <span className="stat-value">
+                      {calculatePPS(opponentState.piecesPlaced, battleTimer)}
+                    </span>
+                  </div>
+                </div>
+              </div>
 
-            {/* GAME BOARD - Memoized to prevent re-renders from local game loop */}
-            <OpponentGameBoard opponentState={opponentState} />
+              <div className="game-area-with-previews">
+                {/* HOLD */}
+                <div className="hold-container">
+                  <div className="preview-label">HOLD</div>
+                  <PiecePreview pieceType={opponentState.holdPiece?.type} />
+                </div>
 
-            {/* NEXT */}
-            <div className="next-container">
-              <div className="preview-label">NEXT</div>
-              {(opponentState.nextQueue || []).slice(0, 3).map((type, i) => (
-                <PiecePreview key={i} pieceType={type} />
-              ))}
+                {/* GAME BOARD - Memoized to prevent re-renders from local game loop */}
+                <OpponentGameBoard opponentState={opponentState} />
+
+                {/* NEXT */}
+                <div className="next-container">
+                  <div className="preview-label">NEXT</div>
+                  {(opponentState.nextQueue || []).slice(0, 3).map((type, i) => (
+                    <PiecePreview key={i} pieceType={type} />
+                  ))}
+                </div>
+              </div>
             </div>
-          </div>
-        </div>
+          </>
+        )}
       </div>
     </div>
   );
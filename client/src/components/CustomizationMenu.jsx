@@ -7,8 +7,10 @@ import './CustomizationMenu.css';
 /**
  * Customization menu for selecting and claiming skin NFTs
  */
-export default function CustomizationMenu({ gameStats, onBack, onSkinSelect }) {
-    const skinUnlocks = useSkinUnlocks(gameStats);
+export default function CustomizationMenu({ onBack, onSkinSelect }) {
+    // Unlocks are earned in-game (App subscribes to the game); the menu only reads them.
+    // Claiming needs the unlock verified by the wallet's submitted games.
+    const skinUnlocks = useSkinUnlocks();
     const skinNFT = useSkinNFT();
     
     const [selectedSkin, setSelectedSkin] = useState(() => {
@@ -62,8 +64,9 @@ export default function CustomizationMenu({ gameStats, onBack, onSkinSelect }) {
             <div className="customization-content">
                 <div className="skins-grid">
                     {SKINS.map((skin) => {
-                        const isUnlocked = skinUnlocks.isSkinUnlocked(skin.id);
                         const isClaimed = skinNFT.isSkinClaimed(skin.id);
+                        const isUnlocked = skinUnlocks.isSkinUnlocked(skin.id) || isClaimed;
+                        const isVerified = skinUnlocks.isSkinVerified(skin.id);
                         const isSelected = selectedSkin === skin.id;
 
                         return (
@@ -98,7 +101,13 @@ export default function CustomizationMenu({ gameStats, onBack, onSkinSelect }) {
                                         </div>
                                     )}
 
-                                    {isUnlocked && !isClaimed && (
+                                    {isUnlocked && !isVerified && !isClaimed && (
+                                        <div className="skin-unverified">
+                                            🔗 Submit a score that meets this to claim as NFT
+                                        </div>
+                                    )}
+
+                                    {isVerified && !isClaimed && (
                                         <button
                                             className="claim-nft-button"
                                             onClick={(e) => {
@@ -1,7 +1,6 @@
 import React, { useRef, useEffect, useState } from 'react';
+import { GRID_WIDTH, GRID_HEIGHT } from '../game.js';
 
-const GRID_WIDTH = 10;
-const GRID_HEIGHT = 20;
 const CELL_SIZE = 30;
 
 const DEFAULT_PIECE_COLORS = {
@@ -83,7 +82,23 @@ const getPieceShape = (piece) => {
     return null;
 };
 
-const GameBoard = ({ grid, currentPiece, ghostPiece, isPaused, renderTrigger, clearingLines = [], skinColors = null }) => {
+/**
+ * Draws the visible field of a game state
+ * Grid rows and piece y positions include the hidden buffer: grid row
+ * bufferRows is drawn as the top row of the canvas.
+ */
+const GameBoard = ({
+    grid,
+    currentPiece,
+    ghostPiece,
+    isPaused,
+    renderTrigger,
+    clearingLines = [],
+    skinColors = null,
+    width = GRID_WIDTH,
+    height = GRID_HEIGHT,
+    bufferRows = 0
+}) => {
     const canvasRef = useRef(null);
     const [animationProgress, setAnimationProgress] = useState(0);
     const animationFrameRef = useRef(null);
@@ -137,30 +152,30 @@ const GameBoard = ({ grid, currentPiece, ghostPiece, isPaused, renderTrigger, cl
         ctx.lineWidth = 1;
         
         // Vertical lines
-        for (let x = 0; x <= GRID_WIDTH; x++) {
+        for (let x = 0; x <= width; x++) {
             ctx.beginPath();
             ctx.moveTo(x * CELL_SIZE, 0);
-            ctx.lineTo(x * CELL_SIZE, GRID_HEIGHT * CELL_SIZE);
+            ctx.lineTo(x * CELL_SIZE, height * CELL_SIZE);
             ctx.stroke();
         }
         
         // Horizontal lines
-        for (let y = 0; y <= GRID_HEIGHT; y++) {
+        for (let y = 0; y <= height; y++) {
             ctx.beginPath();
             ctx.moveTo(0, y * CELL_SIZE);
-            ctx.lineTo(GRID_WIDTH * CELL_SIZE, y * CELL_SIZE);
+            ctx.lineTo(width * CELL_SIZE, y * CELL_SIZE);
             ctx.stroke();
         }
 
-        // Draw locked pieces (grid)
+        // Draw locked pieces (visible rows of the grid)
         if (grid && grid.length > 0) {
-            for (let y = 0; y < GRID_HEIGHT; y++) {
-                for (let x = 0; x < GRID_WIDTH; x++) {
-                    const cellValue = grid[y]?.[x] || 0;
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const cellValue = grid[y + bufferRows]?.[x] || 0;
                     
                     if (cellValue !== 0) {
                         const color = PIECE_COLORS[cellValue] || PIECE_COLORS[0];
-                        const isClearing = clearingLines.includes(y);
+                        const isClearing = clearingLines.includes(y + bufferRows);
                         
                         if (isClearing && animationProgress > 0) {
                             // Simple white flash
@@ -216,9 +231,9 @@ const GameBoard = ({ grid, currentPiece, ghostPiece, isPaused, renderTrigger, cl
                     for (let x = 0; x < 4; x++) {
                         if (shape[y][x]) {
                             const gridX = ghostPiece.x + x;
-                            const gridY = ghostPiece.y + y;
+                            const gridY = ghostPiece.y + y - bufferRows;
                             
-                            if (gridY >= 0 && gridY < GRID_HEIGHT && gridX >= 0 && gridX < GRID_WIDTH) {
+                            if (gridY >= 0 && gridY < height && gridX >= 0 && gridX < width) {
                                 // Draw semi-transparent ghost piece
                                 ctx.fillStyle = color + '30'; // Add alpha for transparency
                                 ctx.fillRect(
@@ -254,9 +269,9 @@ const GameBoard = ({ grid, currentPiece, ghostPiece, isPaused, renderTrigger, cl
                     for (let x = 0; x < 4; x++) {
                         if (shape[y][x]) {
                             const gridX = currentPiece.x + x;
-                            const gridY = currentPiece.y + y;
+                            const gridY = currentPiece.y + y - bufferRows;
                             
-                            if (gridY >= 0 && gridY < GRID_HEIGHT && gridX >= 0 && gridX < GRID_WIDTH) {
+                            if (gridY >= 0 && gridY < height && gridX >= 0 && gridX < width) {
                                 // Fill cell
                                 ctx.fillStyle = color;
                                 ctx.fillRect(
@@ -281,7 +296,7 @@ const GameBoard = ({ grid, currentPiece, ghostPiece, isPaused, renderTrigger, cl
                 }
             }
         }
-    }, [grid, currentPiece, ghostPiece, renderTrigger, clearingLines, animationProgress]);
+    }, [grid, currentPiece, ghostPiece, renderTrigger, clearingLines, animationProgress, width, height, bufferRows]);
 
     // Calculate screen shake offset
     const shakeIntensity = clearingLines.length > 0 && animationProgress > 0 ? 
@@ -291,8 +306,8 @@ const GameBoard = ({ grid, currentPiece, ghostPiece, isPaused, renderTrigger, cl
         <div style={{ position: 'relative' }}>
             <canvas 
                 ref={canvasRef}
-                width={GRID_WIDTH * CELL_SIZE}
-                height={GRID_HEIGHT * CELL_SIZE}
+                width={width * CELL_SIZE}
+                height={height * CELL_SIZE}
                 id="gameCanvas"
                 style={{
                     transform: `translate(${shakeIntensity}px, ${shakeIntensity * 0.5}px)`,
@@ -1,20 +1,110 @@
-const GameInfo = ({ score, level, lines, isPaused, onPause }) => {
+import { formatTime } from '../modes.js';
+
+// Readable label for a clear event from the engine, e.g. "B2B T-SPIN DOUBLE · 3 COMBO"
+const formatClear = (clear) => {
+    const parts = [];
+    if (clear.perfectClear) parts.push('PERFECT CLEAR');
+    parts.push(`${clear.b2b ? 'B2B ' : ''}${clear.type.replace(/-/g, ' ').replace('tspin', 't-spin').toUpperCase()}`);
+    if (clear.combo > 0) parts.push(`${clear.combo} COMBO`);
+    return parts.join(' · ');
+};
+
+/**
+ * Score, lines and level, plus the run timer and splits for timed modes
+ * (elapsed is null for untimed modes; lineGoal shows lines as "12/40";
+ * timeLimit turns the timer into a countdown; digLines shows the garbage left to dig)
+ */
+const GameInfo = ({
+    score,
+    level,
+    lines,
+    isPaused,
+    onPause,
+    lastClear,
+    elapsed = null,
+    lineGoal = null,
+    timeLimit = null,
+    digLines = 0,
+    garbageRemaining = 0,
+    pieces = null,
+    splits = [],
+    personalBest = null
+}) => {
     return (
         <>
             <div className="game-info">
+                {elapsed !== null && (
+                    <div className="info-item">
+                        <span className="label">{timeLimit ? 'Time Left:' : 'Time:'}</span>
+                        <span className={`value timer-value ${timeLimit && timeLimit - elapsed <= 10000 ? 'timer-low' : ''}`}>
+                            {formatTime(timeLimit ? timeLimit - elapsed : elapsed)}
+                        </span>
+                    </div>
+                )}
                 <div className="info-item">
                     <span className="label">Score:</span>
                     <span className="value">{score.toLocaleString()}</span>
                 </div>
+                {timeLimit && personalBest && (
+                    <div className="info-item">
+                        <span className="label">Best:</span>
+                        <span className="value">{personalBest.score.toLocaleString()}</span>
+                    </div>
+                )}
                 <div className="info-item">
                     <span className="label">Lines:</span>
-                    <span className="value">{lines}</span>
+                    <span className="value">{lineGoal ? `${Math.min(lines, lineGoal)}/${lineGoal}` : lines}</span>
                 </div>
                 <div className="info-item">
                     <span className="label">Level:</span>
                     <span className="value">{level}</span>
                 </div>
+                {digLines > 0 && (
+                    <div className="info-item">
+                        <span className="label">Garbage:</span>
+                        <span className="value">{garbageRemaining}/{digLines}</span>
+                    </div>
+                )}
+                {pieces !== null && (
+                    <div className="info-item">
+                        <span className="label">Pieces:</span>
+                        <span className="value">{pieces}</span>
+                    </div>
+                )}
             </div>
+
+            {elapsed !== null && !timeLimit && (splits.length > 0 || personalBest) && (
+                <div className="run-splits">
+                    {splits.map((split, i) => {
+                        const pbSplit = personalBest?.splits?.[i];
+                        const delta = pbSplit ? split.time - pbSplit.time : null;
+                        return (
+                            <div key={split.lines} className="run-split">
+                                <span className="split-lines">{split.lines}L</span>
+                                <span className="split-time">{formatTime(split.time)}</span>
+                                {delta !== null && (
+                                    <span className={`split-delta ${delta <= 0 ? 'ahead' : 'behind'}`}>
+                                        {delta <= 0 ? '-' : '+'}{formatTime(Math.abs(delta))}
+                                    </span>
+                                )}
+                            </div>
+                        );
+                    })}
+                    {personalBest && (
+                        <div className="run-split personal-best">
+                            <span className="split-lines">PB</span>
+                            <span className="split-time">{formatTime(personalBest.time)}</span>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {lastClear && (
+                <div className="clear-callout">
+                    {formatClear(lastClear)}
+                    <span className="clear-points">+{lastClear.points.toLocaleString()}</span>
+                </div>
+            )}
             
             <div className="game-controls">
                 <button onClick={onPause} className="btn btn-secondary">
@@ -1,6 +1,39 @@
+import { useState } from 'react';
+import { GAME_MODES, MODE_CONFIGS, formatResult } from '../modes.js';
+import { LEADERBOARD_MODES, LEADERBOARD_WINDOWS } from '../leaderboardApi.js';
+import { useUsernames } from '../hooks/useUsernames.js';
 import './Leaderboard.css';
 
-const Leaderboard = ({ scores, currentPlayerAddress, isLoading, onRefresh, usernameMap = {} }) => {
+// Marathon shows on-chain scores and Sprint the server's ranked daily-seed runs;
+// the other modes show local personal bests per seed
+const CATEGORIES = Object.values(GAME_MODES).map((id) => ({ id, label: MODE_CONFIGS[id].label }));
+
+const WINDOWS = [
+    { id: LEADERBOARD_WINDOWS.DAILY, label: 'Today' },
+    { id: LEADERBOARD_WINDOWS.WEEKLY, label: 'This Week' },
+    { id: LEADERBOARD_WINDOWS.ALL_TIME, label: 'All Time' },
+];
+
+// rankings: the server's indexed leaderboard (useLeaderboard); without it, or when
+// the server can't be reached, Marathon shows the contract's top 10 (scores) and
+// Sprint this device's personal bests
+const Leaderboard = ({ scores, rankings, currentPlayerAddress, isLoading, onRefresh, usernameMap = {}, modeRecords = {} }) => {
+    const [category, setCategory] = useState(GAME_MODES.MARATHON);
+    const records = modeRecords[category] || [];
+    const isRanked = LEADERBOARD_MODES.includes(category);
+
+    const selectCategory = (id) => {
+        setCategory(id);
+        if (rankings && LEADERBOARD_MODES.includes(id)) {
+            rankings.setMode(id);
+        }
+    };
+    const resolvedUsernames = useUsernames([
+        ...scores.map(entry => entry.player),
+        ...(rankings?.entries || []).map(entry => entry.player),
+        ...(rankings?.standing?.neighbors || []).map(entry => entry.player),
+    ]);
+
     const formatAddress = (address) => {
         if (!address || address.length < 10) return address;
         return `${address.slice(0, 6)}...${address.slice(-4)}`;
@@ -15,6 +48,10 @@ const Leaderboard = ({ scores, currentPlayerAddress, isLoading, onRefresh, usern
         if (usernameMap[entry.player]) {
             return usernameMap[entry.player];
         }
+        // Then the on-chain username registry
+        if (resolvedUsernames[entry.player]) {
+            return resolvedUsernames[entry.player];
+        }
         // Otherwise, show formatted address
         return formatAddress(entry.player);
     };
@@ -36,31 +73,128 @@ const Leaderboard = ({ scores, currentPlayerAddress, isLoading, onRefresh, usern
         return date.toLocaleDateString();
     };
 
-    return (
-        <div className="leaderboard">
-            <h3>Leaderboard</h3>
-            <button onClick={onRefresh} className="btn btn-secondary" disabled={isLoading}>
-                {isLoading ? 'Loading...' : 'Refresh'}
+    const renderScore = (entry, rank) => (
+        <div 
+            key={`${rank}-${entry.player}`} 
+            className={`leaderboard-entry ${currentPlayerAddress === entry.player ? 'highlight' : ''}`}
+        >
+            <span className="leaderboard-rank">#{rank}</span>
+            <span className="leaderboard-player">{getDisplayName(entry)}</span>
+            <span className="leaderboard-score">{formatResult(category, entry)}</span>
+            <span className="leaderboard-timestamp">{formatTimestamp(entry.timestamp)}</span>
+            {entry.seed && <span className="leaderboard-seed">Seed: {entry.seed}</span>}
+        </div>
+    );
+
+    const showRankings = isRanked && rankings && !rankings.error && rankings.mode === category;
+
+    const renderRankings = () => (
+        <>
+            <div className="leaderboard-tabs">
+                {WINDOWS.map(({ id, label }) => (
+                    <button
+                        key={id}
+                        className={`leaderboard-tab ${rankings.timeWindow === id ? 'active' : ''}`}
+                        onClick={() => rankings.setTimeWindow(id)}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+            <button onClick={rankings.refresh} className="btn btn-secondary" disabled={rankings.isLoading}>
+                {rankings.isLoading ? 'Loading...' : 'Refresh'}
             </button>
+            {rankings.standing && (
+                <div className="leaderboard-standing">
+                    <p>
+                        Your rank: <strong>#{rankings.standing.entry.rank}</strong> of {rankings.standing.total}
+                        <button className="leaderboard-link" onClick={rankings.goToPlayer}>Show</button>
+                    </p>
+                    <div className="leaderboard-list">
+                        {rankings.standing.neighbors.map(entry => renderScore(entry, entry.rank))}
+                    </div>
+                </div>
+            )}
             <div className="leaderboard-list">
-                {isLoading ? (
+                {rankings.entries.length > 0 ? (
+                    rankings.entries.map(entry => renderScore(entry, entry.rank))
+                ) : rankings.isLoading ? (
                     <p className="empty-state">Loading leaderboard...</p>
-                ) : scores.length > 0 ? (
-                    scores.map((entry, index) => (
-                        <div 
-                            key={index} 
-                            className={`leaderboard-entry ${currentPlayerAddress === entry.player ? 'highlight' : ''}`}
-                        >
-                            <span className="leaderboard-rank">#{index + 1}</span>
-                            <span className="leaderboard-player">{getDisplayName(entry)}</span>
-                            <span className="leaderboard-score">{entry.score.toLocaleString()}</span>
-                            <span className="leaderboard-timestamp">{formatTimestamp(entry.timestamp)}</span>
-                        </div>
-                    ))
                 ) : (
-                    <p className="empty-state">No scores yet. Be the first!</p>
+                    <p className="empty-state">No scores in this period yet. Be the first!</p>
                 )}
             </div>
+            {rankings.pageCount > 1 && (
+                <div className="leaderboard-pager">
+                    <button className="btn btn-secondary" onClick={rankings.previousPage} disabled={rankings.page <= 1}>
+                        ‹ Prev
+                    </button>
+                    <span>Page {rankings.page} of {rankings.pageCount}</span>
+                    <button className="btn btn-secondary" onClick={rankings.nextPage} disabled={rankings.page >= rankings.pageCount}>
+                        Next ›
+                    </button>
+                </div>
+            )}
+        </>
+    );
+
+    return (
+        <div className="leaderboard">
+            <h3>Leaderboard</h3>
+            <div className="leaderboard-tabs">
+                {CATEGORIES.map(({ id, label }) => (
+                    <button
+                        key={id}
+                        className={`leaderboard-tab ${category === id ? 'active' : ''}`}
+                        onClick={() => selectCategory(id)}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+            {showRankings ? renderRankings() : (
+                <>
+                    {category === GAME_MODES.SPRINT && rankings?.error && (
+                        <p className="leaderboard-notice">Sprint rankings unavailable, showing your personal bests</p>
+                    )}
+                    {category === GAME_MODES.MARATHON && (
+                        <>
+                            {rankings?.error && (
+                                <p className="leaderboard-notice">Full rankings unavailable, showing the on-chain top 10</p>
+                            )}
+                            <button onClick={onRefresh} className="btn btn-secondary" disabled={isLoading}>
+                                {isLoading ? 'Loading...' : 'Refresh'}
+                            </button>
+                        </>
+                    )}
+                    <div className="leaderboard-list">
+                        {category !== GAME_MODES.MARATHON ? (
+                            records.length > 0 ? (
+                                records.map((record, index) => (
+                                    <div 
+                                        key={record.seed} 
+                                        className={`leaderboard-entry ${currentPlayerAddress === record.player ? 'highlight' : ''}`}
+                                    >
+                                        <span className="leaderboard-rank">#{index + 1}</span>
+                                        <span className="leaderboard-player">{getDisplayName(record) || 'You'}</span>
+                                        <span className="leaderboard-score">{formatResult(category, record)}</span>
+                                        <span className="leaderboard-timestamp">{formatTimestamp(record.timestamp)}</span>
+                                        <span className="leaderboard-seed">Seed: {record.seed}</span>
+                                    </div>
+                                ))
+                            ) : (
+                                <p className="empty-state">No {MODE_CONFIGS[category].label} records yet. Finish a run to set one!</p>
+                            )
+                        ) : isLoading ? (
+                            <p className="empty-state">Loading leaderboard...</p>
+                        ) : scores.length > 0 ? (
+                            scores.map((entry, index) => renderScore(entry, index + 1))
+                        ) : (
+                            <p className="empty-state">No scores yet. Be the first!</p>
+                        )}
+                    </div>
+                </>
+            )}
         </div>
     );
 };
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useSuiClient } from '@mysten/dapp-kit';
 import { useSkinNFT } from '../hooks/useSkinNFT.js';
+import { useUsernames } from '../hooks/useUsernames.js';
 import { getSkinById } from '../skinConfig.js';
 import { CONTRACT_CONFIG } from '../config.js';
 import './MarketplaceView.css';
@@ -18,6 +19,7 @@ export default function MarketplaceView({ onBack }) {
     
     const suiClient = useSuiClient();
     const skinNFT = useSkinNFT();
+    const sellerNames = useUsernames(listings.map(listing => listing.seller));
 
     // Load marketplace listings
     useEffect(() => {
@@ -234,7 +236,7 @@ export default function MarketplaceView({ onBack }) {
                                                 💰 {formatPrice(listing.price)} TETRI
                                             </div>
                                             <div className="seller">
-                                                👤 {listing.seller.slice(0, 6)}...{listing.seller.slice(-4)}
+                                                👤 {sellerNames[listing.seller] || `${listing.seller.slice(0, 6)}...${listing.seller.slice(-4)}`}
                                             </div>
                                         </div>
 
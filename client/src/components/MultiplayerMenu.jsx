@@ -1,15 +1,65 @@
 import { useState } from 'react';
+import { TARGETING, DEFAULT_TARGETING } from '../attack.js';
 import './MultiplayerMenu.css';
 
+const TARGETING_OPTIONS = [
+  { mode: TARGETING.RANDOM, label: 'RANDOM', description: 'A random opponent' },
+  { mode: TARGETING.ATTACKERS, label: 'ATTACKERS', description: 'Whoever is attacking you' },
+  { mode: TARGETING.KOS, label: 'KOs', description: 'The opponent closest to topping out' },
+  { mode: TARGETING.EVEN, label: 'EVEN', description: 'Split between everyone' },
+];
+
+// Glicko-2 rating as "rating ± deviation"
+const formatRating = (player) => `${Math.round(player.rating)} ± ${Math.round(player.deviation)}`;
+
+// Both players' ratings once matchmaking pairs them
+function RatingMatchup({ players = [], walletAddress }) {
+  const rated = players.filter(player => typeof player.rating === 'number');
+  if (rated.length < 2) {
+    return null;
+  }
+
+  return (
+    <div className="rating-matchup">
+      {rated.map(player => (
+        <div key={player.address} className="rating-matchup-player">
+          <span className="rating-matchup-name">{player.address === walletAddress ? 'YOU' : player.username}</span>
+          <span className="rating-matchup-rating">{formatRating(player)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function MultiplayerMenu({ 
   onRandomMatchmaking, 
   onPrivateRoom, 
+  onJoinRoom,
   matchmakingStatus,
+  room, // Private room we are in, with its players
+  walletAddress,
+  onReady,
+  onLeaveRoom,
   estimatedWaitTime,
-  onCancel 
+  onCancel,
+  liveBattles = [],
+  spectateError,
+  onRefreshBattles,
+  onSpectate
 }) {
   const [wager, setWager] = useState(10);
   const [showWagerInput, setShowWagerInput] = useState(false);
+  const [showLiveBattles, setShowLiveBattles] = useState(false);
+  const [spectateKey, setSpectateKey] = useState('');
+  const [showRoomSettings, setShowRoomSettings] = useState(false);
+  const [maxPlayers, setMaxPlayers] = useState(2);
+  const [targeting, setTargeting] = useState(DEFAULT_TARGETING);
+  const [roomKey, setRoomKey] = useState('');
+
+  const handleWatch = () => {
+    setShowLiveBattles(true);
+    onRefreshBattles?.();
+  };
 
   const handleRandomMatchmaking = () => {
     setShowWagerInput(true);
@@ -20,9 +70,70 @@ function MultiplayerMenu({
   };
 
   const handlePrivateRoom = () => {
-    onPrivateRoom(wager);
+    setShowRoomSettings(true);
   };
 
+  const handleCreateRoom = () => {
+    onPrivateRoom(wager, { maxPlayers, targeting });
+  };
+
+  // Render private room lobby
+  if (matchmakingStatus === 'waiting') {
+    const players = room?.players || [];
+    const localReady = players.find(player => player.address === walletAddress)?.ready;
+
+    return (
+      <div className="multiplayer-menu">
+        <div className="matchmaking-status-container">
+          <h2>PRIVATE ROOM</h2>
+
+          {!room ? (
+            <div className="matchmaking-spinner">
+              <div className="spinner"></div>
+            </div>
+          ) : (
+            <>
+              {room.roomKey && (
+                <p className="room-key-text">ROOM KEY: <span>{room.roomKey}</span></p>
+              )}
+              <p className="wager-info">
+                Wager: {room.wager} TETRI · {players.length}/{room.maxPlayers} players
+              </p>
+
+              <ul className="room-player-list">
+                {players.map((player, index) => (
+                  <li key={player.address} className={player.ready ? 'ready' : ''}>
+                    <span>{player.username}{index === 0 ? ' (host)' : ''}</span>
+                    <span>{player.ready ? 'READY' : 'NOT READY'}</span>
+                  </li>
+                ))}
+              </ul>
+
+              <p className="status-subtext">
+                The battle starts when everyone is ready, with at least two players in
+              </p>
+
+              <div className="wager-actions">
+                <button
+                  className="btn btn-primary"
+                  onClick={() => onReady(!localReady)}
+                >
+                  {localReady ? 'NOT READY' : 'READY'}
+                </button>
+                <button
+                  className="btn btn-secondary"
+                  onClick={onLeaveRoom}
+                >
+                  LEAVE
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   // Render matchmaking status
   if (matchmakingStatus && matchmakingStatus !== 'idle') {
     return (
@@ -54,6 +165,7 @@ function MultiplayerMenu({
               <div className="match-found-icon">✓</div>
               <p className="status-text success">MATCH FOUND!</p>
               <p className="status-subtext">Preparing battle...</p>
+              <RatingMatchup players={room?.players} walletAddress={walletAddress} />
             </>
           )}
 
@@ -62,6 +174,7 @@ function MultiplayerMenu({
               <div className="countdown-display">
                 <p className="countdown-text">BATTLE STARTING...</p>
               </div>
+              <RatingMatchup players={room?.players} walletAddress={walletAddress} />
             </>
           )}
         </div>
@@ -121,6 +234,182 @@ function MultiplayerMenu({
     );
   }
 
+  // Render private room settings
+  if (showRoomSettings) {
+    return (
+      <div className="multiplayer-menu">
+        <div className="wager-input-container">
+          <h2>PRIVATE ROOM</h2>
+          <p className="wager-description">
+            Battle up to 7 friends, last one standing. Winner takes all!
+          </p>
+
+          <div className="wager-input-group">
+            <label htmlFor="room-wager">WAGER AMOUNT</label>
+            <div className="wager-input-wrapper">
+              <input
+                id="room-wager"
+                type="number"
+                min="1"
+                max="1000"
+                value={wager}
+                onChange={(e) => setWager(Math.max(1, parseInt(e.target.value) || 1))}
+                className="wager-input"
+              />
+              <span className="wager-unit">TETRI</span>
+            </div>
+          </div>
+
+          <div className="wager-input-group">
+            <label>PLAYERS</label>
+            <div className="wager-presets">
+              {[2, 3, 4, 5, 6, 7, 8].map(count => (
+                <button
+                  key={count}
+                  onClick={() => setMaxPlayers(count)}
+                  className={maxPlayers === count ? 'active' : ''}
+                >
+                  {count}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {maxPlayers > 2 && (
+            <div className="wager-input-group">
+              <label>STARTING TARGET</label>
+              <div className="wager-presets">
+                {TARGETING_OPTIONS.map(option => (
+                  <button
+                    key={option.mode}
+                    onClick={() => setTargeting(option.mode)}
+                    className={targeting === option.mode ? 'active' : ''}
+                    title={option.description}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="wager-actions">
+            <button
+              className="btn btn-primary"
+              onClick={handleCreateRoom}
+            >
+              CREATE ROOM
+            </button>
+          </div>
+
+          <div className="wager-input-group">
+            <label htmlFor="join-room-key">OR JOIN WITH A ROOM KEY</label>
+            <div className="wager-input-wrapper">
+              <input
+                id="join-room-key"
+                type="text"
+                maxLength={6}
+                value={roomKey}
+                onChange={(e) => setRoomKey(e.target.value.toUpperCase())}
+                className="wager-input"
+              />
+              <button
+                className="btn btn-primary"
+                disabled={roomKey.length !== 6}
+                onClick={() => onJoinRoom(roomKey)}
+              >
+                JOIN
+              </button>
+            </div>
+          </div>
+
+          <div className="wager-actions">
+            <button
+              className="btn btn-secondary"
+              onClick={() => setShowRoomSettings(false)}
+            >
+              BACK
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Render live battles to spectate
+  if (showLiveBattles) {
+    return (
+      <div className="multiplayer-menu">
+        <div className="wager-input-container">
+          <h2>LIVE BATTLES</h2>
+          <p className="wager-description">
+            Watch a battle in progress, or enter the key of a private room.
+          </p>
+
+          {spectateError && <p className="spectate-error">{spectateError}</p>}
+
+          <div className="live-battle-list">
+            {liveBattles.length === 0 && (
+              <p className="status-subtext">No battles to watch right now</p>
+            )}
+            {liveBattles.map(battle => (
+              <div key={battle.roomId} className="live-battle">
+                <div className="live-battle-players">
+                  {battle.players.map(player => player.username).join(' vs ')}
+                </div>
+                <div className="live-battle-meta">
+                  {battle.wager} TETRI · 👁️ {battle.spectators}
+                </div>
+                <button
+                  className="btn btn-primary"
+                  onClick={() => onSpectate({ roomId: battle.roomId })}
+                >
+                  WATCH
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="wager-input-group">
+            <label htmlFor="spectate-key">PRIVATE ROOM KEY</label>
+            <div className="wager-input-wrapper">
+              <input
+                id="spectate-key"
+                type="text"
+                maxLength={6}
+                value={spectateKey}
+                onChange={(e) => setSpectateKey(e.target.value.toUpperCase())}
+                className="wager-input"
+              />
+              <button
+                className="btn btn-primary"
+                disabled={spectateKey.length === 0}
+                onClick={() => onSpectate({ roomKey: spectateKey })}
+              >
+                WATCH
+              </button>
+            </div>
+          </div>
+
+          <div className="wager-actions">
+            <button
+              className="btn btn-secondary"
+              onClick={onRefreshBattles}
+            >
+              REFRESH
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => setShowLiveBattles(false)}
+            >
+              BACK
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   // Render main menu
   return (
     <div className="multiplayer-menu">
@@ -149,6 +438,19 @@ function MultiplayerMenu({
             <p>Create or join a private battle</p>
           </div>
         </button>
+
+        {onSpectate && (
+          <button
+            className="multiplayer-option-button spectate"
+            onClick={handleWatch}
+          >
+            <div className="option-icon">👁️</div>
+            <div className="option-content">
+              <h3>WATCH LIVE BATTLES</h3>
+              <p>Spectate a battle in progress</p>
+            </div>
+          </button>
+        )}
       </div>
 
       <div className="multiplayer-info">
@@ -0,0 +1,89 @@
+import { SKINS, getSkinUnlockProgress } from '../skinConfig.js';
+import { formatPlayTime } from '../playerProfile.js';
+import './ProfileView.css';
+
+// Skins unlocked by lifetime totals rather than a single game
+const LIFETIME_CONDITIONS = ['totalLines', 'totalTetrises', 'gamesPlayed', 'battlesWon'];
+
+/**
+ * Lifetime stats of the player
+ * playerProfile: usePlayerProfile(); shows the server's totals for the wallet,
+ * or this device's when there is no wallet or the server can't be reached
+ */
+export default function ProfileView({ playerProfile, username, walletAddress, onBack }) {
+    const { profile, piecesPerSecond, source, isLoading, error } = playerProfile;
+    const winRate = profile.battles > 0 ? Math.round((profile.battlesWon / profile.battles) * 100) : null;
+    const lifetimeSkins = SKINS.filter(skin => LIFETIME_CONDITIONS.includes(skin.unlockCondition?.type));
+
+    const stats = [
+        { label: 'Games', value: profile.games.toLocaleString() },
+        { label: 'Lines', value: profile.linesCleared.toLocaleString() },
+        { label: 'Tetrises', value: profile.tetrisCount.toLocaleString() },
+        { label: 'Best Combo', value: `${profile.bestCombo}x` },
+        { label: 'Time Played', value: formatPlayTime(profile.timePlayed) },
+        { label: 'Pieces / Sec', value: piecesPerSecond.toFixed(2) },
+        { label: 'Battles Won', value: profile.battlesWon.toLocaleString() },
+        { label: 'Battles Lost', value: profile.battlesLost.toLocaleString() },
+        { label: 'Win Rate', value: winRate === null ? '-' : `${winRate}%` },
+    ];
+
+    return (
+        <div className="profile-view">
+            <div className="profile-header">
+                <button className="back-button" onClick={onBack}>
+                    ← BACK
+                </button>
+                <h1>PROFILE</h1>
+            </div>
+
+            <div className="profile-content">
+                <div className="profile-player">
+                    <span className="profile-name">{username || 'Guest'}</span>
+                    {walletAddress && (
+                        <span className="profile-address">
+                            {walletAddress.slice(0, 6)}...{walletAddress.slice(-4)}
+                        </span>
+                    )}
+                </div>
+
+                <div className="profile-source">
+                    {isLoading && 'Loading lifetime stats...'}
+                    {!isLoading && source === 'server' && 'Verified games and battles'}
+                    {!isLoading && source === 'local' && (walletAddress
+                        ? `Games played on this device - stats server unavailable${error ? ` (${error})` : ''}`
+                        : 'Games played on this device - connect a wallet to keep stats across devices')}
+                </div>
+
+                <div className="profile-stats">
+                    {stats.map(stat => (
+                        <div key={stat.label} className="profile-stat">
+                            <div className="profile-stat-value">{stat.value}</div>
+                            <div className="profile-stat-label">{stat.label}</div>
+                        </div>
+                    ))}
+                </div>
+
+                <h2 className="profile-section-title">LIFETIME UNLOCKS</h2>
+                <div className="profile-goals">
+                    {lifetimeSkins.map(skin => {
+                        const progress = getSkinUnlockProgress(skin, {}, profile);
+                        return (
+                            <div key={skin.id} className="profile-goal">
+                                <div className="profile-goal-header">
+                                    <span>{skin.name}</span>
+                                    <span>{skin.unlockCondition.description}</span>
+                                </div>
+                                <div className="profile-goal-bar">
+                                    <div
+                                        className="profile-goal-fill"
+                                        style={{ width: `${Math.round(progress * 100)}%` }}
+                                    />
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -57,7 +57,7 @@ export default function SkinUnlockNotification({ skin, onClose }) {
                 <div className="skin-unlock-toast-icon">🎉</div>
                 <div className="skin-unlock-toast-text">
                     <strong>{skin.name} Unlocked!</strong>
-                    <span>Visit Customization to claim as NFT</span>
+                    <span>Submit your score to claim it as an NFT</span>
                 </div>
                 <div className="skin-unlock-toast-colors">
                     {Object.values(skin.colors).slice(0, 4).map((color, i) => (
@@ -24,6 +24,9 @@ export const CONTRACT_CONFIG = {
     treasuryId: '0xd0175f31d000cd4256b2c8c266380dab6b757f5c3328d2faa004320536e1aec6',
     usernameRegistryId: '0xcd3ad59b9810963d90c66142a633c7b7c4034ca00d1d6385afa1414bdfb9998c',
     marketplaceId: '0xc7d68b5e8dfaa12bc7db8215b1ac561ae0ad310a2f96a0b6e2b4ae44bae695db',
+    // ScoreVerifier shared object (created on deploy; set its key with set_verifier_key)
+    // Read with getScoreVerifierId(), which fails when VITE_SCORE_VERIFIER_ID is missing
+    scoreVerifierId: import.meta.env.VITE_SCORE_VERIFIER_ID || '',
     
     // System Objects - Sui built-in objects
     randomId: '0x8',  // Sui Random object
@@ -41,6 +44,17 @@ export const CONTRACT_CONFIG = {
     }
 };
 
+/**
+ * ScoreVerifier object id, which every score submission needs
+ * @throws {Error} - When VITE_SCORE_VERIFIER_ID is not configured
+ */
+export function getScoreVerifierId() {
+    if (!CONTRACT_CONFIG.scoreVerifierId) {
+        throw new Error('Score submission is not configured: set VITE_SCORE_VERIFIER_ID to the ScoreVerifier object id (see client/.env.example).');
+    }
+    return CONTRACT_CONFIG.scoreVerifierId;
+}
+
 // Transaction Configuration
 export const TX_CONFIG = {
     // Gas budget for transactions (in MIST, 1 SUI = 1,000,000,000 MIST)
@@ -3,17 +3,22 @@
  * 
  * This module implements the core Tetris game mechanics including:
  * - Game grid management
- * - Piece movement and rotation
+ * - Piece movement and SRS rotation (wall kicks)
  * - Line clearing and scoring
  * - Game over detection
  */
 
-import { PieceGenerator } from './random.js';
+import { PieceGenerator, GarbageGenerator, DEFAULT_RANDOMIZER, CURRENT_PRNG_VERSION, generateSeed } from './random.js';
 
-// Grid dimensions
+// Default board dimensions (visible field)
 const GRID_WIDTH = 10;
 const GRID_HEIGHT = 20;
 
+// Hidden rows stacked above the visible field. Pieces spawn in the bottom
+// of the buffer and the stack may grow into it; grid row bufferRows is the
+// top visible row.
+const BUFFER_ROWS = 20;
+
 // Tetromino piece types (1-7)
 const PIECE_TYPES = {
     I: 1,
@@ -237,6 +242,232 @@ const PIECE_SHAPES = {
     ]
 };
 
+// Rotation directions, expressed as the change in rotation state
+const ROTATION = {
+    CW: 1,
+    CCW: -1,
+    HALF: 2
+};
+
+// Guideline line clear points (multiplied by level), by T-spin kind and lines cleared
+const CLEAR_POINTS = {
+    none: [0, 100, 300, 500, 800],
+    mini: [100, 200, 400],
+    full: [400, 800, 1200, 1600]
+};
+
+// Perfect clear bonus by lines cleared (multiplied by level)
+const PERFECT_CLEAR_POINTS = [0, 800, 1200, 1800, 2000];
+const B2B_TETRIS_PERFECT_CLEAR_POINTS = 3200;
+
+const B2B_MULTIPLIER = 1.5;
+const COMBO_POINTS = 50; // Per combo step, multiplied by level
+const SOFT_DROP_POINTS = 1; // Per cell
+const HARD_DROP_POINTS = 2; // Per cell
+
+// T-spin kinds reported on clear events
+const T_SPIN = {
+    MINI: 'mini',
+    FULL: 'full'
+};
+
+// Corners of the T piece's 3x3 box in its 4x4 matrix (the center is at x=1, y=2)
+const T_CORNERS = {
+    topLeft: [0, 1],
+    topRight: [2, 1],
+    bottomLeft: [0, 3],
+    bottomRight: [2, 3]
+};
+
+// The two corners the T points towards, per rotation state
+const T_FRONT_CORNERS = [
+    ['topLeft', 'topRight'],
+    ['topRight', 'bottomRight'],
+    ['bottomLeft', 'bottomRight'],
+    ['topLeft', 'bottomLeft']
+];
+
+// The SRS kick (index 4, e.g. the T-spin triple kick) that always counts as a full T-spin
+const T_SPIN_UPGRADE_KICK = 4;
+
+/**
+ * Name of a clear event, e.g. 'tetris', 'tspin-double', 'tspin-mini'
+ * @param {number} lines - Lines cleared (0-4)
+ * @param {string|null} tSpin - One of T_SPIN, or null
+ */
+function getClearType(lines, tSpin) {
+    const suffix = ['', 'single', 'double', 'triple'][lines];
+    if (tSpin) {
+        const prefix = tSpin === T_SPIN.MINI ? 'tspin-mini' : 'tspin';
+        return suffix ? `${prefix}-${suffix}` : prefix;
+    }
+    return lines === 4 ? 'tetris' : suffix;
+}
+
+// Engine actions - every state change a player or the clock can cause.
+// Replays and multiplayer input streams are sequences of these.
+const ACTIONS = {
+    MOVE_LEFT: 'moveLeft',
+    MOVE_RIGHT: 'moveRight',
+    SOFT_DROP: 'softDrop',
+    HARD_DROP: 'hardDrop',
+    ROTATE_CW: 'rotateCW',
+    ROTATE_CCW: 'rotateCCW',
+    ROTATE_180: 'rotate180',
+    HOLD: 'hold',
+    GRAVITY: 'gravity',
+    TICK: 'tick' // Clock advance; locks a grounded piece once its lock delay expires
+};
+
+/**
+ * Lock delay variants
+ * - move: moves and rotations on the ground reset the lock timer, up to maxLockResets
+ *   times per row (the guideline "extended placement")
+ * - infinite: moves and rotations always reset the lock timer
+ * - step: only falling to a new lowest row resets the lock timer
+ * - classic: no lock delay; a piece locks on the first gravity step that cannot move it,
+ *   so it can still slide on the ground until the next one
+ */
+const LOCK_MODES = {
+    MOVE: 'move',
+    INFINITE: 'infinite',
+    STEP: 'step',
+    CLASSIC: 'classic'
+};
+
+const DEFAULT_LOCK_MODE = LOCK_MODES.MOVE;
+const DEFAULT_LOCK_DELAY = 500; // ms
+const DEFAULT_MAX_LOCK_RESETS = 15;
+
+// Lock rules of a standard game, in the form replays record them
+const DEFAULT_LOCK_RULES = {
+    mode: DEFAULT_LOCK_MODE,
+    delay: DEFAULT_LOCK_DELAY,
+    maxResets: DEFAULT_MAX_LOCK_RESETS
+};
+
+/**
+ * Milliseconds between gravity drops at a level
+ * Starts at 600ms, decreases by 70ms per level until level 7, then 10ms per level
+ * (level 7: 90ms, level 8: 80ms, ... down to 30ms)
+ */
+function getDropInterval(level) {
+    if (level <= 6) {
+        return Math.max(90, 600 - (level - 1) * 70);
+    }
+    return Math.max(30, 90 - (level - 7) * 10);
+}
+
+/**
+ * Events emitted by TetrisGame (subscribe with game.on(type, listener))
+ * - pieceSpawned: { piece } - a new piece entered play from the queue
+ * - pieceLocked: { piece, tSpin, rows } - piece locked; rows are the lines it completed
+ * - linesCleared: { clearType, lines, tSpin, b2b, combo, perfectClear, points, rows }
+ *   one or more lines were cleared; the fields mirror lastClear, with its type as clearType
+ * - levelUp: { level, previousLevel }
+ * - hold: { held, current } - piece types after a hold (current is null if the spawn failed)
+ * - garbageReceived: { lines, holes } - holes are the hole columns of the added rows, in order
+ * - gameOver: { reason, score, linesCleared, level } - reason is one of END_REASONS
+ */
+const GAME_EVENTS = {
+    PIECE_SPAWNED: 'pieceSpawned',
+    PIECE_LOCKED: 'pieceLocked',
+    LINES_CLEARED: 'linesCleared',
+    LEVEL_UP: 'levelUp',
+    HOLD: 'hold',
+    GARBAGE_RECEIVED: 'garbageReceived',
+    GAME_OVER: 'gameOver'
+};
+
+/**
+ * Why a game ended
+ * - blockOut: a new piece spawned overlapping the stack
+ * - lockOut: a piece locked entirely inside the hidden buffer
+ * - topOut: garbage pushed the stack out of the top of the buffer
+ * - goal: the line goal was reached or the dig garbage cleared (e.g. Sprint, Dig)
+ * - timeUp: the time limit ran out (e.g. Ultra, Blitz)
+ */
+const END_REASONS = {
+    BLOCK_OUT: 'blockOut',
+    LOCK_OUT: 'lockOut',
+    TOP_OUT: 'topOut',
+    GOAL: 'goal',
+    TIME_UP: 'timeUp'
+};
+
+// Mode rules and their Marathon defaults (see the TetrisGame constructor)
+const DEFAULT_RULES = {
+    lineGoal: null,
+    timeLimit: null,
+    linesPerLevel: 10,
+    comboMultiplier: 1,
+    digLines: 0,
+    garbageMessiness: 0
+};
+
+const GARBAGE_BLOCK = 8; // Cell value for garbage
+
+/**
+ * Plain snapshot of a piece for event payloads
+ */
+function describePiece(piece) {
+    return { type: piece.type, x: piece.x, y: piece.y, rotation: piece.rotation };
+}
+
+// SRS wall kick tables, keyed by "from>to" rotation state.
+// Offsets are (x, y) with positive y pointing UP, as in the guideline tables.
+const JLSTZ_KICKS = {
+    '0>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    '1>0': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+    '1>2': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+    '2>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    '2>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+    '3>2': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+    '3>0': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+    '0>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]]
+};
+
+const I_KICKS = {
+    '0>1': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+    '1>0': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+    '1>2': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+    '2>1': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+    '2>3': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+    '3>2': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+    '3>0': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+    '0>3': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]]
+};
+
+// 180 degree kicks (not part of guideline SRS, shared by all pieces)
+const HALF_TURN_KICKS = {
+    '0>2': [[0, 0], [0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+    '2>0': [[0, 0], [0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+    '1>3': [[0, 0], [1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+    '3>1': [[0, 0], [-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]]
+};
+
+/**
+ * Get the ordered list of kick offsets to try for a rotation
+ * @param {number} type - Piece type
+ * @param {number} from - Current rotation state (0-3)
+ * @param {number} to - Target rotation state (0-3)
+ * @returns {Array<[number, number]>} - Kick offsets, y-up
+ */
+function getKickTests(type, from, to) {
+    const key = `${from}>${to}`;
+
+    // O piece never kicks
+    if (type === PIECE_TYPES.O) {
+        return [[0, 0]];
+    }
+
+    if (HALF_TURN_KICKS[key]) {
+        return HALF_TURN_KICKS[key];
+    }
+
+    return type === PIECE_TYPES.I ? I_KICKS[key] : JLSTZ_KICKS[key];
+}
+
 /**
  * Represents a Tetris piece
  */
@@ -247,6 +478,7 @@ class Piece {
         this.x = x;
         this.y = y;
         this.shape = PIECE_SHAPES[type][rotation];
+        this.lastKick = null; // Kick used by the last successful rotation, if that was the last action
     }
 
     /**
@@ -260,7 +492,9 @@ class Piece {
      * Create a copy of this piece
      */
     clone() {
-        return new Piece(this.type, this.rotation, this.x, this.y);
+        const copy = new Piece(this.type, this.rotation, this.x, this.y);
+        copy.lastKick = this.lastKick;
+        return copy;
     }
 }
 
@@ -268,9 +502,58 @@ class Piece {
  * Main Tetris Game class
  */
 export class TetrisGame {
-    constructor(seed = null) {
+    /**
+     * @param {Uint8Array|Array|null} seed - On-chain game seed (a random one is used if omitted)
+     * @param {Object} options - Per-game rules
+     * @param {string} options.randomizer - One of RANDOMIZERS (defaults to 7-bag)
+     * @param {number} options.prngVersion - One of PRNG_VERSIONS (defaults to the current one)
+     * @param {string} options.lockMode - One of LOCK_MODES (defaults to move reset)
+     * @param {number} options.lockDelay - Milliseconds a grounded piece waits before locking
+     * @param {number} options.maxLockResets - Move/rotate resets allowed per row in move mode
+     * @param {number} options.width - Board width in cells (defaults to 10)
+     * @param {number} options.height - Visible board height in rows (defaults to 20)
+     * @param {number} options.bufferRows - Hidden rows above the visible field (defaults to 20)
+     * @param {number|null} options.lineGoal - End the game once this many lines are cleared (Sprint)
+     * @param {number|null} options.timeLimit - End the game once the clock reaches this many ms (Ultra, Blitz)
+     * @param {number|null} options.linesPerLevel - Lines per level up (defaults to 10; null keeps level 1 and its gravity)
+     * @param {number} options.comboMultiplier - Multiplier for combo points (defaults to 1)
+     * @param {number} options.digLines - Seeded garbage rows to start with; clearing them all ends the game (Dig)
+     * @param {number} options.garbageMessiness - Chance (0-1) that a seeded garbage hole moves between rows
+     */
+    constructor(seed = null, options = {}) {
         this.seed = seed;
-        this.pieceGenerator = seed ? new PieceGenerator(seed) : null;
+        this.randomizer = options.randomizer || DEFAULT_RANDOMIZER;
+        this.prngVersion = options.prngVersion || CURRENT_PRNG_VERSION;
+        this.lockMode = options.lockMode || DEFAULT_LOCK_MODE;
+        this.lockDelay = options.lockDelay ?? DEFAULT_LOCK_DELAY;
+        this.maxLockResets = options.maxLockResets ?? DEFAULT_MAX_LOCK_RESETS;
+        if (!Object.values(LOCK_MODES).includes(this.lockMode)) {
+            throw new Error(`Unknown lock mode: ${this.lockMode}`);
+        }
+        this.width = options.width ?? GRID_WIDTH;
+        this.height = options.height ?? GRID_HEIGHT;
+        this.bufferRows = options.bufferRows ?? BUFFER_ROWS;
+        // Pieces are 4 cells wide and spawn 2 rows into the buffer
+        if (!Number.isInteger(this.width) || !Number.isInteger(this.height) || !Number.isInteger(this.bufferRows)
+            || this.width < 4 || this.height < 4 || this.bufferRows < 2) {
+            throw new Error(`Invalid board size: ${this.width}x${this.height}+${this.bufferRows}`);
+        }
+        this.matrixHeight = this.height + this.bufferRows; // Rows in grid, hidden and visible
+        this.lineGoal = options.lineGoal ?? DEFAULT_RULES.lineGoal;
+        this.timeLimit = options.timeLimit ?? DEFAULT_RULES.timeLimit;
+        this.linesPerLevel = options.linesPerLevel !== undefined ? options.linesPerLevel : DEFAULT_RULES.linesPerLevel;
+        this.comboMultiplier = options.comboMultiplier ?? DEFAULT_RULES.comboMultiplier;
+        if (this.linesPerLevel !== null && !(Number.isInteger(this.linesPerLevel) && this.linesPerLevel > 0)) {
+            throw new Error(`Invalid lines per level: ${this.linesPerLevel}`);
+        }
+        this.digLines = options.digLines ?? DEFAULT_RULES.digLines;
+        this.garbageMessiness = options.garbageMessiness ?? DEFAULT_RULES.garbageMessiness;
+        // Dig garbage has to leave the spawn rows clear
+        if (!Number.isInteger(this.digLines) || this.digLines < 0 || this.digLines >= this.height) {
+            throw new Error(`Invalid dig lines: ${this.digLines}`);
+        }
+        this.pieceGenerator = new PieceGenerator(seed || generateSeed(), this.randomizer, this.prngVersion);
+        this.garbageGenerator = new GarbageGenerator(this.pieceGenerator.seed, this.prngVersion, this.garbageMessiness);
         this.grid = this.createEmptyGrid();
         this.currentPiece = null;
         this.nextPiece = null;
@@ -281,20 +564,72 @@ export class TetrisGame {
         this.linesCleared = 0;
         this.level = 1;
         this.isGameOver = false;
+        this.endReason = null; // One of END_REASONS once the game is over
         this.isPaused = false;
         this.tetrisCount = 0; // Track number of 4-line clears
+        this.piecesPlaced = 0; // Pieces locked this game
+        this.garbageRemaining = 0; // Starting dig garbage rows not yet cleared
         this.currentCombo = 0; // Track current combo
         this.maxCombo = 0; // Track max combo achieved
+        this.backToBack = false; // Last line clear was a Tetris or T-spin
+        this.lastClear = null; // Most recent clear event (see updateScore)
+        this.currentTime = 0; // Game clock in ms, advanced by applyAction
+        this.lockStartTime = null; // When the lock timer started (null while it isn't running)
+        this.lockResets = 0; // Lock timer resets used on the current row
+        this.lowestY = 0; // Lowest row the current piece has reached
+        this.listeners = {}; // Event type -> Set of listeners (see GAME_EVENTS)
+    }
+
+    /**
+     * Subscribe to a game event
+     * Listeners are called synchronously as listener(event, game) and survive start()
+     * @param {string} type - One of GAME_EVENTS
+     * @param {Function} listener - Receives { type, ...payload } and the game
+     * @returns {Function} - Unsubscribe function
+     */
+    on(type, listener) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = new Set();
+        }
+        this.listeners[type].add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Remove a listener added with on()
+     */
+    off(type, listener) {
+        if (this.listeners[type]) {
+            this.listeners[type].delete(listener);
+        }
+    }
+
+    /**
+     * Notify listeners of an event
+     * @param {string} type - One of GAME_EVENTS
+     * @param {Object} payload - Event fields
+     */
+    emit(type, payload = {}) {
+        const listeners = this.listeners[type];
+        if (!listeners || listeners.size === 0) {
+            return;
+        }
+
+        const event = { ...payload, type };
+        // Copy so listeners can unsubscribe while being notified
+        for (const listener of [...listeners]) {
+            listener(event, this);
+        }
     }
 
     /**
-     * Create an empty 10x20 grid
+     * Create an empty grid covering the buffer and the visible field
      */
     createEmptyGrid() {
         const grid = [];
-        for (let y = 0; y < GRID_HEIGHT; y++) {
+        for (let y = 0; y < this.matrixHeight; y++) {
             grid[y] = [];
-            for (let x = 0; x < GRID_WIDTH; x++) {
+            for (let x = 0; x < this.width; x++) {
                 grid[y][x] = 0;
             }
         }
@@ -335,15 +670,128 @@ export class TetrisGame {
             linesCleared: this.linesCleared,
             level: this.level,
             isGameOver: this.isGameOver,
+            endReason: this.endReason,
+            lineGoal: this.lineGoal,
+            timeLimit: this.timeLimit,
+            digLines: this.digLines,
+            garbageRemaining: this.garbageRemaining,
+            piecesPlaced: this.piecesPlaced,
             isPaused: this.isPaused,
             seed: this.seed,
+            randomizer: this.randomizer,
+            prngVersion: this.prngVersion,
+            lockMode: this.lockMode,
+            lockDelay: this.lockDelay,
+            width: this.width,
+            height: this.height,
+            bufferRows: this.bufferRows,
             completeLines: this.getCompleteLines(),
             tetrisCount: this.tetrisCount,
             currentCombo: this.currentCombo,
-            maxCombo: this.maxCombo
+            maxCombo: this.maxCombo,
+            backToBack: this.backToBack,
+            lastClear: this.lastClear
         };
     }
 
+    /**
+     * JSON-safe copy of everything that changes during play, including the
+     * generators' positions (pausing is left out). A game with the same seed
+     * and options restored from it continues exactly as this one would.
+     */
+    getSnapshot() {
+        const copyPiece = piece => piece && {
+            type: piece.type,
+            rotation: piece.rotation,
+            x: piece.x,
+            y: piece.y,
+            lastKick: piece.lastKick && { ...piece.lastKick }
+        };
+
+        return {
+            grid: this.grid.map(row => [...row]),
+            currentPiece: copyPiece(this.currentPiece),
+            nextQueue: [...this.nextQueue],
+            holdPiece: this.holdPiece && this.holdPiece.type,
+            canHold: this.canHold,
+            score: this.score,
+            linesCleared: this.linesCleared,
+            level: this.level,
+            isGameOver: this.isGameOver,
+            endReason: this.endReason,
+            tetrisCount: this.tetrisCount,
+            piecesPlaced: this.piecesPlaced,
+            garbageRemaining: this.garbageRemaining,
+            currentCombo: this.currentCombo,
+            maxCombo: this.maxCombo,
+            backToBack: this.backToBack,
+            lastClear: this.lastClear && { ...this.lastClear },
+            currentTime: this.currentTime,
+            lockStartTime: this.lockStartTime,
+            lockResets: this.lockResets,
+            lowestY: this.lowestY,
+            pieceGenerator: this.pieceGenerator.snapshot(),
+            garbageGenerator: this.garbageGenerator.snapshot()
+        };
+    }
+
+    /**
+     * Replace the game's state with a snapshot from getSnapshot()
+     * No events are emitted. The snapshot must come from a game with the same
+     * seed and options (e.g. the multiplayer server's copy of this game).
+     * @param {Object} snapshot - Snapshot to restore
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.grid) || snapshot.grid.length !== this.matrixHeight
+            || snapshot.grid.some(row => !Array.isArray(row) || row.length !== this.width)) {
+            throw new Error('Invalid game snapshot');
+        }
+
+        const restorePiece = data => {
+            const piece = new Piece(data.type, data.rotation, data.x, data.y);
+            piece.lastKick = data.lastKick && { ...data.lastKick };
+            return piece;
+        };
+
+        this.grid = snapshot.grid.map(row => [...row]);
+        this.currentPiece = snapshot.currentPiece ? restorePiece(snapshot.currentPiece) : null;
+        this.nextQueue = [...snapshot.nextQueue];
+        this.holdPiece = snapshot.holdPiece ? new Piece(snapshot.holdPiece) : null;
+        this.canHold = snapshot.canHold;
+        this.score = snapshot.score;
+        this.linesCleared = snapshot.linesCleared;
+        this.level = snapshot.level;
+        this.isGameOver = snapshot.isGameOver;
+        this.endReason = snapshot.endReason;
+        this.tetrisCount = snapshot.tetrisCount;
+        this.piecesPlaced = snapshot.piecesPlaced;
+        this.garbageRemaining = snapshot.garbageRemaining;
+        this.currentCombo = snapshot.currentCombo;
+        this.maxCombo = snapshot.maxCombo;
+        this.backToBack = snapshot.backToBack;
+        this.lastClear = snapshot.lastClear && { ...snapshot.lastClear };
+        this.currentTime = snapshot.currentTime;
+        this.lockStartTime = snapshot.lockStartTime;
+        this.lockResets = snapshot.lockResets;
+        this.lowestY = snapshot.lowestY;
+        this.pieceGenerator.restore(snapshot.pieceGenerator);
+        this.garbageGenerator.restore(snapshot.garbageGenerator);
+    }
+
+    /**
+     * Short hash of getSnapshot() (32-bit FNV-1a of its JSON, as 8 hex digits)
+     * Two games with the same hash are, for all practical purposes, in the same state.
+     */
+    getStateHash() {
+        const text = JSON.stringify(this.getSnapshot());
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
     /**
      * Hold the current piece (press C)
      */
@@ -354,16 +802,21 @@ export class TetrisGame {
 
         if (this.holdPiece === null) {
             // First time holding - store current piece and spawn next
-            this.holdPiece = new Piece(this.currentPiece.type, 0, 3, 0);
+            this.holdPiece = new Piece(this.currentPiece.type);
             this.spawnNextPiece();
         } else {
             // Swap current with held piece
             const temp = this.holdPiece;
-            this.holdPiece = new Piece(this.currentPiece.type, 0, 3, 0);
-            this.currentPiece = new Piece(temp.type, 0, 3, 0);
+            this.holdPiece = new Piece(this.currentPiece.type);
+            this.currentPiece = this.spawnPiece(temp.type);
+            this.resetLockState();
         }
 
         this.canHold = false; // Can't hold again until next piece
+        this.emit(GAME_EVENTS.HOLD, {
+            held: this.holdPiece.type,
+            current: this.currentPiece ? this.currentPiece.type : null
+        });
         return true;
     }
 
@@ -381,13 +834,13 @@ export class TetrisGame {
                     const gridX = newX + x;
                     const gridY = newY + y;
 
-                    // Check boundaries
-                    if (gridX < 0 || gridX >= GRID_WIDTH || gridY >= GRID_HEIGHT) {
+                    // Check boundaries (the top of the buffer is a wall too)
+                    if (gridX < 0 || gridX >= this.width || gridY < 0 || gridY >= this.matrixHeight) {
                         return true;
                     }
 
-                    // Check collision with locked pieces (only if within grid)
-                    if (gridY >= 0 && this.grid[gridY][gridX] !== 0) {
+                    // Check collision with locked pieces
+                    if (this.grid[gridY][gridX] !== 0) {
                         return true;
                     }
                 }
@@ -407,6 +860,8 @@ export class TetrisGame {
 
         if (!this.checkCollision(this.currentPiece, -1, 0)) {
             this.currentPiece.x--;
+            this.currentPiece.lastKick = null;
+            this.onPieceMoved();
             return true;
         }
         return false;
@@ -422,6 +877,8 @@ export class TetrisGame {
 
         if (!this.checkCollision(this.currentPiece, 1, 0)) {
             this.currentPiece.x++;
+            this.currentPiece.lastKick = null;
+            this.onPieceMoved();
             return true;
         }
         return false;
@@ -437,6 +894,19 @@ export class TetrisGame {
 
         if (!this.checkCollision(this.currentPiece, 0, 1)) {
             this.currentPiece.y++;
+            this.currentPiece.lastKick = null;
+            this.onPieceMoved();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Player-initiated move down, worth soft drop points
+     */
+    softDrop() {
+        if (this.moveDown()) {
+            this.score += SOFT_DROP_POINTS;
             return true;
         }
         return false;
@@ -455,51 +925,166 @@ export class TetrisGame {
             this.currentPiece.y++;
             dropDistance++;
         }
+
+        if (dropDistance > 0) {
+            this.currentPiece.lastKick = null;
+        }
+
+        this.score += dropDistance * HARD_DROP_POINTS;
         
         return dropDistance;
     }
 
     /**
-     * Rotate the current piece clockwise
+     * Rotate the current piece using the Super Rotation System
+     * @param {number} direction - ROTATION.CW, ROTATION.CCW or ROTATION.HALF
+     * @returns {boolean} - Whether the rotation succeeded
      */
-    rotate() {
+    rotate(direction = ROTATION.CW) {
         if (!this.currentPiece || this.isGameOver || this.isPaused) {
             return false;
         }
 
-        const originalRotation = this.currentPiece.rotation;
-        const newRotation = (originalRotation + 1) % 4;
-        
-        // Create a temporary piece with new rotation
+        const fromRotation = this.currentPiece.rotation;
+        const toRotation = (fromRotation + direction + 4) % 4;
+        const kicks = getKickTests(this.currentPiece.type, fromRotation, toRotation);
+
         const tempPiece = this.currentPiece.clone();
-        tempPiece.rotation = newRotation;
-        tempPiece.shape = PIECE_SHAPES[tempPiece.type][newRotation];
+        tempPiece.rotation = toRotation;
+        tempPiece.shape = PIECE_SHAPES[tempPiece.type][toRotation];
+
+        // Try each kick in order; kick tables use y-up, the grid uses y-down
+        for (let i = 0; i < kicks.length; i++) {
+            const [kickX, kickY] = kicks[i];
+            if (!this.checkCollision(tempPiece, kickX, -kickY)) {
+                this.currentPiece.x += kickX;
+                this.currentPiece.y -= kickY;
+                this.currentPiece.rotation = toRotation;
+                this.currentPiece.shape = PIECE_SHAPES[this.currentPiece.type][toRotation];
+                this.currentPiece.lastKick = {
+                    direction,
+                    index: i,
+                    x: kickX,
+                    y: kickY
+                };
+                this.onPieceMoved();
+                return true;
+            }
+        }
 
-        // Check if rotation is valid
-        if (!this.checkCollision(tempPiece, 0, 0)) {
-            this.currentPiece.rotation = newRotation;
-            this.currentPiece.shape = PIECE_SHAPES[this.currentPiece.type][newRotation];
-            return true;
+        return false;
+    }
+
+    /**
+     * Rotate the current piece counter-clockwise
+     */
+    rotateCounterClockwise() {
+        return this.rotate(ROTATION.CCW);
+    }
+
+    /**
+     * Rotate the current piece 180 degrees
+     */
+    rotate180() {
+        return this.rotate(ROTATION.HALF);
+    }
+
+    /**
+     * Whether the current piece is resting on the stack or floor
+     */
+    isGrounded() {
+        return !!this.currentPiece && this.checkCollision(this.currentPiece, 0, 1);
+    }
+
+    /**
+     * Reset lock delay bookkeeping for a newly spawned or swapped-in piece
+     */
+    resetLockState() {
+        this.lockResets = 0;
+        this.lowestY = this.currentPiece ? this.currentPiece.y : 0;
+        this.lockStartTime = this.isGrounded() ? this.currentTime : null;
+    }
+
+    /**
+     * Update the lock timer after the current piece moved or rotated
+     * Reaching a new lowest row always resets the timer and the reset count;
+     * other moves reset it only as the lock mode allows.
+     */
+    onPieceMoved() {
+        if (this.currentPiece.y > this.lowestY) {
+            this.lowestY = this.currentPiece.y;
+            this.lockResets = 0;
+            this.lockStartTime = null;
+        } else if (this.lockStartTime !== null) {
+            const canReset = this.lockMode === LOCK_MODES.INFINITE
+                || (this.lockMode === LOCK_MODES.MOVE && this.lockResets < this.maxLockResets);
+            if (canReset) {
+                this.lockResets++;
+                this.lockStartTime = null;
+            }
         }
 
-        // Try wall kicks (simple implementation)
-        // Try moving left
-        if (!this.checkCollision(tempPiece, -1, 0)) {
-            this.currentPiece.x--;
-            this.currentPiece.rotation = newRotation;
-            this.currentPiece.shape = PIECE_SHAPES[this.currentPiece.type][newRotation];
-            return true;
+        // The timer runs while the piece is on the ground
+        if (this.lockStartTime === null && this.isGrounded()) {
+            this.lockStartTime = this.currentTime;
         }
+    }
 
-        // Try moving right
-        if (!this.checkCollision(tempPiece, 1, 0)) {
-            this.currentPiece.x++;
-            this.currentPiece.rotation = newRotation;
-            this.currentPiece.shape = PIECE_SHAPES[this.currentPiece.type][newRotation];
+    /**
+     * Whether the current piece's lock delay has run out
+     * Always false in classic mode, where only a failed gravity step locks.
+     */
+    isLockDue() {
+        if (!this.isGrounded() || this.lockMode === LOCK_MODES.CLASSIC) {
+            return false;
+        }
+        return this.lockStartTime !== null && this.currentTime - this.lockStartTime >= this.lockDelay;
+    }
+
+    /**
+     * Check whether a cell is a wall, floor or filled block
+     */
+    isCellOccupied(x, y) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.matrixHeight) {
             return true;
         }
+        return this.grid[y][x] !== 0;
+    }
 
-        return false;
+    /**
+     * Detect a T-spin for the current piece using the 3-corner rule
+     * Must be called before the piece is locked.
+     * - The piece is a T and its last successful action was a rotation
+     * - At least 3 of the 4 corners around its center are occupied
+     * - Full if both corners it points towards are occupied (or it used the
+     *   upgrade kick), otherwise mini
+     * @returns {string|null} - T_SPIN.FULL, T_SPIN.MINI or null
+     */
+    detectTSpin() {
+        const piece = this.currentPiece;
+        if (!piece || piece.type !== PIECE_TYPES.T || !piece.lastKick) {
+            return null;
+        }
+
+        const occupied = {};
+        let count = 0;
+        for (const [corner, [cx, cy]] of Object.entries(T_CORNERS)) {
+            occupied[corner] = this.isCellOccupied(piece.x + cx, piece.y + cy);
+            if (occupied[corner]) {
+                count++;
+            }
+        }
+
+        if (count < 3) {
+            return null;
+        }
+
+        const [frontA, frontB] = T_FRONT_CORNERS[piece.rotation];
+        const upgraded = piece.lastKick.index === T_SPIN_UPGRADE_KICK && piece.lastKick.direction !== ROTATION.HALF;
+        if ((occupied[frontA] && occupied[frontB]) || upgraded) {
+            return T_SPIN.FULL;
+        }
+        return T_SPIN.MINI;
     }
 
     /**
@@ -517,7 +1102,7 @@ export class TetrisGame {
                     const gridX = this.currentPiece.x + x;
                     const gridY = this.currentPiece.y + y;
                     
-                    if (gridY >= 0 && gridY < GRID_HEIGHT && gridX >= 0 && gridX < GRID_WIDTH) {
+                    if (gridY >= 0 && gridY < this.matrixHeight && gridX >= 0 && gridX < this.width) {
                         this.grid[gridY][gridX] = this.currentPiece.type;
                     }
                 }
@@ -539,10 +1124,80 @@ export class TetrisGame {
             case 'ArrowRight':
                 return this.moveRight();
             case 'ArrowDown':
-                return this.moveDown();
+                return this.softDrop();
             case 'ArrowUp':
             case ' ':  // Space bar for rotation
                 return this.rotate();
+            case 'z':
+            case 'Z':
+                return this.rotateCounterClockwise();
+            case 'a':
+            case 'A':
+                return this.rotate180();
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Move the game clock forward, ending the game if the time limit has run out
+     * @param {number} time - Game clock in ms (earlier times are ignored)
+     * @returns {boolean} - Whether the game ended
+     */
+    advanceClock(time) {
+        this.currentTime = Math.max(this.currentTime, time);
+        if (this.timeLimit !== null && this.currentTime >= this.timeLimit) {
+            this.endGame(END_REASONS.TIME_UP);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Apply a single engine action (see ACTIONS)
+     * This is the one entry point used by the UI, replays and multiplayer input streams.
+     * @param {string} action - Action to apply
+     * @param {number} time - Game clock in ms when the action happened; drives lock delay
+     *   (must not decrease between calls; defaults to the current clock)
+     * @returns {boolean} - Whether the action changed the game state
+     */
+    applyAction(action, time = this.currentTime) {
+        if (this.isGameOver || this.isPaused) {
+            return false;
+        }
+
+        if (this.advanceClock(time)) {
+            return true;
+        }
+
+        switch (action) {
+            case ACTIONS.MOVE_LEFT:
+                return this.moveLeft();
+            case ACTIONS.MOVE_RIGHT:
+                return this.moveRight();
+            case ACTIONS.SOFT_DROP:
+                return this.softDrop();
+            case ACTIONS.ROTATE_CW:
+                return this.rotate(ROTATION.CW);
+            case ACTIONS.ROTATE_CCW:
+                return this.rotate(ROTATION.CCW);
+            case ACTIONS.ROTATE_180:
+                return this.rotate(ROTATION.HALF);
+            case ACTIONS.HOLD:
+                return this.holdCurrentPiece();
+            case ACTIONS.HARD_DROP:
+                // Drop, then lock and spawn the next piece
+                this.hardDrop();
+                this.lockCurrentPiece();
+                return true;
+            case ACTIONS.GRAVITY:
+                return this.update();
+            case ACTIONS.TICK:
+                if (this.isLockDue()) {
+                    this.lockCurrentPiece();
+                    return true;
+                }
+                return false;
             default:
                 return false;
         }
@@ -552,7 +1207,7 @@ export class TetrisGame {
      * Check if a line is complete (all cells filled)
      */
     isLineComplete(y) {
-        for (let x = 0; x < GRID_WIDTH; x++) {
+        for (let x = 0; x < this.width; x++) {
             if (this.grid[y][x] === 0) {
                 return false;
             }
@@ -569,7 +1224,7 @@ export class TetrisGame {
         
         // Add new empty line at top
         const newLine = [];
-        for (let x = 0; x < GRID_WIDTH; x++) {
+        for (let x = 0; x < this.width; x++) {
             newLine[x] = 0;
         }
         this.grid.unshift(newLine);
@@ -580,7 +1235,7 @@ export class TetrisGame {
      */
     getCompleteLines() {
         const completeLines = [];
-        for (let y = GRID_HEIGHT - 1; y >= 0; y--) {
+        for (let y = this.matrixHeight - 1; y >= 0; y--) {
             if (this.isLineComplete(y)) {
                 completeLines.push(y);
             }
@@ -595,7 +1250,7 @@ export class TetrisGame {
         let linesCleared = 0;
         
         // Check from bottom to top
-        for (let y = GRID_HEIGHT - 1; y >= 0; y--) {
+        for (let y = this.matrixHeight - 1; y >= 0; y--) {
             if (this.isLineComplete(y)) {
                 this.clearLine(y);
                 linesCleared++;
@@ -607,80 +1262,166 @@ export class TetrisGame {
     }
 
     /**
-     * Calculate score based on lines cleared
-     * Standard Tetris scoring:
-     * 1 line = 100 * level
-     * 2 lines = 300 * level
-     * 3 lines = 500 * level
-     * 4 lines (Tetris) = 800 * level
+     * Calculate the base score for a clear (before back-to-back, combo and perfect clear bonuses)
+     * Guideline scoring, multiplied by level:
+     * 1 line = 100, 2 lines = 300, 3 lines = 500, 4 lines (Tetris) = 800
+     * T-spin mini: 0 lines = 100, 1 = 200, 2 = 400
+     * T-spin: 0 lines = 400, 1 = 800, 2 = 1200, 3 = 1600
+     * @param {number} linesCleared - Number of lines cleared
+     * @param {string|null} tSpin - One of T_SPIN, or null
      */
-    calculateScore(linesCleared) {
-        const scoreTable = {
-            1: 100,
-            2: 300,
-            3: 500,
-            4: 800
-        };
-
+    calculateScore(linesCleared, tSpin = null) {
+        const scoreTable = CLEAR_POINTS[tSpin || 'none'];
         const baseScore = scoreTable[linesCleared] || 0;
         return baseScore * this.level;
     }
 
     /**
-     * Update score and level based on lines cleared
+     * Check whether the board is completely empty
+     */
+    isGridEmpty() {
+        return this.grid.every(row => row.every(cell => cell === 0));
+    }
+
+    /**
+     * Update score, level, combo and back-to-back state after a piece locks
+     * Sets lastClear to a typed event for line clears and T-spins, e.g.
+     * { type: 'tspin-double', lines: 2, tSpin: 'full', b2b: true, combo: 3, perfectClear: false, points: 1850 }
+     * combo counts consecutive clears before this one (0 for the first).
+     * @param {number} linesCleared - Number of lines cleared by the lock
+     * @param {string|null} tSpin - Result of detectTSpin() before the lock
      */
-    updateScore(linesCleared) {
+    updateScore(linesCleared, tSpin = null) {
+        if (linesCleared === 0) {
+            // Reset combo if no lines cleared
+            this.currentCombo = 0;
+            if (!tSpin) {
+                return;
+            }
+        }
+
+        // Tetrises and T-spins that clear lines keep a back-to-back chain going
+        const difficult = linesCleared === 4 || (tSpin !== null && linesCleared > 0);
+        const b2b = difficult && this.backToBack;
+        const perfectClear = linesCleared > 0 && this.isGridEmpty();
+
+        if (linesCleared > 0) {
+            this.currentCombo++;
+            if (this.currentCombo > this.maxCombo) {
+                this.maxCombo = this.currentCombo;
+            }
+        }
+        const combo = Math.max(0, this.currentCombo - 1);
+
+        let points = this.calculateScore(linesCleared, tSpin);
+        if (b2b) {
+            points = Math.floor(points * B2B_MULTIPLIER);
+        }
+        points += COMBO_POINTS * combo * this.level * this.comboMultiplier;
+        if (perfectClear) {
+            const bonus = b2b && linesCleared === 4 ? B2B_TETRIS_PERFECT_CLEAR_POINTS : PERFECT_CLEAR_POINTS[linesCleared];
+            points += bonus * this.level;
+        }
+
+        this.score += points;
+
+        const previousLevel = this.level;
         if (linesCleared > 0) {
             this.linesCleared += linesCleared;
-            this.score += this.calculateScore(linesCleared);
+            this.backToBack = difficult;
             
-            // Level up every 10 lines
-            this.level = Math.floor(this.linesCleared / 10) + 1;
+            // Level up every linesPerLevel lines (never when it is null)
+            if (this.linesPerLevel !== null) {
+                this.level = Math.floor(this.linesCleared / this.linesPerLevel) + 1;
+            }
             
             // Track Tetris (4-line clears)
             if (linesCleared === 4) {
                 this.tetrisCount++;
             }
-            
-            // Update combo
-            this.currentCombo++;
-            if (this.currentCombo > this.maxCombo) {
-                this.maxCombo = this.currentCombo;
-            }
-        } else {
-            // Reset combo if no lines cleared
-            this.currentCombo = 0;
+        }
+
+        this.lastClear = {
+            type: getClearType(linesCleared, tSpin),
+            lines: linesCleared,
+            tSpin,
+            b2b,
+            combo,
+            perfectClear,
+            points
+        };
+
+        if (this.level > previousLevel) {
+            this.emit(GAME_EVENTS.LEVEL_UP, { level: this.level, previousLevel });
         }
     }
 
     /**
-     * Check if the game is over
-     * Game is over when pieces stack to the top (y = 0)
+     * Check whether every block of a piece is inside the hidden buffer
      */
-    checkGameOver() {
-        // Check if any cells in the top row (y = 0) are filled
-        for (let x = 0; x < GRID_WIDTH; x++) {
-            if (this.grid[0][x] !== 0) {
-                this.isGameOver = true;
-                return true;
+    isAboveVisibleField(piece) {
+        const shape = piece.getShape();
+        for (let y = 0; y < 4; y++) {
+            for (let x = 0; x < 4; x++) {
+                if (shape[y][x] && piece.y + y >= this.bufferRows) {
+                    return false;
+                }
             }
         }
+        return true;
+    }
+
+    /**
+     * Check the lock out rule for a piece that is about to lock
+     * Lock out: the piece locks entirely above the visible field.
+     * (Block out - a new piece overlapping the stack - is checked in spawnPiece.)
+     * @param {Piece} piece - Piece being locked (defaults to the current piece)
+     * @returns {boolean} - Whether the game ended
+     */
+    checkGameOver(piece = this.currentPiece) {
+        if (piece && this.isAboveVisibleField(piece)) {
+            this.endGame(END_REASONS.LOCK_OUT);
+            return true;
+        }
         return false;
     }
 
     /**
-     * Spawn a new piece at the top center
+     * Mark the game as over and notify listeners (once per game)
+     * @param {string} reason - One of END_REASONS
+     */
+    endGame(reason) {
+        if (this.isGameOver) {
+            return;
+        }
+        this.isGameOver = true;
+        this.endReason = reason;
+        this.emit(GAME_EVENTS.GAME_OVER, {
+            reason,
+            score: this.score,
+            linesCleared: this.linesCleared,
+            level: this.level
+        });
+    }
+
+    /**
+     * Spawn a new piece centered in the two rows just above the visible field
+     * Like the guideline, it then drops one row at once if nothing is in the way.
+     * Ends the game (block out) if the spawn position is blocked.
      */
     spawnPiece(pieceType) {
-        // Pieces spawn at top center (x = 3 or 4, y = 0)
-        const piece = new Piece(pieceType, 0, 3, 0);
+        const piece = new Piece(pieceType, 0, Math.floor((this.width - 4) / 2), this.bufferRows - 3);
         
         // Check if spawn position is valid
         if (this.checkCollision(piece, 0, 0)) {
-            this.isGameOver = true;
+            this.endGame(END_REASONS.BLOCK_OUT);
             return null;
         }
 
+        if (!this.checkCollision(piece, 0, 1)) {
+            piece.y++;
+        }
+
         return piece;
     }
 
@@ -696,6 +1437,10 @@ export class TetrisGame {
         if (this.nextQueue.length > 0) {
             const nextType = this.nextQueue.shift();
             this.currentPiece = this.spawnPiece(nextType);
+            this.resetLockState();
+            if (this.currentPiece) {
+                this.emit(GAME_EVENTS.PIECE_SPAWNED, { piece: describePiece(this.currentPiece) });
+            }
             
             // Refill queue to maintain 4 pieces
             this.fillNextQueue();
@@ -709,40 +1454,84 @@ export class TetrisGame {
      */
     fillNextQueue() {
         while (this.nextQueue.length < 4) {
-            if (this.pieceGenerator) {
-                this.nextQueue.push(this.pieceGenerator.nextPiece());
-            } else {
-                this.nextQueue.push(Math.floor(Math.random() * 7) + 1);
-            }
+            this.nextQueue.push(this.pieceGenerator.nextPiece());
         }
     }
 
     /**
-     * Main game update loop
-     * Called when a piece needs to be locked and a new one spawned
+     * Main game update loop (one gravity step)
+     * Moves the piece down, or locks it once the lock delay allows
+     * @param {number} time - Game clock in ms (defaults to the current clock)
+     * @returns {boolean} - Whether the piece moved or locked
      */
-    update() {
+    update(time = this.currentTime) {
         if (this.isGameOver || this.isPaused) {
-            return;
+            return false;
+        }
+
+        if (this.advanceClock(time)) {
+            return true;
         }
 
         // Try to move piece down
-        if (!this.moveDown()) {
-            // Piece can't move down, lock it
-            this.lockPiece();
-            
-            // Clear any complete lines
-            const linesCleared = this.clearLines();
-            this.updateScore(linesCleared);
-            
-            // Check for game over
-            if (this.checkGameOver()) {
-                return;
-            }
+        if (this.moveDown()) {
+            return true;
+        }
 
-            // Spawn next piece from queue
-            this.spawnNextPiece();
+        if (this.lockMode === LOCK_MODES.CLASSIC || this.isLockDue()) {
+            this.lockCurrentPiece();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Lock the current piece, clear lines, score, and spawn the next piece
+     */
+    lockCurrentPiece() {
+        if (!this.currentPiece) {
+            return;
+        }
+
+        // T-spins and lock out are judged before the lock
+        const tSpin = this.detectTSpin();
+        const piece = describePiece(this.currentPiece);
+        const lockedOut = this.isAboveVisibleField(this.currentPiece);
+        this.lockPiece();
+        this.piecesPlaced++;
+
+        // Rows are reported before they are removed so views can animate them
+        const rows = this.getCompleteLines();
+        this.emit(GAME_EVENTS.PIECE_LOCKED, { piece, tSpin, rows });
+
+        if (lockedOut) {
+            this.endGame(END_REASONS.LOCK_OUT);
+            return;
+        }
+        
+        // Dig garbage always sits at the bottom of the matrix, so any complete row down there is dug out
+        const digFloor = this.matrixHeight - this.garbageRemaining;
+        this.garbageRemaining -= rows.filter(y => y >= digFloor).length;
+
+        // Clear any complete lines
+        const linesCleared = this.clearLines();
+        this.updateScore(linesCleared, tSpin);
+        if (linesCleared > 0) {
+            const { type: clearType, ...clear } = this.lastClear;
+            this.emit(GAME_EVENTS.LINES_CLEARED, { clearType, ...clear, rows });
+        }
+
+        if (this.lineGoal !== null && this.linesCleared >= this.lineGoal) {
+            this.endGame(END_REASONS.GOAL);
+            return;
+        }
+        if (this.digLines > 0 && this.garbageRemaining === 0) {
+            this.endGame(END_REASONS.GOAL);
+            return;
         }
+
+        // Spawn next piece from queue (ends the game on block out)
+        this.spawnNextPiece();
     }
 
     /**
@@ -772,18 +1561,29 @@ export class TetrisGame {
         this.linesCleared = 0;
         this.level = 1;
         this.isGameOver = false;
+        this.endReason = null;
         this.isPaused = false;
         this.holdPiece = null;
         this.canHold = true;
         this.nextQueue = [];
         this.tetrisCount = 0;
+        this.piecesPlaced = 0;
         this.currentCombo = 0;
         this.maxCombo = 0;
+        this.backToBack = false;
+        this.lastClear = null;
+        this.currentTime = 0;
         
-        // Reset piece generator if we have a seed
-        if (this.pieceGenerator) {
-            this.pieceGenerator.reset();
-        }
+        // Reset the generators so the seed replays from the start
+        this.pieceGenerator.reset();
+        this.garbageGenerator.reset();
+
+        // Dig starts with seeded garbage filling the bottom rows
+        const digHoles = this.garbageGenerator.nextHoles(this.digLines, this.width);
+        digHoles.forEach((hole, i) => {
+            this.grid[this.matrixHeight - this.digLines + i] = this.createGarbageRow(hole);
+        });
+        this.garbageRemaining = this.digLines;
         
         // Fill the next queue with 4 pieces
         this.fillNextQueue();
@@ -806,58 +1606,67 @@ export class TetrisGame {
         this.isPaused = !this.isPaused;
     }
 
+    /**
+     * Build a full garbage row with a single hole
+     * @param {number} hole - Column left empty
+     */
+    createGarbageRow(hole) {
+        const row = new Array(this.width).fill(GARBAGE_BLOCK);
+        row[hole] = 0;
+        return row;
+    }
+
     /**
      * Add garbage lines to the bottom of the grid (for multiplayer)
      * @param {number} numLines - Number of garbage lines to add
+     * @param {number[]|null} holes - Hole column for each added row, in order
+     *   (e.g. from the match's garbage generator on the server); drawn from
+     *   this game's seeded garbage generator if omitted
      */
-    addGarbageLines(numLines) {
+    addGarbageLines(numLines, holes = null) {
         if (this.isGameOver || numLines <= 0) {
             return;
         }
+        if (holes && (holes.length !== numLines || holes.some(hole => !Number.isInteger(hole) || hole < 0 || hole >= this.width))) {
+            throw new Error(`Invalid garbage holes for ${numLines} lines: ${holes}`);
+        }
+        const holeColumns = holes || this.garbageGenerator.nextHoles(numLines, this.width);
 
-        // Remove top rows
-        this.grid.splice(0, numLines);
+        // Remove top rows; blocks pushed out of the top of the buffer top out the player
+        const removed = this.grid.splice(0, numLines);
+        const toppedOut = removed.some(row => row.some(cell => cell !== 0));
 
         // Add garbage lines at the bottom
-        for (let i = 0; i < numLines; i++) {
-            const garbageLine = [];
-            // Random gap position (0-9)
-            const gapPosition = Math.floor(Math.random() * GRID_WIDTH);
-            
-            for (let x = 0; x < GRID_WIDTH; x++) {
-                // 8 = garbage block type
-                garbageLine[x] = (x === gapPosition) ? 0 : 8;
-            }
-            
-            this.grid.push(garbageLine);
+        for (const hole of holeColumns) {
+            this.grid.push(this.createGarbageRow(hole));
+        }
+
+        this.emit(GAME_EVENTS.GARBAGE_RECEIVED, { lines: numLines, holes: holeColumns });
+
+        if (toppedOut) {
+            this.endGame(END_REASONS.TOP_OUT);
+            return;
         }
 
-        // Check if current piece is now colliding (game over)
-        if (this.currentPiece && this.checkCollision(this.currentPiece, 0, 0)) {
-            this.isGameOver = true;
+        // The rising stack pushes the current piece up with it
+        if (this.currentPiece) {
+            let lift = 0;
+            while (lift < numLines && this.checkCollision(this.currentPiece, 0, -lift)) {
+                lift++;
+            }
+            if (this.checkCollision(this.currentPiece, 0, -lift)) {
+                this.endGame(END_REASONS.TOP_OUT);
+                return;
+            }
+            this.currentPiece.y -= lift;
         }
-    }
 
-    /**
-     * Calculate garbage lines to send based on lines cleared
-     * @param {number} linesCleared - Number of lines cleared
-     * @returns {number} - Number of garbage lines to send
-     */
-    static calculateGarbageLines(linesCleared) {
-        switch (linesCleared) {
-            case 1:
-                return 0;
-            case 2:
-                return 1;
-            case 3:
-                return 2;
-            case 4:
-                return 4; // Tetris!
-            default:
-                return 0;
+        // The stack may have risen under the piece
+        if (this.lockStartTime === null && this.isGrounded()) {
+            this.lockStartTime = this.currentTime;
         }
     }
 }
 
 // Export constants for testing
-export { GRID_WIDTH, GRID_HEIGHT, PIECE_TYPES, PIECE_SHAPES, Piece };
+export { GRID_WIDTH, GRID_HEIGHT, BUFFER_ROWS, PIECE_TYPES, PIECE_SHAPES, ROTATION, ACTIONS, LOCK_MODES, DEFAULT_LOCK_RULES, getDropInterval, GAME_EVENTS, END_REASONS, DEFAULT_RULES, T_SPIN, JLSTZ_KICKS, I_KICKS, HALF_TURN_KICKS, getKickTests, Piece };
@@ -0,0 +1,227 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useGame } from './useGame.js';
+import { useServerSync } from './useServerSync.js';
+import { GAME_EVENTS } from '../game.js';
+import { StateDecoder } from '../stateSync.js';
+import { DEFAULT_TARGETING } from '../attack.js';
+import { EVENTS } from '../protocol.js';
+
+/**
+ * Battle client - the local side of a multiplayer battle
+ *
+ * Plays the local board with the same game hook as solo mode, streams its
+ * inputs to the server (see useServerSync), shows every opponent's board from
+ * the server's state frames and takes eliminations and the result from the
+ * server. Every event it uses is part of the contract in protocol.js.
+ *
+ * Battles have 2 to 8 players, last one standing. A player who is out keeps
+ * watching the others until the battle ends.
+ *
+ * If any connection drops, the battle waits out the server's grace period:
+ * paused, if the room was created with pauseOnDisconnect, or played on.
+ *
+ * @param {Object} socket - Socket.IO connection
+ * @param {Object} roomData - Room of the battle (roomId doubles as the game seed)
+ * @param {string} walletAddress - Local player's address
+ */
+export function useBattleClient(socket, roomData, walletAddress) {
+  const [players, setPlayers] = useState([]); // Everyone in the battle, from game:start
+  const [opponentGameStates, setOpponentGameStates] = useState({}); // address -> board state
+  const [placements, setPlacements] = useState({}); // address -> placement of the players already out
+  const [targeting, setTargetingMode] = useState(DEFAULT_TARGETING);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [isGameOver, setIsGameOver] = useState(false);
+  const [winner, setWinner] = useState(null); // 'local' | 'opponent'
+  const [endReason, setEndReason] = useState(null);
+  const [isPaused, setIsPaused] = useState(false); // Waiting for a player to reconnect
+  const [reconnectingPlayers, setReconnectingPlayers] = useState([]); // Opponents' addresses
+  const decodersRef = useRef(new Map()); // address -> StateDecoder of their board
+  const pauseOnDisconnectRef = useRef(false);
+
+  // Seeded with the room id, like the opponents' games and the server's simulation
+  const localGame = useGame(roomData?.roomId);
+
+  // The server's simulation and ours share one seed and input stream
+  const { incomingGarbageLines } = useServerSync(socket, roomData?.roomId, localGame, isPlaying, isPaused);
+
+  const { setPaused } = localGame;
+  useEffect(() => {
+    if (isPlaying) {
+      setPaused(isPaused);
+    }
+  }, [isPlaying, isPaused, setPaused]);
+
+  // Pick who our attacks go to (matters with more than one opponent)
+  const setTargeting = useCallback((mode) => {
+    if (!socket || !roomData) return;
+
+    setTargetingMode(mode);
+    socket.emit(EVENTS.GAME_TARGETING, { roomId: roomData.roomId, targeting: mode });
+  }, [socket, roomData]);
+
+  // Start the game when the server starts the battle, so our game clock
+  // starts after the server's battle clock
+  const { startGame } = localGame;
+  useEffect(() => {
+    if (!socket || !roomData) return;
+
+    /** @param {import('../protocol.js').GameStart} data */
+    const handleGameStart = (data) => {
+      if (data.roomId !== roomData.roomId) return;
+
+      console.log('🎮 Starting multiplayer battle with', data.players.length, 'players');
+      console.log('🎲 Game seed:', data.roomId);
+      startGame(data.roomId);
+      decodersRef.current = new Map();
+      pauseOnDisconnectRef.current = !!data.pauseOnDisconnect;
+      setPlayers(data.players);
+      setOpponentGameStates({});
+      setPlacements({});
+      setTargetingMode(data.targeting || DEFAULT_TARGETING);
+      setIsGameOver(false);
+      setWinner(null);
+      setEndReason(null);
+      setIsPaused(false);
+      setReconnectingPlayers([]);
+      setIsPlaying(true);
+    };
+
+    socket.on(EVENTS.GAME_START, handleGameStart);
+
+    return () => {
+      socket.off(EVENTS.GAME_START, handleGameStart);
+      setIsPlaying(false);
+    };
+  }, [socket, roomData, startGame]);
+
+  // Our board topping out is only shown here; the server's simulation decides the result
+  const { subscribe } = localGame;
+  useEffect(() => {
+    return subscribe(GAME_EVENTS.GAME_OVER, () => {
+      console.log('😢 Local game over, waiting for the server result');
+      setIsGameOver(true);
+    });
+  }, [subscribe]);
+
+  // The opponents' boards (from the server's simulation), eliminations and the result
+  useEffect(() => {
+    if (!socket) return;
+
+    // Binary state frames; a frame after a dropped one is skipped until that board's next keyframe
+    /** @param {import('../protocol.js').BoardFrame} data */
+    const handleOpponentFrame = ({ walletAddress: address, frame }) => {
+      const decoders = decodersRef.current;
+      if (!decoders.has(address)) {
+        decoders.set(address, new StateDecoder());
+      }
+      try {
+        const state = decoders.get(address).decode(frame);
+        if (state) {
+          setOpponentGameStates(prev => ({ ...prev, [address]: state }));
+        }
+      } catch (error) {
+        console.warn('📡 Received invalid opponent state frame:', error);
+      }
+    };
+
+    /** @param {import('../protocol.js').Elimination} data */
+    const handleEliminated = (data) => {
+      console.log(`💥 Player out in place ${data.placement}:`, data.walletAddress, data.reason);
+      setPlacements(prev => ({ ...prev, [data.walletAddress]: data.placement }));
+      setReconnectingPlayers(prev => prev.filter(address => address !== data.walletAddress));
+      setIsPaused(data.paused);
+      if (data.walletAddress === walletAddress) {
+        setIsGameOver(true);
+        setEndReason(data.reason);
+      }
+    };
+
+    /** @param {import('../protocol.js').GameEnd} data */
+    const handleGameEnd = (data) => {
+      const won = data.winner === walletAddress;
+      console.log(won ? '🎉 Last one standing! You win!' : '😢 Battle lost', data.reason);
+      setPlacements(Object.fromEntries(data.placements.map(entry => [entry.address, entry.placement])));
+      setIsGameOver(true);
+      setWinner(won ? 'local' : 'opponent');
+      setEndReason(data.reason);
+      setIsPaused(false);
+      setReconnectingPlayers([]);
+      setIsPlaying(false);
+    };
+
+    socket.on(EVENTS.GAME_OPPONENT_FRAME, handleOpponentFrame);
+    socket.on(EVENTS.GAME_PLAYER_ELIMINATED, handleEliminated);
+    socket.on(EVENTS.GAME_END, handleGameEnd);
+
+    return () => {
+      socket.off(EVENTS.GAME_OPPONENT_FRAME, handleOpponentFrame);
+      socket.off(EVENTS.GAME_PLAYER_ELIMINATED, handleEliminated);
+      socket.off(EVENTS.GAME_END, handleGameEnd);
+    };
+  }, [socket, walletAddress]);
+
+  // Dropped connections, ours or an opponent's
+  useEffect(() => {
+    if (!socket || !isPlaying) return;
+
+    // The server pauses the battle for us too; stop before our inputs run ahead of it
+    const handleDisconnect = () => {
+      if (pauseOnDisconnectRef.current) {
+        setIsPaused(true);
+      }
+    };
+
+    /** @param {import('../protocol.js').BattleResume} data */
+    const handleResume = (data) => {
+      if (data.roomId !== roomData?.roomId) return;
+      console.log('🔌 Resumed battle after reconnecting');
+      decodersRef.current = new Map(); // Frames were missed; wait for keyframes
+      setIsPaused(data.paused);
+    };
+
+    /** @param {import('../protocol.js').ConnectionChange} data */
+    const handlePlayerDisconnected = (data) => {
+      if (data.walletAddress !== walletAddress) {
+        console.log(`🔌 Opponent disconnected, ${data.gracePeriod}ms to reconnect`);
+        setReconnectingPlayers(prev => [...prev.filter(address => address !== data.walletAddress), data.walletAddress]);
+      }
+      setIsPaused(data.paused);
+    };
+
+    /** @param {import('../protocol.js').ConnectionChange} data */
+    const handlePlayerReconnected = (data) => {
+      setReconnectingPlayers(prev => prev.filter(address => address !== data.walletAddress));
+      setIsPaused(data.paused);
+    };
+
+    socket.on('disconnect', handleDisconnect);
+    socket.on(EVENTS.GAME_RESUME, handleResume);
+    socket.on(EVENTS.PLAYER_DISCONNECTED, handlePlayerDisconnected);
+    socket.on(EVENTS.PLAYER_RECONNECTED, handlePlayerReconnected);
+
+    return () => {
+      socket.off('disconnect', handleDisconnect);
+      socket.off(EVENTS.GAME_RESUME, handleResume);
+      socket.off(EVENTS.PLAYER_DISCONNECTED, handlePlayerDisconnected);
+      socket.off(EVENTS.PLAYER_RECONNECTED, handlePlayerReconnected);
+    };
+  }, [socket, isPlaying, roomData?.roomId, walletAddress]);
+
+  return {
+    localGame,
+    localGameState: localGame.gameState,
+    opponents: players.filter(player => player.address !== walletAddress),
+    opponentGameStates,
+    placements,
+    localPlacement: placements[walletAddress] ?? null,
+    targeting,
+    setTargeting,
+    incomingGarbageLines,
+    isPlaying,
+    isPaused,
+    reconnectingPlayers,
+    isGameOver,
+    winner,
+    endReason,
+  };
+}
@@ -1,22 +1,23 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
+import { EVENTS } from '../protocol.js';
 
 /**
  * Battle flow states:
  * - idle: Not in a battle
  * - matchmaking: Searching for opponent
- * - waiting: Waiting for opponent in private room
+ * - waiting: Waiting in a private room for its players to join and get ready
  * - countdown: 3-2-1-GO countdown
  * - playing: Battle in progress
  * - ended: Battle finished
  */
 
-export function useBattleFlow(socket) {
+export function useBattleFlow(socket, walletAddress, username) {
   const [battleState, setBattleState] = useState('idle');
-  const [roomData, setRoomData] = useState(null);
-  const [opponentData, setOpponentData] = useState(null);
+  const [roomData, setRoomData] = useState(null); // Includes players, host first
   const [countdownValue, setCountdownValue] = useState(null);
   const [battleResult, setBattleResult] = useState(null);
   const [estimatedWaitTime, setEstimatedWaitTime] = useState(null);
+  const [spectators, setSpectators] = useState({ roomId: null, count: 0, allowSpectators: true });
   
   const matchmakingStartTimeRef = useRef(null);
   const countdownIntervalRef = useRef(null);
@@ -33,24 +34,24 @@ export function useBattleFlow(socket) {
     setBattleState('matchmaking');
     matchmakingStartTimeRef.current = Date.now();
     
-    socket.emit('matchmaking:join', { wager });
+    socket.emit(EVENTS.MATCHMAKING_JOIN, { wager });
   }, [socket]);
 
   // Cancel matchmaking
   const cancelMatchmaking = useCallback(() => {
     if (!socket) return;
 
-    socket.emit('matchmaking:cancel');
+    socket.emit(EVENTS.MATCHMAKING_CANCEL);
     setBattleState('idle');
     matchmakingStartTimeRef.current = null;
   }, [socket]);
 
-  // Create private room
-  const createPrivateRoom = useCallback((wager) => {
+  // Create private room; options.maxPlayers (2-8) and options.targeting set up a bigger battle
+  const createPrivateRoom = useCallback((wager, options = {}) => {
     if (!socket) return;
 
     setBattleState('waiting');
-    socket.emit('room:create', { wager, isPrivate: true });
+    socket.emit(EVENTS.ROOM_CREATE, { wager, isPrivate: true, ...options });
   }, [socket]);
 
   // Join private room
@@ -58,14 +59,14 @@ export function useBattleFlow(socket) {
     if (!socket) return;
 
     setBattleState('waiting');
-    socket.emit('room:join', { roomKey });
+    socket.emit(EVENTS.ROOM_JOIN, { roomKey });
   }, [socket]);
 
   // Set player ready
   const setReady = useCallback((ready = true) => {
     if (!socket || !roomData) return;
 
-    socket.emit('room:ready', {
+    socket.emit(EVENTS.ROOM_READY, {
       roomId: roomData.roomId,
       ready,
     });
@@ -75,18 +76,24 @@ export function useBattleFlow(socket) {
   const leaveRoom = useCallback(() => {
     if (!socket || !roomData) return;
 
-    socket.emit('room:leave', { roomId: roomData.roomId });
+    socket.emit(EVENTS.ROOM_LEAVE, { roomId: roomData.roomId });
     setBattleState('idle');
     setRoomData(null);
-    setOpponentData(null);
+  }, [socket, roomData]);
+
+  // Turn spectating of our room on or off (host only; the server ignores anyone else)
+  const setAllowSpectators = useCallback((allowSpectators) => {
+    if (!socket || !roomData) return;
+
+    socket.emit(EVENTS.ROOM_SPECTATING, { roomId: roomData.roomId, allowSpectators });
   }, [socket, roomData]);
 
   // Forfeit battle
   const forfeitBattle = useCallback(() => {
     if (!socket || !roomData) return;
 
-    socket.emit('game:over', { roomId: roomData.roomId });
-    // Server will handle declaring the opponent as winner
+    socket.emit(EVENTS.GAME_FORFEIT, { roomId: roomData.roomId });
+    // The server takes us out of the battle; the others play on
   }, [socket, roomData]);
 
   // Handle socket events
@@ -94,13 +101,17 @@ export function useBattleFlow(socket) {
     if (!socket) return;
 
     // Matchmaking events
+    /** @param {import('../protocol.js').MatchFound} data */
     const handleMatchmakingFound = (data) => {
       console.log('🎮 Match found!', data);
       console.log('Current battle state:', battleState);
-      setOpponentData(data.opponent);
       setRoomData({ 
         roomId: data.roomId,
-        wager: data.wager 
+        wager: data.wager,
+        players: [
+          { address: walletAddress, username, rating: data.rating, deviation: data.deviation },
+          data.opponent,
+        ],
       });
       setBattleState('countdown');
       console.log('Starting countdown...');
@@ -124,19 +135,38 @@ export function useBattleFlow(socket) {
 
     const handleRoomJoined = (room) => {
       setRoomData(room);
-      if (room.player2) {
-        setOpponentData({
-          address: room.player2.address,
-          username: room.player2.username,
-        });
-      }
+    };
+
+    const updatePlayers = (update) => {
+      setRoomData(prev => prev && { ...prev, players: update(prev.players || []) });
     };
 
     const handlePlayerJoined = (data) => {
-      setOpponentData({
-        address: data.player.address,
-        username: data.player.username,
-      });
+      updatePlayers(players => [
+        ...players.filter(player => player.address !== data.player.address),
+        data.player,
+      ]);
+    };
+
+    const handlePlayerReady = (data) => {
+      updatePlayers(players => players.map(player =>
+        player.address === data.walletAddress ? { ...player, ready: data.ready } : player
+      ));
+    };
+
+    // The battle keeps a leaver's board (see useBattleClient); this is the room's player list
+    const handlePlayerLeft = (data) => {
+      updatePlayers(players => players.filter(player => player.address !== data.walletAddress));
+    };
+
+    const handleRoomClosed = (data) => {
+      console.log('Room closed:', data.reason);
+      setBattleState('idle');
+      setRoomData(null);
+    };
+
+    const handleSpectators = (data) => {
+      setSpectators(data);
     };
 
     const handleRoomError = (data) => {
@@ -158,37 +188,45 @@ export function useBattleFlow(socket) {
       setBattleState('ended');
       setBattleResult({
         winner: data.winner,
-        loser: data.loser,
+        placements: data.placements,
         duration: data.duration,
         wager: data.wager,
       });
     };
 
     // Register event listeners
-    socket.on('matchmaking:found', handleMatchmakingFound);
-    socket.on('matchmaking:timeout', handleMatchmakingTimeout);
-    socket.on('matchmaking:cancelled', handleMatchmakingCancelled);
-    socket.on('room:created', handleRoomCreated);
-    socket.on('room:joined', handleRoomJoined);
-    socket.on('room:player_joined', handlePlayerJoined);
-    socket.on('room:error', handleRoomError);
-    socket.on('game:countdown', handleCountdown);
-    socket.on('game:start', handleGameStart);
-    socket.on('game:end', handleGameEnd);
+    socket.on(EVENTS.MATCHMAKING_FOUND, handleMatchmakingFound);
+    socket.on(EVENTS.MATCHMAKING_TIMEOUT, handleMatchmakingTimeout);
+    socket.on(EVENTS.MATCHMAKING_CANCELLED, handleMatchmakingCancelled);
+    socket.on(EVENTS.ROOM_CREATED, handleRoomCreated);
+    socket.on(EVENTS.ROOM_JOINED, handleRoomJoined);
+    socket.on(EVENTS.ROOM_PLAYER_JOINED, handlePlayerJoined);
+    socket.on(EVENTS.ROOM_PLAYER_READY, handlePlayerReady);
+    socket.on(EVENTS.PLAYER_LEFT, handlePlayerLeft);
+    socket.on(EVENTS.ROOM_CLOSED, handleRoomClosed);
+    socket.on(EVENTS.ROOM_ERROR, handleRoomError);
+    socket.on(EVENTS.ROOM_SPECTATORS, handleSpectators);
+    socket.on(EVENTS.GAME_COUNTDOWN, handleCountdown);
+    socket.on(EVENTS.GAME_START, handleGameStart);
+    socket.on(EVENTS.GAME_END, handleGameEnd);
 
     return () => {
-      socket.off('matchmaking:found', handleMatchmakingFound);
-      socket.off('matchmaking:timeout', handleMatchmakingTimeout);
-      socket.off('matchmaking:cancelled', handleMatchmakingCancelled);
-      socket.off('room:created', handleRoomCreated);
-      socket.off('room:joined', handleRoomJoined);
-      socket.off('room:player_joined', handlePlayerJoined);
-      socket.off('room:error', handleRoomError);
-      socket.off('game:countdown', handleCountdown);
-      socket.off('game:start', handleGameStart);
-      socket.off('game:end', handleGameEnd);
+      socket.off(EVENTS.MATCHMAKING_FOUND, handleMatchmakingFound);
+      socket.off(EVENTS.MATCHMAKING_TIMEOUT, handleMatchmakingTimeout);
+      socket.off(EVENTS.MATCHMAKING_CANCELLED, handleMatchmakingCancelled);
+      socket.off(EVENTS.ROOM_CREATED, handleRoomCreated);
+      socket.off(EVENTS.ROOM_JOINED, handleRoomJoined);
+      socket.off(EVENTS.ROOM_PLAYER_JOINED, handlePlayerJoined);
+      socket.off(EVENTS.ROOM_PLAYER_READY, handlePlayerReady);
+      socket.off(EVENTS.PLAYER_LEFT, handlePlayerLeft);
+      socket.off(EVENTS.ROOM_CLOSED, handleRoomClosed);
+      socket.off(EVENTS.ROOM_ERROR, handleRoomError);
+      socket.off(EVENTS.ROOM_SPECTATORS, handleSpectators);
+      socket.off(EVENTS.GAME_COUNTDOWN, handleCountdown);
+      socket.off(EVENTS.GAME_START, handleGameStart);
+      socket.off(EVENTS.GAME_END, handleGameEnd);
     };
-  }, [socket]);
+  }, [socket, walletAddress, username]);
 
   // Countdown timer
   const startCountdown = useCallback(() => {
@@ -241,20 +279,24 @@ export function useBattleFlow(socket) {
   const resetBattle = useCallback(() => {
     setBattleState('idle');
     setRoomData(null);
-    setOpponentData(null);
     setCountdownValue(null);
     setBattleResult(null);
     setEstimatedWaitTime(null);
   }, []);
 
+  // Spectators of our current room
+  const inRoom = !!roomData && spectators.roomId === roomData.roomId;
+
   return {
     // State
     battleState,
     roomData,
-    opponentData,
+    isHost: !!walletAddress && roomData?.players?.[0]?.address === walletAddress,
     countdownValue,
     battleResult,
     estimatedWaitTime,
+    spectatorCount: inRoom ? spectators.count : 0,
+    allowSpectators: inRoom ? spectators.allowSpectators : roomData?.allowSpectators ?? true,
     
     // Actions
     startMatchmaking,
@@ -263,6 +305,7 @@ export function useBattleFlow(socket) {
     joinPrivateRoom,
     setReady,
     leaveRoom,
+    setAllowSpectators,
     forfeitBattle,
     resetBattle,
   };
@@ -1,8 +1,10 @@
-import { useCurrentAccount, useSignAndExecuteTransaction, useSuiClient } from '@mysten/dapp-kit';
+import { useCurrentAccount, useSignAndExecuteTransaction, useSignPersonalMessage, useSuiClient } from '@mysten/dapp-kit';
 import { Transaction } from '@mysten/sui/transactions';
 import { bcs } from '@mysten/sui/bcs';
 import { useState, useCallback, useEffect } from 'react';
-import { CONTRACT_CONFIG, TX_CONFIG } from '../config.js';
+import { CONTRACT_CONFIG, TX_CONFIG, getScoreVerifierId } from '../config.js';
+import { getAttestationSignature, getAttestedStats } from '../scoreVerification.js';
+import { usernameResolver } from '../usernames.js';
 
 /**
  * Custom hook for blockchain interactions
@@ -11,6 +13,7 @@ import { CONTRACT_CONFIG, TX_CONFIG } from '../config.js';
 export const useBlockchain = () => {
     const account = useCurrentAccount();
     const { mutate: signAndExecuteTransaction } = useSignAndExecuteTransaction();
+    const { mutate: signPersonalMessage } = useSignPersonalMessage();
     const client = useSuiClient();
     
     const [isCreatingGameSeed, setIsCreatingGameSeed] = useState(false);
@@ -50,32 +53,20 @@ export const useBlockchain = () => {
                 return;
             }
 
-            // Not in localStorage, query blockchain
+            // Not in localStorage, look it up in the on-chain registry (e.g. registered on another device)
             console.log('🔗 Querying blockchain for username...');
-            try {
-                const registryObject = await client.getObject({
-                    id: CONTRACT_CONFIG.usernameRegistryId,
-                    options: { showContent: true },
-                });
-
-                const fields = registryObject.data?.content?.fields;
-                console.log('📋 Registry fields:', fields);
-
-                // Try to get username from the registry
-                // Note: This is a simplified check - actual implementation depends on contract structure
-                // For now, we'll just check localStorage and assume no on-chain username
-                console.log('⚠️ On-chain username lookup not fully implemented yet');
-                setUsername(null);
-                setIsLoadingUsername(false);
-            } catch (error) {
-                console.error('❌ Error querying blockchain:', error);
-                setUsername(null);
-                setIsLoadingUsername(false);
+            const resolved = await usernameResolver.resolve([account.address]);
+            const onChainUsername = resolved[account.address];
+            if (onChainUsername) {
+                localStorage.setItem(storageKey, onChainUsername);
+                console.log('✅ Username loaded from the registry:', onChainUsername);
             }
+            setUsername(onChainUsername);
+            setIsLoadingUsername(false);
         };
 
         loadUsername();
-    }, [account, client]);
+    }, [account]);
 
     /**
      * Create a new game seed on the blockchain
@@ -182,8 +173,11 @@ export const useBlockchain = () => {
 
     /**
      * Submit score to blockchain
+     * @param {string} gameSeedObjectId - GameSeed the game was played with
+     * @param {number} score - Verified score
+     * @param {Object} attestation - Signed attestation from the game server
      */
-    const submitScore = useCallback((gameSeedObjectId, score) => {
+    const submitScore = useCallback((gameSeedObjectId, score, attestation = null) => {
         return new Promise((resolve, reject) => {
             if (!account) {
                 reject(new Error('Wallet not connected'));
@@ -200,6 +194,19 @@ export const useBlockchain = () => {
                 return;
             }
 
+            if (attestation && attestation.score !== score) {
+                reject(new Error('Score does not match the verified score'));
+                return;
+            }
+
+            let scoreVerifierId;
+            try {
+                scoreVerifierId = getScoreVerifierId();
+            } catch (error) {
+                reject(error);
+                return;
+            }
+
             setIsSubmittingScore(true);
 
             const tx = new Transaction();
@@ -210,6 +217,9 @@ export const useBlockchain = () => {
                 arguments: [
                     tx.object(gameSeedObjectId),
                     tx.pure.u64(score),
+                    ...getAttestedStats(attestation).map(value => tx.pure.u64(value)),
+                    tx.object(scoreVerifierId),
+                    tx.pure.vector('u8', getAttestationSignature(attestation)),
                     tx.object(CONTRACT_CONFIG.leaderboardId),
                     tx.object(CONTRACT_CONFIG.treasuryId),
                     tx.object(CONTRACT_CONFIG.clockId),
@@ -247,6 +257,28 @@ export const useBlockchain = () => {
         });
     }, [account, signAndExecuteTransaction]);
 
+    /**
+     * Sign a text message with the connected wallet (e.g. a ranked run for the server)
+     * @param {string} message - Message text
+     * @returns {Promise<string>} - The wallet's serialized signature
+     */
+    const signMessage = useCallback((message) => {
+        return new Promise((resolve, reject) => {
+            if (!account) {
+                reject(new Error('Wallet not connected'));
+                return;
+            }
+
+            signPersonalMessage(
+                { message: new TextEncoder().encode(message) },
+                {
+                    onSuccess: (result) => resolve(result.signature),
+                    onError: reject,
+                }
+            );
+        });
+    }, [account, signPersonalMessage]);
+
     /**
      * Fetch leaderboard from blockchain
      */
@@ -274,13 +306,7 @@ export const useBlockchain = () => {
                 };
             });
 
-            // Query usernames for all players
-            const usernameRegistry = await client.getObject({
-                id: CONTRACT_CONFIG.usernameRegistryId,
-                options: { showContent: true },
-            });
-
-            // For each player, try to get their username
+            // Usernames from this device (set when registering); the view resolves the rest on-chain
             const scoresWithUsernames = await Promise.all(scores.map(async (score) => {
                 try {
                     // Try to get username from localStorage first
@@ -291,7 +317,6 @@ export const useBlockchain = () => {
                         return { ...score, username: localUsername };
                     }
                     
-                    // If not in localStorage, username not available (blockchain query is complex)
                     return score;
                 } catch (error) {
                     console.error('Error fetching username for', score.player, error);
@@ -388,38 +413,19 @@ export const useBlockchain = () => {
         try {
             setIsLoadingUsername(true);
 
-            // Query the username registry
-            const registryObject = await client.getObject({
-                id: CONTRACT_CONFIG.usernameRegistryId,
-                options: { showContent: true },
-            });
-
-            const fields = registryObject.data?.content?.fields;
-            const usernamesTable = fields?.usernames;
-
-            if (!usernamesTable) {
-                console.log('No usernames table found');
-                setUsername(null);
-                setIsLoadingUsername(false);
-                return null;
-            }
-
-            // TODO: Query the table for the user's address
-            // This is a placeholder - actual implementation depends on how the table is structured
-            // For now, we'll return null and implement this when the smart contract is deployed
-            
-            console.log('Username lookup not yet implemented');
-            setUsername(null);
+            // Look the wallet up in the on-chain username registry
+            const resolved = await usernameResolver.resolve([account.address]);
+            const onChainUsername = resolved[account.address];
+            setUsername(onChainUsername);
             setIsLoadingUsername(false);
-            return null;
-
+            return onChainUsername;
         } catch (error) {
             console.error('Error fetching username:', error);
             setUsername(null);
             setIsLoadingUsername(false);
             return null;
         }
-    }, [account, client]);
+    }, [account]);
 
     /**
      * Register a username for the connected wallet
@@ -474,6 +480,7 @@ export const useBlockchain = () => {
                     onSuccess: async (result) => {
                         try {
                             console.log('Username registration successful on blockchain:', result);
+                            usernameResolver.remember(account.address, usernameToRegister);
                             setIsRegisteringUsername(false);
                             resolve({
                                 success: true,
@@ -550,15 +557,9 @@ export const useBlockchain = () => {
                 {
                     onSuccess: async (result) => {
                         try {
+                            // Claimed skins are read from the wallet's BlockSkin NFTs (see useSkinNFT)
                             console.log('Skin NFT claimed successfully:', result);
-                            
-                            // Mark skin as claimed in localStorage
-                            const claimedSkins = JSON.parse(localStorage.getItem('claimedSkins') || '[]');
-                            if (!claimedSkins.includes(skinId)) {
-                                claimedSkins.push(skinId);
-                                localStorage.setItem('claimedSkins', JSON.stringify(claimedSkins));
-                            }
-                            
+
                             resolve({
                                 success: true,
                                 skinId,
@@ -591,6 +592,7 @@ export const useBlockchain = () => {
         playerBalance,
         createGameSeed,
         submitScore,
+        signMessage,
         fetchLeaderboard,
         fetchPlayerBalance,
         // Username functions
@@ -1,12 +1,15 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { TetrisGame } from '../game.js';
+import { TetrisGame, ACTIONS, GAME_EVENTS, END_REASONS, getDropInterval } from '../game.js';
+import { ReplayRecorder } from '../replay.js';
 import { useSoundEffects } from './useSoundEffects.js';
 
 /**
  * Custom hook for managing Tetris game state and logic
  * Wraps the existing TetrisGame class with React state management
+ * @param {Uint8Array|null} gameSeed - Seed for deterministic piece generation
+ * @param {Object} gameOptions - Rules passed to TetrisGame (e.g. { randomizer: '7-bag' })
  */
-export const useGame = (gameSeed = null) => {
+export const useGame = (gameSeed = null, gameOptions = {}) => {
     const [gameState, setGameState] = useState({
         grid: [],
         currentPiece: null,
@@ -22,85 +25,123 @@ export const useGame = (gameSeed = null) => {
     const [clearingLines, setClearingLines] = useState([]); // Lines currently being cleared (for animation)
     
     const gameRef = useRef(null);
+    const recorderRef = useRef(null); // Records every applied action for replays
     const gameSeedRef = useRef(gameSeed); // Store seed in ref
+    const gameOptionsRef = useRef(gameOptions); // Store per-game rules in ref
     const animationFrameRef = useRef(null);
     const lastDropTimeRef = useRef(0);
     const keysPressed = useRef(new Set()); // Track currently pressed keys
     const keyPressStartRef = useRef({ left: 0, right: 0, down: 0 }); // Track when key was first pressed
     const lastMoveTimeRef = useRef({ left: 0, right: 0, down: 0 }); // Track last move times for ARR
-    const previousScoreRef = useRef(0); // Track previous score for line clear detection
-    const previousLevelRef = useRef(1); // Track previous level for level up detection
+    const listenersRef = useRef(new Map()); // Event type -> Set of subscribers (see subscribe)
+    const inputListenersRef = useRef(new Set()); // Subscribers to recorded actions (see subscribeInputs)
+    const clearTimeoutRef = useRef(null); // Pending end of the line clear animation
     
     // Sound effects
     const sounds = useSoundEffects();
+    const soundsRef = useRef(sounds); // Latest sounds for engine event handlers
+    soundsRef.current = sounds;
 
     // Update seed ref when it changes
     useEffect(() => {
         gameSeedRef.current = gameSeed;
     }, [gameSeed]);
 
-    // Calculate drop interval based on level (balanced progression)
-    const getDropInterval = useCallback((level) => {
-        // Balanced: starts at 600ms, decreases by 70ms per level until level 7, then 10ms per level
-        if (level <= 6) {
-            return Math.max(90, 600 - (level - 1) * 70);
-        } else {
-            // Level 7: 90ms, Level 8: 80ms, Level 9: 70ms, Level 10: 60ms, etc.
-            return Math.max(30, 90 - (level - 7) * 10);
+    // Update options ref when they change
+    useEffect(() => {
+        gameOptionsRef.current = gameOptions;
+    }, [gameOptions]);
+
+    // Apply an engine action through the replay recorder
+    const perform = useCallback((action, timestamp) => {
+        const recorder = recorderRef.current;
+        if (!recorder) {
+            return false;
+        }
+
+        const changed = recorder.apply(action, timestamp);
+        if (changed) {
+            const input = recorder.events[recorder.events.length - 1];
+            for (const handler of [...inputListenersRef.current]) {
+                handler(input);
+            }
         }
+        return changed;
     }, []);
 
     // Update React state from game instance
     const updateGameState = useCallback(() => {
         if (gameRef.current) {
-            const newState = gameRef.current.getState();
-            const oldScore = previousScoreRef.current;
-            const oldLevel = previousLevelRef.current;
-            
-            // Detect line clear by score change
-            if (newState.score > oldScore) {
-                const scoreDiff = newState.score - oldScore;
-                // Calculate lines cleared based on score difference
-                // 100*level = 1 line, 300*level = 2 lines, 500*level = 3 lines, 800*level = 4 lines
-                const baseScore = scoreDiff / newState.level;
-                let linesCleared = 0;
-                if (baseScore >= 800) linesCleared = 4;
-                else if (baseScore >= 500) linesCleared = 3;
-                else if (baseScore >= 300) linesCleared = 2;
-                else if (baseScore >= 100) linesCleared = 1;
-                
-                if (linesCleared === 4) {
-                    sounds.playTetris(); // Special sound for Tetris!
-                } else if (linesCleared > 0) {
-                    sounds.playLineClear(linesCleared);
+            setGameState(gameRef.current.getState());
+            setRenderTrigger(prev => prev + 1); // Force re-render
+        }
+    }, []);
+
+    // Subscribe to engine events of every game this hook starts (see GAME_EVENTS)
+    // Returns an unsubscribe function
+    const subscribe = useCallback((type, handler) => {
+        const listeners = listenersRef.current;
+        if (!listeners.has(type)) {
+            listeners.set(type, new Set());
+        }
+        listeners.get(type).add(handler);
+        return () => listeners.get(type).delete(handler);
+    }, []);
+
+    // Subscribe to every action that changed the game, as { action, time } on the game clock
+    // (the input stream a multiplayer server simulates). Returns an unsubscribe function
+    const subscribeInputs = useCallback((handler) => {
+        inputListenersRef.current.add(handler);
+        return () => inputListenersRef.current.delete(handler);
+    }, []);
+
+    // Sounds and animations driven by engine events, then forwarded to subscribers
+    const handleGameEvent = useCallback((event, game) => {
+        const sfx = soundsRef.current;
+
+        switch (event.type) {
+            case GAME_EVENTS.PIECE_LOCKED:
+                sfx.playLock();
+                if (event.rows.length > 0) {
+                    setClearingLines(event.rows);
+                    clearTimeout(clearTimeoutRef.current);
+                    clearTimeoutRef.current = setTimeout(() => setClearingLines([]), 500);
                 }
-                
-                // Trigger line clear animation
-                if (newState.completeLines && newState.completeLines.length > 0) {
-                    setClearingLines(newState.completeLines);
-                    // Clear animation after 300ms
-                    setTimeout(() => {
-                        setClearingLines([]);
-                    }, 300);
+                break;
+            case GAME_EVENTS.LINES_CLEARED:
+                if (event.lines === 4 || event.tSpin) {
+                    sfx.playTetris(); // Special sound for Tetrises and T-spins!
+                } else {
+                    sfx.playLineClear(event.lines);
                 }
+                break;
+            case GAME_EVENTS.LEVEL_UP:
+                sfx.playLevelUp();
+                break;
+            case GAME_EVENTS.HOLD:
+                sfx.playHold();
+                break;
+            case GAME_EVENTS.GAME_OVER:
+                if (event.reason === END_REASONS.GOAL || event.reason === END_REASONS.TIME_UP) {
+                    sfx.playLevelUp(); // Finished, e.g. a Sprint or Ultra
+                } else {
+                    sfx.playGameOver();
+                }
+                break;
+            default:
+                break;
+        }
+
+        const handlers = listenersRef.current.get(event.type);
+        if (handlers) {
+            for (const handler of [...handlers]) {
+                handler(event, game);
             }
-            
-            // Detect level up
-            if (newState.level > oldLevel) {
-                sounds.playLevelUp();
-            }
-            
-            // Detect game over
-            if (newState.isGameOver && !gameState.isGameOver) {
-                sounds.playGameOver();
-            }
-            
-            previousScoreRef.current = newState.score;
-            previousLevelRef.current = newState.level;
-            setGameState(newState);
-            setRenderTrigger(prev => prev + 1); // Force re-render
         }
-    }, [sounds, gameState.isGameOver]);
+    }, []);
+
+    // Drop a pending animation timeout on unmount
+    useEffect(() => () => clearTimeout(clearTimeoutRef.current), []);
 
     // Game loop - only runs when game is active
     useEffect(() => {
@@ -130,7 +171,7 @@ export const useGame = (gameSeed = null) => {
                 
                 // Only auto-repeat after DAS delay has passed
                 if (timeSincePress >= DAS_DELAY && timeSinceLastMove >= ARR_DELAY) {
-                    if (gameRef.current.moveLeft()) {
+                    if (perform(ACTIONS.MOVE_LEFT, timestamp)) {
                         sounds.playMove();
                         needsUpdate = true;
                     }
@@ -144,7 +185,7 @@ export const useGame = (gameSeed = null) => {
                 
                 // Only auto-repeat after DAS delay has passed
                 if (timeSincePress >= DAS_DELAY && timeSinceLastMove >= ARR_DELAY) {
-                    if (gameRef.current.moveRight()) {
+                    if (perform(ACTIONS.MOVE_RIGHT, timestamp)) {
                         sounds.playMove();
                         needsUpdate = true;
                     }
@@ -158,76 +199,26 @@ export const useGame = (gameSeed = null) => {
                 
                 // Only auto-repeat after DAS delay has passed
                 if (timeSincePress >= DAS_DELAY && timeSinceLastMove >= ARR_DELAY) {
-                    if (gameRef.current.moveDown()) {
+                    if (perform(ACTIONS.SOFT_DROP, timestamp)) {
                         needsUpdate = true;
                     }
                     lastMoveTimeRef.current.down = timestamp;
                 }
             }
 
-            // Auto drop pieces
+            // Auto drop pieces (the battle server applies drops that come too late itself)
             const dropInterval = getDropInterval(state.level);
-            
             if (timestamp - lastDropTimeRef.current >= dropInterval) {
-                const oldPiece = gameRef.current.currentPiece;
-                
-                // Check if piece can move down
-                const canMoveDown = oldPiece && !gameRef.current.checkCollision(oldPiece, 0, 1);
-                
-                // If piece can't move down, it will lock - check for complete lines BEFORE update
-                let linesToClear = [];
-                if (!canMoveDown && oldPiece) {
-                    // Temporarily lock the piece to check what lines would be complete
-                    const tempGrid = JSON.parse(JSON.stringify(gameRef.current.grid));
-                    const shape = oldPiece.getShape();
-                    for (let y = 0; y < 4; y++) {
-                        for (let x = 0; x < 4; x++) {
-                            if (shape[y][x]) {
-                                const gridX = oldPiece.x + x;
-                                const gridY = oldPiece.y + y;
-                                if (gridY >= 0 && gridY < 20 && gridX >= 0 && gridX < 10) {
-                                    tempGrid[gridY][gridX] = oldPiece.type;
-                                }
-                            }
-                        }
-                    }
-                    // Check which lines are complete in temp grid
-                    for (let y = 0; y < 20; y++) {
-                        let isComplete = true;
-                        for (let x = 0; x < 10; x++) {
-                            if (tempGrid[y][x] === 0) {
-                                isComplete = false;
-                                break;
-                            }
-                        }
-                        if (isComplete) {
-                            linesToClear.push(y);
-                        }
-                    }
-                }
-                
-                gameRef.current.update();
-                const newPiece = gameRef.current.currentPiece;
-                
-                // If piece changed, it means the old piece was locked
-                if (oldPiece && newPiece && oldPiece !== newPiece) {
-                    sounds.playLock();
-                    
-                    // Show line clear animation if lines were detected
-                    if (linesToClear.length > 0) {
-                        console.log('Lines to clear:', linesToClear);
-                        setClearingLines(linesToClear);
-                        setTimeout(() => {
-                            console.log('Clearing animation');
-                            setClearingLines([]);
-                        }, 500); // Increased to 500ms to make it more visible
-                    }
-                }
-                
+                perform(ACTIONS.GRAVITY, timestamp);
                 needsUpdate = true;
                 lastDropTimeRef.current = timestamp;
             }
 
+            // Lock delay runs in the engine; a tick locks the piece once it expires
+            if (perform(ACTIONS.TICK, timestamp)) {
+                needsUpdate = true;
+            }
+
             // Update state if anything changed
             if (needsUpdate) {
                 updateGameState();
@@ -247,127 +238,146 @@ export const useGame = (gameSeed = null) => {
                 cancelAnimationFrame(animationFrameRef.current);
             }
         };
-    }, [isGameActive, getDropInterval, updateGameState]);
+    }, [isGameActive, updateGameState, perform]);
 
     // Start game
-    const startGame = useCallback(() => {
+    // A seed passed here takes effect immediately (the gameSeed prop only updates after re-render)
+    const startGame = useCallback((seed) => {
+        if (seed !== undefined) {
+            gameSeedRef.current = seed;
+        }
+
         // Create game instance only when starting
-        if (gameSeedRef.current) {
-            gameRef.current = new TetrisGame(gameSeedRef.current);
-        } else {
-            gameRef.current = new TetrisGame();
+        gameRef.current = new TetrisGame(gameSeedRef.current, gameOptionsRef.current);
+        for (const type of Object.values(GAME_EVENTS)) {
+            gameRef.current.on(type, handleGameEvent);
         }
         
         gameRef.current.start();
+        recorderRef.current = new ReplayRecorder(gameRef.current);
         updateGameState();
         setIsGameActive(true); // Activate game loop
         console.log('Game started, state:', gameRef.current.getState());
-    }, [updateGameState]);
+    }, [updateGameState, handleGameEvent]);
 
     // Pause/unpause game
     const togglePause = useCallback(() => {
         if (gameRef.current) {
             gameRef.current.togglePause();
+            recorderRef.current?.setPaused(gameRef.current.isPaused); // Paused time is off the game clock
             updateGameState();
         }
     }, [updateGameState]);
 
+    // Pause or unpause regardless of the current state (e.g. while a battle waits for a player)
+    const setPaused = useCallback((paused) => {
+        if (gameRef.current && gameRef.current.isPaused !== paused) {
+            togglePause();
+        }
+    }, [togglePause]);
+
     // Move left
     const moveLeft = useCallback(() => {
-        if (gameRef.current && gameRef.current.moveLeft()) {
+        if (perform(ACTIONS.MOVE_LEFT)) {
             sounds.playMove();
             updateGameState();
         }
-    }, [updateGameState, sounds]);
+    }, [updateGameState, sounds, perform]);
 
     // Move right
     const moveRight = useCallback(() => {
-        if (gameRef.current && gameRef.current.moveRight()) {
+        if (perform(ACTIONS.MOVE_RIGHT)) {
             sounds.playMove();
             updateGameState();
         }
-    }, [updateGameState, sounds]);
+    }, [updateGameState, sounds, perform]);
 
-    // Rotate
+    // Rotate clockwise
     const rotate = useCallback(() => {
-        if (gameRef.current && gameRef.current.rotate()) {
+        if (perform(ACTIONS.ROTATE_CW)) {
+            sounds.playRotate();
+            updateGameState();
+        }
+    }, [updateGameState, sounds, perform]);
+
+    // Rotate counter-clockwise
+    const rotateCounterClockwise = useCallback(() => {
+        if (perform(ACTIONS.ROTATE_CCW)) {
+            sounds.playRotate();
+            updateGameState();
+        }
+    }, [updateGameState, sounds, perform]);
+
+    // Rotate 180 degrees
+    const rotate180 = useCallback(() => {
+        if (perform(ACTIONS.ROTATE_180)) {
             sounds.playRotate();
             updateGameState();
         }
-    }, [updateGameState, sounds]);
+    }, [updateGameState, sounds, perform]);
 
     // Soft drop
     const softDrop = useCallback(() => {
-        if (gameRef.current && gameRef.current.moveDown()) {
+        if (perform(ACTIONS.SOFT_DROP)) {
             sounds.playSoftDrop();
             updateGameState();
         }
-    }, [updateGameState, sounds]);
+    }, [updateGameState, sounds, perform]);
 
-    // Hard drop
+    // Hard drop (lock sound and line clear animation come from the pieceLocked event)
     const hardDrop = useCallback(() => {
-        if (gameRef.current) {
-            const oldPiece = gameRef.current.currentPiece;
-            
-            // Check for complete lines BEFORE clearing
-            if (oldPiece) {
-                // Simulate locking the piece after hard drop
-                gameRef.current.hardDrop();
-                const tempGrid = JSON.parse(JSON.stringify(gameRef.current.grid));
-                const shape = oldPiece.getShape();
-                for (let y = 0; y < 4; y++) {
-                    for (let x = 0; x < 4; x++) {
-                        if (shape[y][x]) {
-                            const gridX = oldPiece.x + x;
-                            const gridY = oldPiece.y + y;
-                            if (gridY >= 0 && gridY < 20 && gridX >= 0 && gridX < 10) {
-                                tempGrid[gridY][gridX] = oldPiece.type;
-                            }
-                        }
-                    }
-                }
-                
-                // Check which lines are complete
-                const linesToClear = [];
-                for (let y = 0; y < 20; y++) {
-                    let isComplete = true;
-                    for (let x = 0; x < 10; x++) {
-                        if (tempGrid[y][x] === 0) {
-                            isComplete = false;
-                            break;
-                        }
-                    }
-                    if (isComplete) {
-                        linesToClear.push(y);
-                    }
-                }
-                
-                sounds.playHardDrop();
-                gameRef.current.update(); // Lock piece and spawn new one
-                sounds.playLock();
-                
-                // Show line clear animation
-                if (linesToClear.length > 0) {
-                    console.log('Hard drop - Lines to clear:', linesToClear);
-                    setClearingLines(linesToClear);
-                    setTimeout(() => {
-                        console.log('Clearing animation');
-                        setClearingLines([]);
-                    }, 500);
-                }
-            }
-            
+        if (gameRef.current && gameRef.current.currentPiece) {
+            sounds.playHardDrop();
+            perform(ACTIONS.HARD_DROP); // Drop, lock piece and spawn new one
             updateGameState();
         }
-    }, [updateGameState, sounds]);
+    }, [updateGameState, sounds, perform]);
 
-    // Hold piece
+    // Hold piece (sound comes from the hold event)
     const holdPiece = useCallback(() => {
-        if (gameRef.current && gameRef.current.holdCurrentPiece()) {
-            sounds.playHold();
+        if (perform(ACTIONS.HOLD)) {
+            updateGameState();
+        }
+    }, [updateGameState, perform]);
+
+    // Add garbage rows sent by an opponent to the current game
+    // holes: hole column per row from the server's garbage event
+    const addGarbageLines = useCallback((lines, holes = null) => {
+        if (gameRef.current) {
+            gameRef.current.addGarbageLines(lines, holes);
             updateGameState();
         }
-    }, [updateGameState, sounds]);
+    }, [updateGameState]);
+
+    // Hash of the current game state (see TetrisGame.getStateHash), or null before the first start
+    const getStateHash = useCallback(() => {
+        return gameRef.current ? gameRef.current.getStateHash() : null;
+    }, []);
+
+    // Rebase the current game on a snapshot (e.g. the server's copy of it), then
+    // re-apply inputs made after it: { action, time } or { holes } for risen garbage.
+    // Re-applied inputs are not recorded or sent to input subscribers again.
+    const restoreSnapshot = useCallback((snapshot, inputs = []) => {
+        const game = gameRef.current;
+        if (!game) {
+            return;
+        }
+
+        game.restoreSnapshot(snapshot);
+        for (const input of inputs) {
+            if (input.holes) {
+                game.addGarbageLines(input.holes.length, input.holes);
+            } else {
+                game.applyAction(input.action, input.time);
+            }
+        }
+        updateGameState();
+    }, [updateGameState]);
+
+    // Replay of the current game (see replay.js), or null before the first start
+    const getReplay = useCallback(() => {
+        return recorderRef.current ? recorderRef.current.getReplay() : null;
+    }, []);
 
     // Keyboard controls - track key down/up for smooth movement
     useEffect(() => {
@@ -375,7 +385,7 @@ export const useGame = (gameSeed = null) => {
             if (gameState.isGameOver) return;
 
             // Prevent default for game keys
-            if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Space', 'KeyP', 'KeyC'].includes(event.code)) {
+            if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Space', 'KeyP', 'KeyC', 'KeyZ', 'KeyA'].includes(event.code)) {
                 event.preventDefault();
             }
 
@@ -387,6 +397,18 @@ export const useGame = (gameSeed = null) => {
                         keysPressed.current.add('ArrowUp');
                     }
                     break;
+                case 'KeyZ':
+                    if (!keysPressed.current.has('KeyZ')) {
+                        rotateCounterClockwise();
+                        keysPressed.current.add('KeyZ');
+                    }
+                    break;
+                case 'KeyA':
+                    if (!keysPressed.current.has('KeyA')) {
+                        rotate180();
+                        keysPressed.current.add('KeyA');
+                    }
+                    break;
                 case 'Space':
                     if (!keysPressed.current.has('Space')) {
                         hardDrop();
@@ -448,7 +470,7 @@ export const useGame = (gameSeed = null) => {
             window.removeEventListener('keydown', handleKeyDown);
             window.removeEventListener('keyup', handleKeyUp);
         };
-    }, [gameState.isGameOver, moveLeft, moveRight, rotate, softDrop, hardDrop, togglePause, holdPiece]);
+    }, [gameState.isGameOver, moveLeft, moveRight, rotate, rotateCounterClockwise, rotate180, softDrop, hardDrop, togglePause, holdPiece]);
 
     return {
         gameState,
@@ -456,10 +478,19 @@ export const useGame = (gameSeed = null) => {
         clearingLines,
         startGame,
         togglePause,
+        setPaused,
         moveLeft,
         moveRight,
         rotate,
+        rotateCounterClockwise,
+        rotate180,
         softDrop,
-        hardDrop
+        hardDrop,
+        addGarbageLines,
+        subscribe,
+        subscribeInputs,
+        getStateHash,
+        restoreSnapshot,
+        getReplay
     };
 };
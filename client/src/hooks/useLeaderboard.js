@@ -0,0 +1,112 @@
+import { useState, useEffect, useCallback } from 'react';
+import { LEADERBOARD_WINDOWS, fetchLeaderboardPage, fetchPlayerStanding } from '../leaderboardApi.js';
+import { GAME_MODES } from '../modes.js';
+
+const PAGE_SIZE = 10;
+const NEIGHBORS = 2; // Ranks shown above and below the player's own
+
+/**
+ * Hook for the server's indexed leaderboard
+ * Pages through the rankings of a mode (Marathon or Sprint) in a window
+ * (today, this week or all time) and keeps the connected player's rank with
+ * the players around it.
+ *
+ * @param {string|null} walletAddress - Connected player, if any
+ */
+export function useLeaderboard(walletAddress) {
+    const [mode, setModeState] = useState(GAME_MODES.MARATHON);
+    const [timeWindow, setTimeWindowState] = useState(LEADERBOARD_WINDOWS.ALL_TIME);
+    const [page, setPage] = useState(1);
+    const [entries, setEntries] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [standing, setStanding] = useState(null); // { entry, neighbors, total } of the connected player
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [refreshCount, setRefreshCount] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const load = async () => {
+            setIsLoading(true);
+            try {
+                const [pageData, playerStanding] = await Promise.all([
+                    fetchLeaderboardPage(mode, timeWindow, page, PAGE_SIZE),
+                    walletAddress ? fetchPlayerStanding(mode, timeWindow, walletAddress, NEIGHBORS) : null
+                ]);
+                if (cancelled) return;
+
+                setEntries(pageData.entries);
+                setTotal(pageData.total);
+                setStanding(playerStanding);
+                setError(null);
+            } catch (err) {
+                if (cancelled) return;
+                console.error('Error fetching indexed leaderboard:', err);
+                setError(err.message);
+            } finally {
+                if (!cancelled) {
+                    setIsLoading(false);
+                }
+            }
+        };
+
+        load();
+        return () => {
+            cancelled = true;
+        };
+    }, [mode, timeWindow, page, walletAddress, refreshCount]);
+
+    const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+    // The other mode's entries are ranked differently, so they aren't kept meanwhile
+    const setMode = useCallback((nextMode) => {
+        setModeState(nextMode);
+        setEntries([]);
+        setTotal(0);
+        setStanding(null);
+        setPage(1);
+    }, []);
+
+    const setTimeWindow = useCallback((nextWindow) => {
+        setTimeWindowState(nextWindow);
+        setPage(1);
+    }, []);
+
+    const nextPage = useCallback(() => {
+        setPage(current => Math.min(current + 1, pageCount));
+    }, [pageCount]);
+
+    const previousPage = useCallback(() => {
+        setPage(current => Math.max(current - 1, 1));
+    }, []);
+
+    // Jump to the page with the connected player's rank
+    const goToPlayer = useCallback(() => {
+        if (standing) {
+            setPage(Math.ceil(standing.entry.rank / PAGE_SIZE));
+        }
+    }, [standing]);
+
+    const refresh = useCallback(() => {
+        setRefreshCount(count => count + 1);
+    }, []);
+
+    return {
+        mode,
+        setMode,
+        timeWindow,
+        setTimeWindow,
+        page,
+        pageCount,
+        entries,
+        total,
+        standing,
+        isLoading,
+        error,
+        nextPage,
+        previousPage,
+        goToPlayer,
+        refresh,
+    };
+}
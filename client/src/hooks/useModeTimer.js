@@ -0,0 +1,100 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { GAME_EVENTS, END_REASONS } from '../game.js';
+import { ModeTimer, getModeConfig } from '../modes.js';
+
+const DISPLAY_INTERVAL = 50; // ms between timer display refreshes (the final time is exact)
+
+/**
+ * Hook that times runs of a game mode from useGame's events
+ * The display runs on the browser clock; splits and the final time are read
+ * from the game clock, so they match the replay the server ranks.
+ * @param {Function} subscribe - Game event subscription from useGame
+ * @param {string} mode - One of GAME_MODES
+ * @param {boolean} isPaused - Whether the game is paused (paused time is not counted)
+ */
+export function useModeTimer(subscribe, mode, isPaused) {
+    const timerRef = useRef(new ModeTimer());
+    const [elapsed, setElapsed] = useState(0);
+    const [splits, setSplits] = useState([]);
+    const [isRunning, setIsRunning] = useState(false);
+    const [result, setResult] = useState(null); // { time, splits, reason, finished } once the run ends
+
+    // Start timing a new run (call right after startGame)
+    const start = useCallback(() => {
+        const config = getModeConfig(mode);
+        timerRef.current = new ModeTimer({
+            splitLines: config.splitLines,
+            lineGoal: config.options.lineGoal ?? null
+        });
+        timerRef.current.start();
+        setElapsed(0);
+        setSplits([]);
+        setResult(null);
+        setIsRunning(true);
+    }, [mode]);
+
+    // Stop and clear the timer (e.g. when leaving a run early)
+    const reset = useCallback(() => {
+        timerRef.current.reset();
+        setElapsed(0);
+        setSplits([]);
+        setResult(null);
+        setIsRunning(false);
+    }, []);
+
+    // Splits on line clears, final time on game over
+    useEffect(() => {
+        if (!subscribe) return;
+
+        const unsubscribeLines = subscribe(GAME_EVENTS.LINES_CLEARED, (event, game) => {
+            if (timerRef.current.recordLines(game.linesCleared, game.currentTime).length > 0) {
+                setSplits([...timerRef.current.splits]);
+            }
+        });
+
+        const unsubscribeOver = subscribe(GAME_EVENTS.GAME_OVER, (event, game) => {
+            const timer = timerRef.current;
+            if (!timer.isRunning()) return;
+
+            const time = timer.stop(game.currentTime);
+            setElapsed(time);
+            setIsRunning(false);
+            setResult({
+                time,
+                splits: [...timer.splits],
+                reason: event.reason,
+                finished: event.reason === END_REASONS.GOAL || event.reason === END_REASONS.TIME_UP
+            });
+        });
+
+        return () => {
+            unsubscribeLines();
+            unsubscribeOver();
+        };
+    }, [subscribe]);
+
+    // Don't count paused time
+    useEffect(() => {
+        timerRef.current.setPaused(isPaused);
+    }, [isPaused]);
+
+    // Refresh the displayed time while running
+    useEffect(() => {
+        if (!isRunning) return;
+
+        const interval = setInterval(() => {
+            setElapsed(timerRef.current.getElapsed());
+        }, DISPLAY_INTERVAL);
+
+        return () => clearInterval(interval);
+    }, [isRunning]);
+
+    return {
+        elapsed,
+        splits,
+        isRunning,
+        result,
+        start,
+        reset
+    };
+}
@@ -0,0 +1,109 @@
+import { useState, useEffect, useCallback } from 'react';
+import { GAME_EVENTS } from '../game.js';
+import {
+    GUEST_PLAYER,
+    fetchPlayerProfile,
+    loadLocalProfile,
+    recordLocalGame,
+    getPiecesPerSecond
+} from '../playerProfile.js';
+
+/**
+ * Hook for the player's lifetime totals
+ * Shows the server's totals for the connected wallet; without a wallet, or
+ * when the server can't be reached, this device's own totals. Every solo
+ * game finished here is added to the device's totals.
+ *
+ * @param {Function} subscribe - Solo game event subscription from useGame
+ * @param {string|null} walletAddress - Connected player, if any
+ */
+export function usePlayerProfile(subscribe, walletAddress) {
+    const player = walletAddress || GUEST_PLAYER;
+    const [localProfile, setLocalProfile] = useState(() => loadLocalProfile(player));
+    const [serverProfile, setServerProfile] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [refreshCount, setRefreshCount] = useState(0);
+
+    useEffect(() => {
+        setLocalProfile(loadLocalProfile(player));
+    }, [player]);
+
+    useEffect(() => {
+        setServerProfile(null);
+        if (!walletAddress) return;
+
+        let cancelled = false;
+        setIsLoading(true);
+
+        fetchPlayerProfile(walletAddress)
+            .then((profile) => {
+                if (cancelled) return;
+                setServerProfile(profile);
+                setError(null);
+            })
+            .catch((err) => {
+                if (cancelled) return;
+                console.error('Error fetching player profile:', err);
+                setError(err.message);
+            })
+            .finally(() => {
+                if (!cancelled) {
+                    setIsLoading(false);
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [walletAddress, refreshCount]);
+
+    // Add every finished solo game to this device's totals
+    useEffect(() => {
+        if (!subscribe) return;
+
+        return subscribe(GAME_EVENTS.GAME_OVER, (event, game) => {
+            setLocalProfile(recordLocalGame(player, {
+                linesCleared: game.linesCleared,
+                tetrisCount: game.tetrisCount,
+                maxCombo: game.maxCombo,
+                piecesPlaced: game.piecesPlaced,
+                time: game.currentTime
+            }));
+        });
+    }, [subscribe, player]);
+
+    /**
+     * Add a finished battle to this device's totals
+     * @param {Object} gameState - The local board's final state
+     * @param {boolean} won - Whether the local player won
+     * @param {number} duration - Battle length in ms
+     */
+    const recordBattle = useCallback((gameState, won, duration) => {
+        setLocalProfile(recordLocalGame(player, {
+            linesCleared: gameState.linesCleared,
+            tetrisCount: gameState.tetrisCount,
+            maxCombo: gameState.maxCombo,
+            piecesPlaced: gameState.piecesPlaced,
+            time: duration
+        }, { battles: 1, battlesWon: won ? 1 : 0, battlesLost: won ? 0 : 1 }));
+    }, [player]);
+
+    const refresh = useCallback(() => {
+        setRefreshCount(count => count + 1);
+    }, []);
+
+    const profile = serverProfile || localProfile;
+
+    return {
+        profile,
+        piecesPerSecond: getPiecesPerSecond(profile),
+        source: serverProfile ? 'server' : 'local',
+        localProfile,
+        serverProfile,
+        isLoading,
+        error,
+        recordBattle,
+        refresh,
+    };
+}
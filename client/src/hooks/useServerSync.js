@@ -0,0 +1,183 @@
+import { useState, useEffect, useRef } from 'react';
+import { GAME_EVENTS } from '../game.js';
+import { GarbageQueue, calculateAttack } from '../attack.js';
+import { EVENTS } from '../protocol.js';
+
+const INPUT_BATCH_INTERVAL = 100; // ms between input batches sent to the server
+
+/**
+ * Hook that plays a local game against the server's simulation of it
+ *
+ * Every action that changes the game is numbered and sent to the server in
+ * batches (game:input). The server runs the same engine on the same seed,
+ * so after each batch its checkpoint hash should match ours; if it doesn't,
+ * we ask for its copy of the game, rebase onto it and send again every input
+ * it hasn't applied (game:resync). After a reconnect (game:resume) we rebase
+ * the same way.
+ * Incoming garbage rises here after its delay, and the point where it rose
+ * goes into the input stream so the server adds it at the same moment.
+ *
+ * @param {Object} socket - Socket.IO connection
+ * @param {string} roomId - Battle room
+ * @param {Object} localGame - useGame() of the local player
+ * @param {boolean} isActive - Whether the battle is being played
+ * @param {boolean} isPaused - Whether the battle is paused (pending garbage waits)
+ */
+export function useServerSync(socket, roomId, localGame, isActive, isPaused = false) {
+  const [incomingGarbageLines, setIncomingGarbageLines] = useState(0);
+
+  const queueRef = useRef(new GarbageQueue());
+  const seqRef = useRef(0);
+  const outboxRef = useRef([]); // Inputs not sent yet
+  const unackedRef = useRef([]); // Inputs the server hasn't checkpointed yet (including outbox)
+  const hashesRef = useRef(new Map()); // Last seq of a sent batch -> our state hash after it
+  const awaitingResyncRef = useRef(false);
+  const pausedAtRef = useRef(null); // When the battle paused, or null while it runs
+
+  const { subscribe, subscribeInputs, addGarbageLines, getStateHash, restoreSnapshot } = localGame;
+
+  // Number and queue every recorded action
+  useEffect(() => {
+    if (!isActive) return;
+
+    seqRef.current = 0;
+    outboxRef.current = [];
+    unackedRef.current = [];
+    hashesRef.current.clear();
+    awaitingResyncRef.current = false;
+
+    return subscribeInputs((input) => {
+      const entry = { seq: ++seqRef.current, action: input.action, time: input.time };
+      outboxRef.current.push(entry);
+      unackedRef.current.push(entry);
+    });
+  }, [isActive, subscribeInputs]);
+
+  // Our attacks cancel our pending garbage first, as on the server
+  useEffect(() => {
+    if (!isActive) return;
+
+    return subscribe(GAME_EVENTS.LINES_CLEARED, (event) => {
+      const queue = queueRef.current;
+      queue.cancel(calculateAttack(event));
+      setIncomingGarbageLines(queue.getPendingLines());
+    });
+  }, [isActive, subscribe]);
+
+  // Pending garbage waits out a pause, as on the server
+  useEffect(() => {
+    if (isPaused) {
+      if (pausedAtRef.current === null) {
+        pausedAtRef.current = Date.now();
+      }
+    } else if (pausedAtRef.current !== null) {
+      queueRef.current.postpone(Date.now() - pausedAtRef.current, pausedAtRef.current);
+      pausedAtRef.current = null;
+    }
+  }, [isPaused]);
+
+  // Raise garbage whose delay is over, then send the batch
+  useEffect(() => {
+    if (!socket || !roomId || !isActive) return;
+
+    const interval = setInterval(() => {
+      const queue = queueRef.current;
+      const risen = pausedAtRef.current === null ? queue.takeReady(Date.now()) : [];
+      for (const entry of risen) {
+        addGarbageLines(entry.lines, entry.holes);
+        const marker = { seq: ++seqRef.current, garbage: entry.id, holes: entry.holes };
+        outboxRef.current.push(marker);
+        unackedRef.current.push(marker);
+      }
+      if (risen.length > 0) {
+        setIncomingGarbageLines(queue.getPendingLines());
+      }
+
+      const batch = outboxRef.current;
+      if (batch.length === 0) return;
+
+      outboxRef.current = [];
+      hashesRef.current.set(batch[batch.length - 1].seq, getStateHash());
+      socket.emit(EVENTS.GAME_INPUT, {
+        roomId,
+        inputs: batch.map(({ holes, ...input }) => input), // The server has its own copy of the holes
+      });
+    }, INPUT_BATCH_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [socket, roomId, isActive, addGarbageLines, getStateHash]);
+
+  // Server messages: garbage, checkpoints, resyncs and resumes
+  useEffect(() => {
+    if (!socket || !roomId || !isActive) return;
+
+    const queue = queueRef.current;
+
+    const handleGarbageIncoming = (garbageEvent) => {
+      const { id, holes, delay } = garbageEvent;
+      queue.add(holes, Date.now() + delay, id, Date.now());
+      setIncomingGarbageLines(queue.getPendingLines());
+    };
+
+    const handleCheckpoint = ({ seq, hash }) => {
+      unackedRef.current = unackedRef.current.filter(input => input.seq > seq);
+
+      const hashes = hashesRef.current;
+      const expected = hashes.get(seq);
+      for (const key of hashes.keys()) {
+        if (key <= seq) hashes.delete(key);
+      }
+
+      if (expected !== undefined && expected !== hash && !awaitingResyncRef.current) {
+        console.warn('Game state diverged from the server at input', seq);
+        awaitingResyncRef.current = true;
+        socket.emit(EVENTS.GAME_RESYNC_REQUEST, { roomId });
+      }
+    };
+
+    const handleResync = ({ seq, snapshot, garbage }) => {
+      awaitingResyncRef.current = false;
+      hashesRef.current.clear(); // Hashes of batches in flight were taken before the rebase
+
+      // Inputs the server hasn't applied yet are re-applied on top of its state
+      // and sent again (it skips any it gets twice), or the next checkpoint diverges too
+      const pending = unackedRef.current.filter(input => input.seq > seq);
+      unackedRef.current = pending;
+      outboxRef.current = [...pending];
+      const risen = new Set(pending.filter(input => input.holes).map(input => input.garbage));
+
+      // Take the server's pending garbage, keeping our rise times for attacks we know
+      const readyAt = new Map(queue.entries.map(entry => [entry.id, entry.readyAt]));
+      queue.clear();
+      for (const entry of garbage) {
+        if (!risen.has(entry.id)) {
+          queue.add(entry.holes, readyAt.get(entry.id) ?? Date.now(), entry.id);
+        }
+      }
+
+      restoreSnapshot(snapshot, pending);
+      setIncomingGarbageLines(queue.getPendingLines());
+    };
+
+    // Batches sent while the connection was down never arrived; the resync sends them again
+    const handleResume = ({ resync }) => {
+      handleResync(resync);
+    };
+
+    socket.on(EVENTS.GAME_GARBAGE_INCOMING, handleGarbageIncoming);
+    socket.on(EVENTS.GAME_CHECKPOINT, handleCheckpoint);
+    socket.on(EVENTS.GAME_RESYNC, handleResync);
+    socket.on(EVENTS.GAME_RESUME, handleResume);
+
+    return () => {
+      socket.off(EVENTS.GAME_GARBAGE_INCOMING, handleGarbageIncoming);
+      socket.off(EVENTS.GAME_CHECKPOINT, handleCheckpoint);
+      socket.off(EVENTS.GAME_RESYNC, handleResync);
+      socket.off(EVENTS.GAME_RESUME, handleResume);
+      queue.clear();
+      setIncomingGarbageLines(0);
+    };
+  }, [socket, roomId, isActive, restoreSnapshot]);
+
+  return { incomingGarbageLines };
+}
@@ -1,8 +1,9 @@
-import { useState, useCallback } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useCurrentAccount, useSignAndExecuteTransaction, useSuiClient } from '@mysten/dapp-kit';
 import { Transaction } from '@mysten/sui/transactions';
 import { bcs } from '@mysten/sui/bcs';
 import { CONTRACT_CONFIG, TX_CONFIG } from '../config.js';
+import { getClaimedSkinIds, loadSkinProgress, saveSkinProgress } from '../skinProgress.js';
 
 /**
  * Hook for managing skin NFT operations (claim, transfer, marketplace)
@@ -13,6 +14,79 @@ export function useSkinNFT() {
     const suiClient = useSuiClient();
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
+    const address = account?.address ?? null;
+    // Skins the wallet owns as NFTs, cached until the chain has answered
+    const [claimedSkins, setClaimedSkins] = useState(() => (address ? loadSkinProgress(address).claimedSkins : []));
+
+    /**
+     * Query user's owned BlockSkin NFTs from blockchain (throws if the query fails)
+     * Returns array of { objectId, skinName, colors, rarity }
+     */
+    const fetchOwnedNFTs = useCallback(async () => {
+        if (!account) {
+            return [];
+        }
+
+        // Query owned objects filtered by BlockSkin type
+        const ownedObjects = await suiClient.getOwnedObjects({
+            owner: account.address,
+            filter: {
+                StructType: `${CONTRACT_CONFIG.packageId}::${CONTRACT_CONFIG.moduleName}::BlockSkin`
+            },
+            options: {
+                showContent: true,
+                showType: true,
+            }
+        });
+
+        // Parse the NFT data
+        return ownedObjects.data.map(obj => {
+            const fields = obj.data?.content?.fields;
+            return {
+                objectId: obj.data.objectId,
+                skinName: fields?.name || 'Unknown',
+                colors: fields?.colors || [],
+                rarity: fields?.rarity || 0,
+            };
+        });
+    }, [account, suiClient]);
+
+    /**
+     * Query user's owned BlockSkin NFTs from blockchain
+     * Returns array of { objectId, skinName, colors, rarity }, or [] if the query fails
+     */
+    const getOwnedNFTs = useCallback(async () => {
+        try {
+            return await fetchOwnedNFTs();
+        } catch (error) {
+            console.error('Failed to query owned NFTs:', error);
+            return [];
+        }
+    }, [fetchOwnedNFTs]);
+
+    /**
+     * Re-read which skins the wallet owns as NFTs
+     */
+    const refreshClaimedSkins = useCallback(async () => {
+        if (!address) {
+            return;
+        }
+
+        try {
+            const skinIds = getClaimedSkinIds(await fetchOwnedNFTs());
+            setClaimedSkins(skinIds);
+            saveSkinProgress(address, { claimedSkins: skinIds });
+        } catch (error) {
+            // Keep the cached claims
+            console.error('Failed to load claimed skins:', error);
+        }
+    }, [address, fetchOwnedNFTs]);
+
+    // Show the wallet's cached claims, then read them from the chain
+    useEffect(() => {
+        setClaimedSkins(address ? loadSkinProgress(address).claimedSkins : []);
+        refreshClaimedSkins();
+    }, [address, refreshClaimedSkins]);
 
     /**
      * Claim a skin as NFT
@@ -62,14 +136,14 @@ export function useSkinNFT() {
                 {
                     onSuccess: (result) => {
                         console.log('✅ Skin NFT claimed successfully:', result);
-                        
-                        // Update claimed status in localStorage
-                        const claimedSkins = JSON.parse(localStorage.getItem('claimedSkins') || '[]');
-                        if (!claimedSkins.includes(skinId)) {
-                            claimedSkins.push(skinId);
-                            localStorage.setItem('claimedSkins', JSON.stringify(claimedSkins));
-                        }
-                        
+
+                        // The new NFT shows up in the next owned-objects read; count it until then
+                        setClaimedSkins((current) => {
+                            const updated = current.includes(skinId) ? current : [...current, skinId];
+                            saveSkinProgress(account.address, { claimedSkins: updated });
+                            return updated;
+                        });
+
                         setIsLoading(false);
                         resolve(result);
                     },
@@ -117,6 +191,7 @@ export function useSkinNFT() {
                 {
                     onSuccess: (result) => {
                         console.log('✅ Skin NFT listed successfully:', result);
+                        refreshClaimedSkins();
                         setIsLoading(false);
                         resolve(result);
                     },
@@ -130,7 +205,7 @@ export function useSkinNFT() {
                 }
             );
         });
-    }, [account, signAndExecuteTransaction]);
+    }, [account, signAndExecuteTransaction, refreshClaimedSkins]);
 
     /**
      * Buy skin NFT from marketplace using TETRI tokens
@@ -187,6 +262,7 @@ export function useSkinNFT() {
                     {
                         onSuccess: (result) => {
                             console.log('✅ Skin NFT purchased successfully:', result);
+                            refreshClaimedSkins();
                             setIsLoading(false);
                             resolve(result);
                         },
@@ -205,7 +281,7 @@ export function useSkinNFT() {
             setError(error.message);
             throw error;
         }
-    }, [account, signAndExecuteTransaction, suiClient]);
+    }, [account, signAndExecuteTransaction, suiClient, refreshClaimedSkins]);
 
     /**
      * Cancel marketplace listing
@@ -236,6 +312,7 @@ export function useSkinNFT() {
                 {
                     onSuccess: (result) => {
                         console.log('✅ Listing cancelled successfully:', result);
+                        refreshClaimedSkins();
                         setIsLoading(false);
                         resolve(result);
                     },
@@ -249,66 +326,21 @@ export function useSkinNFT() {
                 }
             );
         });
-    }, [account, signAndExecuteTransaction]);
+    }, [account, signAndExecuteTransaction, refreshClaimedSkins]);
 
     /**
-     * Get claimed skins from localStorage
+     * Get ids of the skins owned as NFTs
      */
     const getClaimedSkins = useCallback(() => {
-        return JSON.parse(localStorage.getItem('claimedSkins') || '[]');
-    }, []);
-
-    /**
-     * Query user's owned BlockSkin NFTs from blockchain
-     * Returns array of { objectId, skinName, colors, rarity }
-     */
-    const getOwnedNFTs = useCallback(async () => {
-        if (!account) {
-            return [];
-        }
-
-        try {
-            console.log('Querying owned NFTs for address:', account.address);
-            
-            // Query owned objects filtered by BlockSkin type
-            const ownedObjects = await suiClient.getOwnedObjects({
-                owner: account.address,
-                filter: {
-                    StructType: `${CONTRACT_CONFIG.packageId}::${CONTRACT_CONFIG.moduleName}::BlockSkin`
-                },
-                options: {
-                    showContent: true,
-                    showType: true,
-                }
-            });
-
-            console.log('Owned NFTs:', ownedObjects);
-
-            // Parse the NFT data
-            const nfts = ownedObjects.data.map(obj => {
-                const fields = obj.data?.content?.fields;
-                return {
-                    objectId: obj.data.objectId,
-                    skinName: fields?.name || 'Unknown',
-                    colors: fields?.colors || [],
-                    rarity: fields?.rarity || 0,
-                };
-            });
-
-            return nfts;
-        } catch (error) {
-            console.error('Failed to query owned NFTs:', error);
-            return [];
-        }
-    }, [account, suiClient]);
+        return claimedSkins;
+    }, [claimedSkins]);
 
     /**
      * Check if a skin is claimed
      */
     const isSkinClaimed = useCallback((skinId) => {
-        const claimedSkins = getClaimedSkins();
         return claimedSkins.includes(skinId);
-    }, [getClaimedSkins]);
+    }, [claimedSkins]);
 
     return {
         claimSkinNFT,
@@ -317,6 +349,7 @@ export function useSkinNFT() {
         cancelListing,
         getClaimedSkins,
         getOwnedNFTs,
+        refreshClaimedSkins,
         isSkinClaimed,
         isLoading,
         error,
@@ -1,74 +1,162 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useCurrentAccount } from '@mysten/dapp-kit';
 import { SKINS, getUnlockedSkins } from '../skinConfig.js';
+import { GAME_EVENTS } from '../game.js';
+import { addGameToProfile, fetchPlayerProfile } from '../playerProfile.js';
+import {
+    fetchVerifiedStats,
+    getVerifiedSkinIds,
+    loadSkinProgress,
+    saveSkinProgress,
+    loadLocalUnlocks,
+    saveLocalUnlocks
+} from '../skinProgress.js';
+
+// Events after which the unlock requirements are re-checked
+const UNLOCK_CHECK_EVENTS = [
+    GAME_EVENTS.PIECE_LOCKED,
+    GAME_EVENTS.LINES_CLEARED,
+    GAME_EVENTS.GAME_OVER
+];
 
 /**
- * Hook to manage skin unlocks based on game statistics
+ * Hook to manage skin unlocks
+ * Skins unlock on this device as soon as a game's stats (or, for lifetime
+ * conditions, this device's totals with the game) qualify; the connected
+ * wallet's verified unlocks (from its submitted, verified games) are what
+ * allow claiming a skin as an NFT.
+ * @param {Function} subscribe - Game event subscription from useGame
+ * @param {Object} localProfile - This device's lifetime totals (usePlayerProfile)
  */
-export function useSkinUnlocks(gameStats) {
-    const [unlockedSkins, setUnlockedSkins] = useState(() => {
-        // Load from localStorage on mount
-        const saved = localStorage.getItem('unlockedSkins');
-        return saved ? JSON.parse(saved) : [0]; // Classic skin (id: 0) is always unlocked
-    });
+export function useSkinUnlocks(subscribe, localProfile) {
+    const account = useCurrentAccount();
+    const address = account?.address ?? null;
 
-    const [newlyUnlocked, setNewlyUnlocked] = useState(null);
+    const [localSkins, setLocalSkins] = useState(loadLocalUnlocks);
+    const [verifiedSkins, setVerifiedSkins] = useState(() => (address ? loadSkinProgress(address).verifiedSkins : []));
+    const [isVerifying, setIsVerifying] = useState(false);
+    const [refreshCount, setRefreshCount] = useState(0);
 
-    // Extract stats with defaults
-    const { 
-        score = 0, 
-        level = 1, 
-        linesCleared = 0, 
-        tetrisCount = 0, 
-        maxCombo = 0 
-    } = gameStats || {};
+    const [newlyUnlocked, setNewlyUnlocked] = useState(null);
+    const localRef = useRef(localSkins); // Latest unlocks for event handlers
+    const profileRef = useRef(localProfile); // Totals from before the current game
+    profileRef.current = localProfile;
 
-    // Check for newly unlocked skins when game stats change
+    // Load the wallet's verified unlocks, showing the cached ones meanwhile
     useEffect(() => {
-        // Skip if no valid stats
-        if (!gameStats) return;
+        if (!address) {
+            setVerifiedSkins([]);
+            return;
+        }
+
+        let cancelled = false;
+        setVerifiedSkins(loadSkinProgress(address).verifiedSkins);
+        setIsVerifying(true);
 
-        const stats = { score, level, linesCleared, tetrisCount, maxCombo };
-        const currentlyUnlocked = getUnlockedSkins(stats);
+        Promise.all([fetchVerifiedStats(address), fetchPlayerProfile(address)])
+            .then(([stats, profile]) => {
+                if (cancelled) return;
+                const skinIds = getVerifiedSkinIds(stats, profile);
+                setVerifiedSkins(skinIds);
+                saveSkinProgress(address, { verifiedSkins: skinIds });
+            })
+            .catch((error) => {
+                // Keep the cached unlocks
+                console.warn('Could not load verified skin unlocks:', error.message);
+            })
+            .finally(() => {
+                if (!cancelled) {
+                    setIsVerifying(false);
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [address, refreshCount]);
+
+    // Unlock any skins the given stats (and lifetime totals) now qualify for
+    const checkUnlocks = useCallback((stats, profile = {}) => {
+        const currentlyUnlocked = getUnlockedSkins(stats, profile);
         const newUnlocks = currentlyUnlocked.filter(
-            skin => !unlockedSkins.includes(skin.id)
+            skin => !localRef.current.includes(skin.id)
         );
 
         if (newUnlocks.length > 0) {
             // Add newly unlocked skins
-            const updatedUnlocks = [...unlockedSkins, ...newUnlocks.map(s => s.id)];
-            setUnlockedSkins(updatedUnlocks);
-            
-            try {
-                localStorage.setItem('unlockedSkins', JSON.stringify(updatedUnlocks));
-            } catch (error) {
-                console.error('Failed to save unlocked skins to localStorage:', error);
-            }
+            const updatedUnlocks = [...localRef.current, ...newUnlocks.map(s => s.id)];
+            localRef.current = updatedUnlocks;
+            setLocalSkins(updatedUnlocks);
+            saveLocalUnlocks(updatedUnlocks);
 
             // Show notification for the first newly unlocked skin
             setNewlyUnlocked(newUnlocks[0]);
         }
-    }, [score, level, linesCleared, tetrisCount, maxCombo, unlockedSkins]);
+    }, []);
+
+    // Check the game's stats whenever a piece locks, lines clear or the game ends
+    useEffect(() => {
+        if (!subscribe) return;
+
+        const handleEvent = (event, game) => {
+            const stats = {
+                score: game.score,
+                level: game.level,
+                linesCleared: game.linesCleared,
+                tetrisCount: game.tetrisCount,
+                maxCombo: game.maxCombo
+            };
+            const lifetime = profileRef.current && addGameToProfile(profileRef.current, stats);
+            checkUnlocks(stats, lifetime);
+        };
+
+        const unsubscribers = UNLOCK_CHECK_EVENTS.map(type => subscribe(type, handleEvent));
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [subscribe, checkUnlocks]);
+
+    // New totals (e.g. after a battle) can meet lifetime conditions on their own
+    useEffect(() => {
+        if (localProfile) {
+            checkUnlocks({}, localProfile);
+        }
+    }, [localProfile, checkUnlocks]);
 
     // Clear notification
     const clearNotification = useCallback(() => {
         setNewlyUnlocked(null);
     }, []);
 
-    // Check if a specific skin is unlocked
+    // Reload the verified unlocks (e.g. after submitting a score)
+    const refresh = useCallback(() => {
+        setRefreshCount(count => count + 1);
+    }, []);
+
+    const unlockedSkins = [...new Set([...localSkins, ...verifiedSkins])];
+
+    // Check if a specific skin can be used
     const isSkinUnlocked = useCallback((skinId) => {
-        return unlockedSkins.includes(skinId);
-    }, [unlockedSkins]);
+        return localSkins.includes(skinId) || verifiedSkins.includes(skinId);
+    }, [localSkins, verifiedSkins]);
+
+    // Check if a skin is unlocked by the wallet's verified games (so it can be claimed)
+    const isSkinVerified = useCallback((skinId) => {
+        return verifiedSkins.includes(skinId);
+    }, [verifiedSkins]);
 
     // Get all unlocked skin objects
     const getUnlockedSkinObjects = useCallback(() => {
-        return SKINS.filter(skin => unlockedSkins.includes(skin.id));
-    }, [unlockedSkins]);
+        return SKINS.filter(skin => localSkins.includes(skin.id) || verifiedSkins.includes(skin.id));
+    }, [localSkins, verifiedSkins]);
 
     return {
         unlockedSkins,
+        verifiedSkins,
+        isVerifying,
         newlyUnlocked,
         clearNotification,
+        refresh,
         isSkinUnlocked,
+        isSkinVerified,
         getUnlockedSkinObjects,
     };
 }
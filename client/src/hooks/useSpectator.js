@@ -0,0 +1,159 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { StateDecoder } from '../stateSync.js';
+import { EVENTS } from '../protocol.js';
+
+/**
+ * Hook for watching live battles
+ *
+ * Lists the battles in progress, joins one by room id or private room key,
+ * and decodes every player's board from the server's state frames, keeping
+ * track of who is out. It never sends game events; the server only accepts
+ * those from the battle's players.
+ *
+ * @param {Object} socket - Socket.IO connection
+ */
+export function useSpectator(socket) {
+  const [liveBattles, setLiveBattles] = useState([]);
+  const [battle, setBattle] = useState(null); // LiveBattle being watched
+  const [boards, setBoards] = useState({}); // walletAddress -> board state
+  const [placements, setPlacements] = useState({}); // walletAddress -> placement of the players already out
+  const [spectatorCount, setSpectatorCount] = useState(0);
+  const [result, setResult] = useState(null); // GameEnd once the battle is over
+  const [error, setError] = useState(null);
+
+  const decodersRef = useRef(new Map()); // walletAddress -> StateDecoder
+  const battleRef = useRef(null);
+
+  const reset = useCallback(() => {
+    battleRef.current = null;
+    decodersRef.current = new Map();
+    setBattle(null);
+    setBoards({});
+    setPlacements({});
+    setSpectatorCount(0);
+    setResult(null);
+  }, []);
+
+  // Ask for the battles in progress
+  const refreshBattles = useCallback(() => {
+    if (!socket) return;
+    socket.emit(EVENTS.SPECTATE_LIST);
+  }, [socket]);
+
+  // Watch a battle: { roomId } from the list, or { roomKey } of a private room
+  const spectate = useCallback((target) => {
+    if (!socket) return;
+    setError(null);
+    socket.emit(EVENTS.SPECTATE_JOIN, target);
+  }, [socket]);
+
+  const stopSpectating = useCallback(() => {
+    if (socket && battleRef.current) {
+      socket.emit(EVENTS.SPECTATE_LEAVE, { roomId: battleRef.current.roomId });
+    }
+    reset();
+  }, [socket, reset]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const isWatched = (roomId) => battleRef.current?.roomId === roomId;
+
+    const handleBattles = (data) => {
+      setLiveBattles(data.battles || []);
+    };
+
+    /** @param {import('../protocol.js').LiveBattle} data */
+    const handleJoined = (data) => {
+      console.log('👁️ Spectating battle', data.roomId);
+      battleRef.current = data;
+      decodersRef.current = new Map();
+      setBattle(data);
+      setBoards({});
+      setPlacements(data.placements || {});
+      setSpectatorCount(data.spectators);
+      setResult(null);
+    };
+
+    const handleError = (data) => {
+      console.warn('👁️ Cannot spectate:', data.message);
+      setError(data.message);
+    };
+
+    // Frames after a dropped one are skipped until that board's next keyframe
+    const handleFrame = ({ walletAddress, frame }) => {
+      if (!battleRef.current) return;
+
+      const decoders = decodersRef.current;
+      if (!decoders.has(walletAddress)) {
+        decoders.set(walletAddress, new StateDecoder());
+      }
+      try {
+        const state = decoders.get(walletAddress).decode(frame);
+        if (state) {
+          setBoards(prev => ({ ...prev, [walletAddress]: state }));
+        }
+      } catch (error) {
+        console.warn('📡 Received invalid spectator frame:', error);
+      }
+    };
+
+    /** @param {import('../protocol.js').Elimination} data */
+    const handleEliminated = (data) => {
+      if (isWatched(data.roomId)) {
+        setPlacements(prev => ({ ...prev, [data.walletAddress]: data.placement }));
+      }
+    };
+
+    const handleSpectators = (data) => {
+      if (isWatched(data.roomId)) {
+        setSpectatorCount(data.count);
+      }
+    };
+
+    /** @param {import('../protocol.js').SpectateEnded} data */
+    const handleEnded = (data) => {
+      if (!isWatched(data.roomId)) return;
+
+      if (data.result) {
+        setResult(data.result); // Keep the final boards up with the result
+        setPlacements(Object.fromEntries(data.result.placements.map(entry => [entry.address, entry.placement])));
+      } else {
+        setError('The host turned spectating off');
+        reset();
+      }
+    };
+
+    socket.on(EVENTS.SPECTATE_BATTLES, handleBattles);
+    socket.on(EVENTS.SPECTATE_JOINED, handleJoined);
+    socket.on(EVENTS.SPECTATE_ERROR, handleError);
+    socket.on(EVENTS.GAME_SPECTATOR_FRAME, handleFrame);
+    socket.on(EVENTS.GAME_PLAYER_ELIMINATED, handleEliminated);
+    socket.on(EVENTS.ROOM_SPECTATORS, handleSpectators);
+    socket.on(EVENTS.SPECTATE_ENDED, handleEnded);
+
+    return () => {
+      socket.off(EVENTS.SPECTATE_BATTLES, handleBattles);
+      socket.off(EVENTS.SPECTATE_JOINED, handleJoined);
+      socket.off(EVENTS.SPECTATE_ERROR, handleError);
+      socket.off(EVENTS.GAME_SPECTATOR_FRAME, handleFrame);
+      socket.off(EVENTS.GAME_PLAYER_ELIMINATED, handleEliminated);
+      socket.off(EVENTS.ROOM_SPECTATORS, handleSpectators);
+      socket.off(EVENTS.SPECTATE_ENDED, handleEnded);
+    };
+  }, [socket, reset]);
+
+  return {
+    liveBattles,
+    battle,
+    boards,
+    placements,
+    spectatorCount,
+    result,
+    error,
+    isSpectating: battle !== null,
+    refreshBattles,
+    spectate,
+    stopSpectating,
+  };
+}
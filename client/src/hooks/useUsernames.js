@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+import { usernameResolver } from '../usernames.js';
+
+/**
+ * Hook for the on-chain usernames of some addresses
+ * @param {string[]} addresses - Addresses to show names for
+ * @returns {Object} - Address -> username, for the addresses that have one
+ */
+export function useUsernames(addresses) {
+    const [usernames, setUsernames] = useState({});
+    const key = [...new Set(addresses.filter(Boolean))].sort().join(',');
+
+    useEffect(() => {
+        if (!key) return;
+
+        let cancelled = false;
+        usernameResolver.resolve(key.split(',')).then((resolved) => {
+            if (cancelled) return;
+            const found = Object.fromEntries(Object.entries(resolved).filter(([, username]) => username));
+            setUsernames(prev => ({ ...prev, ...found }));
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [key]);
+
+    return usernames;
+}
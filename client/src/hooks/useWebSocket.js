@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { io } from 'socket.io-client';
+import { EVENTS, PROTOCOL_VERSION, VERSION_MISMATCH } from '../protocol.js';
 
 // WebSocket server URL - update this based on your deployment
 const SOCKET_SERVER_URL = import.meta.env.VITE_SOCKET_SERVER_URL || 'http://localhost:3001';
@@ -17,10 +18,13 @@ export function useWebSocket(walletAddress, username) {
   const [isConnected, setIsConnected] = useState(false);
   const [connectionError, setConnectionError] = useState(null);
   const [reconnectAttempt, setReconnectAttempt] = useState(0);
+  const [resuming, setResuming] = useState(false); // Getting a dropped session (and any battle in it) back
   
   const socketRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
   const eventHandlersRef = useRef(new Map());
+  const versionRejectedRef = useRef(false); // The server doesn't speak our protocol; reconnecting won't help
+  const authenticatedRef = useRef(false);
 
   // Connect to WebSocket server
   const connect = useCallback(() => {
@@ -51,9 +55,10 @@ export function useWebSocket(walletAddress, username) {
         setReconnectAttempt(0);
 
         // Authenticate with server
-        newSocket.emit('auth', {
+        newSocket.emit(EVENTS.AUTH, {
           walletAddress,
           username,
+          protocolVersion: PROTOCOL_VERSION,
         });
       });
 
@@ -61,8 +66,14 @@ export function useWebSocket(walletAddress, username) {
         console.log('WebSocket disconnected:', reason);
         setIsConnected(false);
 
+        // The server holds our place for a grace period; authenticating again resumes it
+        if (authenticatedRef.current && reason !== 'io client disconnect') {
+          setResuming(true);
+        }
+        authenticatedRef.current = false;
+
         // Auto-reconnect for certain disconnect reasons
-        if (reason === 'io server disconnect') {
+        if (reason === 'io server disconnect' && !versionRejectedRef.current) {
           // Server disconnected us, try to reconnect
           handleReconnect();
         }
@@ -74,12 +85,22 @@ export function useWebSocket(walletAddress, username) {
         setIsConnected(false);
       });
 
-      newSocket.on('auth:success', (data) => {
-        console.log('Authentication successful:', data);
+      newSocket.io.on('reconnect_failed', () => {
+        setResuming(false);
       });
 
-      newSocket.on('auth:error', (data) => {
+      newSocket.on(EVENTS.AUTH_SUCCESS, (data) => {
+        console.log(data.resumed ? 'Session resumed:' : 'Authentication successful:', data);
+        authenticatedRef.current = true;
+        setResuming(false);
+      });
+
+      newSocket.on(EVENTS.AUTH_ERROR, (data) => {
         console.error('Authentication error:', data);
+        if (data.code === VERSION_MISMATCH) {
+          versionRejectedRef.current = true;
+        }
+        setResuming(false);
         setConnectionError(data.message);
       });
 
@@ -104,6 +125,7 @@ export function useWebSocket(walletAddress, username) {
       setSocket(null);
       setIsConnected(false);
     }
+    setResuming(false);
 
     if (reconnectTimeoutRef.current) {
       clearTimeout(reconnectTimeoutRef.current);
@@ -115,6 +137,7 @@ export function useWebSocket(walletAddress, username) {
   const handleReconnect = useCallback(() => {
     if (reconnectAttempt >= RECONNECTION_CONFIG.maxAttempts) {
       console.error('Max reconnection attempts reached');
+      setResuming(false);
       setConnectionError('Failed to reconnect after multiple attempts');
       return;
     }
@@ -185,6 +208,7 @@ export function useWebSocket(walletAddress, username) {
     isConnected,
     connectionError,
     reconnectAttempt,
+    resuming,
     connect,
     disconnect,
     emit,
@@ -0,0 +1,95 @@
+/**
+ * Leaderboard API - Full Rankings from the Game Server
+ *
+ * The contract only keeps the top 10 scores; the game server indexes every
+ * on-chain score submission and ranks each player's best score all time,
+ * today and this week (UTC). It also ranks Sprint runs on the daily seed,
+ * fastest first, which players submit with a wallet-signed replay.
+ */
+
+import { WEBSOCKET_CONFIG } from './config.js';
+import { GAME_MODES } from './modes.js';
+import { serializeReplay } from './replay.js';
+
+// Modes the server ranks
+export const LEADERBOARD_MODES = [GAME_MODES.MARATHON, GAME_MODES.SPRINT];
+
+export const LEADERBOARD_WINDOWS = {
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+    ALL_TIME: 'alltime'
+};
+
+async function getJson(path, params) {
+    const query = new URLSearchParams(params).toString();
+    const response = await fetch(`${WEBSOCKET_CONFIG.serverUrl}/api/leaderboard${path}?${query}`);
+
+    const body = await response.json().catch(() => ({}));
+    return { response, body };
+}
+
+/**
+ * One page of the rankings
+ * @param {string} mode - One of LEADERBOARD_MODES
+ * @param {string} window - One of LEADERBOARD_WINDOWS
+ * @param {number} page - 1-based page
+ * @param {number} pageSize - Entries per page
+ * @returns {Promise<Object>} - { mode, window, page, pageSize, total, entries: [{ rank, player, score, timestamp,
+ *   gameSeedId }] }; Sprint entries also have time and seed
+ */
+export async function fetchLeaderboardPage(mode, window, page, pageSize) {
+    const { response, body } = await getJson('', { mode, window, page, pageSize });
+    if (!response.ok) {
+        throw new Error(body.message || `Could not load the leaderboard (${response.status})`);
+    }
+    return body;
+}
+
+/**
+ * A player's rank and the players ranked around them
+ * @param {string} mode - One of LEADERBOARD_MODES
+ * @param {string} window - One of LEADERBOARD_WINDOWS
+ * @param {string} address - Player's wallet address
+ * @param {number} neighbors - Ranks to include above and below the player's
+ * @returns {Promise<Object|null>} - { mode, window, total, entry, neighbors }, or null if the player has no result in the window
+ */
+export async function fetchPlayerStanding(mode, window, address, neighbors) {
+    const { response, body } = await getJson(`/players/${encodeURIComponent(address)}`, { mode, window, neighbors });
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(body.message || `Could not load the player's rank (${response.status})`);
+    }
+    return body;
+}
+
+/**
+ * Time of a finished run, as the server measures it (its replay's last event)
+ * @param {Object} replay - Replay from ReplayRecorder.getReplay()
+ */
+export function getReplayRunTime(replay) {
+    const events = replay.events;
+    return events.length > 0 ? events[events.length - 1].time : 0;
+}
+
+/**
+ * Send a finished Sprint run on the daily seed to the server's leaderboard
+ * @param {string} playerAddress - Wallet address that signed the run
+ * @param {Object} replay - Replay from ReplayRecorder.getReplay()
+ * @param {string} signature - Wallet signature of getRankedRunMessage() for the run
+ * @returns {Promise<Object>} - { run: { player, seed, time, score, ... }, rank } (rank among today's runs)
+ */
+export async function submitSprintRun(playerAddress, replay, signature) {
+    const response = await fetch(`${WEBSOCKET_CONFIG.serverUrl}/api/leaderboard/sprint`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ player: playerAddress, replay: serializeReplay(replay), signature })
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.message || `Could not submit the run (${response.status})`);
+    }
+    return body;
+}
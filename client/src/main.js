@@ -5,7 +5,7 @@
  * It initializes the game engine, blockchain interface, and UI components.
  */
 
-import { TetrisGame } from './game.js';
+import { TetrisGame, ACTIONS } from './game.js';
 import { GameUI } from './ui.js';
 import { BlockchainInterface } from './blockchain.js';
 
@@ -94,7 +94,7 @@ function startGameLoop() {
     
     gameLoop = setInterval(() => {
         if (game && !game.isGameOver && !game.isPaused) {
-            game.update();
+            game.update(performance.now()); // The clock drives lock delay
             ui.renderGame(game.getState());
             
             // Check if game is over
@@ -142,8 +142,7 @@ function handleKeyPress(event) {
         // Space bar for hard drop
         if (event.key === ' ') {
             event.preventDefault();
-            game.hardDrop();
-            game.update(); // Lock piece and spawn new one
+            game.applyAction(ACTIONS.HARD_DROP); // Drop, lock piece and spawn new one
             ui.renderGame(game.getState());
         }
     }
@@ -0,0 +1,227 @@
+/**
+ * Game Modes - Rules and Timing for Solo Modes
+ *
+ * Marathon is the endless mode submitted to the on-chain leaderboard.
+ * Sprint clears 40 lines as fast as possible. Ultra and Blitz are 2-minute
+ * score attacks: Ultra at fixed gravity, Blitz with fast level ups and
+ * bigger combo bonuses. Dig starts on seeded garbage and is timed until
+ * all of it is cleared. Runs on the same seed text get the same pieces
+ * and garbage, so players can race each other and compare scores; Sprint
+ * runs on the daily seed can be ranked on the game server's leaderboard.
+ */
+
+export const GAME_MODES = {
+    MARATHON: 'marathon',
+    SPRINT: 'sprint',
+    ULTRA: 'ultra',
+    BLITZ: 'blitz',
+    DIG: 'dig'
+};
+
+export const SPRINT_LINES = 40;
+export const SPRINT_SPLIT_LINES = 10; // Record a split every 10 lines
+export const SCORE_ATTACK_TIME = 2 * 60 * 1000; // Ultra and Blitz last 2 minutes
+export const DIG_LINES = 10; // Garbage rows a Dig starts with
+export const DIG_MESSINESS = 0.3; // Chance the hole moves between dig garbage rows
+
+/**
+ * Per-mode settings
+ * - options: TetrisGame rules for the mode (see DEFAULT_RULES in game.js)
+ * - splitLines: lines between timer splits (0 for none)
+ * - record: which result a personal best is judged on ('score' higher wins, 'time' lower wins)
+ */
+export const MODE_CONFIGS = {
+    [GAME_MODES.MARATHON]: {
+        label: 'Marathon',
+        options: {},
+        splitLines: 0,
+        record: 'score'
+    },
+    [GAME_MODES.SPRINT]: {
+        label: `Sprint ${SPRINT_LINES}L`,
+        options: { lineGoal: SPRINT_LINES },
+        splitLines: SPRINT_SPLIT_LINES,
+        record: 'time'
+    },
+    [GAME_MODES.ULTRA]: {
+        label: 'Ultra',
+        options: { timeLimit: SCORE_ATTACK_TIME, linesPerLevel: null },
+        splitLines: 0,
+        record: 'score'
+    },
+    [GAME_MODES.BLITZ]: {
+        label: 'Blitz',
+        options: { timeLimit: SCORE_ATTACK_TIME, linesPerLevel: 3, comboMultiplier: 3 },
+        splitLines: 0,
+        record: 'score'
+    },
+    [GAME_MODES.DIG]: {
+        label: 'Dig',
+        options: { digLines: DIG_LINES, garbageMessiness: DIG_MESSINESS },
+        splitLines: 0,
+        record: 'time'
+    }
+};
+
+/**
+ * Look up a mode's settings
+ * @param {string} mode - One of GAME_MODES
+ */
+export function getModeConfig(mode) {
+    const config = MODE_CONFIGS[mode];
+    if (!config) {
+        throw new Error(`Unknown game mode: ${mode}`);
+    }
+    return config;
+}
+
+/**
+ * Seed text shared by everyone racing today, e.g. "sprint-2026-10-19" (UTC date)
+ * @param {string} mode - One of GAME_MODES
+ * @param {Date} date - Day to build the seed for
+ */
+export function getDailySeed(mode, date = new Date()) {
+    return `${mode}-${date.toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Message a player signs to put a run on the game server's leaderboard for its mode
+ * The server rebuilds it from the verified replay, so it must stay byte-for-byte stable.
+ * @param {string} mode - One of GAME_MODES
+ * @param {string} seed - Seed text the run was played on
+ * @param {number} time - Run time in ms (the replay's last event)
+ */
+export function getRankedRunMessage(mode, seed, time) {
+    return `Submit my ${getModeConfig(mode).label} run on ${seed} (${formatTime(time)}) to the leaderboard`;
+}
+
+/**
+ * Format milliseconds as m:ss.mmm
+ * @param {number} ms - Duration in milliseconds
+ */
+export function formatTime(ms) {
+    const total = Math.max(0, Math.floor(ms));
+    const minutes = Math.floor(total / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const millis = total % 1000;
+    return `${minutes}:${String(seconds).padStart(2, '0')}.${String(millis).padStart(3, '0')}`;
+}
+
+/**
+ * Format a run's result the way its mode is ranked ("1:02.345" or "123,456")
+ * @param {string} mode - One of GAME_MODES
+ * @param {Object} result - Run with time and score
+ */
+export function formatResult(mode, result) {
+    return getModeConfig(mode).record === 'time' ? formatTime(result.time) : result.score.toLocaleString();
+}
+
+/**
+ * ModeTimer - High-resolution run timer with line splits
+ * Paused time is not counted. Splits and the final time can be given as game
+ * clock readings instead, so they match the run's replay (and ranked time).
+ */
+export class ModeTimer {
+    /**
+     * @param {Object} options
+     * @param {number} options.splitLines - Lines between splits (0 for none)
+     * @param {number|null} options.lineGoal - Last split line (splits stop there)
+     * @param {Function} options.now - Clock returning milliseconds (defaults to performance.now)
+     */
+    constructor({ splitLines = 0, lineGoal = null, now = () => performance.now() } = {}) {
+        this.splitLines = splitLines;
+        this.lineGoal = lineGoal;
+        this.now = now;
+        this.reset();
+    }
+
+    /**
+     * Clear the timer back to its initial, stopped state
+     */
+    reset() {
+        this.startTime = null;
+        this.endTime = null;
+        this.pausedAt = null;
+        this.pausedTotal = 0;
+        this.splits = [];
+    }
+
+    /**
+     * Start timing from now
+     */
+    start() {
+        this.reset();
+        this.startTime = this.now();
+    }
+
+    /**
+     * Pause or resume the timer
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+        if (this.startTime === null || this.endTime !== null) {
+            return;
+        }
+        if (paused && this.pausedAt === null) {
+            this.pausedAt = this.now();
+        } else if (!paused && this.pausedAt !== null) {
+            this.pausedTotal += this.now() - this.pausedAt;
+            this.pausedAt = null;
+        }
+    }
+
+    /**
+     * Milliseconds of play so far (or in total once stopped)
+     */
+    getElapsed() {
+        if (this.startTime === null) {
+            return 0;
+        }
+        const end = this.endTime ?? this.pausedAt ?? this.now();
+        return end - this.startTime - this.pausedTotal;
+    }
+
+    /**
+     * Record splits for every boundary the line total has passed
+     * A Tetris can pass a boundary mid-clear; that split gets the clear's time.
+     * @param {number} totalLines - Lines cleared so far
+     * @param {number} time - Time of the clear (defaults to the time elapsed now)
+     * @returns {Array<{lines: number, time: number}>} - Splits added by this call
+     */
+    recordLines(totalLines, time = this.getElapsed()) {
+        const added = [];
+        if (this.startTime === null || this.endTime !== null || this.splitLines <= 0) {
+            return added;
+        }
+
+        const limit = this.lineGoal ?? Infinity;
+        let next = (this.splits.length + 1) * this.splitLines;
+        while (next <= totalLines && next <= limit) {
+            const split = { lines: next, time };
+            this.splits.push(split);
+            added.push(split);
+            next += this.splitLines;
+        }
+        return added;
+    }
+
+    /**
+     * Stop the timer
+     * @param {number|null} time - Final time to keep (defaults to the time elapsed now)
+     * @returns {number} - Final elapsed milliseconds
+     */
+    stop(time = null) {
+        if (this.startTime !== null && this.endTime === null) {
+            this.setPaused(false);
+            this.endTime = time === null ? this.now() : this.startTime + this.pausedTotal + time;
+        }
+        return this.getElapsed();
+    }
+
+    /**
+     * Whether the timer has been started and not stopped
+     */
+    isRunning() {
+        return this.startTime !== null && this.endTime === null;
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * Personal Bests - Best Local Result per Mode and Seed
+ *
+ * Results are kept in localStorage as { [mode]: { [seed]: result } }.
+ * A result looks like { seed, time, score, linesCleared, splits, player, timestamp }.
+ */
+
+import { getModeConfig } from './modes.js';
+
+const STORAGE_KEY = 'personalBests';
+
+/**
+ * Read every stored personal best
+ */
+export function loadPersonalBests() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    } catch (error) {
+        console.error('Failed to read personal bests from localStorage:', error);
+        return {};
+    }
+}
+
+/**
+ * Whether result a beats result b under the mode's record rule
+ * @param {string} mode - One of GAME_MODES
+ */
+export function isBetterResult(mode, a, b) {
+    if (!b) {
+        return true;
+    }
+    return getModeConfig(mode).record === 'time' ? a.time < b.time : a.score > b.score;
+}
+
+/**
+ * Stored results for a mode, best first
+ * @param {string} mode - One of GAME_MODES
+ */
+export function getPersonalBestRecords(mode) {
+    const records = Object.values(loadPersonalBests()[mode] || {});
+    return records.sort((a, b) => (isBetterResult(mode, a, b) ? -1 : isBetterResult(mode, b, a) ? 1 : 0));
+}
+
+/**
+ * Best result for a mode on one seed, or across all seeds if seed is omitted
+ * @param {string} mode - One of GAME_MODES
+ * @param {string|null} seed - Seed text the run was played on
+ */
+export function getPersonalBest(mode, seed = null) {
+    if (seed !== null) {
+        return (loadPersonalBests()[mode] || {})[seed] || null;
+    }
+    return getPersonalBestRecords(mode)[0] || null;
+}
+
+/**
+ * Store a finished run if it beats the best on its seed
+ * @param {string} mode - One of GAME_MODES
+ * @param {Object} result - Finished run (must include seed)
+ * @returns {{ isPersonalBest: boolean, previous: Object|null }}
+ */
+export function savePersonalBest(mode, result) {
+    const bests = loadPersonalBests();
+    const modeBests = bests[mode] || {};
+    const previous = modeBests[result.seed] || null;
+
+    if (!isBetterResult(mode, result, previous)) {
+        return { isPersonalBest: false, previous };
+    }
+
+    bests[mode] = { ...modeBests, [result.seed]: result };
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(bests));
+    } catch (error) {
+        console.error('Failed to save personal best to localStorage:', error);
+    }
+
+    return { isPersonalBest: true, previous };
+}
@@ -0,0 +1,125 @@
+/**
+ * Player Profile - Lifetime Totals per Wallet
+ *
+ * The game server keeps each wallet's totals from the games it has checked:
+ * solo games whose verified score was submitted, and battles. This device
+ * also keeps its own totals of every game finished here, as { [player]:
+ * profile } in localStorage (player is the wallet address, or 'guest'),
+ * shown when there is no wallet or the server can't be reached.
+ */
+
+import { WEBSOCKET_CONFIG } from './config.js';
+
+const STORAGE_KEY = 'playerProfiles';
+
+export const GUEST_PLAYER = 'guest';
+
+export const EMPTY_PROFILE = {
+    games: 0,
+    battles: 0,
+    battlesWon: 0,
+    battlesLost: 0,
+    linesCleared: 0,
+    tetrisCount: 0,
+    bestCombo: 0,
+    piecesPlaced: 0,
+    timePlayed: 0, // ms
+    updatedAt: null
+};
+
+/**
+ * Ask the game server for a wallet's lifetime totals
+ * @param {string} address - Player's wallet address
+ * @returns {Promise<Object>} - Profile (see EMPTY_PROFILE) with piecesPerSecond
+ */
+export async function fetchPlayerProfile(address) {
+    const response = await fetch(`${WEBSOCKET_CONFIG.serverUrl}/api/players/${encodeURIComponent(address)}/profile`);
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.message || `Could not load the player profile (${response.status})`);
+    }
+    return body.profile;
+}
+
+/**
+ * Pieces placed per second of play
+ */
+export function getPiecesPerSecond(profile) {
+    return profile.timePlayed > 0 ? profile.piecesPlaced / (profile.timePlayed / 1000) : 0;
+}
+
+/**
+ * Format a long duration for the profile ("3h 05m", "4m 09s")
+ * @param {number} ms - Duration in milliseconds
+ */
+export function formatPlayTime(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) {
+        return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    }
+    return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+/**
+ * Totals with one more finished game
+ * @param {Object} profile - Totals so far
+ * @param {Object} game - { linesCleared, tetrisCount, maxCombo, piecesPlaced, time }
+ * @param {Object} counts - Counters to add, e.g. { games: 1 } or { battles: 1, battlesWon: 1 }
+ */
+export function addGameToProfile(profile, game, counts = { games: 1 }) {
+    return {
+        games: profile.games + (counts.games || 0),
+        battles: profile.battles + (counts.battles || 0),
+        battlesWon: profile.battlesWon + (counts.battlesWon || 0),
+        battlesLost: profile.battlesLost + (counts.battlesLost || 0),
+        linesCleared: profile.linesCleared + (game.linesCleared || 0),
+        tetrisCount: profile.tetrisCount + (game.tetrisCount || 0),
+        bestCombo: Math.max(profile.bestCombo, game.maxCombo || 0),
+        piecesPlaced: profile.piecesPlaced + (game.piecesPlaced || 0),
+        timePlayed: profile.timePlayed + (game.time || 0),
+        updatedAt: Date.now()
+    };
+}
+
+function loadAll() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    } catch (error) {
+        console.error('Failed to read player profiles from localStorage:', error);
+        return {};
+    }
+}
+
+/**
+ * This device's totals for a player
+ * @param {string} player - Wallet address, or GUEST_PLAYER
+ */
+export function loadLocalProfile(player) {
+    return { ...EMPTY_PROFILE, ...loadAll()[player] };
+}
+
+/**
+ * Add a finished game to this device's totals for a player
+ * @param {string} player - Wallet address, or GUEST_PLAYER
+ * @param {Object} game - { linesCleared, tetrisCount, maxCombo, piecesPlaced, time }
+ * @param {Object} counts - See addGameToProfile
+ * @returns {Object} - The updated totals
+ */
+export function recordLocalGame(player, game, counts = { games: 1 }) {
+    const profiles = loadAll();
+    const profile = addGameToProfile(loadLocalProfile(player), game, counts);
+
+    profiles[player] = profile;
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+    } catch (error) {
+        console.error('Failed to save player profile to localStorage:', error);
+    }
+
+    return profile;
+}
@@ -0,0 +1,212 @@
+/**
+ * Protocol - The Socket.IO Event Contract Between Clients and the Game Server
+ *
+ * Shared by the client and the server (loaded through the server's game
+ * engine loader), so both sides use the same event names. Server-side
+ * payload types live in server/src/models/BattleRoom.ts.
+ *
+ * Bump PROTOCOL_VERSION whenever an event is renamed or removed or a payload
+ * changes shape. Clients send their version with `auth`; the server refuses
+ * clients that speak a different version (see getProtocolMismatch).
+ */
+
+export const PROTOCOL_VERSION = 5;
+
+// auth:error code for a client whose protocol version the server doesn't speak
+export const VERSION_MISMATCH = 'PROTOCOL_VERSION_MISMATCH';
+
+/**
+ * Event names, by direction
+ * C -> S: sent by clients; S -> C: sent by the server
+ */
+export const EVENTS = {
+    // Connection
+    AUTH: 'auth', // C -> S AuthRequest
+    AUTH_SUCCESS: 'auth:success', // S -> C { walletAddress, username, resumed } - resumed: back within the disconnect grace period
+    AUTH_ERROR: 'auth:error', // S -> C { message, code? }; the server then disconnects
+    PLAYER_DISCONNECTED: 'player:disconnected', // S -> C ConnectionChange (with gracePeriod) - to the player's battle room
+    PLAYER_RECONNECTED: 'player:reconnected', // S -> C ConnectionChange - to the player's battle room
+    PLAYER_DISCONNECTED_FINAL: 'player:disconnected:final', // S -> C { walletAddress } - the player forfeits
+    PLAYER_LEFT: 'player:left', // S -> C { walletAddress } - left a room or a battle in progress
+
+    // Matchmaking
+    MATCHMAKING_JOIN: 'matchmaking:join', // C -> S { wager }
+    MATCHMAKING_CANCEL: 'matchmaking:cancel', // C -> S
+    MATCHMAKING_CANCELLED: 'matchmaking:cancelled', // S -> C
+    MATCHMAKING_FOUND: 'matchmaking:found', // S -> C MatchFound
+    MATCHMAKING_TIMEOUT: 'matchmaking:timeout', // S -> C { message }
+
+    // Rooms
+    ROOM_CREATE: 'room:create', // C -> S { wager, isPrivate, pauseOnDisconnect?, allowSpectators?, maxPlayers?, targeting? }
+    ROOM_CREATED: 'room:created', // S -> C BattleRoom
+    ROOM_JOIN: 'room:join', // C -> S { roomKey }
+    ROOM_JOINED: 'room:joined', // S -> C BattleRoom
+    ROOM_PLAYER_JOINED: 'room:player_joined', // S -> C { player }
+    ROOM_READY: 'room:ready', // C -> S { roomId, ready }
+    ROOM_PLAYER_READY: 'room:player_ready', // S -> C { walletAddress, ready }
+    ROOM_LEAVE: 'room:leave', // C -> S { roomId }
+    ROOM_CLOSED: 'room:closed', // S -> C { reason }
+    ROOM_ERROR: 'room:error', // S -> C { message }
+    ROOM_SPECTATING: 'room:spectating', // C -> S { roomId, allowSpectators } - host only
+    ROOM_SPECTATORS: 'room:spectators', // S -> C { roomId, count, allowSpectators } - to players and spectators
+
+    // Spectating (read-only; spectators can't send game events)
+    SPECTATE_LIST: 'spectate:list', // C -> S
+    SPECTATE_BATTLES: 'spectate:battles', // S -> C { battles: LiveBattle[] }
+    SPECTATE_JOIN: 'spectate:join', // C -> S { roomId } or { roomKey }
+    SPECTATE_JOINED: 'spectate:joined', // S -> C LiveBattle
+    SPECTATE_LEAVE: 'spectate:leave', // C -> S { roomId }
+    SPECTATE_ERROR: 'spectate:error', // S -> C { message }
+    SPECTATE_ENDED: 'spectate:ended', // S -> C SpectateEnded
+
+    // Battles
+    GAME_COUNTDOWN: 'game:countdown', // S -> C { count }
+    GAME_START: 'game:start', // S -> C GameStart
+    GAME_INPUT: 'game:input', // C -> S GameInput
+    GAME_CHECKPOINT: 'game:checkpoint', // S -> C Checkpoint
+    GAME_RESYNC_REQUEST: 'game:resync_request', // C -> S { roomId }
+    GAME_RESYNC: 'game:resync', // S -> C Resync
+    GAME_GARBAGE_INCOMING: 'game:garbage_incoming', // S -> C GarbageIncoming
+    GAME_OPPONENT_FRAME: 'game:opponent_frame', // S -> C BoardFrame - every other player's board
+    GAME_SPECTATOR_FRAME: 'game:spectator_frame', // S -> C BoardFrame - every board, to spectators
+    GAME_RESUME: 'game:resume', // S -> C BattleResume - after reconnecting to a battle in progress
+    GAME_TARGETING: 'game:targeting', // C -> S { roomId, targeting } - one of TARGETING (attack.js)
+    GAME_PLAYER_ELIMINATED: 'game:player_eliminated', // S -> C Elimination - to players and spectators
+    GAME_FORFEIT: 'game:forfeit', // C -> S { roomId }
+    GAME_END: 'game:end' // S -> C GameEnd
+};
+
+/**
+ * @typedef {Object} AuthRequest
+ * @property {string} walletAddress
+ * @property {string} username
+ * @property {number} protocolVersion - PROTOCOL_VERSION of the client
+ */
+
+/**
+ * @typedef {Object} MatchFound
+ * @property {string} roomId
+ * @property {{ address: string, username: string, rating: number, deviation: number }} opponent
+ * @property {number} wager
+ * @property {number} rating - Glicko-2 rating of the player the match was found for
+ * @property {number} deviation - Its rating deviation (how uncertain it is)
+ */
+
+/**
+ * @typedef {Object} GameStart
+ * @property {string} roomId - Also the seed of every player's game
+ * @property {number} startTime - Server clock the battle started at
+ * @property {boolean} pauseOnDisconnect - Whether the battle pauses while a player reconnects
+ * @property {Array<{ address: string, username: string }>} players - Everyone in the battle, host first
+ * @property {string} targeting - TARGETING mode every player starts with
+ */
+
+/**
+ * @typedef {Object} GameInput
+ * @property {string} roomId
+ * @property {Array<{ seq: number, action?: string, time?: number, garbage?: number }>} inputs
+ *   The next entries of the player's input stream: engine actions at a game
+ *   clock time, or the id of a garbage attack that rose at that point
+ */
+
+/**
+ * @typedef {Object} Checkpoint
+ * @property {number} seq - Last input the server applied
+ * @property {string} hash - TetrisGame.getStateHash() of the server's copy after it
+ */
+
+/**
+ * @typedef {Object} Resync
+ * @property {number} seq - Last input applied to the snapshot
+ * @property {Object} snapshot - TetrisGame.getSnapshot() of the server's copy
+ * @property {Array<{ id: number, holes: number[] }>} garbage - Attacks still pending on the player
+ */
+
+/**
+ * @typedef {Object} GarbageIncoming
+ * @property {number} id - Echoed in the input stream when the rows rise
+ * @property {string} fromPlayer
+ * @property {string} toPlayer
+ * @property {number} lines
+ * @property {number[]} holes - Hole column of each row, in the order they are added
+ * @property {number} delay - Milliseconds before the rows rise
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {Object} BoardFrame
+ * @property {string} walletAddress - Whose board
+ * @property {ArrayBuffer} frame - Binary state frame (see stateSync.js)
+ */
+
+/**
+ * @typedef {Object} Elimination
+ * @property {string} roomId
+ * @property {string} walletAddress - Player who is out
+ * @property {number} placement - 1 is the winner; the first player out of n places n-th
+ * @property {string} reason - END_REASONS value of their game, 'forfeit' or 'disconnect'
+ * @property {string|null} koBy - Player whose garbage last hit them, credited with the KO (null for forfeits and disconnects)
+ * @property {boolean} paused - Whether the battle is still paused (a player who is out no longer holds it)
+ */
+
+/**
+ * @typedef {Object} Placement
+ * @property {string} address
+ * @property {string} username
+ * @property {number} placement
+ * @property {number} kos - Players this one knocked out
+ * @property {string|null} reason - Why they were eliminated (null for the winner)
+ */
+
+/**
+ * @typedef {Object} ConnectionChange
+ * @property {string} walletAddress - Player whose connection dropped or came back
+ * @property {number} [gracePeriod] - Milliseconds they have to reconnect before forfeiting
+ * @property {boolean} paused - Whether the battle is now paused (rooms with pauseOnDisconnect)
+ */
+
+/**
+ * @typedef {Object} BattleResume
+ * @property {string} roomId
+ * @property {boolean} paused - Whether the battle is still paused for another player
+ * @property {Resync} resync - Server's copy of the player's game; inputs after its seq are sent again
+ */
+
+/**
+ * @typedef {Object} GameEnd
+ * @property {string} winner - Wallet address of the last player standing
+ * @property {Placement[]} placements - Every player, winner first
+ * @property {string} reason - How the last player to go out was eliminated
+ * @property {number} duration - Milliseconds
+ * @property {number} wager
+ */
+
+/**
+ * @typedef {Object} LiveBattle
+ * @property {string} roomId
+ * @property {Array<{ address: string, username: string }>} players
+ * @property {number} wager
+ * @property {number} startTime
+ * @property {number} spectators - How many are watching
+ * @property {Object<string, number>} placements - Address -> placement of the players already out
+ */
+
+/**
+ * @typedef {Object} SpectateEnded
+ * @property {string} roomId
+ * @property {string} reason - 'battle_over' or 'spectating_disabled'
+ * @property {GameEnd} [result] - When the battle is over
+ */
+
+/**
+ * Why a client can't talk to this server, or null if it can
+ * @param {*} clientVersion - protocolVersion from the client's auth request
+ * @returns {string|null}
+ */
+export function getProtocolMismatch(clientVersion) {
+    if (clientVersion === PROTOCOL_VERSION) {
+        return null;
+    }
+    const client = clientVersion === undefined ? 'an unversioned protocol' : `protocol v${clientVersion}`;
+    return `This client speaks ${client} but the server speaks protocol v${PROTOCOL_VERSION}. Reload the page to update.`;
+}
@@ -6,11 +6,24 @@
  */
 
 /**
- * Seeded Random Number Generator
+ * PRNG algorithm versions. The version is recorded with every game so a
+ * replay is always re-simulated with the generator it was played with.
+ * - 1: Numerical Recipes LCG over a 31-bit hash of the seed (legacy)
+ * - 2: xoshiro128** seeded from every seed byte via SplitMix32
+ */
+export const PRNG_VERSIONS = {
+    LCG: 1,
+    XOSHIRO128SS: 2
+};
+
+export const CURRENT_PRNG_VERSION = PRNG_VERSIONS.XOSHIRO128SS;
+
+/**
+ * Legacy Seeded Random Number Generator (PRNG version 1)
  * Uses a simple Linear Congruential Generator (LCG) algorithm
  * for deterministic pseudo-random number generation
  */
-class SeededRandom {
+class LcgRandom {
     constructor(seed) {
         // Convert seed to a number if it's a Uint8Array or array
         if (seed instanceof Uint8Array || Array.isArray(seed)) {
@@ -51,20 +64,225 @@ class SeededRandom {
     nextInt(min, max) {
         return Math.floor(this.next() * (max - min + 1)) + min;
     }
+
+    /**
+     * Copy of the generator state (see restore)
+     */
+    snapshot() {
+        return this.state;
+    }
+
+    restore(state) {
+        this.state = state;
+    }
+}
+
+// Initial lanes for seeding (hex digits of pi, nothing up our sleeve)
+const XOSHIRO_SEED_LANES = [0x243F6A88, 0x85A308D3, 0x13198A2E, 0x03707344];
+
+/**
+ * SplitMix32 output function: add the golden ratio, then murmur3 finalizer.
+ * All arithmetic is on unsigned 32-bit integers.
+ */
+function splitMix32(x) {
+    let z = (x + 0x9E3779B9) >>> 0;
+    z = Math.imul(z ^ (z >>> 16), 0x85EBCA6B);
+    z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+    return (z ^ (z >>> 16)) >>> 0;
+}
+
+function rotl(x, k) {
+    return ((x << k) | (x >>> (32 - k))) >>> 0;
+}
+
+/**
+ * Convert any accepted seed into bytes
+ * - Uint8Array / byte array: used as-is (on-chain GameSeed bytes)
+ * - string: UTF-8 bytes (e.g. a room id)
+ * - number: 4 bytes, little-endian unsigned 32-bit
+ */
+function seedToBytes(seed) {
+    if (seed instanceof Uint8Array) {
+        return seed;
+    }
+    if (Array.isArray(seed)) {
+        return Uint8Array.from(seed);
+    }
+    if (typeof seed === 'string') {
+        return new TextEncoder().encode(seed);
+    }
+
+    const n = seed >>> 0;
+    return Uint8Array.of(n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, n >>> 24);
+}
+
+/**
+ * Seeded Random Number Generator (PRNG version 2)
+ *
+ * xoshiro128** (Blackman & Vigna) with a 128-bit state. Seeding, so other
+ * implementations (server, Move contract) can reproduce it exactly:
+ * 1. Start with the four lanes XOSHIRO_SEED_LANES; lane 0 ^= seed byte length.
+ * 2. Zero-pad the seed bytes to a multiple of 4 and read them as
+ *    little-endian uint32 words w[0..n).
+ * 3. For each word i: lane[i % 4] = splitMix32(lane[i % 4] ^ w[i]).
+ * 4. For k = 0..3: lane[k] = splitMix32(lane[k] ^ lane[(k + 3) % 4]).
+ * 5. If every lane is zero, set lane 0 to 1. The lanes are the state s0..s3.
+ */
+class Xoshiro128Random {
+    constructor(seed) {
+        const bytes = seedToBytes(seed);
+        const lanes = [...XOSHIRO_SEED_LANES];
+        lanes[0] = (lanes[0] ^ bytes.length) >>> 0;
+
+        for (let i = 0; i < bytes.length; i += 4) {
+            const word = ((bytes[i] || 0)
+                | ((bytes[i + 1] || 0) << 8)
+                | ((bytes[i + 2] || 0) << 16)
+                | ((bytes[i + 3] || 0) << 24)) >>> 0;
+            const lane = (i >>> 2) & 3;
+            lanes[lane] = splitMix32(lanes[lane] ^ word);
+        }
+
+        for (let k = 0; k < 4; k++) {
+            lanes[k] = splitMix32(lanes[k] ^ lanes[(k + 3) & 3]);
+        }
+
+        if (lanes.every(lane => lane === 0)) {
+            lanes[0] = 1;
+        }
+
+        this.state = lanes;
+    }
+
+    /**
+     * Generate the next unsigned 32-bit integer
+     */
+    nextUint32() {
+        const s = this.state;
+        const result = Math.imul(rotl(Math.imul(s[1], 5) >>> 0, 7), 9) >>> 0;
+        const t = (s[1] << 9) >>> 0;
+
+        s[2] = (s[2] ^ s[0]) >>> 0;
+        s[3] = (s[3] ^ s[1]) >>> 0;
+        s[1] = (s[1] ^ s[2]) >>> 0;
+        s[0] = (s[0] ^ s[3]) >>> 0;
+        s[2] = (s[2] ^ t) >>> 0;
+        s[3] = rotl(s[3], 11);
+
+        return result;
+    }
+
+    /**
+     * Generate next random number (0 to 1)
+     */
+    next() {
+        return this.nextUint32() / 0x100000000;
+    }
+
+    /**
+     * Generate random integer in range [min, max] inclusive.
+     * Uses rejection sampling so every value is exactly equally likely:
+     * draws at or above the largest multiple of the range are discarded.
+     */
+    nextInt(min, max) {
+        const range = max - min + 1;
+        const limit = 0x100000000 - (0x100000000 % range);
+        let value = this.nextUint32();
+        while (value >= limit) {
+            value = this.nextUint32();
+        }
+        return min + (value % range);
+    }
+
+    /**
+     * Copy of the generator state (see restore)
+     */
+    snapshot() {
+        return [...this.state];
+    }
+
+    restore(state) {
+        this.state = [...state];
+    }
+}
+
+/**
+ * Create the seeded RNG for a given PRNG version
+ * @param {Uint8Array|Array|string|number} seed - Game seed
+ * @param {number} version - One of PRNG_VERSIONS
+ */
+export function createSeededRandom(seed, version = CURRENT_PRNG_VERSION) {
+    switch (version) {
+        case PRNG_VERSIONS.LCG:
+            return new LcgRandom(seed);
+        case PRNG_VERSIONS.XOSHIRO128SS:
+            return new Xoshiro128Random(seed);
+        default:
+            throw new Error(`Unknown PRNG version: ${version}`);
+    }
+}
+
+// Piece types handed out by the randomizers (I=1, O=2, T=3, S=4, Z=5, J=6, L=7)
+const ALL_PIECES = [1, 2, 3, 4, 5, 6, 7];
+const S_PIECE = 4;
+const Z_PIECE = 5;
+const O_PIECE = 2;
+
+/**
+ * Randomizer modes supported by PieceGenerator
+ * - classic: every piece drawn uniformly from 1-7 (original behaviour)
+ * - 7-bag: shuffled bags containing each piece once
+ * - 14-bag: shuffled bags containing each piece twice
+ * - tgm: 4-piece history with up to 6 rerolls, as in Tetris The Grand Master
+ */
+export const RANDOMIZERS = {
+    CLASSIC: 'classic',
+    BAG_7: '7-bag',
+    BAG_14: '14-bag',
+    TGM: 'tgm'
+};
+
+export const DEFAULT_RANDOMIZER = RANDOMIZERS.BAG_7;
+
+// TGM history settings
+const TGM_HISTORY_SIZE = 4;
+const TGM_ROLLS = 6;
+
+/**
+ * Create a fresh 32-byte seed for games that were not given one
+ */
+export function generateSeed() {
+    const bytes = new Uint8Array(32);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        crypto.getRandomValues(bytes);
+    } else {
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = Math.floor(Math.random() * 256);
+        }
+    }
+    return bytes;
 }
 
 /**
  * PieceGenerator - Generates Tetris pieces deterministically from a seed
  */
 export class PieceGenerator {
-    constructor(seed) {
+    constructor(seed, randomizer = DEFAULT_RANDOMIZER, prngVersion = CURRENT_PRNG_VERSION) {
         if (!seed) {
             throw new Error('PieceGenerator requires a seed');
         }
+
+        if (!Object.values(RANDOMIZERS).includes(randomizer)) {
+            throw new Error(`Unknown randomizer: ${randomizer}`);
+        }
         
         this.seed = seed;
-        this.rng = new SeededRandom(seed);
+        this.randomizer = randomizer;
+        this.prngVersion = prngVersion;
+        this.rng = createSeededRandom(seed, prngVersion);
         this.pieceCount = 0;
+        this.bag = [];
+        this.history = [];
     }
 
     /**
@@ -73,8 +291,63 @@ export class PieceGenerator {
      */
     nextPiece() {
         this.pieceCount++;
-        // Generate a random piece type from 1 to 7
-        return this.rng.nextInt(1, 7);
+
+        switch (this.randomizer) {
+            case RANDOMIZERS.BAG_7:
+                return this.nextFromBag(1);
+            case RANDOMIZERS.BAG_14:
+                return this.nextFromBag(2);
+            case RANDOMIZERS.TGM:
+                return this.nextFromHistory();
+            default:
+                // Generate a random piece type from 1 to 7
+                return this.rng.nextInt(1, 7);
+        }
+    }
+
+    /**
+     * Draw from the current bag, refilling it with a shuffled set when empty
+     * @param {number} copies - How many of each piece a bag holds
+     */
+    nextFromBag(copies) {
+        if (this.bag.length === 0) {
+            for (let i = 0; i < copies; i++) {
+                this.bag.push(...ALL_PIECES);
+            }
+
+            // Fisher-Yates shuffle driven by the seeded RNG
+            for (let i = this.bag.length - 1; i > 0; i--) {
+                const j = this.rng.nextInt(0, i);
+                [this.bag[i], this.bag[j]] = [this.bag[j], this.bag[i]];
+            }
+        }
+
+        return this.bag.shift();
+    }
+
+    /**
+     * TGM-style history randomizer: reroll pieces that were dealt recently
+     */
+    nextFromHistory() {
+        let piece;
+
+        if (this.history.length === 0) {
+            // The first piece is never S, Z or O
+            const firstPieces = ALL_PIECES.filter(p => p !== S_PIECE && p !== Z_PIECE && p !== O_PIECE);
+            piece = firstPieces[this.rng.nextInt(0, firstPieces.length - 1)];
+            this.history = [Z_PIECE, S_PIECE, Z_PIECE, S_PIECE];
+        } else {
+            for (let roll = 0; roll < TGM_ROLLS; roll++) {
+                piece = this.rng.nextInt(1, 7);
+                if (!this.history.includes(piece)) {
+                    break;
+                }
+            }
+        }
+
+        this.history.unshift(piece);
+        this.history.length = TGM_HISTORY_SIZE;
+        return piece;
     }
 
     /**
@@ -88,7 +361,110 @@ export class PieceGenerator {
      * Reset the generator (for testing purposes)
      */
     reset() {
-        this.rng = new SeededRandom(this.seed);
+        this.rng = createSeededRandom(this.seed, this.prngVersion);
         this.pieceCount = 0;
+        this.bag = [];
+        this.history = [];
+    }
+
+    /**
+     * JSON-safe copy of the position in the sequence (see restore)
+     */
+    snapshot() {
+        return {
+            rng: this.rng.snapshot(),
+            pieceCount: this.pieceCount,
+            bag: [...this.bag],
+            history: [...this.history]
+        };
+    }
+
+    /**
+     * Continue the sequence from a snapshot of a generator with the same seed
+     */
+    restore(snapshot) {
+        this.rng.restore(snapshot.rng);
+        this.pieceCount = snapshot.pieceCount;
+        this.bag = [...snapshot.bag];
+        this.history = [...snapshot.history];
+    }
+}
+
+// Appended to the game seed so garbage draws from its own stream and never shifts the piece sequence
+const GARBAGE_SEED_SUFFIX = new TextEncoder().encode(':garbage');
+
+/**
+ * GarbageGenerator - Deterministic garbage hole columns from a seed
+ *
+ * Each garbage row has one hole. The first hole is drawn uniformly; after
+ * that, with probability `messiness` the hole moves to a different column
+ * (drawn uniformly from the others), otherwise it stays in the same column.
+ * Messiness 0 gives a clean well, 1 a new column every row.
+ */
+export class GarbageGenerator {
+    /**
+     * @param {Uint8Array|Array|string|number} seed - Game seed
+     * @param {number} prngVersion - One of PRNG_VERSIONS
+     * @param {number} messiness - Chance (0-1) that the hole moves between rows
+     */
+    constructor(seed, prngVersion = CURRENT_PRNG_VERSION, messiness = 0) {
+        if (!seed) {
+            throw new Error('GarbageGenerator requires a seed');
+        }
+        if (!(messiness >= 0 && messiness <= 1)) {
+            throw new Error(`Invalid garbage messiness: ${messiness}`);
+        }
+
+        const seedBytes = seedToBytes(seed);
+        this.seed = new Uint8Array(seedBytes.length + GARBAGE_SEED_SUFFIX.length);
+        this.seed.set(seedBytes);
+        this.seed.set(GARBAGE_SEED_SUFFIX, seedBytes.length);
+        this.prngVersion = prngVersion;
+        this.messiness = messiness;
+        this.reset();
+    }
+
+    /**
+     * Hole columns for the next rows, in the order they are added
+     * @param {number} numLines - Rows to generate
+     * @param {number} width - Board width in cells
+     * @returns {number[]}
+     */
+    nextHoles(numLines, width) {
+        const holes = [];
+        for (let i = 0; i < numLines; i++) {
+            if (this.lastHole === null || this.lastHole >= width) {
+                this.lastHole = this.rng.nextInt(0, width - 1);
+            } else if (this.rng.next() < this.messiness) {
+                // Any column but the current one
+                const shift = this.rng.nextInt(1, width - 1);
+                this.lastHole = (this.lastHole + shift) % width;
+            }
+            holes.push(this.lastHole);
+        }
+        return holes;
+    }
+
+    /**
+     * Restart the hole sequence from the seed
+     */
+    reset() {
+        this.rng = createSeededRandom(this.seed, this.prngVersion);
+        this.lastHole = null;
+    }
+
+    /**
+     * JSON-safe copy of the position in the sequence (see restore)
+     */
+    snapshot() {
+        return { rng: this.rng.snapshot(), lastHole: this.lastHole };
+    }
+
+    /**
+     * Continue the sequence from a snapshot of a generator with the same seed
+     */
+    restore(snapshot) {
+        this.rng.restore(snapshot.rng);
+        this.lastHole = snapshot.lastHole;
     }
 }
@@ -0,0 +1,410 @@
+/**
+ * Replay - Deterministic Input Recording and Playback
+ *
+ * This module records every engine action (inputs and gravity ticks) with a
+ * timestamp, serializes the log into a compact string, and re-runs it on a
+ * headless TetrisGame to reproduce the exact final grid and score.
+ */
+
+import { TetrisGame, ACTIONS, LOCK_MODES, GRID_WIDTH, DEFAULT_RULES } from './game.js';
+import { DEFAULT_RANDOMIZER, CURRENT_PRNG_VERSION } from './random.js';
+
+// Bump when the serialized layout or the meaning of the log changes, and add an
+// upgrade from the previous version to UPGRADES
+// 2: event times drive lock delay; the header records the lock rules
+// 3: hidden buffer rows and block/lock out; the header records the board size
+// 4: mode rules (line goal, time limit, leveling, combo bonus, dig garbage); paused time is not on the clock
+// 5: classic lock mode locks on a failed gravity step only, not on a tick
+export const REPLAY_FORMAT_VERSION = 5;
+
+// Prefix that identifies a serialized replay string
+const REPLAY_PREFIX = 'TCR';
+
+// One uppercase letter per action; timestamps are written as lowercase base36
+const ACTION_CODES = {
+    [ACTIONS.MOVE_LEFT]: 'L',
+    [ACTIONS.MOVE_RIGHT]: 'R',
+    [ACTIONS.SOFT_DROP]: 'D',
+    [ACTIONS.HARD_DROP]: 'H',
+    [ACTIONS.ROTATE_CW]: 'U',
+    [ACTIONS.ROTATE_CCW]: 'Z',
+    [ACTIONS.ROTATE_180]: 'A',
+    [ACTIONS.HOLD]: 'C',
+    [ACTIONS.GRAVITY]: 'G',
+    [ACTIONS.TICK]: 'T'
+};
+
+const CODE_ACTIONS = Object.fromEntries(
+    Object.entries(ACTION_CODES).map(([action, code]) => [code, action])
+);
+
+/**
+ * Header upgrades for replays written by earlier format versions
+ * UPGRADES[n] turns a version n header into a version n + 1 one, filling in
+ * what version n didn't record with the rules its games were played under,
+ * so every replay ever written still re-runs on the current engine.
+ */
+const UPGRADES = {
+    // No lock delay: pieces locked on the first gravity step that couldn't move them.
+    // Games from before guideline scoring re-run to their lines and level, not their score.
+    1: header => ({ ...header, lock: { mode: LOCK_MODES.CLASSIC, delay: 0, maxResets: 0 } }),
+    // A 20-row field with no hidden rows and pieces spawning in its top row: the same
+    // matrix as 18 visible rows under the 2-row minimum buffer. Such games topped out
+    // as soon as a block reached the top row, so the last piece may play out differently.
+    2: header => ({ ...header, board: { width: GRID_WIDTH, height: 18, bufferRows: 2 } }),
+    // Marathon rules, except Sprint's line goal, which version 3 kept at the top level
+    3: ({ lineGoal, ...header }) => ({ ...header, rules: { ...DEFAULT_RULES, lineGoal: lineGoal ?? null } }),
+    // A classic-mode tick was only logged when it locked a grounded piece, which a gravity step now does
+    4: header => (header.lock?.mode === LOCK_MODES.CLASSIC
+        ? { ...header, log: header.log.replace(/T/g, ACTION_CODES[ACTIONS.GRAVITY]) }
+        : header)
+};
+
+/**
+ * Convert seed bytes to a hex string
+ */
+function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convert a hex string back to seed bytes
+ */
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Describe a seed so it survives JSON round trips
+ * Byte seeds (on-chain GameSeed) become hex, string seeds (room ids) stay text
+ */
+function encodeSeed(seed) {
+    if (typeof seed === 'string') {
+        return { text: seed };
+    }
+    if (typeof seed === 'number') {
+        return { number: seed };
+    }
+    return { hex: bytesToHex(seed) };
+}
+
+function decodeSeed(encoded) {
+    if (encoded.text !== undefined) {
+        return encoded.text;
+    }
+    if (encoded.number !== undefined) {
+        return encoded.number;
+    }
+    return hexToBytes(encoded.hex);
+}
+
+/**
+ * Snapshot the result fields a replay is checked against
+ */
+function summarize(game) {
+    return {
+        score: game.score,
+        linesCleared: game.linesCleared,
+        level: game.level,
+        isGameOver: game.isGameOver
+    };
+}
+
+/**
+ * Lock delay rules a game was played with
+ */
+function getLockRules(game) {
+    return {
+        mode: game.lockMode,
+        delay: game.lockDelay,
+        maxResets: game.maxLockResets
+    };
+}
+
+/**
+ * Board dimensions a game was played with
+ */
+function getBoard(game) {
+    return {
+        width: game.width,
+        height: game.height,
+        bufferRows: game.bufferRows
+    };
+}
+
+/**
+ * Mode rules a game was played with (see DEFAULT_RULES)
+ */
+export function getModeRules(game) {
+    return {
+        lineGoal: game.lineGoal,
+        timeLimit: game.timeLimit,
+        linesPerLevel: game.linesPerLevel,
+        comboMultiplier: game.comboMultiplier,
+        digLines: game.digLines,
+        garbageMessiness: game.garbageMessiness
+    };
+}
+
+/**
+ * ReplayRecorder - Captures every action applied to a TetrisGame
+ * The clock stops while the recorder is paused, so lock delay and time limits
+ * only count time in play.
+ */
+export class ReplayRecorder {
+    /**
+     * @param {TetrisGame} game - Game to record (must already be started)
+     * @param {Function} now - Clock returning milliseconds (defaults to performance.now)
+     */
+    constructor(game, now = () => performance.now()) {
+        this.game = game;
+        this.now = now;
+        this.startTime = now();
+        this.lastTime = 0;
+        this.pausedAt = null;
+        this.pausedTotal = 0;
+        this.events = [];
+    }
+
+    /**
+     * Stop or restart the game clock (call alongside game.togglePause)
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+        if (paused && this.pausedAt === null) {
+            this.pausedAt = this.now();
+        } else if (!paused && this.pausedAt !== null) {
+            this.pausedTotal += this.now() - this.pausedAt;
+            this.pausedAt = null;
+        }
+    }
+
+    /**
+     * Apply an action to the game and record it
+     * @param {string} action - One of ACTIONS
+     * @param {number} timestamp - Optional clock reading for the action
+     * @returns {boolean} - Whether the action changed the game state
+     */
+    apply(action, timestamp = this.now()) {
+        // Clamp so the clock never runs backwards (frame and event clocks can disagree slightly);
+        // the engine sees the same rounded time the log stores
+        const clock = this.pausedAt !== null ? Math.min(timestamp, this.pausedAt) : timestamp;
+        const time = Math.max(this.lastTime, Math.round(clock - this.startTime - this.pausedTotal));
+        this.lastTime = time;
+
+        const changed = this.game.applyAction(action, time);
+
+        // Rejected actions are no-ops in the engine, so they need no log entry
+        if (changed) {
+            this.events.push({ action, time });
+        }
+
+        return changed;
+    }
+
+    /**
+     * Build the replay object for the recorded game
+     */
+    getReplay() {
+        return {
+            version: REPLAY_FORMAT_VERSION,
+            seed: encodeSeed(this.game.pieceGenerator.seed),
+            randomizer: this.game.randomizer,
+            prngVersion: this.game.prngVersion,
+            lock: getLockRules(this.game),
+            board: getBoard(this.game),
+            rules: getModeRules(this.game),
+            events: [...this.events],
+            result: summarize(this.game)
+        };
+    }
+}
+
+/**
+ * Serialize a replay into a compact string
+ * Layout: "TCR<version>." + JSON header, where the event log is packed as
+ * one action letter followed by the base36 delta from the previous event.
+ * @param {Object} replay - Replay from ReplayRecorder.getReplay()
+ * @returns {string}
+ */
+export function serializeReplay(replay) {
+    let lastTime = 0;
+    let log = '';
+    for (const event of replay.events) {
+        const code = ACTION_CODES[event.action];
+        if (!code) {
+            throw new Error(`Cannot serialize unknown action: ${event.action}`);
+        }
+        log += code + (event.time - lastTime).toString(36);
+        lastTime = event.time;
+    }
+
+    const header = {
+        seed: replay.seed,
+        randomizer: replay.randomizer,
+        prngVersion: replay.prngVersion,
+        lock: replay.lock,
+        board: replay.board,
+        rules: replay.rules,
+        result: replay.result,
+        log
+    };
+
+    return `${REPLAY_PREFIX}${replay.version}.${JSON.stringify(header)}`;
+}
+
+/**
+ * Parse a string produced by serializeReplay, of this or any earlier version
+ * @param {string} data - Serialized replay
+ * @returns {Object} - Replay object (version is the one it was written with)
+ */
+export function deserializeReplay(data) {
+    const match = /^TCR(\d+)\.(.*)$/s.exec(data || '');
+    if (!match) {
+        throw new Error('Invalid replay data');
+    }
+
+    const version = parseInt(match[1], 10);
+    if (version !== REPLAY_FORMAT_VERSION && !UPGRADES[version]) {
+        throw new Error(`Unsupported replay version: ${version}`);
+    }
+
+    let header = JSON.parse(match[2]);
+    for (let from = version; from < REPLAY_FORMAT_VERSION; from++) {
+        header = UPGRADES[from](header);
+    }
+
+    const events = [];
+    const pattern = /([A-Z])([0-9a-z]*)/g;
+    let time = 0;
+    let token;
+    while ((token = pattern.exec(header.log)) !== null) {
+        const action = CODE_ACTIONS[token[1]];
+        if (!action) {
+            throw new Error(`Invalid replay action code: ${token[1]}`);
+        }
+        time += parseInt(token[2] || '0', 36);
+        events.push({ action, time });
+    }
+
+    return {
+        version,
+        seed: header.seed,
+        randomizer: header.randomizer,
+        prngVersion: header.prngVersion,
+        lock: header.lock,
+        board: header.board,
+        rules: header.rules,
+        events,
+        result: header.result
+    };
+}
+
+/**
+ * ReplayPlayer - Steps a headless TetrisGame through a recorded replay
+ * Useful for re-watching: advance to a time and render getState()
+ */
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.restart();
+    }
+
+    /**
+     * Rewind to the beginning of the replay
+     */
+    restart() {
+        const lock = this.replay.lock || {};
+        const board = this.replay.board || {};
+        const rules = this.replay.rules || {};
+        this.game = new TetrisGame(decodeSeed(this.replay.seed), {
+            randomizer: this.replay.randomizer || DEFAULT_RANDOMIZER,
+            prngVersion: this.replay.prngVersion || CURRENT_PRNG_VERSION,
+            lockMode: lock.mode,
+            lockDelay: lock.delay,
+            maxLockResets: lock.maxResets,
+            width: board.width,
+            height: board.height,
+            bufferRows: board.bufferRows,
+            lineGoal: rules.lineGoal,
+            timeLimit: rules.timeLimit,
+            linesPerLevel: rules.linesPerLevel,
+            comboMultiplier: rules.comboMultiplier,
+            digLines: rules.digLines,
+            garbageMessiness: rules.garbageMessiness
+        });
+        this.game.start();
+        this.position = 0;
+        this.currentTime = 0;
+    }
+
+    /**
+     * Apply every event up to and including the given time
+     * @param {number} time - Milliseconds since the start of the game
+     * @returns {Object} - Game state at that time
+     */
+    advanceTo(time) {
+        if (time < this.currentTime) {
+            this.restart();
+        }
+
+        const events = this.replay.events;
+        while (this.position < events.length && events[this.position].time <= time) {
+            this.game.applyAction(events[this.position].action, events[this.position].time);
+            this.position++;
+        }
+
+        this.currentTime = time;
+        return this.game.getState();
+    }
+
+    /**
+     * Apply the remaining events
+     * @returns {Object} - Final game state
+     */
+    finish() {
+        const events = this.replay.events;
+        const lastTime = events.length > 0 ? events[events.length - 1].time : 0;
+        return this.advanceTo(Math.max(lastTime, this.currentTime));
+    }
+
+    /**
+     * Whether every event has been applied
+     */
+    isFinished() {
+        return this.position >= this.replay.events.length;
+    }
+
+    /**
+     * Total replay duration in milliseconds
+     */
+    getDuration() {
+        const events = this.replay.events;
+        return events.length > 0 ? events[events.length - 1].time : 0;
+    }
+}
+
+/**
+ * Re-run a replay headlessly
+ * @param {Object|string} replay - Replay object or serialized replay string
+ * @returns {{ game: TetrisGame, result: Object, matches: boolean }}
+ *   matches is true when the simulated result equals the recorded one
+ */
+export function runReplay(replay) {
+    const parsed = typeof replay === 'string' ? deserializeReplay(replay) : replay;
+    const player = new ReplayPlayer(parsed);
+    player.finish();
+
+    const result = summarize(player.game);
+    const recorded = parsed.result;
+    const matches = !!recorded
+        && recorded.score === result.score
+        && recorded.linesCleared === result.linesCleared
+        && recorded.level === result.level;
+
+    return { game: player.game, result, matches };
+}
@@ -0,0 +1,69 @@
+/**
+ * Score Verification - Server Replay Attestation
+ *
+ * Before a score is submitted on-chain, the game server re-simulates the
+ * recorded replay against the GameSeed and signs the verified stats.
+ * submit_score rejects games without a valid signature.
+ */
+
+import { WEBSOCKET_CONFIG } from './config.js';
+import { serializeReplay } from './replay.js';
+
+/**
+ * Ask the game server to verify a replay and sign the resulting score
+ * @param {string} gameSeedObjectId - GameSeed object the game was played with
+ * @param {string} playerAddress - Wallet address that owns the seed
+ * @param {Object} replay - Replay from ReplayRecorder.getReplay()
+ * @returns {Promise<Object>} - Attestation { score, level, linesCleared, ..., signature (base64), publicKey }
+ */
+export async function requestScoreAttestation(gameSeedObjectId, playerAddress, replay) {
+    if (!replay) {
+        throw new Error('No replay recorded for this game');
+    }
+
+    const response = await fetch(`${WEBSOCKET_CONFIG.serverUrl}/api/scores/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            gameSeedObjectId,
+            player: playerAddress,
+            replay: serializeReplay(replay)
+        })
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.message || `Score verification failed (${response.status})`);
+    }
+
+    return body;
+}
+
+/**
+ * Decode the base64 attestation signature into bytes for the transaction
+ * @param {Object|null} attestation - Attestation from requestScoreAttestation
+ * @returns {number[]} - Signature bytes (empty when there is no attestation)
+ */
+export function getAttestationSignature(attestation) {
+    if (!attestation || !attestation.signature) {
+        return [];
+    }
+    return Array.from(atob(attestation.signature), c => c.charCodeAt(0));
+}
+
+/**
+ * The signed stats submit_score takes after the score, in its parameter order
+ * @param {Object|null} attestation - Attestation from requestScoreAttestation
+ * @returns {number[]} - [level, lines cleared, tetrises, max combo, pieces placed, play time (ms)]
+ */
+export function getAttestedStats(attestation) {
+    const stats = attestation || {};
+    return [
+        stats.level,
+        stats.linesCleared,
+        stats.tetrisCount,
+        stats.maxCombo,
+        stats.piecesPlaced,
+        stats.playTime
+    ].map(value => value || 0);
+}
@@ -1,6 +1,10 @@
 /**
  * Skin Configuration
  * Defines all available skins and their unlock requirements
+ *
+ * Most conditions are met within a single game (score, level, lines, tetris,
+ * combo). Lifetime conditions (totalLines, totalTetrises, gamesPlayed,
+ * battlesWon) are checked against the player's profile totals.
  */
 
 export const SKINS = [
@@ -323,6 +327,38 @@ export const SKINS = [
             7: '#eee8aa', // L - Pale Goldenrod
         },
         unlockCondition: { type: 'score', value: 100000 }
+    },
+    {
+        id: 20,
+        name: 'Line Legend',
+        unlockScore: 0,
+        description: 'Worn smooth by a career of cleared lines',
+        colors: {
+            1: '#c0c0c0', // I - Silver
+            2: '#a9a9a9', // O - Dark Gray
+            3: '#b0c4de', // T - Light Steel Blue
+            4: '#778899', // S - Light Slate Gray
+            5: '#dcdcdc', // Z - Gainsboro
+            6: '#708090', // J - Slate Gray
+            7: '#e5e4e2', // L - Platinum
+        },
+        unlockCondition: { type: 'totalLines', value: 10000, description: 'Clear 10,000 Lines Total' }
+    },
+    {
+        id: 21,
+        name: 'Arena Champion',
+        unlockScore: 0,
+        description: 'Colors of a seasoned battle winner',
+        colors: {
+            1: '#b22222', // I - Firebrick
+            2: '#daa520', // O - Goldenrod
+            3: '#8b0000', // T - Dark Red
+            4: '#cd853f', // S - Peru
+            5: '#dc143c', // Z - Crimson
+            6: '#800000', // J - Maroon
+            7: '#ffd700', // L - Gold
+        },
+        unlockCondition: { type: 'battlesWon', value: 25, description: 'Win 25 Battles' }
     }
 ];
 
@@ -333,13 +369,34 @@ export function getSkinById(id) {
     return SKINS.find(skin => skin.id === id) || SKINS[0];
 }
 
+/**
+ * Current value of a lifetime condition's total
+ * @param {Object} profile - Lifetime totals { games, battlesWon, linesCleared, tetrisCount }
+ * @returns {number|null} - null if the condition isn't a lifetime one
+ */
+function getLifetimeValue(type, profile) {
+    switch (type) {
+        case 'totalLines':
+            return profile.linesCleared || 0;
+        case 'totalTetrises':
+            return profile.tetrisCount || 0;
+        case 'gamesPlayed':
+            return profile.games || 0;
+        case 'battlesWon':
+            return profile.battlesWon || 0;
+        default:
+            return null;
+    }
+}
+
 /**
  * Check if a skin is unlocked based on game stats
  * @param {Object} skin - The skin to check
  * @param {Object} stats - Game statistics { score, level, linesCleared, tetrisCount, maxCombo }
+ * @param {Object} profile - Lifetime totals, for lifetime conditions (see playerProfile.js)
  * @returns {boolean}
  */
-export function checkSkinUnlocked(skin, stats) {
+export function checkSkinUnlocked(skin, stats, profile = {}) {
     const { score = 0, level = 1, linesCleared = 0, tetrisCount = 0, maxCombo = 0 } = stats;
     
     if (!skin.unlockCondition) {
@@ -360,31 +417,33 @@ export function checkSkinUnlocked(skin, stats) {
             return tetrisCount >= skin.unlockCondition.value;
         case 'combo':
             return maxCombo >= skin.unlockCondition.value;
-        default:
-            return false;
+        default: {
+            const total = getLifetimeValue(skin.unlockCondition.type, profile);
+            return total !== null && total >= skin.unlockCondition.value;
+        }
     }
 }
 
 /**
  * Get all unlocked skins for given game stats
  */
-export function getUnlockedSkins(stats) {
-    return SKINS.filter(skin => checkSkinUnlocked(skin, stats));
+export function getUnlockedSkins(stats, profile = {}) {
+    return SKINS.filter(skin => checkSkinUnlocked(skin, stats, profile));
 }
 
 /**
  * Check if a specific skin is unlocked
  */
-export function isSkinUnlocked(skinId, stats) {
+export function isSkinUnlocked(skinId, stats, profile = {}) {
     const skin = getSkinById(skinId);
-    return skin && checkSkinUnlocked(skin, stats);
+    return skin && checkSkinUnlocked(skin, stats, profile);
 }
 
 /**
  * Get the next skin to unlock based on current stats
  */
-export function getNextSkinToUnlock(stats) {
-    const lockedSkins = SKINS.filter(skin => !checkSkinUnlocked(skin, stats));
+export function getNextSkinToUnlock(stats, profile = {}) {
+    const lockedSkins = SKINS.filter(skin => !checkSkinUnlocked(skin, stats, profile));
     
     // Sort by unlock difficulty (rough estimate)
     lockedSkins.sort((a, b) => {
@@ -399,7 +458,7 @@ export function getNextSkinToUnlock(stats) {
 /**
  * Get unlock progress for a skin (0-1)
  */
-export function getSkinUnlockProgress(skin, stats) {
+export function getSkinUnlockProgress(skin, stats, profile = {}) {
     const { score = 0, level = 1, linesCleared = 0, tetrisCount = 0, maxCombo = 0 } = stats;
     
     if (!skin.unlockCondition) {
@@ -428,7 +487,10 @@ export function getSkinUnlockProgress(skin, stats) {
             current = maxCombo;
             break;
         default:
-            return 0;
+            current = getLifetimeValue(skin.unlockCondition.type, profile);
+            if (current === null) {
+                return 0;
+            }
     }
     
     return Math.min(current / target, 1);
@@ -0,0 +1,134 @@
+/**
+ * Skin Progress - Chain-Backed Skin Unlocks and Claims
+ *
+ * A wallet's skins come from the chain, not from anything the browser says:
+ * - Verified: skins its verified, submitted games qualify for. The game
+ *   server keeps each player's best stats from those games, and their
+ *   lifetime totals (see playerProfile.js).
+ * - Claimed: skins it owns as BlockSkin NFTs.
+ * Only verified skins can be claimed as NFTs.
+ *
+ * localStorage only caches these per wallet, as { [address]: { verifiedSkins,
+ * claimedSkins, updatedAt } }, so they show before the chain has answered.
+ *
+ * Skins unlocked in local play are kept apart (under 'unlockedSkins', the key
+ * every unlock used before) and can be used on this device, but don't count
+ * as verified. The old device-wide 'claimedSkins' list is browser data like
+ * them, so it is merged into these local unlocks, never into a wallet's claims.
+ */
+
+import { WEBSOCKET_CONFIG } from './config.js';
+import { SKINS, getUnlockedSkins } from './skinConfig.js';
+
+const STORAGE_KEY = 'skinProgress';
+const LOCAL_UNLOCKS_KEY = 'unlockedSkins';
+const LEGACY_CLAIMED_KEY = 'claimedSkins';
+
+/**
+ * Ask the game server for a player's best stats from verified games
+ * @param {string} address - Player's wallet address
+ * @returns {Promise<Object>} - { score, level, linesCleared, tetrisCount, maxCombo, updatedAt }
+ */
+export async function fetchVerifiedStats(address) {
+    const response = await fetch(`${WEBSOCKET_CONFIG.serverUrl}/api/players/${encodeURIComponent(address)}/verified-stats`);
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.message || `Could not load verified stats (${response.status})`);
+    }
+    return body.stats;
+}
+
+/**
+ * Ids of the skins some verified stats qualify for
+ * @param {Object} stats - Best stats of the verified games
+ * @param {Object} profile - Lifetime totals, for lifetime conditions
+ */
+export function getVerifiedSkinIds(stats, profile = {}) {
+    return getUnlockedSkins(stats, profile).map(skin => skin.id);
+}
+
+/**
+ * Ids of the skins a wallet owns as NFTs
+ * @param {Object[]} ownedNFTs - BlockSkin NFTs, as { skinName }
+ */
+export function getClaimedSkinIds(ownedNFTs) {
+    const names = new Set(ownedNFTs.map(nft => nft.skinName));
+    return SKINS.filter(skin => names.has(skin.name)).map(skin => skin.id);
+}
+
+function loadAll() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    } catch (error) {
+        console.error('Failed to read skin progress from localStorage:', error);
+        return {};
+    }
+}
+
+function saveAll(progress) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+    } catch (error) {
+        console.error('Failed to save skin progress to localStorage:', error);
+    }
+}
+
+/**
+ * Cached skin progress of a wallet
+ * @param {string} address - Wallet address
+ * @returns {{ verifiedSkins: number[], claimedSkins: number[], updatedAt: number }}
+ */
+export function loadSkinProgress(address) {
+    return loadAll()[address] || { verifiedSkins: getVerifiedSkinIds({}), claimedSkins: [], updatedAt: 0 };
+}
+
+/**
+ * Cache what the chain says about a wallet's skins
+ * @param {string} address - Wallet address
+ * @param {Object} changes - { verifiedSkins } and/or { claimedSkins }
+ */
+export function saveSkinProgress(address, changes) {
+    const progress = loadAll();
+    progress[address] = { ...loadSkinProgress(address), ...changes, updatedAt: Date.now() };
+    saveAll(progress);
+}
+
+/**
+ * Ids of the skins unlocked in local play on this device
+ */
+export function loadLocalUnlocks() {
+    let unlocks;
+    try {
+        const saved = localStorage.getItem(LOCAL_UNLOCKS_KEY);
+        unlocks = saved ? JSON.parse(saved) : [0]; // Classic skin (id: 0) is always unlocked
+    } catch (error) {
+        console.error('Failed to read unlocked skins from localStorage:', error);
+        return [0];
+    }
+
+    // Merge the old device-wide claimed list into the local unlocks
+    try {
+        const legacyClaimed = localStorage.getItem(LEGACY_CLAIMED_KEY);
+        if (legacyClaimed) {
+            unlocks = [...new Set([...unlocks, ...JSON.parse(legacyClaimed)])];
+            saveLocalUnlocks(unlocks);
+            localStorage.removeItem(LEGACY_CLAIMED_KEY);
+        }
+    } catch (error) {
+        console.error('Failed to migrate claimed skins from localStorage:', error);
+    }
+
+    return unlocks;
+}
+
+/**
+ * Store the skins unlocked in local play
+ */
+export function saveLocalUnlocks(skinIds) {
+    try {
+        localStorage.setItem(LOCAL_UNLOCKS_KEY, JSON.stringify(skinIds));
+    } catch (error) {
+        console.error('Failed to save unlocked skins to localStorage:', error);
+    }
+}
@@ -0,0 +1,222 @@
+/**
+ * State Sync - Compact Binary Frames for Showing a Board Remotely
+ *
+ * Shared by the client and the battle server (loaded through the server's
+ * game engine loader). The server encodes each simulated board into frames
+ * for its viewers; they decode them back into a board state to render.
+ *
+ * A keyframe carries every row; other frames only carry the rows that changed
+ * since the frame before, so they can only be applied in sequence. A viewer
+ * that misses a frame waits for the next keyframe, sent every
+ * keyframeInterval frames.
+ *
+ * Frame layout (little-endian):
+ *   u8  format version            u8  flags (KEYFRAME, GAME_OVER)
+ *   u32 seq
+ *   u8  width   u8 height   u8 bufferRows
+ *   u32 score   u32 linesCleared   u16 level   u32 piecesPlaced   u16 pendingGarbage
+ *   u8  piece type (0 = none)   i8 x   i8 y   u8 rotation   i8 ghost y
+ *   u8  hold type (0 = none)
+ *   u8  next count, then one u8 type each
+ *   u8  row count, then per row: u8 row index, ceil(width / 2) bytes of
+ *       4-bit cells (high nibble first)
+ */
+
+export const STATE_SYNC_VERSION = 1;
+export const DEFAULT_KEYFRAME_INTERVAL = 20; // Frames between keyframes
+
+const FLAGS = {
+    KEYFRAME: 1,
+    GAME_OVER: 2
+};
+
+const HEADER_SIZE = 32; // Bytes before the next queue
+
+/**
+ * Bytes of one packed row
+ */
+function rowSize(width) {
+    return Math.ceil(width / 2);
+}
+
+/**
+ * View any binary payload (ArrayBuffer, Uint8Array, Node Buffer) as bytes
+ */
+function toBytes(data) {
+    if (ArrayBuffer.isView(data)) {
+        return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    return new Uint8Array(data);
+}
+
+/**
+ * StateEncoder - Turns successive board states into frames
+ */
+export class StateEncoder {
+    /**
+     * @param {Object} options
+     * @param {number} options.keyframeInterval - Frames between keyframes
+     */
+    constructor({ keyframeInterval = DEFAULT_KEYFRAME_INTERVAL } = {}) {
+        this.keyframeInterval = keyframeInterval;
+        this.seq = 0;
+        this.previousGrid = null; // Grid of the last frame, for deltas
+        this.forceKeyframe = true;
+    }
+
+    /**
+     * Make the next frame a keyframe (e.g. when a new viewer joins)
+     */
+    requestKeyframe() {
+        this.forceKeyframe = true;
+    }
+
+    /**
+     * Encode the next frame
+     * @param {Object} state - Board state (grid, currentPiece, ghostPiece, holdPiece, nextQueue,
+     *   score, linesCleared, level, piecesPlaced, pendingGarbage, isGameOver, width, height, bufferRows)
+     * @returns {Uint8Array}
+     */
+    encode(state) {
+        const { grid, width } = state;
+        if (grid.length > 255 || width > 255 || grid.some(row => row.length !== width || row.some(cell => cell < 0 || cell > 15))) {
+            throw new Error('Board cannot be encoded');
+        }
+
+        this.seq++;
+        const sizeChanged = !this.previousGrid || this.previousGrid.length !== grid.length
+            || this.previousGrid[0]?.length !== width;
+        const keyframe = this.forceKeyframe || sizeChanged || (this.seq - 1) % this.keyframeInterval === 0;
+        this.forceKeyframe = false;
+
+        const rows = [];
+        grid.forEach((row, y) => {
+            if (keyframe || row.some((cell, x) => cell !== this.previousGrid[y][x])) {
+                rows.push(y);
+            }
+        });
+        this.previousGrid = grid.map(row => [...row]);
+
+        const nextQueue = (state.nextQueue || []).slice(0, 255);
+        const bytes = new Uint8Array(HEADER_SIZE + nextQueue.length + 1 + rows.length * (1 + rowSize(width)));
+        const view = new DataView(bytes.buffer);
+        const piece = state.currentPiece;
+
+        view.setUint8(0, STATE_SYNC_VERSION);
+        view.setUint8(1, (keyframe ? FLAGS.KEYFRAME : 0) | (state.isGameOver ? FLAGS.GAME_OVER : 0));
+        view.setUint32(2, this.seq, true);
+        view.setUint8(6, width);
+        view.setUint8(7, state.height);
+        view.setUint8(8, state.bufferRows);
+        view.setUint32(9, state.score, true);
+        view.setUint32(13, state.linesCleared, true);
+        view.setUint16(17, state.level, true);
+        view.setUint32(19, state.piecesPlaced || 0, true);
+        view.setUint16(23, state.pendingGarbage || 0, true);
+        view.setUint8(25, piece ? piece.type : 0);
+        view.setInt8(26, piece ? piece.x : 0);
+        view.setInt8(27, piece ? piece.y : 0);
+        view.setUint8(28, piece ? piece.rotation : 0);
+        view.setInt8(29, state.ghostPiece ? state.ghostPiece.y : (piece ? piece.y : 0));
+        view.setUint8(30, state.holdPiece ? state.holdPiece.type : 0);
+        view.setUint8(31, nextQueue.length);
+
+        let offset = HEADER_SIZE;
+        for (const type of nextQueue) {
+            bytes[offset++] = type;
+        }
+
+        bytes[offset++] = rows.length;
+        for (const y of rows) {
+            bytes[offset++] = y;
+            for (let x = 0; x < width; x += 2) {
+                bytes[offset++] = (grid[y][x] << 4) | (grid[y][x + 1] ?? 0);
+            }
+        }
+
+        return bytes;
+    }
+}
+
+/**
+ * StateDecoder - Rebuilds board states from a StateEncoder's frames
+ */
+export class StateDecoder {
+    constructor() {
+        this.seq = null; // Seq of the last frame applied
+        this.grid = null;
+    }
+
+    /**
+     * Apply the next frame
+     * @param {ArrayBuffer|Uint8Array} data - Frame from StateEncoder.encode
+     * @returns {Object|null} - Board state, or null if the frame can't be applied
+     *   (an older frame, or a delta after a missed frame; wait for the next keyframe)
+     */
+    decode(data) {
+        const bytes = toBytes(data);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (bytes.length < HEADER_SIZE || view.getUint8(0) !== STATE_SYNC_VERSION) {
+            throw new Error('Unsupported state frame');
+        }
+
+        const flags = view.getUint8(1);
+        const seq = view.getUint32(2, true);
+        const keyframe = (flags & FLAGS.KEYFRAME) !== 0;
+        if (this.seq !== null && seq <= this.seq) {
+            return null;
+        }
+        if (!keyframe && (this.grid === null || seq !== this.seq + 1)) {
+            return null;
+        }
+
+        const width = view.getUint8(6);
+        const height = view.getUint8(7);
+        const bufferRows = view.getUint8(8);
+
+        let offset = HEADER_SIZE;
+        const nextQueue = Array.from(bytes.subarray(offset, offset + view.getUint8(31)));
+        offset += nextQueue.length;
+
+        const grid = keyframe ? [] : this.grid.map(row => [...row]);
+        const rowCount = bytes[offset++];
+        for (let i = 0; i < rowCount; i++) {
+            const y = bytes[offset++];
+            const row = new Array(width);
+            for (let x = 0; x < width; x += 2) {
+                const packed = bytes[offset++];
+                row[x] = packed >> 4;
+                if (x + 1 < width) {
+                    row[x + 1] = packed & 0x0f;
+                }
+            }
+            grid[y] = row;
+        }
+
+        this.seq = seq;
+        this.grid = grid;
+
+        const pieceType = view.getUint8(25);
+        const currentPiece = pieceType
+            ? { type: pieceType, x: view.getInt8(26), y: view.getInt8(27), rotation: view.getUint8(28) }
+            : null;
+        const holdType = view.getUint8(30);
+
+        return {
+            grid: grid.map(row => [...row]),
+            currentPiece,
+            ghostPiece: currentPiece && { ...currentPiece, y: view.getInt8(29) },
+            holdPiece: holdType ? { type: holdType } : null,
+            nextQueue,
+            score: view.getUint32(9, true),
+            linesCleared: view.getUint32(13, true),
+            level: view.getUint16(17, true),
+            piecesPlaced: view.getUint32(19, true),
+            pendingGarbage: view.getUint16(23, true),
+            isGameOver: (flags & FLAGS.GAME_OVER) !== 0,
+            width,
+            height,
+            bufferRows
+        };
+    }
+}
@@ -9,9 +9,8 @@
  * - Loading states
  */
 
-// Grid dimensions
-const GRID_WIDTH = 10;
-const GRID_HEIGHT = 20;
+import { GRID_WIDTH, GRID_HEIGHT } from './game.js';
+
 const CELL_SIZE = 30; // pixels per cell
 
 // Colors for each piece type (1-7)
@@ -41,6 +40,11 @@ export class GameUI {
         this.finalScoreElement = document.getElementById('finalScore');
         this.gameOverScreen = document.getElementById('gameOverScreen');
         
+        // Board dimensions of the last rendered state (grid rows include bufferRows hidden rows)
+        this.width = GRID_WIDTH;
+        this.height = GRID_HEIGHT;
+        this.bufferRows = 0;
+        
         // Initialize canvas
         this.initCanvas();
     }
@@ -50,8 +54,8 @@ export class GameUI {
      */
     initCanvas() {
         // Set canvas size
-        this.canvas.width = GRID_WIDTH * CELL_SIZE;
-        this.canvas.height = GRID_HEIGHT * CELL_SIZE;
+        this.canvas.width = this.width * CELL_SIZE;
+        this.canvas.height = this.height * CELL_SIZE;
         
         // Set rendering context properties
         this.ctx.strokeStyle = '#333';
@@ -84,12 +88,27 @@ export class GameUI {
     }
 
     /**
-     * Draw the game grid with locked pieces
+     * Take the board dimensions from a game state, resizing the canvas if they changed
+     */
+    setDimensions(gameState) {
+        const width = gameState.width ?? GRID_WIDTH;
+        const height = gameState.height ?? GRID_HEIGHT;
+        this.bufferRows = gameState.bufferRows ?? 0;
+
+        if (width !== this.width || height !== this.height) {
+            this.width = width;
+            this.height = height;
+            this.initCanvas();
+        }
+    }
+
+    /**
+     * Draw the visible rows of the game grid with locked pieces
      */
     drawGrid(grid) {
-        for (let y = 0; y < GRID_HEIGHT; y++) {
-            for (let x = 0; x < GRID_WIDTH; x++) {
-                const cellValue = grid[y][x];
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const cellValue = grid[y + this.bufferRows][x];
                 const color = PIECE_COLORS[cellValue] || PIECE_COLORS[0];
                 this.drawCell(x, y, color);
             }
@@ -109,10 +128,10 @@ export class GameUI {
             for (let x = 0; x < 4; x++) {
                 if (shape[y][x]) {
                     const gridX = piece.x + x;
-                    const gridY = piece.y + y;
+                    const gridY = piece.y + y - this.bufferRows;
                     
                     // Only draw if within visible grid
-                    if (gridY >= 0 && gridY < GRID_HEIGHT && gridX >= 0 && gridX < GRID_WIDTH) {
+                    if (gridY >= 0 && gridY < this.height && gridX >= 0 && gridX < this.width) {
                         this.drawCell(gridX, gridY, color);
                     }
                 }
@@ -147,6 +166,8 @@ export class GameUI {
     renderGame(gameState) {
         if (!gameState) return;
         
+        this.setDimensions(gameState);
+        
         // Clear canvas
         this.clearCanvas();
         
@@ -0,0 +1,101 @@
+/**
+ * Usernames - On-Chain Usernames for Wallet Addresses
+ *
+ * Usernames are registered in the contract's UsernameRegistry. The game
+ * server reads the registry in batches and caches the results; this
+ * resolver batches lookups to the server and keeps its own in-memory
+ * cache with an expiry, so views can ask for the same addresses freely.
+ */
+
+import { WEBSOCKET_CONFIG } from './config.js';
+
+export const USERNAME_CACHE_TTL = 5 * 60 * 1000; // ms a resolved lookup is kept
+export const USERNAME_BATCH_SIZE = 100; // Addresses per server request
+
+/**
+ * Ask the game server for the usernames of some addresses
+ * @param {string[]} addresses
+ * @returns {Promise<Object>} - Address -> username, or null if the address has none
+ */
+export async function fetchUsernames(addresses) {
+    const query = new URLSearchParams({ addresses: addresses.join(',') }).toString();
+    const response = await fetch(`${WEBSOCKET_CONFIG.serverUrl}/api/usernames?${query}`);
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.message || `Could not load usernames (${response.status})`);
+    }
+    return body.usernames || {};
+}
+
+/**
+ * UsernameResolver - Batched, cached username lookups
+ */
+export class UsernameResolver {
+    /**
+     * @param {Function} load - async (addresses) => { address: username|null }
+     * @param {Object} options
+     * @param {number} options.ttl - ms a result is cached
+     * @param {number} options.batchSize - Addresses per load call
+     * @param {Function} options.now - Clock (for tests)
+     */
+    constructor(load = fetchUsernames, { ttl = USERNAME_CACHE_TTL, batchSize = USERNAME_BATCH_SIZE, now = Date.now } = {}) {
+        this.load = load;
+        this.ttl = ttl;
+        this.batchSize = batchSize;
+        this.now = now;
+        this.cache = new Map(); // address -> { username, expiresAt }
+        this.pending = new Map(); // address -> Promise of its batch
+    }
+
+    /**
+     * Cached username of an address
+     * @returns {string|null|undefined} - undefined if it isn't cached (or expired)
+     */
+    peek(address) {
+        const cached = this.cache.get(address);
+        if (!cached || cached.expiresAt <= this.now()) {
+            return undefined;
+        }
+        return cached.username;
+    }
+
+    /**
+     * Record a username known without asking (e.g. one the player just registered)
+     */
+    remember(address, username) {
+        this.cache.set(address, { username, expiresAt: this.now() + this.ttl });
+    }
+
+    /**
+     * Usernames of several addresses, loading the ones not cached in batches
+     * @param {string[]} addresses
+     * @returns {Promise<Object>} - Address -> username, or null if it has none or couldn't be loaded
+     */
+    async resolve(addresses) {
+        const unique = [...new Set(addresses.filter(Boolean))];
+        const toLoad = unique.filter(address => this.peek(address) === undefined && !this.pending.has(address));
+
+        for (let i = 0; i < toLoad.length; i += this.batchSize) {
+            const batch = toLoad.slice(i, i + this.batchSize);
+            const request = this.load(batch)
+                .then((usernames) => {
+                    batch.forEach(address => this.remember(address, usernames[address] ?? null));
+                })
+                .catch((error) => {
+                    // Not cached, so the next resolve tries again
+                    console.warn('Could not resolve usernames:', error.message);
+                })
+                .finally(() => {
+                    batch.forEach(address => this.pending.delete(address));
+                });
+            batch.forEach(address => this.pending.set(address, request));
+        }
+
+        await Promise.all(unique.map(address => this.pending.get(address)));
+        return Object.fromEntries(unique.map(address => [address, this.peek(address) ?? null]));
+    }
+}
+
+// Shared by every view, so an address is only looked up once per expiry
+export const usernameResolver = new UsernameResolver();
@@ -5,8 +5,24 @@
 
 import { describe, test, expect } from 'vitest';
 import * as fc from 'fast-check';
-import { TetrisGame, PIECE_TYPES, GRID_WIDTH, GRID_HEIGHT, Piece } from '../src/game.js';
-import { PieceGenerator } from '../src/random.js';
+import { TetrisGame, PIECE_TYPES, GRID_WIDTH, GRID_HEIGHT, BUFFER_ROWS, Piece, ROTATION, ACTIONS, LOCK_MODES, DEFAULT_RULES, GAME_EVENTS, END_REASONS, T_SPIN, JLSTZ_KICKS, I_KICKS, getKickTests } from '../src/game.js';
+import { PieceGenerator, GarbageGenerator, RANDOMIZERS, PRNG_VERSIONS, createSeededRandom } from '../src/random.js';
+import { ReplayRecorder, ReplayPlayer, serializeReplay, deserializeReplay, runReplay } from '../src/replay.js';
+import { getAttestationSignature, getAttestedStats } from '../src/scoreVerification.js';
+import { CONTRACT_CONFIG } from '../src/config.js';
+import { calculateAttack, GarbageQueue, COMBO_ATTACK, TARGETING, chooseTargets } from '../src/attack.js';
+import { StateEncoder, StateDecoder } from '../src/stateSync.js';
+import { EVENTS, PROTOCOL_VERSION, getProtocolMismatch } from '../src/protocol.js';
+import { UsernameResolver } from '../src/usernames.js';
+import { getVerifiedSkinIds, getClaimedSkinIds, loadSkinProgress, saveSkinProgress, loadLocalUnlocks } from '../src/skinProgress.js';
+import { EMPTY_PROFILE, addGameToProfile, getPiecesPerSecond, formatPlayTime, loadLocalProfile, recordLocalGame } from '../src/playerProfile.js';
+import { getSkinById, checkSkinUnlocked, getSkinUnlockProgress } from '../src/skinConfig.js';
+import { GAME_MODES, ModeTimer, formatTime, getDailySeed, getRankedRunMessage } from '../src/modes.js';
+import { getReplayRunTime } from '../src/leaderboardApi.js';
+import { savePersonalBest, getPersonalBest, getPersonalBestRecords } from '../src/personalBests.js';
+
+// Rows in a default grid: the hidden buffer followed by the visible field
+const MATRIX_HEIGHT = BUFFER_ROWS + GRID_HEIGHT;
 
 describe('TetrisGame Property Tests', () => {
     
@@ -24,8 +40,8 @@ describe('TetrisGame Property Tests', () => {
                     if (piece !== null) {
                         // Piece should spawn at x = 3 (top center)
                         expect(piece.x).toBe(3);
-                        // Piece should spawn at y = 0 (top)
-                        expect(piece.y).toBe(0);
+                        // Piece should spawn just above the visible field, then drop one row
+                        expect(piece.y).toBe(BUFFER_ROWS - 2);
                         // Piece should have correct type
                         expect(piece.type).toBe(pieceType);
                         // Piece should start at rotation 0
@@ -121,7 +137,7 @@ describe('TetrisGame Property Tests', () => {
                                 if (shape[y][x]) {
                                     const gridX = game.currentPiece.x + x;
                                     const gridY = game.currentPiece.y + y;
-                                    if (gridY >= 0 && gridY < GRID_HEIGHT && gridX >= 0 && gridX < GRID_WIDTH) {
+                                    if (gridY >= 0 && gridY < MATRIX_HEIGHT && gridX >= 0 && gridX < GRID_WIDTH) {
                                         if (game.grid[gridY][gridX] !== 0) {
                                             foundLockedPiece = true;
                                         }
@@ -135,12 +151,12 @@ describe('TetrisGame Property Tests', () => {
                     // Test line clearing
                     // Create a complete line at the bottom
                     for (let x = 0; x < GRID_WIDTH; x++) {
-                        game.grid[GRID_HEIGHT - 1][x] = 1;
+                        game.grid[MATRIX_HEIGHT - 1][x] = 1;
                     }
                     
                     // Count filled cells before clearing
                     let filledCellsBefore = 0;
-                    for (let y = 0; y < GRID_HEIGHT; y++) {
+                    for (let y = 0; y < MATRIX_HEIGHT; y++) {
                         for (let x = 0; x < GRID_WIDTH; x++) {
                             if (game.grid[y][x] !== 0) {
                                 filledCellsBefore++;
@@ -155,7 +171,7 @@ describe('TetrisGame Property Tests', () => {
                     
                     // Count filled cells after clearing
                     let filledCellsAfter = 0;
-                    for (let y = 0; y < GRID_HEIGHT; y++) {
+                    for (let y = 0; y < MATRIX_HEIGHT; y++) {
                         for (let x = 0; x < GRID_WIDTH; x++) {
                             if (game.grid[y][x] !== 0) {
                                 filledCellsAfter++;
@@ -184,35 +200,38 @@ describe('TetrisGame Property Tests', () => {
 
     // Feature: web3-tetris-game, Property 3: Game over detection
     // Validates: Requirements 1.6
-    test('Property 3: Game over detection - game ends when pieces stack to top', () => {
+    test('Property 3: Game over detection - lock out ends the game when a piece locks inside the hidden buffer', () => {
         fc.assert(
             fc.property(
-                fc.integer({ min: 0, max: GRID_WIDTH - 1 }), // x position
+                fc.integer({ min: 0, max: GRID_WIDTH - 1 }), // open column
                 fc.integer({ min: 1, max: 7 }), // piece type
-                (xPos, pieceType) => {
+                (openColumn, pieceType) => {
                     const game = new TetrisGame();
                     game.start();
+
+                    // A piece landing on an empty field locks inside it
+                    game.applyAction(ACTIONS.HARD_DROP);
+                    expect(game.isGameOver).toBe(false);
                     
-                    // Fill the grid up to the top row (y = 0)
-                    // Leave the top row empty initially
-                    for (let y = 1; y < GRID_HEIGHT; y++) {
+                    // Fill the visible field, leaving one column open so no lines clear
+                    game.grid = game.createEmptyGrid();
+                    for (let y = BUFFER_ROWS; y < MATRIX_HEIGHT; y++) {
                         for (let x = 0; x < GRID_WIDTH; x++) {
-                            game.grid[y][x] = 1;
+                            game.grid[y][x] = x === openColumn ? 0 : 1;
                         }
                     }
                     
-                    // Game should not be over yet (top row is empty)
-                    expect(game.checkGameOver()).toBe(false);
+                    // The piece comes to rest entirely above the visible field
+                    game.currentPiece = new Piece(pieceType, 0, 3, 0);
+                    while (game.moveDown()) {
+                        // Keep moving down
+                    }
+                    expect(game.isAboveVisibleField(game.currentPiece)).toBe(true);
                     expect(game.isGameOver).toBe(false);
                     
-                    // Now fill at least one cell in the top row (y = 0)
-                    game.grid[0][xPos] = pieceType;
-                    
-                    // Check game over
-                    const isOver = game.checkGameOver();
+                    game.lockCurrentPiece();
                     
                     // Game should be over now
-                    expect(isOver).toBe(true);
                     expect(game.isGameOver).toBe(true);
                     
                     return true;
@@ -222,41 +241,1386 @@ describe('TetrisGame Property Tests', () => {
         );
     });
 
-    // Additional test: spawning a piece when top is blocked should trigger game over
-    test('Property 3b: Game over on spawn collision', () => {
+    // Additional test: spawning a piece when top is blocked should trigger game over
+    test('Property 3b: Game over on spawn collision', () => {
+        fc.assert(
+            fc.property(
+                fc.integer({ min: 1, max: 7 }), // piece type
+                (pieceType) => {
+                    const game = new TetrisGame();
+                    game.start();
+                    
+                    // Block the spawn area (block out)
+                    // Pieces spawn at x=3 in the two buffer rows just above the visible field
+                    // Block the 4 rows above the field, columns 2-6 to ensure collision
+                    for (let y = BUFFER_ROWS - 4; y < BUFFER_ROWS; y++) {
+                        for (let x = 2; x < 7; x++) {
+                            game.grid[y][x] = 1;
+                        }
+                    }
+                    
+                    // Try to spawn a piece
+                    const piece = game.spawnPiece(pieceType);
+                    
+                    // Spawn should fail and return null
+                    expect(piece).toBe(null);
+                    
+                    // Game should be over
+                    expect(game.isGameOver).toBe(true);
+                    
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+});
+
+
+describe('SRS Rotation Tests', () => {
+
+    // Clockwise followed by counter-clockwise is a no-op on an open board
+    test('Property 2b: CW then CCW rotation restores the original piece', () => {
+        fc.assert(
+            fc.property(
+                fc.integer({ min: 1, max: 7 }), // piece type
+                fc.integer({ min: 0, max: 3 }), // starting rotation
+                (pieceType, rotation) => {
+                    const game = new TetrisGame();
+                    game.start();
+                    game.currentPiece = new Piece(pieceType, rotation, 3, 5);
+
+                    expect(game.rotate(ROTATION.CW)).toBe(true);
+                    expect(game.rotateCounterClockwise()).toBe(true);
+
+                    expect(game.currentPiece.rotation).toBe(rotation);
+                    expect(game.currentPiece.x).toBe(3);
+                    expect(game.currentPiece.y).toBe(5);
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    test('Property 2c: 180 rotation advances the rotation state by two', () => {
+        fc.assert(
+            fc.property(
+                fc.integer({ min: 1, max: 7 }),
+                fc.integer({ min: 0, max: 3 }),
+                (pieceType, rotation) => {
+                    const game = new TetrisGame();
+                    game.start();
+                    game.currentPiece = new Piece(pieceType, rotation, 3, 5);
+
+                    expect(game.rotate180()).toBe(true);
+                    expect(game.currentPiece.rotation).toBe((rotation + 2) % 4);
+                    expect(game.checkCollision(game.currentPiece, 0, 0)).toBe(false);
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    test('Kick tables mirror each other between opposite transitions', () => {
+        for (const table of [JLSTZ_KICKS, I_KICKS]) {
+            for (const key of Object.keys(table)) {
+                const [from, to] = key.split('>');
+                const reverse = table[`${to}>${from}`];
+
+                expect(table[key]).toHaveLength(5);
+                expect(table[key][0]).toEqual([0, 0]);
+                table[key].forEach(([x, y], i) => {
+                    expect(reverse[i][0]).toBe(-x || 0);
+                    expect(reverse[i][1]).toBe(-y || 0);
+                });
+            }
+        }
+    });
+
+    test('O piece never kicks', () => {
+        expect(getKickTests(PIECE_TYPES.O, 0, 1)).toEqual([[0, 0]]);
+        expect(getKickTests(PIECE_TYPES.O, 2, 0)).toEqual([[0, 0]]);
+    });
+
+    test('unobstructed rotation reports the first kick', () => {
+        const game = new TetrisGame();
+        game.start();
+        game.currentPiece = new Piece(PIECE_TYPES.T, 0, 3, 5);
+
+        game.rotate();
+
+        expect(game.currentPiece.lastKick).toEqual({ direction: ROTATION.CW, index: 0, x: 0, y: 0 });
+    });
+
+    test('I piece kicks off the left wall using the I table', () => {
+        const game = new TetrisGame();
+        game.start();
+        // Vertical I in rotation 1 occupies column x + 2, so x = -2 hugs the wall
+        game.currentPiece = new Piece(PIECE_TYPES.I, 1, -2, 5);
+
+        expect(game.rotate()).toBe(true);
+
+        // 1>2 tests: (0,0) and (-1,0) are out of bounds, (2,0) fits
+        expect(game.currentPiece.rotation).toBe(2);
+        expect(game.currentPiece.x).toBe(0);
+        expect(game.currentPiece.y).toBe(5);
+        expect(game.currentPiece.lastKick.index).toBe(2);
+    });
+
+    test('T piece uses the last JLSTZ kick to drop two rows', () => {
+        const game = new TetrisGame();
+        game.start();
+
+        // Blockers that defeat tests 0-3 of the 0>1 transition
+        game.grid[15][3] = 8;
+        game.grid[17][4] = 8;
+        game.currentPiece = new Piece(PIECE_TYPES.T, 0, 3, 14);
+
+        expect(game.rotate()).toBe(true);
+
+        // Test 4 is (-1, -2): one left, two down
+        expect(game.currentPiece.rotation).toBe(1);
+        expect(game.currentPiece.x).toBe(2);
+        expect(game.currentPiece.y).toBe(16);
+        expect(game.currentPiece.lastKick).toEqual({ direction: ROTATION.CW, index: 4, x: -1, y: -2 });
+    });
+
+    test('rotation fails and leaves the piece untouched when every kick collides', () => {
+        const game = new TetrisGame();
+        game.start();
+        game.currentPiece = new Piece(PIECE_TYPES.T, 0, 3, 10);
+
+        // Fill everything except the cells the piece currently occupies
+        const shape = game.currentPiece.getShape();
+        for (let y = 0; y < MATRIX_HEIGHT; y++) {
+            for (let x = 0; x < GRID_WIDTH; x++) {
+                const localX = x - game.currentPiece.x;
+                const localY = y - game.currentPiece.y;
+                const occupied = localX >= 0 && localX < 4 && localY >= 0 && localY < 4 && shape[localY][localX];
+                game.grid[y][x] = occupied ? 0 : 8;
+            }
+        }
+
+        expect(game.rotate()).toBe(false);
+        expect(game.rotateCounterClockwise()).toBe(false);
+        expect(game.rotate180()).toBe(false);
+        expect(game.currentPiece.rotation).toBe(0);
+        expect(game.currentPiece.x).toBe(3);
+        expect(game.currentPiece.y).toBe(10);
+    });
+
+    test('moving after a rotation clears the recorded kick', () => {
+        const game = new TetrisGame();
+        game.start();
+        game.currentPiece = new Piece(PIECE_TYPES.T, 0, 3, 5);
+
+        game.rotate();
+        expect(game.currentPiece.lastKick).not.toBe(null);
+
+        game.moveLeft();
+        expect(game.currentPiece.lastKick).toBe(null);
+    });
+
+    test('handleInput maps Z and A to counter-clockwise and 180 rotation', () => {
+        const game = new TetrisGame();
+        game.start();
+        game.currentPiece = new Piece(PIECE_TYPES.J, 0, 3, 5);
+
+        game.handleInput('z');
+        expect(game.currentPiece.rotation).toBe(3);
+
+        game.handleInput('a');
+        expect(game.currentPiece.rotation).toBe(1);
+    });
+});
+
+
+describe('Scoring Tests', () => {
+
+    // Pieces lock on the first failed gravity step, so update() locks immediately
+    const CLASSIC = { lockMode: LOCK_MODES.CLASSIC };
+
+    // Fill a row except for the given columns
+    const fillRow = (game, y, holes) => {
+        for (let x = 0; x < GRID_WIDTH; x++) {
+            game.grid[y][x] = holes.includes(x) ? 0 : 8;
+        }
+    };
+
+    test('Property 3b: Base clear points follow the guideline table', () => {
+        fc.assert(
+            fc.property(
+                fc.integer({ min: 1, max: 20 }), // level
+                (level) => {
+                    const game = new TetrisGame();
+                    game.level = level;
+                    expect([1, 2, 3, 4].map(n => game.calculateScore(n))).toEqual([100, 300, 500, 800].map(p => p * level));
+                    expect([0, 1, 2].map(n => game.calculateScore(n, T_SPIN.MINI))).toEqual([100, 200, 400].map(p => p * level));
+                    expect([0, 1, 2, 3].map(n => game.calculateScore(n, T_SPIN.FULL))).toEqual([400, 800, 1200, 1600].map(p => p * level));
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    test('T-spin double is detected with the 3-corner rule', () => {
+        const game = new TetrisGame(new Uint8Array(32), CLASSIC);
+        game.start();
+        fillRow(game, MATRIX_HEIGHT - 1, [4]);
+        fillRow(game, MATRIX_HEIGHT - 2, [3, 4, 5]);
+        game.grid[MATRIX_HEIGHT - 3][3] = 8; // Overhang
+
+        // T pointing left next to the slot, then rotate into it pointing down
+        game.currentPiece = new Piece(PIECE_TYPES.T, 3, 3, MATRIX_HEIGHT - 4);
+        expect(game.rotate(ROTATION.CCW)).toBe(true);
+        expect(game.detectTSpin()).toBe(T_SPIN.FULL);
+
+        game.update();
+
+        expect(game.lastClear).toEqual({
+            type: 'tspin-double',
+            lines: 2,
+            tSpin: T_SPIN.FULL,
+            b2b: false,
+            combo: 0,
+            perfectClear: false,
+            points: 1200
+        });
+        expect(game.score).toBe(1200);
+        expect(game.backToBack).toBe(true);
+    });
+
+    test('T-spin mini when only one front corner is occupied', () => {
+        const game = new TetrisGame(new Uint8Array(32), CLASSIC);
+        game.start();
+        game.grid[MATRIX_HEIGHT - 1][3] = 8;
+        game.grid[MATRIX_HEIGHT - 1][5] = 8;
+        game.grid[MATRIX_HEIGHT - 3][3] = 8;
+
+        game.currentPiece = new Piece(PIECE_TYPES.T, 0, 3, MATRIX_HEIGHT - 4);
+        game.currentPiece.lastKick = { direction: ROTATION.CW, index: 1, x: -1, y: 0 };
+        expect(game.detectTSpin()).toBe(T_SPIN.MINI);
+
+        // The same position reached by a plain move is not a T-spin
+        game.currentPiece.lastKick = null;
+        expect(game.detectTSpin()).toBe(null);
+
+        game.currentPiece.lastKick = { direction: ROTATION.CW, index: 1, x: -1, y: 0 };
+        game.update();
+        expect(game.lastClear.type).toBe('tspin-mini');
+        expect(game.lastClear.points).toBe(100);
+        expect(game.currentCombo).toBe(0);
+    });
+
+    test('Back-to-back and combo bonuses', () => {
+        const game = new TetrisGame(new Uint8Array(32));
+        game.start();
+        game.grid[MATRIX_HEIGHT - 1][0] = 8; // Keep the board from being a perfect clear
+
+        game.updateScore(4);
+        expect(game.lastClear).toMatchObject({ type: 'tetris', b2b: false, combo: 0, points: 800 });
+
+        game.updateScore(4);
+        expect(game.lastClear).toMatchObject({ type: 'tetris', b2b: true, combo: 1, points: 1200 + 50 });
+
+        // A plain single breaks back-to-back but continues the combo
+        game.updateScore(1);
+        expect(game.lastClear).toMatchObject({ type: 'single', b2b: false, combo: 2, points: 100 + 100 });
+        expect(game.backToBack).toBe(false);
+
+        // A lock without lines resets the combo and leaves the last event alone
+        const previous = game.lastClear;
+        game.updateScore(0);
+        expect(game.lastClear).toBe(previous);
+        expect(game.currentCombo).toBe(0);
+
+        game.updateScore(4);
+        expect(game.lastClear).toMatchObject({ b2b: false, combo: 0 });
+        expect(game.score).toBe(800 + 1250 + 200 + 800);
+    });
+
+    test('Perfect clear adds its bonus', () => {
+        const game = new TetrisGame(new Uint8Array(32), CLASSIC);
+        game.start();
+        fillRow(game, MATRIX_HEIGHT - 1, [6, 7, 8, 9]);
+
+        // Flat I piece fills the gap
+        game.currentPiece = new Piece(PIECE_TYPES.I, 0, 6, MATRIX_HEIGHT - 2);
+        game.update();
+
+        expect(game.lastClear).toMatchObject({ type: 'single', perfectClear: true, points: 100 + 800 });
+        expect(game.isGridEmpty()).toBe(true);
+    });
+
+    test('Property 3c: Soft and hard drops award points per cell', () => {
+        fc.assert(
+            fc.property(
+                fc.integer({ min: 0, max: 10 }), // soft drops before the hard drop
+                (softDrops) => {
+                    const game = new TetrisGame(new Uint8Array(32));
+                    game.start();
+
+                    let expected = 0;
+                    for (let i = 0; i < softDrops; i++) {
+                        if (game.applyAction(ACTIONS.SOFT_DROP)) {
+                            expected += 1;
+                        }
+                    }
+
+                    const distance = game.hardDrop();
+                    expected += distance * 2;
+
+                    expect(game.score).toBe(expected);
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+});
+
+describe('Lock Delay Tests', () => {
+
+    // Start a game and soft drop the first piece onto the floor at time 0
+    const groundedGame = (options) => {
+        const game = new TetrisGame(new Uint8Array(32), options);
+        game.start();
+        while (game.applyAction(ACTIONS.SOFT_DROP, 0)) {
+            // keep dropping
+        }
+        expect(game.isGrounded()).toBe(true);
+        return game;
+    };
+
+    test('A grounded piece waits for the lock delay before locking', () => {
+        const game = groundedGame({ lockDelay: 500 });
+        const piece = game.currentPiece;
+
+        expect(game.applyAction(ACTIONS.GRAVITY, 499)).toBe(false);
+        expect(game.applyAction(ACTIONS.TICK, 499)).toBe(false);
+        expect(game.currentPiece).toBe(piece);
+
+        expect(game.applyAction(ACTIONS.TICK, 500)).toBe(true);
+        expect(game.currentPiece).not.toBe(piece);
+    });
+
+    test('Move reset is capped at maxLockResets', () => {
+        const game = groundedGame({ lockMode: LOCK_MODES.MOVE, lockDelay: 500, maxLockResets: 15 });
+        const piece = game.currentPiece;
+
+        for (let i = 1; i <= 15; i++) {
+            const action = i % 2 ? ACTIONS.MOVE_LEFT : ACTIONS.MOVE_RIGHT;
+            expect(game.applyAction(action, i * 400)).toBe(true);
+            expect(game.applyAction(ACTIONS.TICK, i * 400)).toBe(false);
+        }
+
+        // The 16th move no longer resets the timer started by the 15th
+        expect(game.applyAction(ACTIONS.MOVE_LEFT, 6400)).toBe(true);
+        expect(game.applyAction(ACTIONS.TICK, 6499)).toBe(false);
+        expect(game.currentPiece).toBe(piece);
+        expect(game.applyAction(ACTIONS.TICK, 6500)).toBe(true);
+        expect(game.currentPiece).not.toBe(piece);
+    });
+
+    test('Infinite mode resets on every move', () => {
+        const game = groundedGame({ lockMode: LOCK_MODES.INFINITE, lockDelay: 500 });
+        const piece = game.currentPiece;
+
+        for (let i = 1; i <= 50; i++) {
+            const action = i % 2 ? ACTIONS.MOVE_LEFT : ACTIONS.MOVE_RIGHT;
+            expect(game.applyAction(action, i * 400)).toBe(true);
+            expect(game.applyAction(ACTIONS.TICK, i * 400 + 399)).toBe(false);
+        }
+
+        expect(game.currentPiece).toBe(piece);
+        expect(game.applyAction(ACTIONS.TICK, 50 * 400 + 500)).toBe(true);
+    });
+
+    test('Step mode ignores moves and rotations on the ground', () => {
+        const game = groundedGame({ lockMode: LOCK_MODES.STEP, lockDelay: 500 });
+        const piece = game.currentPiece;
+
+        expect(game.applyAction(ACTIONS.MOVE_LEFT, 400)).toBe(true);
+        expect(game.applyAction(ACTIONS.TICK, 500)).toBe(true);
+        expect(game.currentPiece).not.toBe(piece);
+    });
+
+    test('Classic mode locks on the first failed gravity step', () => {
+        const game = groundedGame({ lockMode: LOCK_MODES.CLASSIC });
+        const piece = game.currentPiece;
+
+        expect(game.applyAction(ACTIONS.GRAVITY, 0)).toBe(true);
+        expect(game.currentPiece).not.toBe(piece);
+    });
+
+    test('Classic mode lets a grounded piece slide until the next gravity step', () => {
+        const game = groundedGame({ lockMode: LOCK_MODES.CLASSIC });
+        const piece = game.currentPiece;
+        const x = piece.x;
+
+        expect(game.applyAction(ACTIONS.TICK, 300)).toBe(false);
+        expect(game.applyAction(ACTIONS.MOVE_LEFT, 400)).toBe(true);
+        expect(game.applyAction(ACTIONS.TICK, 5000)).toBe(false);
+        expect(game.currentPiece).toBe(piece);
+        expect(piece.x).toBe(x - 1);
+
+        expect(game.applyAction(ACTIONS.GRAVITY, 5000)).toBe(true);
+        expect(game.currentPiece).not.toBe(piece);
+    });
+
+    test('Hard drop locks immediately in every mode', () => {
+        for (const lockMode of Object.values(LOCK_MODES)) {
+            const game = new TetrisGame(new Uint8Array(32), { lockMode });
+            game.start();
+            const piece = game.currentPiece;
+
+            expect(game.applyAction(ACTIONS.HARD_DROP, 0)).toBe(true);
+            expect(game.currentPiece).not.toBe(piece);
+            expect(game.grid[MATRIX_HEIGHT - 1].some(cell => cell !== 0)).toBe(true);
+        }
+    });
+
+    test('Unknown lock mode is rejected', () => {
+        expect(() => new TetrisGame(new Uint8Array(32), { lockMode: 'sticky' })).toThrow('Unknown lock mode');
+    });
+});
+
+describe('Game Event Tests', () => {
+
+    // Record every event the game emits, in order
+    const recordEvents = (game) => {
+        const events = [];
+        for (const type of Object.values(GAME_EVENTS)) {
+            game.on(type, (event) => events.push(event));
+        }
+        return events;
+    };
+
+    // Bottom row filled except where a flat I piece at x = 3 lands
+    const setUpSingle = (game) => {
+        for (let x = 0; x < GRID_WIDTH; x++) {
+            game.grid[MATRIX_HEIGHT - 1][x] = x >= 3 && x <= 6 ? 0 : 8;
+        }
+        game.currentPiece = new Piece(PIECE_TYPES.I, 0, 3, 0);
+    };
+
+    test('A clearing lock emits pieceLocked, linesCleared then pieceSpawned', () => {
+        const game = new TetrisGame(new Uint8Array(32));
+        game.start();
+        const events = recordEvents(game);
+        setUpSingle(game);
+
+        game.applyAction(ACTIONS.HARD_DROP, 0);
+
+        expect(events.map(e => e.type)).toEqual([
+            GAME_EVENTS.PIECE_LOCKED,
+            GAME_EVENTS.LINES_CLEARED,
+            GAME_EVENTS.PIECE_SPAWNED
+        ]);
+        expect(events[0].piece).toEqual({ type: PIECE_TYPES.I, x: 3, y: MATRIX_HEIGHT - 2, rotation: 0 });
+        expect(events[0].rows).toEqual([MATRIX_HEIGHT - 1]);
+        expect(events[1]).toMatchObject({ type: GAME_EVENTS.LINES_CLEARED, clearType: 'single', lines: 1, rows: [MATRIX_HEIGHT - 1] });
+        expect(events[1].points).toBe(game.lastClear.points);
+        expect(events[2].piece.type).toBe(game.currentPiece.type);
+    });
+
+    test('A lock without a clear does not emit linesCleared', () => {
+        const game = new TetrisGame(new Uint8Array(32));
+        game.start();
+        const events = recordEvents(game);
+
+        game.applyAction(ACTIONS.HARD_DROP, 0);
+
+        expect(events.map(e => e.type)).toEqual([GAME_EVENTS.PIECE_LOCKED, GAME_EVENTS.PIECE_SPAWNED]);
+        expect(events[0].rows).toEqual([]);
+    });
+
+    test('levelUp fires when a clear crosses a level boundary', () => {
+        const game = new TetrisGame(new Uint8Array(32));
+        game.start();
+        game.linesCleared = 9;
+        const events = recordEvents(game);
+        setUpSingle(game);
+
+        game.applyAction(ACTIONS.HARD_DROP, 0);
+
+        expect(events.filter(e => e.type === GAME_EVENTS.LEVEL_UP)).toEqual([
+            { type: GAME_EVENTS.LEVEL_UP, level: 2, previousLevel: 1 }
+        ]);
+    });
+
+    test('hold reports the held and current piece types', () => {
+        const game = new TetrisGame(new Uint8Array(32));
+        game.start();
+        const first = game.currentPiece.type;
+        const events = recordEvents(game);
+
+        game.applyAction(ACTIONS.HOLD, 0);
+
+        expect(events.map(e => e.type)).toEqual([GAME_EVENTS.PIECE_SPAWNED, GAME_EVENTS.HOLD]);
+        expect(events[1]).toEqual({ type: GAME_EVENTS.HOLD, held: first, current: game.currentPiece.type });
+    });
+
+    test('Garbage that tops out the stack emits garbageReceived and a single gameOver', () => {
+        const game = new TetrisGame(new Uint8Array(32));
+        game.start();
+        const events = recordEvents(game);
+
+        game.addGarbageLines(MATRIX_HEIGHT);
+        game.addGarbageLines(1); // Ignored once the game is over
+        game.endGame();
+
+        expect(events.map(e => e.type)).toEqual([GAME_EVENTS.GARBAGE_RECEIVED, GAME_EVENTS.GAME_OVER]);
+        expect(events[0].lines).toBe(MATRIX_HEIGHT);
+        expect(events[1]).toMatchObject({ score: 0, linesCleared: 0, level: 1 });
+        expect(game.isGameOver).toBe(true);
+    });
+
+    test('Unsubscribed listeners are not called and listeners receive the game', () => {
+        const game = new TetrisGame(new Uint8Array(32));
+        game.start();
+        const received = [];
+        const unsubscribe = game.on(GAME_EVENTS.PIECE_SPAWNED, (event, source) => received.push(source));
+
+        game.applyAction(ACTIONS.HARD_DROP, 0);
+        unsubscribe();
+        game.applyAction(ACTIONS.HARD_DROP, 0);
+
+        expect(received).toEqual([game]);
+    });
+});
+
+describe('Board Tests', () => {
+
+    test('Board dimensions come from the constructor and are reported in the state', () => {
+        const game = new TetrisGame(new Uint8Array(32), { width: 6, height: 12, bufferRows: 4 });
+        game.start();
+        const state = game.getState();
+
+        expect(state.grid.length).toBe(16);
+        expect(state.grid.every(row => row.length === 6)).toBe(true);
+        expect(state).toMatchObject({ width: 6, height: 12, bufferRows: 4 });
+        // Centered in the width, just above the visible field
+        expect(game.currentPiece.x).toBe(1);
+        expect(game.currentPiece.y).toBe(2);
+    });
+
+    test('Default board is 10 wide with 20 visible and 20 hidden rows', () => {
+        const game = new TetrisGame(new Uint8Array(32));
+        expect(game.createEmptyGrid().length).toBe(40);
+        expect(game.getState()).toMatchObject({ width: 10, height: 20, bufferRows: 20 });
+    });
+
+    test('Invalid board sizes are rejected', () => {
+        expect(() => new TetrisGame(null, { width: 3 })).toThrow('Invalid board size');
+        expect(() => new TetrisGame(null, { height: 2.5 })).toThrow('Invalid board size');
+        expect(() => new TetrisGame(null, { bufferRows: 1 })).toThrow('Invalid board size');
+    });
+
+    test('Garbage lifts an overlapping piece instead of ending the game', () => {
+        const game = new TetrisGame(new Uint8Array(32));
+        game.start();
+        game.currentPiece = new Piece(PIECE_TYPES.O, 0, 3, MATRIX_HEIGHT - 3); // Resting on the floor
+
+        game.addGarbageLines(2);
+
+        expect(game.isGameOver).toBe(false);
+        expect(game.currentPiece.y).toBe(MATRIX_HEIGHT - 5);
+        expect(game.checkCollision(game.currentPiece, 0, 0)).toBe(false);
+    });
+
+    test('Garbage that pushes blocks out of the top of the buffer tops out', () => {
+        const game = new TetrisGame(new Uint8Array(32));
+        game.start();
+        game.grid[1][0] = 8;
+
+        game.addGarbageLines(1);
+        expect(game.isGameOver).toBe(false);
+
+        game.addGarbageLines(1);
+        expect(game.isGameOver).toBe(true);
+    });
+
+    test('Replays record and restore the board size', () => {
+        const board = { width: 8, height: 16, bufferRows: 6 };
+        const game = new TetrisGame(new Uint8Array(32), board);
+        game.start();
+        const recorder = new ReplayRecorder(game, () => 0);
+        for (let i = 0; i < 10 && !game.isGameOver; i++) {
+            recorder.apply(ACTIONS.HARD_DROP, i * 100);
+        }
+
+        const replay = deserializeReplay(serializeReplay(recorder.getReplay()));
+        expect(replay.board).toEqual(board);
+
+        const { game: replayed, matches } = runReplay(replay);
+        expect(matches).toBe(true);
+        expect(replayed.grid).toEqual(game.grid);
+    });
+});
+
+describe('Mode Tests', () => {
+
+    // Bottom rows filled except for a well at x = 0
+    const fillWithWell = (game, rows) => {
+        for (let y = MATRIX_HEIGHT - rows; y < MATRIX_HEIGHT; y++) {
+            for (let x = 1; x < GRID_WIDTH; x++) {
+                game.grid[y][x] = 8;
+            }
+        }
+    };
+
+    test('Reaching the line goal ends the game as finished', () => {
+        const game = new TetrisGame(new Uint8Array(32), { lineGoal: 4 });
+        game.start();
+        const events = [];
+        game.on(GAME_EVENTS.GAME_OVER, (event) => events.push(event));
+        fillWithWell(game, 4);
+        game.currentPiece = new Piece(PIECE_TYPES.I, 1, -2, BUFFER_ROWS); // Vertical, over the well
+
+        game.applyAction(ACTIONS.HARD_DROP, 0);
+
+        expect(game.isGameOver).toBe(true);
+        expect(game.endReason).toBe(END_REASONS.GOAL);
+        expect(game.getState()).toMatchObject({ lineGoal: 4, endReason: END_REASONS.GOAL, linesCleared: 4 });
+        expect(events).toHaveLength(1);
+        expect(events[0].reason).toBe(END_REASONS.GOAL);
+    });
+
+    test('Games without a line goal keep going', () => {
+        const game = new TetrisGame(new Uint8Array(32));
+        game.start();
+        fillWithWell(game, 4);
+        game.currentPiece = new Piece(PIECE_TYPES.I, 1, -2, BUFFER_ROWS);
+
+        game.applyAction(ACTIONS.HARD_DROP, 0);
+
+        expect(game.linesCleared).toBe(4);
+        expect(game.isGameOver).toBe(false);
+        expect(game.endReason).toBe(null);
+    });
+
+    test('The time limit ends the game on the first action at or after it', () => {
+        const game = new TetrisGame(new Uint8Array(32), { timeLimit: 1000 });
+        game.start();
+
+        expect(game.applyAction(ACTIONS.TICK, 999)).toBe(false);
+        expect(game.isGameOver).toBe(false);
+
+        expect(game.applyAction(ACTIONS.MOVE_LEFT, 1000)).toBe(true);
+        expect(game.isGameOver).toBe(true);
+        expect(game.endReason).toBe(END_REASONS.TIME_UP);
+        expect(game.currentPiece.x).toBe(3); // The move itself was not applied
+    });
+
+    test('linesPerLevel sets the leveling speed, and null keeps the level fixed', () => {
+        const clearTetris = (options) => {
+            const game = new TetrisGame(new Uint8Array(32), options);
+            game.start();
+            fillWithWell(game, 4);
+            game.currentPiece = new Piece(PIECE_TYPES.I, 1, -2, BUFFER_ROWS);
+            game.applyAction(ACTIONS.HARD_DROP, 0);
+            return game;
+        };
+
+        expect(clearTetris({}).level).toBe(1);
+        expect(clearTetris({ linesPerLevel: 3 }).level).toBe(2);
+        expect(clearTetris({ linesPerLevel: null }).level).toBe(1);
+        expect(() => new TetrisGame(null, { linesPerLevel: 0 })).toThrow('Invalid lines per level');
+    });
+
+    test('comboMultiplier scales combo points', () => {
+        const comboPoints = (options) => {
+            const game = new TetrisGame(new Uint8Array(32), options);
+            game.start();
+            game.currentCombo = 2; // Third clear in a row: combo 2
+            game.grid[MATRIX_HEIGHT - 1].fill(8);
+            game.updateScore(1);
+            return game.lastClear.points - 100;
+        };
+
+        expect(comboPoints({})).toBe(100);
+        expect(comboPoints({ comboMultiplier: 3 })).toBe(300);
+    });
+
+    test('Dig starts on seeded garbage rows with one hole each', () => {
+        const options = { digLines: 8, garbageMessiness: 0.5 };
+        const game = new TetrisGame(new Uint8Array(32), options);
+        game.start();
+
+        const garbage = game.grid.slice(MATRIX_HEIGHT - 8);
+        expect(garbage.every(row => row.filter(cell => cell === 0).length === 1)).toBe(true);
+        expect(game.grid.slice(0, MATRIX_HEIGHT - 8).every(row => row.every(cell => cell === 0))).toBe(true);
+        expect(game.garbageRemaining).toBe(8);
+
+        // Same seed, same garbage; restarting deals it again
+        const again = new TetrisGame(new Uint8Array(32), options);
+        again.start();
+        expect(again.grid).toEqual(game.grid);
+        game.start();
+        expect(game.grid).toEqual(again.grid);
+        expect(() => new TetrisGame(null, { digLines: GRID_HEIGHT })).toThrow('Invalid dig lines');
+    });
+
+    test('Clearing every dig garbage row ends the game as finished', () => {
+        const game = new TetrisGame(new Uint8Array(32), { digLines: 2 });
+        game.start();
+        // Messiness 0 keeps both holes in one column; fill it with a vertical I
+        const hole = game.grid[MATRIX_HEIGHT - 1].indexOf(0);
+        expect(game.grid[MATRIX_HEIGHT - 2].indexOf(0)).toBe(hole);
+        game.grid[MATRIX_HEIGHT - 3].fill(8);
+        game.grid[MATRIX_HEIGHT - 3][hole] = 0;
+        game.currentPiece = new Piece(PIECE_TYPES.I, 1, hole - 2, BUFFER_ROWS);
+
+        game.applyAction(ACTIONS.HARD_DROP, 0);
+
+        expect(game.linesCleared).toBe(3);
+        expect(game.garbageRemaining).toBe(0);
+        expect(game.piecesPlaced).toBe(1);
+        expect(game.endReason).toBe(END_REASONS.GOAL);
+    });
+
+    test('Garbage messiness controls how often the hole moves', () => {
+        const moves = (messiness) => {
+            const holes = new GarbageGenerator('dig', PRNG_VERSIONS.XOSHIRO128SS, messiness).nextHoles(200, GRID_WIDTH);
+            expect(holes.every(h => h >= 0 && h < GRID_WIDTH)).toBe(true);
+            return holes.filter((h, i) => i > 0 && h !== holes[i - 1]).length;
+        };
+
+        expect(moves(0)).toBe(0);
+        expect(moves(1)).toBe(199);
+        expect(moves(0.3)).toBeGreaterThan(30);
+        expect(moves(0.3)).toBeLessThan(90);
+        expect(() => new GarbageGenerator('dig', PRNG_VERSIONS.XOSHIRO128SS, 2)).toThrow('Invalid garbage messiness');
+    });
+
+    test('Garbage holes come from the seed, or from the caller', () => {
+        const holesOf = (game) => game.grid.slice(MATRIX_HEIGHT - 6).map(row => row.indexOf(0));
+        const a = new TetrisGame(new Uint8Array(32), { garbageMessiness: 0.5 });
+        const b = new TetrisGame(new Uint8Array(32), { garbageMessiness: 0.5 });
+        a.start();
+        b.start();
+        const events = [];
+        a.on(GAME_EVENTS.GARBAGE_RECEIVED, (event) => events.push(event));
+
+        a.addGarbageLines(2);
+        a.addGarbageLines(4);
+        b.addGarbageLines(6);
+        expect(holesOf(a)).toEqual(holesOf(b));
+        expect(events.flatMap(e => e.holes)).toEqual(holesOf(a));
+
+        a.addGarbageLines(3, [0, 9, 4]);
+        expect(a.grid.slice(MATRIX_HEIGHT - 3).map(row => row.indexOf(0))).toEqual([0, 9, 4]);
+        expect(() => a.addGarbageLines(2, [1])).toThrow('Invalid garbage holes');
+        expect(() => a.addGarbageLines(1, [GRID_WIDTH])).toThrow('Invalid garbage holes');
+    });
+
+    test('Dig garbage does not change the piece sequence', () => {
+        const plain = new TetrisGame(new Uint8Array(32));
+        const dig = new TetrisGame(new Uint8Array(32), { digLines: 5 });
+        plain.start();
+        dig.start();
+        expect(dig.nextQueue).toEqual(plain.nextQueue);
+        expect(dig.currentPiece.type).toBe(plain.currentPiece.type);
+    });
+
+    test('ModeTimer splits every 10 lines, and a Tetris can cross a boundary', () => {
+        let now = 1000;
+        const timer = new ModeTimer({ splitLines: 10, lineGoal: 40, now: () => now });
+        timer.start();
+
+        now = 9000;
+        expect(timer.recordLines(8)).toEqual([]);
+        now = 12000;
+        expect(timer.recordLines(12)).toEqual([{ lines: 10, time: 11000 }]);
+        now = 30000;
+        expect(timer.recordLines(44)).toEqual([
+            { lines: 20, time: 29000 },
+            { lines: 30, time: 29000 },
+            { lines: 40, time: 29000 }
+        ]);
+        expect(timer.stop()).toBe(29000);
+        expect(timer.isRunning()).toBe(false);
+    });
+
+    test('ModeTimer does not count paused time', () => {
+        let now = 0;
+        const timer = new ModeTimer({ now: () => now });
+        timer.start();
+
+        now = 5000;
+        timer.setPaused(true);
+        now = 65000;
+        expect(timer.getElapsed()).toBe(5000);
+        timer.setPaused(false);
+        now = 66000;
+
+        expect(timer.stop()).toBe(6000);
+        now = 99000;
+        expect(timer.getElapsed()).toBe(6000);
+    });
+
+    test('ModeTimer keeps game clock readings for splits and the final time', () => {
+        let now = 0;
+        const timer = new ModeTimer({ splitLines: 10, lineGoal: 40, now: () => now });
+        timer.start();
+
+        now = 10250;
+        expect(timer.recordLines(10, 10000)).toEqual([{ lines: 10, time: 10000 }]);
+        now = 13990;
+        expect(timer.stop(13860)).toBe(13860);
+        now = 20000;
+        expect(timer.getElapsed()).toBe(13860);
+    });
+
+    test('Times are formatted as m:ss.mmm', () => {
+        expect(formatTime(0)).toBe('0:00.000');
+        expect(formatTime(61234.9)).toBe('1:01.234');
+        expect(formatTime(754321)).toBe('12:34.321');
+    });
+
+    test('Daily seeds are shared by mode and UTC date', () => {
+        expect(getDailySeed(GAME_MODES.SPRINT, new Date('2026-03-04T23:00:00Z'))).toBe('sprint-2026-03-04');
+    });
+
+    test('Ranked runs are signed with their mode, seed and replay time', () => {
+        const replay = { events: [{ time: 0 }, { time: 4200 }, { time: 13860 }] };
+
+        expect(getReplayRunTime(replay)).toBe(13860);
+        expect(getReplayRunTime({ events: [] })).toBe(0);
+        expect(getRankedRunMessage(GAME_MODES.SPRINT, 'sprint-2026-10-19', getReplayRunTime(replay)))
+            .toBe('Submit my Sprint 40L run on sprint-2026-10-19 (0:13.860) to the leaderboard');
+    });
+
+    test('Personal bests keep the fastest sprint per seed', () => {
+        localStorage.removeItem('personalBests');
+
+        expect(savePersonalBest(GAME_MODES.SPRINT, { seed: 'a', time: 60000 })).toEqual({ isPersonalBest: true, previous: null });
+        expect(savePersonalBest(GAME_MODES.SPRINT, { seed: 'a', time: 70000 }).isPersonalBest).toBe(false);
+        expect(savePersonalBest(GAME_MODES.SPRINT, { seed: 'a', time: 50000 }).previous.time).toBe(60000);
+        savePersonalBest(GAME_MODES.SPRINT, { seed: 'b', time: 40000 });
+
+        expect(getPersonalBest(GAME_MODES.SPRINT, 'a').time).toBe(50000);
+        expect(getPersonalBest(GAME_MODES.SPRINT).seed).toBe('b');
+        expect(getPersonalBestRecords(GAME_MODES.SPRINT).map(r => r.seed)).toEqual(['b', 'a']);
+
+        localStorage.removeItem('personalBests');
+    });
+
+    test('Recorded time stops while the recorder is paused', () => {
+        let now = 0;
+        const game = new TetrisGame(new Uint8Array(32));
+        game.start();
+        const recorder = new ReplayRecorder(game, () => now);
+
+        now = 1000;
+        recorder.apply(ACTIONS.MOVE_LEFT);
+        recorder.setPaused(true);
+        now = 60000;
+        recorder.setPaused(false);
+        now = 61000;
+        recorder.apply(ACTIONS.MOVE_RIGHT);
+
+        expect(recorder.getReplay().events.map(e => e.time)).toEqual([1000, 2000]);
+    });
+
+    test('Replays record the mode rules', () => {
+        const game = new TetrisGame(new Uint8Array(32), { lineGoal: 4, timeLimit: 5000, linesPerLevel: null });
+        game.start();
+        const recorder = new ReplayRecorder(game, () => 0);
+        for (let i = 0; i < 10 && !game.isGameOver; i++) {
+            recorder.apply(ACTIONS.HARD_DROP, i * 100);
+        }
+
+        const replay = deserializeReplay(serializeReplay(recorder.getReplay()));
+        expect(replay.rules).toEqual({
+            lineGoal: 4, timeLimit: 5000, linesPerLevel: null, comboMultiplier: 1, digLines: 0, garbageMessiness: 0
+        });
+
+        const { game: replayed, matches } = runReplay(replay);
+        expect(matches).toBe(true);
+        expect(replayed.lineGoal).toBe(4);
+        expect(replayed.timeLimit).toBe(5000);
+        expect(replayed.linesPerLevel).toBe(null);
+    });
+});
+
+describe('Attack Tests', () => {
+
+    test('Clears send garbage from the attack table', () => {
+        expect([1, 2, 3, 4].map(lines => calculateAttack({ lines }))).toEqual([0, 1, 2, 4]);
+        expect(calculateAttack({ lines: 2, tSpin: T_SPIN.FULL })).toBe(4);
+        expect(calculateAttack({ lines: 1, tSpin: T_SPIN.MINI })).toBe(0);
+        expect(calculateAttack({ lines: 0, tSpin: T_SPIN.FULL })).toBe(0);
+    });
+
+    test('Back-to-back, combos and perfect clears add attack', () => {
+        expect(calculateAttack({ lines: 4, b2b: true })).toBe(5);
+        expect(calculateAttack({ lines: 1, combo: 2 })).toBe(1);
+        expect(calculateAttack({ lines: 1, combo: 100 })).toBe(COMBO_ATTACK[COMBO_ATTACK.length - 1]);
+        expect(calculateAttack({ lines: 4, perfectClear: true })).toBe(14);
+    });
+
+    test('Engine clear events carry what the attack table needs', () => {
+        const game = new TetrisGame(new Uint8Array(32));
+        game.start();
+        const attacks = [];
+        game.on(GAME_EVENTS.LINES_CLEARED, (event) => attacks.push(calculateAttack(event)));
+        for (let y = MATRIX_HEIGHT - 4; y < MATRIX_HEIGHT; y++) {
+            game.grid[y].fill(8);
+            game.grid[y][0] = 0;
+        }
+        game.grid[MATRIX_HEIGHT - 5][5] = 8; // Not a perfect clear
+        game.currentPiece = new Piece(PIECE_TYPES.I, 1, -2, BUFFER_ROWS);
+
+        game.applyAction(ACTIONS.HARD_DROP, 0);
+
+        expect(attacks).toEqual([4]);
+    });
+
+    test('Attacks cancel the oldest pending garbage first', () => {
+        const queue = new GarbageQueue();
+        queue.add([1, 2], 1000);
+        queue.add([3, 4, 5], 2000);
+
+        expect(queue.cancel(3)).toBe(0);
+        expect(queue.entries).toEqual([{ lines: 2, holes: [4, 5], readyAt: 2000, id: null, queuedAt: null }]);
+        expect(queue.cancel(5)).toBe(3);
+        expect(queue.getPendingLines()).toBe(0);
+    });
+
+    test('Garbage rises only once its delay is over', () => {
+        const queue = new GarbageQueue();
+        queue.add([1], 1000);
+        queue.add([2, 2], 1500);
+
+        expect(queue.takeReady(999)).toEqual([]);
+        expect(queue.takeReady(1200).map(entry => entry.holes)).toEqual([[1]]);
+        expect(queue.getPendingLines()).toBe(2);
+        expect(queue.takeReady(1500).map(entry => entry.holes)).toEqual([[2, 2]]);
+    });
+
+    test('Garbage can be taken by id before its delay is over', () => {
+        const queue = new GarbageQueue();
+        queue.add([1], 1000, 7);
+        queue.add([2, 3], 1000, 8);
+        queue.cancel(2);
+
+        expect(queue.remove(7)).toBe(null); // Cancelled
+        expect(queue.remove(8)).toEqual({ lines: 1, holes: [3], readyAt: 1000, id: 8, queuedAt: null });
+        expect(queue.getPendingLines()).toBe(0);
+    });
+
+    test('Postponed garbage rises later', () => {
+        const queue = new GarbageQueue();
+        queue.add([1, 1], 1000, 1);
+        queue.postpone(500);
+
+        expect(queue.takeReady(1000)).toEqual([]);
+        expect(queue.takeReady(1500).map(entry => entry.id)).toEqual([1]);
+    });
+
+    test('A pause only postpones garbage by the part of it the garbage waited through', () => {
+        const queue = new GarbageQueue();
+        queue.add([1], 1000, 1, 0); // Before the pause (5000-8000)
+        queue.add([2], 7000, 2, 6000); // During it
+
+        queue.postpone(3000, 5000);
+
+        // The first waits the whole pause out; the second starts its 1000ms at the resume
+        expect(queue.entries.map(entry => entry.readyAt)).toEqual([4000, 9000]);
+    });
+
+    const opponents = [
+        { address: 'a', danger: 3, attacking: false },
+        { address: 'b', danger: 12, attacking: true },
+        { address: 'c', danger: 5, attacking: true },
+    ];
+    const total = (shares) => shares.reduce((sum, share) => sum + share.lines, 0);
+
+    test('Random and KO targeting send the whole attack to one opponent', () => {
+        const rng = createSeededRandom('targets');
+        const random = chooseTargets(4, TARGETING.RANDOM, opponents, rng);
+        expect(random).toHaveLength(1);
+        expect(random[0].lines).toBe(4);
+
+        expect(chooseTargets(4, TARGETING.KOS, opponents, rng)).toEqual([{ address: 'b', lines: 4 }]);
+    });
+
+    test('Split targeting shares the attack without losing lines', () => {
+        const rng = createSeededRandom('targets');
+        const even = chooseTargets(5, TARGETING.EVEN, opponents, rng);
+        expect(even.map(share => share.address).sort()).toEqual(['a', 'b', 'c']);
+        expect(even.map(share => share.lines).sort()).toEqual([1, 2, 2]);
+
+        const attackers = chooseTargets(3, TARGETING.ATTACKERS, opponents, rng);
+        expect(attackers.map(share => share.address).sort()).toEqual(['b', 'c']);
+        expect(total(attackers)).toBe(3);
+
+        // Fewer lines than targets: nobody gets an empty share
+        expect(chooseTargets(1, TARGETING.EVEN, opponents, rng)).toHaveLength(1);
+    });
+
+    test('Targeting attackers falls back to random when nobody is attacking', () => {
+        const calm = opponents.map(opponent => ({ ...opponent, attacking: false }));
+        const shares = chooseTargets(2, TARGETING.ATTACKERS, calm, createSeededRandom('targets'));
+        expect(shares).toHaveLength(1);
+        expect(shares[0].lines).toBe(2);
+        expect(chooseTargets(0, TARGETING.EVEN, opponents, createSeededRandom('targets'))).toEqual([]);
+    });
+
+    test('Targets are reproducible from the seed', () => {
+        const run = () => {
+            const rng = createSeededRandom('replay');
+            return [1, 2, 3, 4].map(lines => chooseTargets(lines, TARGETING.RANDOM, opponents, rng));
+        };
+        expect(run()).toEqual(run());
+    });
+});
+
+describe('Snapshot Tests', () => {
+
+    const ALL_ACTIONS = Object.values(ACTIONS);
+
+    const play = (game, actions, startTime) => {
+        let time = startTime;
+        for (const [actionIndex, delay] of actions) {
+            time += delay;
+            if (actionIndex === ALL_ACTIONS.length) {
+                game.addGarbageLines(2); // Seeded holes, so the garbage generator is part of the state
+            } else {
+                game.applyAction(ALL_ACTIONS[actionIndex], time);
+            }
+        }
+        return time;
+    };
+
+    // Property: a game restored from a snapshot continues exactly like the original
+    test('Restored games continue like the game they were taken from', () => {
+        const actionsArb = fc.array(
+            fc.tuple(fc.integer({ min: 0, max: ALL_ACTIONS.length }), fc.integer({ min: 0, max: 1000 })),
+            { maxLength: 150 }
+        );
+
+        fc.assert(
+            fc.property(
+                fc.array(fc.integer({ min: 0, max: 255 }), { minLength: 32, maxLength: 32 }),
+                actionsArb,
+                actionsArb,
+                (seedBytes, before, after) => {
+                    const original = new TetrisGame(new Uint8Array(seedBytes));
+                    original.start();
+                    const time = play(original, before, 0);
+
+                    // Through JSON, as the server sends it
+                    const restored = new TetrisGame(new Uint8Array(seedBytes));
+                    restored.start();
+                    restored.restoreSnapshot(JSON.parse(JSON.stringify(original.getSnapshot())));
+                    expect(restored.getStateHash()).toBe(original.getStateHash());
+
+                    play(original, after, time);
+                    play(restored, after, time);
+
+                    expect(restored.getSnapshot()).toEqual(original.getSnapshot());
+                    expect(restored.getStateHash()).toBe(original.getStateHash());
+                    return true;
+                }
+            ),
+            { numRuns: 50 }
+        );
+    });
+
+    test('State hashes tell diverged games apart', () => {
+        const a = new TetrisGame('room_1');
+        const b = new TetrisGame('room_1');
+        a.start();
+        b.start();
+
+        expect(a.getStateHash()).toMatch(/^[0-9a-f]{8}$/);
+        expect(a.getStateHash()).toBe(b.getStateHash());
+
+        a.applyAction(ACTIONS.MOVE_LEFT, 100);
+        expect(a.getStateHash()).not.toBe(b.getStateHash());
+
+        b.applyAction(ACTIONS.MOVE_LEFT, 100);
+        expect(a.getStateHash()).toBe(b.getStateHash());
+    });
+
+    test('Snapshots from a different board size are rejected', () => {
+        const small = new TetrisGame('seed', { width: 6 });
+        small.start();
+        const game = new TetrisGame('seed');
+        game.start();
+
+        expect(() => game.restoreSnapshot(small.getSnapshot())).toThrow('Invalid game snapshot');
+    });
+
+    test('Snapshots without a hold piece restore an empty hold', () => {
+        const original = new TetrisGame('seed');
+        original.start();
+        const snapshot = original.getSnapshot();
+        delete snapshot.holdPiece;
+
+        const restored = new TetrisGame('seed');
+        restored.start();
+        restored.applyAction(ACTIONS.HOLD, 100);
+        restored.restoreSnapshot(snapshot);
+
+        expect(restored.holdPiece).toBeNull();
+    });
+});
+
+describe('State Sync Tests', () => {
+
+    // The fields a viewer renders, as the decoder returns them
+    const viewOf = (game) => {
+        const state = game.getState();
+        const piece = state.currentPiece && {
+            type: state.currentPiece.type, x: state.currentPiece.x, y: state.currentPiece.y, rotation: state.currentPiece.rotation
+        };
+        return {
+            grid: state.grid,
+            currentPiece: piece,
+            ghostPiece: piece && { ...piece, y: state.ghostPiece.y },
+            holdPiece: state.holdPiece && { type: state.holdPiece.type },
+            nextQueue: state.nextQueue,
+            score: state.score,
+            linesCleared: state.linesCleared,
+            level: state.level,
+            piecesPlaced: state.piecesPlaced,
+            pendingGarbage: 0,
+            isGameOver: state.isGameOver,
+            width: state.width,
+            height: state.height,
+            bufferRows: state.bufferRows
+        };
+    };
+
+    // Property: decoding every frame in order reproduces every state
+    test('Frames decode to the encoded board states', () => {
+        const ALL_ACTIONS = Object.values(ACTIONS);
         fc.assert(
             fc.property(
-                fc.integer({ min: 1, max: 7 }), // piece type
-                (pieceType) => {
-                    const game = new TetrisGame();
+                fc.array(fc.integer({ min: 0, max: 255 }), { minLength: 32, maxLength: 32 }),
+                fc.array(fc.integer({ min: 0, max: ALL_ACTIONS.length - 1 }), { maxLength: 200 }),
+                (seedBytes, actions) => {
+                    const game = new TetrisGame(new Uint8Array(seedBytes));
                     game.start();
-                    
-                    // Block the entire spawn area more thoroughly
-                    // Pieces spawn at x=3, y=0 and occupy a 4x4 area
-                    // Block rows 0-3, columns 2-6 to ensure collision
-                    for (let y = 0; y < 4; y++) {
-                        for (let x = 2; x < 7; x++) {
-                            game.grid[y][x] = 1;
-                        }
-                    }
-                    
-                    // Try to spawn a piece
-                    const piece = game.spawnPiece(pieceType);
-                    
-                    // Spawn should fail and return null
-                    expect(piece).toBe(null);
-                    
-                    // Game should be over
-                    expect(game.isGameOver).toBe(true);
-                    
+                    const encoder = new StateEncoder({ keyframeInterval: 7 });
+                    const decoder = new StateDecoder();
+
+                    actions.forEach((actionIndex, i) => {
+                        game.applyAction(ALL_ACTIONS[actionIndex], i * 100);
+                        expect(decoder.decode(encoder.encode(viewOf(game)))).toEqual(viewOf(game));
+                    });
                     return true;
                 }
             ),
-            { numRuns: 100 }
+            { numRuns: 30 }
         );
     });
+
+    test('Deltas only carry changed rows', () => {
+        const game = new TetrisGame('room_1');
+        game.start();
+        const encoder = new StateEncoder();
+
+        const keyframe = encoder.encode(viewOf(game));
+        game.applyAction(ACTIONS.HARD_DROP, 100);
+        const delta = encoder.encode(viewOf(game));
+        const unchanged = encoder.encode(viewOf(game));
+
+        expect(delta.length).toBeLessThan(keyframe.length / 4);
+        expect(unchanged.length).toBeLessThan(delta.length);
+    });
+
+    test('A missed frame is recovered at the next keyframe', () => {
+        const game = new TetrisGame('room_1');
+        game.start();
+        const encoder = new StateEncoder({ keyframeInterval: 3 });
+        const decoder = new StateDecoder();
+
+        const frames = [];
+        for (let i = 0; i < 4; i++) {
+            game.applyAction(ACTIONS.HARD_DROP, i * 100);
+            frames.push(encoder.encode(viewOf(game)));
+        }
+
+        expect(decoder.decode(frames[0])).not.toBe(null);
+        // frames[1] is dropped
+        expect(decoder.decode(frames[2])).toBe(null);
+        expect(decoder.decode(frames[3])).toEqual(viewOf(game)); // Keyframe (every 3rd frame)
+        expect(decoder.decode(frames[3])).toBe(null); // Repeats are ignored
+    });
+});
+
+describe('Protocol Tests', () => {
+
+    test('Every event has its own name', () => {
+        const names = Object.values(EVENTS);
+        expect(new Set(names).size).toBe(names.length);
+    });
+
+    test('Only clients on the same protocol version are accepted', () => {
+        expect(getProtocolMismatch(PROTOCOL_VERSION)).toBe(null);
+        expect(getProtocolMismatch(PROTOCOL_VERSION + 1)).toContain(`protocol v${PROTOCOL_VERSION + 1}`);
+        expect(getProtocolMismatch(undefined)).toContain('unversioned');
+        expect(getProtocolMismatch(String(PROTOCOL_VERSION))).not.toBe(null);
+    });
+});
+
+describe('Username Resolver Tests', () => {
+
+    const registry = { '0xa': 'alice', '0xb': 'bob' };
+
+    test('Lookups are batched and each address is loaded once', async () => {
+        const calls = [];
+        const resolver = new UsernameResolver(async (addresses) => {
+            calls.push(addresses);
+            return Object.fromEntries(addresses.map(address => [address, registry[address] ?? null]));
+        }, { batchSize: 2 });
+
+        const [first, second] = await Promise.all([
+            resolver.resolve(['0xa', '0xb', '0xc', '0xa']),
+            resolver.resolve(['0xb', '0xc'])
+        ]);
+
+        expect(first).toEqual({ '0xa': 'alice', '0xb': 'bob', '0xc': null });
+        expect(second).toEqual({ '0xb': 'bob', '0xc': null });
+        expect(calls).toEqual([['0xa', '0xb'], ['0xc']]);
+    });
+
+    test('Results are cached until they expire', async () => {
+        let now = 0;
+        let loads = 0;
+        const resolver = new UsernameResolver(async (addresses) => {
+            loads++;
+            return Object.fromEntries(addresses.map(address => [address, registry[address] ?? null]));
+        }, { ttl: 1000, now: () => now });
+
+        await resolver.resolve(['0xa']);
+        now = 999;
+        expect(resolver.peek('0xa')).toBe('alice');
+        await resolver.resolve(['0xa']);
+        expect(loads).toBe(1);
+
+        now = 1000;
+        expect(resolver.peek('0xa')).toBe(undefined);
+        await resolver.resolve(['0xa']);
+        expect(loads).toBe(2);
+    });
+
+    test('Failed lookups are retried rather than cached', async () => {
+        let fail = true;
+        const resolver = new UsernameResolver(async (addresses) => {
+            if (fail) throw new Error('offline');
+            return Object.fromEntries(addresses.map(address => [address, registry[address] ?? null]));
+        });
+
+        expect(await resolver.resolve(['0xa'])).toEqual({ '0xa': null });
+        fail = false;
+        expect(await resolver.resolve(['0xa'])).toEqual({ '0xa': 'alice' });
+    });
+});
+
+describe('Skin Progress Tests', () => {
+
+    test('Verified stats unlock every skin they qualify for', () => {
+        expect(getVerifiedSkinIds({})).toEqual([0]);
+        expect(getVerifiedSkinIds({ score: 5000, level: 5, linesCleared: 40 })).toEqual([0, 1, 2, 4]);
+    });
+
+    test('Claimed skins are the ones owned as NFTs, matched by name', () => {
+        const owned = [{ skinName: 'Galaxy Block' }, { skinName: 'Neon Block' }, { skinName: 'Unknown' }];
+        expect(getClaimedSkinIds(owned)).toEqual([1, 2]);
+        expect(getClaimedSkinIds([])).toEqual([]);
+    });
+
+    test('The old device-wide claimed list becomes local unlocks, not a wallet\'s claims', () => {
+        localStorage.removeItem('skinProgress');
+        localStorage.setItem('unlockedSkins', JSON.stringify([0, 1]));
+        localStorage.setItem('claimedSkins', JSON.stringify([1, 3]));
+
+        expect(loadSkinProgress('0xa').claimedSkins).toEqual([]);
+        expect(loadLocalUnlocks()).toEqual([0, 1, 3]);
+        expect(localStorage.getItem('claimedSkins')).toBe(null);
+        expect(loadLocalUnlocks()).toEqual([0, 1, 3]);
+        localStorage.removeItem('unlockedSkins');
+    });
+
+    test('What the chain says replaces the cache per wallet', () => {
+        localStorage.removeItem('skinProgress');
+
+        saveSkinProgress('0xa', { verifiedSkins: [0, 1] });
+        saveSkinProgress('0xa', { claimedSkins: [1] });
+        saveSkinProgress('0xb', { claimedSkins: [] });
+
+        expect(loadSkinProgress('0xa')).toMatchObject({ verifiedSkins: [0, 1], claimedSkins: [1] });
+        expect(loadSkinProgress('0xb')).toMatchObject({ verifiedSkins: [0], claimedSkins: [] });
+        localStorage.removeItem('skinProgress');
+    });
 });
 
+describe('Player Profile Tests', () => {
+
+    const game = { linesCleared: 40, tetrisCount: 3, maxCombo: 5, piecesPlaced: 120, time: 60000 };
+
+    test('Games and battles add up into lifetime totals', () => {
+        let profile = addGameToProfile(EMPTY_PROFILE, game);
+        profile = addGameToProfile(profile, { ...game, maxCombo: 2 }, { battles: 1, battlesWon: 1 });
+        profile = addGameToProfile(profile, game, { battles: 1, battlesLost: 1 });
+
+        expect(profile).toMatchObject({
+            games: 1,
+            battles: 2,
+            battlesWon: 1,
+            battlesLost: 1,
+            linesCleared: 120,
+            tetrisCount: 9,
+            bestCombo: 5,
+            piecesPlaced: 360,
+            timePlayed: 180000
+        });
+        expect(getPiecesPerSecond(profile)).toBe(2);
+        expect(getPiecesPerSecond(EMPTY_PROFILE)).toBe(0);
+    });
+
+    test('Play time is shown in hours or minutes', () => {
+        expect(formatPlayTime(0)).toBe('0m 00s');
+        expect(formatPlayTime(249000)).toBe('4m 09s');
+        expect(formatPlayTime(11100000)).toBe('3h 05m');
+    });
+
+    test('Each player keeps their own totals on this device', () => {
+        localStorage.removeItem('playerProfiles');
+
+        recordLocalGame('0xa', game);
+        recordLocalGame('0xa', game);
+        recordLocalGame('guest', game);
+
+        expect(loadLocalProfile('0xa').games).toBe(2);
+        expect(loadLocalProfile('0xa').linesCleared).toBe(80);
+        expect(loadLocalProfile('guest').games).toBe(1);
+        expect(loadLocalProfile('0xb')).toEqual(EMPTY_PROFILE);
+        localStorage.removeItem('playerProfiles');
+    });
+
+    test('Lifetime unlock conditions are checked against the totals', () => {
+        const lineLegend = getSkinById(20);
+        expect(lineLegend.unlockCondition.type).toBe('totalLines');
+
+        // A single game's lines don't count towards a lifetime total
+        expect(checkSkinUnlocked(lineLegend, { linesCleared: 20000 })).toBe(false);
+        expect(checkSkinUnlocked(lineLegend, {}, { linesCleared: 9999 })).toBe(false);
+        expect(checkSkinUnlocked(lineLegend, {}, { linesCleared: 10000 })).toBe(true);
+        expect(getSkinUnlockProgress(lineLegend, {}, { linesCleared: 2500 })).toBe(0.25);
+
+        expect(getVerifiedSkinIds({}, { battlesWon: 25 })).toEqual([0, 21]);
+    });
+});
 
 describe('GameUI Property Tests', () => {
     
@@ -716,6 +2080,72 @@ describe('Score Submission Property Tests', () => {
             { numRuns: 100 }
         );
     });
+
+    // The submitted score must be the one the game server attested to
+    test('Property 5f: Score submission rejects scores that differ from the attestation', async () => {
+        const { BlockchainInterface } = await import('../src/blockchain.js');
+
+        await fc.assert(
+            fc.asyncProperty(
+                fc.integer({ min: 0, max: 999998 }), // verified score
+                fc.integer({ min: 1, max: 1000 }), // inflation attempted by the client
+                async (verifiedScore, inflation) => {
+                    const blockchain = new BlockchainInterface();
+                    blockchain.playerAddress = '0x' + 'a'.repeat(64);
+                    blockchain.isConnected = true;
+                    blockchain.wallet = {
+                        signAndExecuteTransactionBlock: async () => ({
+                            digest: '0xmocktxdigest',
+                            effects: { status: { status: 'success' } },
+                            events: []
+                        })
+                    };
+
+                    const attestation = { score: verifiedScore, signature: btoa('sig') };
+                    const claimedScore = Math.min(999999, verifiedScore + inflation);
+
+                    const rejected = await blockchain.submitScore('0x' + 'b'.repeat(64), claimedScore, attestation);
+                    expect(rejected.success).toBe(false);
+                    expect(rejected.error).toBeDefined();
+
+                    const accepted = await blockchain.submitScore('0x' + 'b'.repeat(64), verifiedScore, attestation);
+                    expect(accepted.success).toBe(true);
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    test('Attestation signatures decode from base64 to bytes', () => {
+        expect(getAttestationSignature({ signature: btoa('\x01\x02\xff') })).toEqual([1, 2, 255]);
+        expect(getAttestationSignature(null)).toEqual([]);
+    });
+
+    test('Attested stats follow the order of the submit_score parameters', () => {
+        const attestation = { score: 12500, level: 7, linesCleared: 64, tetrisCount: 9, maxCombo: 6, piecesPlaced: 171, playTime: 245000 };
+        expect(getAttestedStats(attestation)).toEqual([7, 64, 9, 6, 171, 245000]);
+        expect(getAttestedStats(null)).toEqual([0, 0, 0, 0, 0, 0]);
+    });
+
+    test('Score submission fails clearly without a ScoreVerifier id', async () => {
+        const { BlockchainInterface } = await import('../src/blockchain.js');
+        const blockchain = new BlockchainInterface();
+        blockchain.playerAddress = '0x' + 'a'.repeat(64);
+        blockchain.isConnected = true;
+        blockchain.wallet = {
+            signAndExecuteTransactionBlock: async () => ({ digest: '0xmocktxdigest', effects: { status: { status: 'success' } }, events: [] })
+        };
+
+        const configuredId = CONTRACT_CONFIG.scoreVerifierId;
+        CONTRACT_CONFIG.scoreVerifierId = '';
+        try {
+            const result = await blockchain.submitScore('0x' + 'b'.repeat(64), 5000, { score: 5000, signature: btoa('sig') });
+            expect(result.success).toBe(false);
+            expect(result.error).toContain('VITE_SCORE_VERIFIER_ID');
+        } finally {
+            CONTRACT_CONFIG.scoreVerifierId = configuredId;
+        }
+    });
 });
 
 describe('PieceGenerator Property Tests', () => {
@@ -835,6 +2265,340 @@ describe('PieceGenerator Property Tests', () => {
             { numRuns: 100 }
         );
     });
+
+    test('Property 14d: 7-bag deals every piece exactly once per bag', () => {
+        fc.assert(
+            fc.property(
+                fc.uint8Array({ minLength: 32, maxLength: 32 }),
+                (seed) => {
+                    const gen = new PieceGenerator(seed, RANDOMIZERS.BAG_7);
+
+                    for (let bag = 0; bag < 10; bag++) {
+                        const pieces = [];
+                        for (let i = 0; i < 7; i++) {
+                            pieces.push(gen.nextPiece());
+                        }
+                        expect(pieces.sort()).toEqual([1, 2, 3, 4, 5, 6, 7]);
+                    }
+
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    test('Property 14e: 14-bag deals every piece exactly twice per bag', () => {
+        fc.assert(
+            fc.property(
+                fc.uint8Array({ minLength: 32, maxLength: 32 }),
+                (seed) => {
+                    const gen = new PieceGenerator(seed, RANDOMIZERS.BAG_14);
+
+                    for (let bag = 0; bag < 5; bag++) {
+                        const pieces = [];
+                        for (let i = 0; i < 14; i++) {
+                            pieces.push(gen.nextPiece());
+                        }
+                        expect(pieces.sort()).toEqual([1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7]);
+                    }
+
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    test('Property 14f: TGM randomizer never opens with S, Z or O and is deterministic', () => {
+        fc.assert(
+            fc.property(
+                fc.uint8Array({ minLength: 32, maxLength: 32 }),
+                (seed) => {
+                    const gen1 = new PieceGenerator(seed, RANDOMIZERS.TGM);
+                    const gen2 = new PieceGenerator(seed, RANDOMIZERS.TGM);
+
+                    const sequence1 = [];
+                    const sequence2 = [];
+                    for (let i = 0; i < 100; i++) {
+                        sequence1.push(gen1.nextPiece());
+                        sequence2.push(gen2.nextPiece());
+                    }
+
+                    expect([4, 5, 2]).not.toContain(sequence1[0]);
+                    expect(sequence1).toEqual(sequence2);
+
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    test('Property 14g: Games with the same seed and randomizer share a piece queue', () => {
+        fc.assert(
+            fc.property(
+                fc.uint8Array({ minLength: 32, maxLength: 32 }),
+                fc.constantFrom(...Object.values(RANDOMIZERS)),
+                (seed, randomizer) => {
+                    const game1 = new TetrisGame(seed, { randomizer });
+                    const game2 = new TetrisGame(seed, { randomizer });
+                    game1.start();
+                    game2.start();
+
+                    expect(game1.currentPiece.type).toBe(game2.currentPiece.type);
+                    expect(game1.nextQueue).toEqual(game2.nextQueue);
+                    expect(game1.getState().randomizer).toBe(randomizer);
+
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    test('Unknown randomizer is rejected', () => {
+        expect(() => new PieceGenerator(new Uint8Array(32).fill(1), 'lucky')).toThrow('Unknown randomizer');
+    });
+
+    test('xoshiro128** matches the reference output', () => {
+        const rng = createSeededRandom(new Uint8Array(32), PRNG_VERSIONS.XOSHIRO128SS);
+        rng.state = [1, 2, 3, 4];
+
+        const outputs = [];
+        for (let i = 0; i < 6; i++) {
+            outputs.push(rng.nextUint32());
+        }
+
+        expect(outputs).toEqual([11520, 0, 5927040, 70819200, 2031721883, 1637235492]);
+    });
+
+    test('PRNG version 2 seeding matches the documented test vector', () => {
+        const seed = Uint8Array.from({ length: 32 }, (_, i) => i);
+        const rng = createSeededRandom(seed, PRNG_VERSIONS.XOSHIRO128SS);
+
+        expect(rng.state).toEqual([2841462050, 1144830389, 465434644, 3687774715]);
+        expect(rng.nextUint32()).toBe(1448241658);
+
+        const gen = new PieceGenerator(seed, RANDOMIZERS.BAG_7, PRNG_VERSIONS.XOSHIRO128SS);
+        const pieces = [];
+        for (let i = 0; i < 14; i++) {
+            pieces.push(gen.nextPiece());
+        }
+        expect(pieces).toEqual([3, 1, 2, 7, 5, 6, 4, 3, 2, 1, 6, 5, 4, 7]);
+    });
+
+    test('PRNG version 1 still reproduces legacy sequences', () => {
+        const seed = Uint8Array.from({ length: 32 }, (_, i) => i);
+        const gen = new PieceGenerator(seed, RANDOMIZERS.CLASSIC, PRNG_VERSIONS.LCG);
+
+        const pieces = [];
+        for (let i = 0; i < 14; i++) {
+            pieces.push(gen.nextPiece());
+        }
+
+        expect(pieces).toEqual([1, 3, 3, 7, 6, 1, 7, 2, 4, 6, 1, 1, 1, 7]);
+    });
+
+    test('Property 14h: Changing any single seed byte changes the PRNG state', () => {
+        fc.assert(
+            fc.property(
+                fc.uint8Array({ minLength: 32, maxLength: 32 }),
+                fc.integer({ min: 0, max: 31 }),
+                fc.integer({ min: 1, max: 255 }),
+                (seed, index, delta) => {
+                    const other = Uint8Array.from(seed);
+                    other[index] = (other[index] + delta) & 0xff;
+
+                    const rng1 = createSeededRandom(seed, PRNG_VERSIONS.XOSHIRO128SS);
+                    const rng2 = createSeededRandom(other, PRNG_VERSIONS.XOSHIRO128SS);
+
+                    expect(rng1.state).not.toEqual(rng2.state);
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    test('String seeds such as room ids produce distinct sequences', () => {
+        const gen1 = new PieceGenerator('room_1700000000000_aaaa');
+        const gen2 = new PieceGenerator('room_1700000000000_bbbb');
+
+        const sequence1 = [];
+        const sequence2 = [];
+        for (let i = 0; i < 28; i++) {
+            sequence1.push(gen1.nextPiece());
+            sequence2.push(gen2.nextPiece());
+        }
+
+        expect(sequence1).not.toEqual(sequence2);
+    });
+
+    test('Unknown PRNG version is rejected', () => {
+        expect(() => createSeededRandom(new Uint8Array(32), 99)).toThrow('Unknown PRNG version');
+    });
+});
+
+describe('Replay Tests', () => {
+
+    const ALL_ACTIONS = Object.values(ACTIONS);
+
+    // Replays written by earlier versions of the game (same seed and inputs each time)
+    const LEGACY_REPLAYS = {
+        // Marathon
+        1: 'TCR1.{"seed":{"hex":"0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f20"},"randomizer":"7-bag","prngVersion":2,"result":{"score":2304,"linesCleared":10,"level":2,"isGameOver":true},"log":"LwLoH14U1cU14RgHgU14L14L14LgLwH1cRgRgRoRoH14UwUwU14RoRoR14HgU1cUwL14HoU1cUwHoHoU1cU1cUgL1cLwH14RgRoRwR14HoU1cU1cUgLgHwU14RwHwUoU1cUwR14RwR1cRwRgH1cU14LwLoL14LwH1cH14UoHoUgLgL1cHoUwUgU14RgR1cR1cRoRwHoU14HgU1cUoU14R14R1cR14HoUgUwU1cLwLwLwHgU14L14HgUgRwRoR1cR1cHgUgH14U1cL1cL1cLoH14U1cLgL1cH1cU1cU1cUgRwRoR1cHgH1cUoLgL1cL14L1cHoU14H1dUwL1cLgL14LwHoUgR1cR1cH14UoU14UwRoRgRoRwR1cHwRwR14R14HgUwUoU1cR14R14RoHwU14LoLoL14LoH1cU1cUwR14R14R14H14U1cU14L1cLgL1cH1dU14R1cRoR1cHwUgU1cUgLwLgL1cHgU14U14UgRwHgUoL1cL1cL14HgUgHwUwLgLwL14H14UoUgUgR14RgRoRgHgH14U14UwUwR1cH14"}',
+        // Marathon
+        2: 'TCR2.{"seed":{"hex":"0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f20"},"randomizer":"7-bag","prngVersion":2,"lock":{"mode":"move","delay":500,"maxResets":15},"result":{"score":2304,"linesCleared":10,"level":2,"isGameOver":true},"log":"LwLoH14U1cU14RgHgU14L14L14LgLwH1cRgRgRoRoH14UwUwU14RoRoR14HgU1cUwL14HoU1cUwHoHoU1cU1cUgL1cLwH14RgRoRwR14HoU1cU1cUgLgHwU14RwHwUoU1cUwR14RwR1cRwRgH1cU14LwLoL14LwH1cH14UoHoUgLgL1cHoUwUgU14RgR1cR1cRoRwHoU14HgU1cUoU14R14R1cR14HoUgUwU1cLwLwLwHgU14L14HgUgRwRoR1cR1cHgUgH14U1cL1cL1cLoH14U1cLgL1cH1cU1cU1cUgRwRoR1cHgH1cUoLgL1cL14L1cHoU14H1dUwL1cLgL14LwHoUgR1cR1cH14UoU14UwRoRgRoRwR1cHwRwR14R14HgUwUoU1cR14R14RoHwU14LoLoL14LoH1cU1cUwR14R14R14H14U1cU14L1cLgL1cH1dU14R1cRoR1cHwUgU1cUgLwLgL1cHgU14U14UgRwHgUoL1cL1cL14HgUgHwUwLgLwL14H14UoUgUgR14RgRoRgHgH14U14UwUwR1cH14"}',
+        // Sprint to 4 lines
+        3: 'TCR3.{"seed":{"hex":"0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f20"},"randomizer":"7-bag","prngVersion":2,"lock":{"mode":"move","delay":500,"maxResets":15},"board":{"width":10,"height":20,"bufferRows":20},"lineGoal":4,"result":{"score":898,"linesCleared":4,"level":1,"isGameOver":true},"log":"LwLoH14U1cU14RgHgU14L14L14LgLwH1cRgRgRoRoH14UwUwU14RoRoR14HgU1cUwL14HoU1cUwHoHoU1cU1cUgL1cLwH14RgRoRwR14HoU1cU1cUgLgHwU14RwHwUoU1cUwR14RwR1cRwRgH1cU14LwLoL14LwH1c"}',
+        // Marathon with classic locking
+        4: 'TCR4.{"seed":{"hex":"0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f20"},"randomizer":"7-bag","prngVersion":2,"lock":{"mode":"classic","delay":500,"maxResets":15},"board":{"width":10,"height":20,"bufferRows":20},"rules":{"lineGoal":null,"timeLimit":null,"linesPerLevel":10,"comboMultiplier":1,"digLines":0,"garbageMessiness":0},"result":{"score":2506,"linesCleared":10,"level":2,"isGameOver":true},"log":"LwLoH14U1cU14RgHgU14L14L14LgLwH1cRgRgRoRoH14UwUwU14RoRoR14HgU1cUwL14HoU1cUwHoHoU1cU1cUgL1cLwH14RgRoRwR14HoU1cU1cUgLgHwU14RwHwUoU1cUwR14RwR1cRwRgH1cU14LwLoL14LwH1cH14UoHoUgLgL1cHoUwUgU14RgR1cR1cRoRwHoU14HgU1cUoU14R14R1cR14HoUgUwU1cLwLwLwHgU14L14HgUgRwRoR1cR1cHgUgH14U1cL1cL1cLoH14U1cLgL1cH1cU1cU1cUgRwRoR1cHgH1cUoLgL1cL14L1cHoU14H1dUwL1cLgL14LwHoUgR1cR1cH14UoU14UwRoRgRoRwR1cHwRwR14R14HgUwUoU1cR14R14RoHwU14LoLoL14LoH1cU1cUwR14R14R14H14U1cU14L1cLgL1cH1dU14R1cRoR1cHwUgU1cUgLwLgL1cHgU14U14UgRwHgUoL1cL1cL14HgUgHwUwLgLwL14H14UoUgUgR14RgRoRgHgH14U14UwUwR1cH14UwLwH1cT0"}'
+    };
+
+    // Record a game driven by an arbitrary action list on a fake clock
+    const recordGame = (seedBytes, randomizer, actions) => {
+        let clock = 0;
+        const game = new TetrisGame(new Uint8Array(seedBytes), { randomizer });
+        game.start();
+        const recorder = new ReplayRecorder(game, () => clock);
+        for (const [actionIndex, delay] of actions) {
+            clock += delay;
+            recorder.apply(ALL_ACTIONS[actionIndex]);
+        }
+        return { game, replay: recorder.getReplay() };
+    };
+
+    // Property: re-running a serialized replay reproduces the final grid and score
+    test('Property 15: Replays reproduce the recorded game exactly', () => {
+        fc.assert(
+            fc.property(
+                fc.array(fc.integer({ min: 0, max: 255 }), { minLength: 32, maxLength: 32 }),
+                fc.constantFrom(...Object.values(RANDOMIZERS)),
+                fc.array(
+                    fc.tuple(fc.integer({ min: 0, max: ALL_ACTIONS.length - 1 }), fc.integer({ min: 0, max: 2000 })),
+                    { maxLength: 300 }
+                ),
+                (seedBytes, randomizer, actions) => {
+                    const { game, replay } = recordGame(seedBytes, randomizer, actions);
+
+                    const { game: replayed, result, matches } = runReplay(serializeReplay(replay));
+
+                    expect(matches).toBe(true);
+                    expect(result.score).toBe(game.score);
+                    expect(replayed.grid).toEqual(game.grid);
+                    expect(replayed.currentPiece.type).toBe(game.currentPiece.type);
+                    return true;
+                }
+            ),
+            { numRuns: 50 }
+        );
+    });
+
+    test('Serialization round trips events and metadata', () => {
+        const { replay } = recordGame(Array.from({ length: 32 }, (_, i) => i), RANDOMIZERS.TGM, [
+            [0, 16], [4, 33], [3, 120], [8, 1000], [2, 5]
+        ]);
+
+        const data = serializeReplay(replay);
+        expect(data.startsWith('TCR5.')).toBe(true);
+
+        const parsed = deserializeReplay(data);
+        expect(parsed.events).toEqual(replay.events);
+        expect(parsed.seed).toEqual(replay.seed);
+        expect(parsed.randomizer).toBe(RANDOMIZERS.TGM);
+        expect(parsed.prngVersion).toBe(PRNG_VERSIONS.XOSHIRO128SS);
+        expect(parsed.result).toEqual(replay.result);
+    });
+
+    test('Actions rejected by the engine are not recorded', () => {
+        const game = new TetrisGame(new Uint8Array(32));
+        game.start();
+        const recorder = new ReplayRecorder(game, () => 0);
+
+        // Walk into the left wall; the extra moves fail and must not be logged
+        for (let i = 0; i < 15; i++) {
+            recorder.apply(ACTIONS.MOVE_LEFT);
+        }
+
+        const moved = recorder.getReplay().events.length;
+        expect(moved).toBeGreaterThan(0);
+        expect(moved).toBeLessThan(15);
+    });
+
+    test('Version 1 replays re-run with classic locking', () => {
+        const replay = deserializeReplay(LEGACY_REPLAYS[1]);
+
+        expect(replay.version).toBe(1);
+        expect(replay.lock.mode).toBe(LOCK_MODES.CLASSIC);
+
+        const { result, matches } = runReplay(replay);
+        expect(matches).toBe(true);
+        expect(result.linesCleared).toBe(10);
+    });
+
+    test('Classic-mode ticks in version 4 replays lock as gravity steps', () => {
+        const replay = deserializeReplay(LEGACY_REPLAYS[4]);
+
+        expect(replay.version).toBe(4);
+        expect(replay.events.some(event => event.action === ACTIONS.TICK)).toBe(false);
+        expect(LEGACY_REPLAYS[4]).toMatch(/"log":"[^"]*T/);
+
+        const { result, matches } = runReplay(replay);
+        expect(matches).toBe(true);
+        expect(result.linesCleared).toBe(10);
+    });
+
+    test('Version 2 replays re-run on a 20-row field with no hidden rows', () => {
+        const replay = deserializeReplay(LEGACY_REPLAYS[2]);
+
+        expect(replay.version).toBe(2);
+        expect(replay.board).toEqual({ width: GRID_WIDTH, height: 18, bufferRows: 2 });
+        expect(replay.rules).toEqual(DEFAULT_RULES);
+
+        const { game, result, matches } = runReplay(replay);
+        expect(matches).toBe(true);
+        expect(result.linesCleared).toBe(10);
+        expect(game.matrixHeight).toBe(20);
+    });
+
+    test('Version 3 replays re-run with Marathon rules and their line goal', () => {
+        const replay = deserializeReplay(LEGACY_REPLAYS[3]);
+
+        expect(replay.version).toBe(3);
+        expect(replay.rules).toEqual({ ...DEFAULT_RULES, lineGoal: 4 });
+        expect(replay.lock).toEqual({ mode: LOCK_MODES.MOVE, delay: 500, maxResets: 15 });
+
+        const { game, matches } = runReplay(replay);
+        expect(matches).toBe(true);
+        expect(game.linesCleared).toBe(4);
+        expect(game.endReason).toBe(END_REASONS.GOAL);
+    });
+
+    test('Malformed or unknown-version replays are rejected', () => {
+        expect(() => deserializeReplay('not a replay')).toThrow('Invalid replay data');
+        expect(() => deserializeReplay('TCR99.{}')).toThrow('Unsupported replay version');
+        expect(() => deserializeReplay('TCR5.{"log":"Q5"}')).toThrow('Invalid replay action code');
+    });
+
+    test('ReplayPlayer seeks forwards and backwards', () => {
+        const { game, replay } = recordGame(Array.from({ length: 32 }, (_, i) => 255 - i), RANDOMIZERS.BAG_7, [
+            [0, 100], [7, 100], [8, 100], [1, 100], [7, 100]
+        ]);
+
+        const player = new ReplayPlayer(replay);
+        expect(player.getDuration()).toBe(replay.events[replay.events.length - 1].time);
+
+        const midState = player.advanceTo(250);
+        expect(player.isFinished()).toBe(false);
+
+        player.finish();
+        expect(player.isFinished()).toBe(true);
+        expect(player.game.grid).toEqual(game.grid);
+
+        // Seeking backwards restarts and replays up to the requested time
+        expect(player.advanceTo(250).grid).toEqual(midState.grid);
+    });
 });
 
 describe('Leaderboard Display Property Tests', () => {
@@ -15,5 +15,9 @@ export default defineConfig({
     test: {
         globals: true,
         environment: 'jsdom',
+        env: {
+            // Placeholder ScoreVerifier id so score submissions can be built in tests
+            VITE_SCORE_VERIFIER_ID: '0x' + '5'.repeat(64),
+        },
     },
 });
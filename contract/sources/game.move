@@ -21,6 +21,8 @@ module tetris_game::game {
     use std::string::{Self, String};
     use sui::display;
     use sui::package;
+    use sui::ed25519;
+    use sui::bcs;
 
     // ===== Error Constants =====
     
@@ -71,6 +73,15 @@ module tetris_game::game {
     
     /// Not authorized to cancel this listing
     const ENotListingOwner: u64 = 16;
+    
+    /// Score attestation signature doesn't verify against the verifier key
+    const EInvalidAttestation: u64 = 17;
+    
+    /// No verifier key has been set yet, so no score can be verified
+    const EVerifierKeyNotSet: u64 = 18;
+    
+    /// Domain separator prefixed to every signed score attestation
+    const SCORE_ATTESTATION_DOMAIN: vector<u8> = b"TETRICHAIN_SCORE_V1";
 
     // ===== Structs =====
     
@@ -86,6 +97,21 @@ module tetris_game::game {
         score: u64,
     }
     
+    /// Event emitted for every verified score, indexed off-chain for the full rankings
+    /// and each player's verified stats (all attested by the verification server)
+    public struct ScoreSubmitted has copy, drop {
+        player: address,
+        score: u64,
+        timestamp: u64,
+        game_seed_id: address,
+        level: u64,
+        lines_cleared: u64,
+        tetris_count: u64,
+        max_combo: u64,
+        pieces_placed: u64,
+        play_time_ms: u64,
+    }
+    
     /// Represents a player's score entry on the leaderboard
     public struct ScoreEntry has store, copy, drop {
         player: address,
@@ -116,6 +142,18 @@ module tetris_game::game {
         supply: Supply<GAME>,
     }
     
+    /// Public key of the server that re-simulates replays and signs verified scores
+    /// Until a key is set, every score submission is rejected
+    public struct ScoreVerifier has key {
+        id: UID,
+        public_key: vector<u8>,
+    }
+    
+    /// Capability allowing the deployer to set or rotate the verifier key
+    public struct VerifierAdminCap has key, store {
+        id: UID,
+    }
+    
     /// Username registry for player usernames
     public struct UsernameRegistry has key {
         id: UID,
@@ -215,11 +253,21 @@ module tetris_game::game {
             collected_fees: sui::balance::zero<GAME>(),
         };
         
-        // Share the leaderboard, treasury, username registry, and marketplace as shared objects
+        // Create the score verifier; the key is set after the server is deployed
+        let score_verifier = ScoreVerifier {
+            id: object::new(ctx),
+            public_key: vector::empty<u8>(),
+        };
+        
+        // Share the leaderboard, treasury, username registry, marketplace, and verifier as shared objects
         transfer::share_object(leaderboard);
         transfer::share_object(treasury);
         transfer::share_object(username_registry);
         transfer::share_object(marketplace);
+        transfer::share_object(score_verifier);
+        
+        // The deployer controls the verifier key
+        transfer::transfer(VerifierAdminCap { id: object::new(ctx) }, tx_context::sender(ctx));
         
         // Freeze the metadata so it can't be changed
         transfer::public_freeze_object(metadata);
@@ -295,20 +343,131 @@ module tetris_game::game {
         game_seed.created_at
     }
     
+    // ===== Score Verification Functions =====
+    
+    /// Set or rotate the ed25519 public key of the replay verification server
+    public entry fun set_verifier_key(
+        _cap: &VerifierAdminCap,
+        verifier: &mut ScoreVerifier,
+        public_key: vector<u8>,
+    ) {
+        verifier.public_key = public_key;
+    }
+    
+    /// Get the current verifier public key (empty when unset)
+    public fun get_verifier_public_key(verifier: &ScoreVerifier): vector<u8> {
+        verifier.public_key
+    }
+    
+    /// Build the message the verification server signs for a verified game:
+    /// domain || bcs(game seed id) || bcs(player) || bcs(score) || bcs(level)
+    ///   || bcs(lines_cleared) || bcs(tetris_count) || bcs(max_combo)
+    ///   || bcs(pieces_placed) || bcs(play_time_ms)
+    public fun score_attestation_message(
+        game_seed_id: address,
+        player: address,
+        score: u64,
+        level: u64,
+        lines_cleared: u64,
+        tetris_count: u64,
+        max_combo: u64,
+        pieces_placed: u64,
+        play_time_ms: u64,
+    ): vector<u8> {
+        let mut message = SCORE_ATTESTATION_DOMAIN;
+        vector::append(&mut message, bcs::to_bytes(&game_seed_id));
+        vector::append(&mut message, bcs::to_bytes(&player));
+        vector::append(&mut message, bcs::to_bytes(&score));
+        vector::append(&mut message, bcs::to_bytes(&level));
+        vector::append(&mut message, bcs::to_bytes(&lines_cleared));
+        vector::append(&mut message, bcs::to_bytes(&tetris_count));
+        vector::append(&mut message, bcs::to_bytes(&max_combo));
+        vector::append(&mut message, bcs::to_bytes(&pieces_placed));
+        vector::append(&mut message, bcs::to_bytes(&play_time_ms));
+        message
+    }
+    
+    /// Abort unless the signature is the verification server's attestation of the game
+    /// Fails closed: without a verifier key nothing verifies.
+    public fun verify_score_attestation(
+        verifier: &ScoreVerifier,
+        game_seed_id: address,
+        player: address,
+        score: u64,
+        level: u64,
+        lines_cleared: u64,
+        tetris_count: u64,
+        max_combo: u64,
+        pieces_placed: u64,
+        play_time_ms: u64,
+        signature: &vector<u8>,
+    ) {
+        assert!(!vector::is_empty(&verifier.public_key), EVerifierKeyNotSet);
+        
+        let message = score_attestation_message(
+            game_seed_id, player, score, level, lines_cleared, tetris_count, max_combo, pieces_placed, play_time_ms
+        );
+        assert!(ed25519::ed25519_verify(signature, &verifier.public_key, &message), EInvalidAttestation);
+    }
+    
     // ===== Leaderboard Functions =====
     
     /// Submit a score to the leaderboard and claim token rewards
     /// 
     /// Requirements: 3.1, 3.2, 4.3, 4.5, 6.1, 6.2, 6.4
     /// - Validates score range (0-999,999)
+    /// - Verifies the server's replay attestation of the game's stats
     /// - Checks seed exists and is unused
     /// - Marks seed as used after submission
     /// - Updates leaderboard if score is in top 10
     /// - Mints and transfers token rewards
-    /// - Emits token mint event
+    /// - Emits score submitted and token mint events
+    /// 
+    /// The verifier and stats parameters are not upgrade-compatible with the
+    /// original submit_score, and init must create the ScoreVerifier, so this
+    /// version has to be published fresh (see DEPLOYMENT.md).
     public entry fun submit_score(
         game_seed: &mut GameSeed,
         score: u64,
+        level: u64,
+        lines_cleared: u64,
+        tetris_count: u64,
+        max_combo: u64,
+        pieces_placed: u64,
+        play_time_ms: u64,
+        verifier: &ScoreVerifier,
+        signature: vector<u8>,
+        leaderboard: &mut Leaderboard,
+        treasury: &mut TokenTreasury,
+        clock: &Clock,
+        ctx: &mut TxContext
+    ) {
+        // Validation: The game must carry the verification server's signature
+        verify_score_attestation(
+            verifier,
+            object::uid_to_address(&game_seed.id),
+            tx_context::sender(ctx),
+            score, level, lines_cleared, tetris_count, max_combo, pieces_placed, play_time_ms,
+            &signature,
+        );
+        
+        record_score(
+            game_seed,
+            score, level, lines_cleared, tetris_count, max_combo, pieces_placed, play_time_ms,
+            leaderboard, treasury, clock, ctx
+        );
+    }
+    
+    /// Internal helper recording a verified score: leaderboard, rewards and events
+    fun record_score(
+        game_seed: &mut GameSeed,
+        score: u64,
+        level: u64,
+        lines_cleared: u64,
+        tetris_count: u64,
+        max_combo: u64,
+        pieces_placed: u64,
+        play_time_ms: u64,
         leaderboard: &mut Leaderboard,
         treasury: &mut TokenTreasury,
         clock: &Clock,
@@ -336,6 +495,20 @@ module tetris_game::game {
             game_seed_id: object::uid_to_address(&game_seed.id),
         };
         
+        // Announce every score, not just the top 10
+        sui::event::emit(ScoreSubmitted {
+            player: sender,
+            score,
+            timestamp: score_entry.timestamp,
+            game_seed_id: score_entry.game_seed_id,
+            level,
+            lines_cleared,
+            tetris_count,
+            max_combo,
+            pieces_placed,
+            play_time_ms,
+        });
+        
         // Update leaderboard
         update_leaderboard(leaderboard, score_entry);
         
@@ -961,4 +1134,26 @@ module tetris_game::game {
     public fun init_for_testing(ctx: &mut TxContext) {
         init(GAME {}, ctx);
     }
+    
+    /// Record a score without an attestation (its signature can't be made for
+    /// the ids a test scenario assigns)
+    #[test_only]
+    public fun submit_score_for_testing(
+        game_seed: &mut GameSeed,
+        score: u64,
+        leaderboard: &mut Leaderboard,
+        treasury: &mut TokenTreasury,
+        clock: &Clock,
+        ctx: &mut TxContext
+    ) {
+        record_score(game_seed, score, 0, 0, 0, 0, 0, 0, leaderboard, treasury, clock, ctx);
+    }
+    
+    #[test_only]
+    public fun create_score_verifier_for_testing(public_key: vector<u8>, ctx: &mut TxContext): ScoreVerifier {
+        ScoreVerifier {
+            id: object::new(ctx),
+            public_key,
+        }
+    }
 }
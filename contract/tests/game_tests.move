@@ -182,7 +182,7 @@ module tetris_game::game_tests {
             let mut game_seed = game::create_game_seed_for_testing(seed_bytes, ts::ctx(&mut scenario));
             
             // Submit the score
-            game::submit_score(&mut game_seed, score, &mut leaderboard, &mut treasury, &clock, ts::ctx(&mut scenario));
+            game::submit_score_for_testing(&mut game_seed, score, &mut leaderboard, &mut treasury, &clock, ts::ctx(&mut scenario));
             
             // Get the leaderboard
             let top_scores = game::get_leaderboard(&leaderboard);
@@ -260,7 +260,7 @@ module tetris_game::game_tests {
             let mut game_seed = game::create_game_seed_for_testing(seed_bytes, ts::ctx(&mut scenario));
             
             // Submit the score
-            game::submit_score(&mut game_seed, score, &mut leaderboard, &mut treasury, &clock, ts::ctx(&mut scenario));
+            game::submit_score_for_testing(&mut game_seed, score, &mut leaderboard, &mut treasury, &clock, ts::ctx(&mut scenario));
             
             // Property: PLAYER1 should only appear once on the leaderboard
             let top_scores = game::get_leaderboard(&leaderboard);
@@ -352,7 +352,7 @@ module tetris_game::game_tests {
             let supply_before = game::get_total_supply(&treasury);
             
             // Submit the score
-            game::submit_score(&mut game_seed, score, &mut leaderboard, &mut treasury, &clock, ts::ctx(&mut scenario));
+            game::submit_score_for_testing(&mut game_seed, score, &mut leaderboard, &mut treasury, &clock, ts::ctx(&mut scenario));
             
             // Get supply after submission
             let supply_after = game::get_total_supply(&treasury);
@@ -405,7 +405,7 @@ module tetris_game::game_tests {
             let seed_bytes = generate_test_seed(score);
             let mut game_seed = game::create_game_seed_for_testing(seed_bytes, ts::ctx(&mut scenario));
             
-            game::submit_score(&mut game_seed, score, &mut leaderboard, &mut treasury, &clock, ts::ctx(&mut scenario));
+            game::submit_score_for_testing(&mut game_seed, score, &mut leaderboard, &mut treasury, &clock, ts::ctx(&mut scenario));
             
             // Supply should not change for scores < 100
             let current_supply = game::get_total_supply(&treasury);
@@ -459,7 +459,7 @@ module tetris_game::game_tests {
             
             let supply_before = game::get_total_supply(&treasury);
             
-            game::submit_score(&mut game_seed, score, &mut leaderboard, &mut treasury, &clock, ts::ctx(&mut scenario));
+            game::submit_score_for_testing(&mut game_seed, score, &mut leaderboard, &mut treasury, &clock, ts::ctx(&mut scenario));
             
             let supply_after = game::get_total_supply(&treasury);
             let tokens_minted = supply_after - supply_before;
@@ -521,7 +521,7 @@ module tetris_game::game_tests {
             let supply_before = game::get_total_supply(&treasury);
             
             // Submit the score - this should emit an event if tokens > 0
-            game::submit_score(&mut game_seed, score, &mut leaderboard, &mut treasury, &clock, ts::ctx(&mut scenario));
+            game::submit_score_for_testing(&mut game_seed, score, &mut leaderboard, &mut treasury, &clock, ts::ctx(&mut scenario));
             
             let supply_after = game::get_total_supply(&treasury);
             let tokens_minted = supply_after - supply_before;
@@ -588,7 +588,7 @@ module tetris_game::game_tests {
             
             let supply_before = game::get_total_supply(&treasury);
             
-            game::submit_score(&mut game_seed, score, &mut leaderboard, &mut treasury, &clock, ts::ctx(&mut scenario));
+            game::submit_score_for_testing(&mut game_seed, score, &mut leaderboard, &mut treasury, &clock, ts::ctx(&mut scenario));
             
             let supply_after = game::get_total_supply(&treasury);
             let tokens_minted = supply_after - supply_before;
@@ -612,4 +612,109 @@ module tetris_game::game_tests {
         ts::return_shared(treasury);
         ts::end(scenario);
     }
+    
+    /// Verifier key and attestation of (seed 0x5eed, player 0xa1, score 12500, level 7,
+    /// 64 lines, 9 tetrises, max combo 6, 171 pieces, 245000 ms), signed offline
+    /// with the ed25519 key whose secret is the bytes 1..32
+    const TEST_VERIFIER_KEY: vector<u8> = x"79b5562e8fe654f94078b112e8a98ba7901f853ae695bed7e0e3910bad049664";
+    const TEST_ATTESTATION: vector<u8> = x"acff394d00a42ef329cc370658c9d5d47f20881f722d5ad5fc885ef978ee4112947987736671684236fa1ac4b2f56c3db0c08b5164f29356162777619ce7050e";
+    
+    /// A signature by the verifier key over the game's stats is accepted
+    #[test]
+    fun test_valid_attestation_verifies() {
+        let mut scenario = ts::begin(PLAYER1);
+        let verifier = game::create_score_verifier_for_testing(TEST_VERIFIER_KEY, ts::ctx(&mut scenario));
+        
+        // Aborts unless the signature verifies
+        game::verify_score_attestation(&verifier, @0x5eed, @0xa1, 12500, 7, 64, 9, 6, 171, 245000, &TEST_ATTESTATION);
+        
+        sui::test_utils::destroy(verifier);
+        ts::end(scenario);
+    }
+    
+    /// The same signature doesn't cover any other stats
+    #[test]
+    #[expected_failure(abort_code = game::EInvalidAttestation)]
+    fun test_attestation_rejects_changed_stats() {
+        let mut scenario = ts::begin(PLAYER1);
+        let verifier = game::create_score_verifier_for_testing(TEST_VERIFIER_KEY, ts::ctx(&mut scenario));
+        
+        // One more tetris than was attested
+        game::verify_score_attestation(&verifier, @0x5eed, @0xa1, 12500, 7, 64, 10, 6, 171, 245000, &TEST_ATTESTATION);
+        
+        sui::test_utils::destroy(verifier);
+        ts::end(scenario);
+    }
+    
+    /// Once a verifier key is set, a score without a valid attestation is rejected
+    #[test]
+    #[expected_failure(abort_code = game::EInvalidAttestation)]
+    fun test_submit_score_rejects_invalid_attestation() {
+        let mut scenario = ts::begin(PLAYER1);
+        
+        // Initialize the game system
+        {
+            game::init_for_testing(ts::ctx(&mut scenario));
+        };
+        
+        ts::next_tx(&mut scenario, PLAYER1);
+        let mut leaderboard = ts::take_shared<game::Leaderboard>(&scenario);
+        let mut treasury = ts::take_shared<game::TokenTreasury>(&scenario);
+        let mut verifier = ts::take_shared<game::ScoreVerifier>(&scenario);
+        let admin_cap = ts::take_from_sender<game::VerifierAdminCap>(&scenario);
+        let clock = sui::clock::create_for_testing(ts::ctx(&mut scenario));
+        
+        // Configure the verifier key
+        game::set_verifier_key(&admin_cap, &mut verifier, TEST_VERIFIER_KEY);
+        assert!(game::get_verifier_public_key(&verifier) == TEST_VERIFIER_KEY, 0);
+        
+        let mut game_seed = game::create_game_seed_for_testing(generate_test_seed(1), ts::ctx(&mut scenario));
+        
+        // A forged 64-byte signature must abort
+        let mut signature = vector::empty<u8>();
+        let mut i = 0;
+        while (i < 64) {
+            vector::push_back(&mut signature, 0);
+            i = i + 1;
+        };
+        game::submit_score(&mut game_seed, 5000, 3, 20, 1, 2, 60, 90000, &verifier, signature, &mut leaderboard, &mut treasury, &clock, ts::ctx(&mut scenario));
+        
+        sui::test_utils::destroy(game_seed);
+        sui::clock::destroy_for_testing(clock);
+        ts::return_to_sender(&scenario, admin_cap);
+        ts::return_shared(leaderboard);
+        ts::return_shared(treasury);
+        ts::return_shared(verifier);
+        ts::end(scenario);
+    }
+    
+    /// Without a verifier key no score is accepted (fails closed)
+    #[test]
+    #[expected_failure(abort_code = game::EVerifierKeyNotSet)]
+    fun test_submit_score_rejects_when_verifier_key_unset() {
+        let mut scenario = ts::begin(PLAYER1);
+        
+        // Initialize the game system (no key set)
+        {
+            game::init_for_testing(ts::ctx(&mut scenario));
+        };
+        
+        ts::next_tx(&mut scenario, PLAYER1);
+        let mut leaderboard = ts::take_shared<game::Leaderboard>(&scenario);
+        let mut treasury = ts::take_shared<game::TokenTreasury>(&scenario);
+        let verifier = ts::take_shared<game::ScoreVerifier>(&scenario);
+        let clock = sui::clock::create_for_testing(ts::ctx(&mut scenario));
+        
+        let mut game_seed = game::create_game_seed_for_testing(generate_test_seed(1), ts::ctx(&mut scenario));
+        
+        // Even an empty signature used to pass while the key was unset
+        game::submit_score(&mut game_seed, 5000, 3, 20, 1, 2, 60, 90000, &verifier, vector::empty(), &mut leaderboard, &mut treasury, &clock, ts::ctx(&mut scenario));
+        
+        sui::test_utils::destroy(game_seed);
+        sui::clock::destroy_for_testing(clock);
+        ts::return_shared(leaderboard);
+        ts::return_shared(treasury);
+        ts::return_shared(verifier);
+        ts::end(scenario);
+    }
 }
@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import path from 'path';
 
 dotenv.config();
 
@@ -24,9 +25,63 @@ export const config = {
     allowedOrigins: (process.env.ALLOWED_ORIGINS || 'http://localhost:5173').split(','),
   },
   
+  verification: {
+    // suiprivkey... ed25519 key whose public key is stored in the contract's ScoreVerifier
+    signerSecretKey: process.env.SCORE_VERIFIER_SECRET_KEY || '',
+    // Directory holding the shared game engine (game.js, random.js, replay.js, attack.js, stateSync.js, protocol.js, modes.js)
+    engineDir: process.env.GAME_ENGINE_DIR || path.resolve(__dirname, '../../../client/src'),
+    maxReplayEvents: 500000,
+    requestBodyLimit: '2mb',
+  },
+  
   game: {
     matchmakingTimeout: 30000, // 30 seconds
     disconnectGracePeriod: 10000, // 10 seconds
+    // Whether a battle pauses while a player is within the grace period (rooms can choose when created)
+    pauseOnDisconnect: process.env.PAUSE_ON_DISCONNECT === 'true',
     wagerMatchTolerance: 0.2, // 20% tolerance for matchmaking
+    // Chance (0-1) that the garbage hole moves between rows sent in one attack
+    garbageMessiness: parseFloat(process.env.GARBAGE_MESSINESS || '0.3'),
+    // Milliseconds incoming garbage waits before it rises (attacks can cancel it meanwhile)
+    garbageDelay: parseInt(process.env.GARBAGE_DELAY || '1000', 10),
+    // Extra milliseconds a client gets to report garbage rising before the server applies it itself
+    garbageRiseGrace: 2000,
+    // How far (ms) a client's game clock may run ahead of the battle's wall clock
+    inputClockTolerance: 2000,
+    // How late (ms) a client may apply a gravity drop or a due lock before the server applies it
+    gravityTolerance: 1000,
+    // Milliseconds between checks for boards whose clients stopped applying gravity
+    gravityCheckInterval: 500,
+  },
+
+  rating: {
+    // Glicko-2 rating, deviation and volatility of a wallet's first battle
+    initialRating: 1500,
+    initialDeviation: 350,
+    initialVolatility: 0.06,
+    // Glicko-2 system constant: how fast volatility can change (0.3-1.2)
+    tau: parseFloat(process.env.RATING_TAU || '0.5'),
+    // Matchmaking: rating gap allowed at first, how much it widens per second waited, and its cap
+    matchWindow: parseInt(process.env.RATING_MATCH_WINDOW || '100', 10),
+    matchWindowGrowth: parseInt(process.env.RATING_MATCH_WINDOW_GROWTH || '15', 10),
+    maxMatchWindow: parseInt(process.env.RATING_MAX_MATCH_WINDOW || '500', 10),
+  },
+
+  leaderboard: {
+    // How often (ms) the indexer reads new ScoreSubmitted events from the chain
+    pollInterval: parseInt(process.env.LEADERBOARD_POLL_INTERVAL || '10000', 10),
+    pageSize: 20,
+    maxPageSize: 100,
+    // Players shown above and below a player's own rank
+    neighbors: 5,
+    maxNeighbors: 25,
+  },
+
+  usernames: {
+    // Seconds a resolved username is cached (registered names can't change)
+    cacheTtl: 24 * 60 * 60,
+    // Seconds an address without a username is cached before the registry is read again
+    missingCacheTtl: 5 * 60,
+    maxAddressesPerRequest: 100,
   },
 };
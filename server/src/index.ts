@@ -8,8 +8,20 @@ import { redisClient } from './services/RedisClient';
 import { MatchmakingService } from './services/MatchmakingService';
 import { RoomManager } from './services/RoomManager';
 import { GameStateSync } from './services/GameStateSync';
+import { RatingService } from './services/RatingService';
+import { LeaderboardService } from './services/LeaderboardService';
+import { UsernameService } from './services/UsernameService';
+import { VerifiedStatsService } from './services/VerifiedStatsService';
+import { PlayerProfileService } from './services/PlayerProfileService';
+import { getProtocol, loadGameEngine } from './utils/gameEngine';
 import { BlockchainService } from './services/BlockchainService';
 import { MetricsService } from './services/MetricsService';
+import { ScoreVerificationService } from './services/ScoreVerificationService';
+import { createScoreRoutes } from './routes/scores';
+import { createLeaderboardRoutes } from './routes/leaderboard';
+import { createUsernameRoutes } from './routes/usernames';
+import { createPlayerRoutes } from './routes/players';
+import { RoomOptions } from './models/BattleRoom';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler';
 
 const app = express();
@@ -20,15 +32,21 @@ app.use(cors({
   origin: config.cors.allowedOrigins,
   credentials: true,
 }));
-app.use(express.json());
+app.use(express.json({ limit: config.verification.requestBodyLimit })); // Replays can be large
 
 // Initialize services
 let socketManager: SocketManager;
 let matchmakingService: MatchmakingService;
 let roomManager: RoomManager;
 let gameStateSync: GameStateSync;
+let ratingService: RatingService;
+let leaderboardService: LeaderboardService;
+let usernameService: UsernameService;
+let verifiedStatsService: VerifiedStatsService;
+let playerProfileService: PlayerProfileService;
 let blockchainService: BlockchainService;
 let metricsService: MetricsService;
+let scoreVerificationService: ScoreVerificationService;
 
 async function initializeServices() {
   try {
@@ -50,6 +68,34 @@ async function initializeServices() {
     blockchainService = new BlockchainService();
     logger.info('Blockchain service initialized');
 
+    // Initialize Username Service (on-chain usernames, cached)
+    usernameService = new UsernameService(blockchainService);
+    logger.info('Username service initialized');
+
+    // Initialize Player Profile Service (lifetime totals per wallet)
+    playerProfileService = new PlayerProfileService();
+    logger.info('Player profile service initialized');
+
+    // Initialize Verified Stats Service (best stats of verified, submitted games)
+    verifiedStatsService = new VerifiedStatsService(playerProfileService);
+    logger.info('Verified stats service initialized');
+
+    // Initialize Leaderboard Service (indexes on-chain score submissions)
+    leaderboardService = new LeaderboardService(blockchainService, verifiedStatsService);
+    logger.info('Leaderboard service initialized');
+
+    // Initialize Rating Service
+    ratingService = new RatingService();
+    logger.info('Rating service initialized');
+
+    // Initialize Score Verification Service
+    scoreVerificationService = new ScoreVerificationService(blockchainService);
+    logger.info('Score verification service initialized');
+
+    // Load the shared game engine (battle simulation and the socket event contract)
+    const engine = await loadGameEngine();
+    logger.info(`Game engine loaded (protocol v${engine.protocol.PROTOCOL_VERSION})`);
+
     // Initialize Socket.IO
     socketManager = new SocketManager(httpServer);
     logger.info('Socket.IO server initialized');
@@ -59,11 +105,11 @@ async function initializeServices() {
     logger.info('Room manager initialized');
 
     // Initialize Game State Sync
-    gameStateSync = new GameStateSync(socketManager, roomManager);
+    gameStateSync = new GameStateSync(socketManager, roomManager, ratingService, playerProfileService);
     logger.info('Game state sync initialized');
 
     // Initialize Matchmaking Service
-    matchmakingService = new MatchmakingService(socketManager);
+    matchmakingService = new MatchmakingService(socketManager, ratingService);
     matchmakingService.setRoomManager(roomManager); // Connect RoomManager to MatchmakingService
     logger.info('Matchmaking service initialized');
 
@@ -82,36 +128,43 @@ async function initializeServices() {
 
 function setupEventHandlers() {
   const io = socketManager.getIO();
-  
+  const { EVENTS } = getProtocol();
+
   io.on('connection', (socket: any) => {
     // Matchmaking events
-    socket.on('matchmaking:join', async (data: { wager: number }) => {
+    socket.on(EVENTS.MATCHMAKING_JOIN, async (data: { wager: number }) => {
       if (socket.walletAddress && socket.username) {
         await matchmakingService.joinQueue(socket.walletAddress, socket.username, data.wager);
       }
     });
 
-    socket.on('matchmaking:cancel', async () => {
+    socket.on(EVENTS.MATCHMAKING_CANCEL, async () => {
       if (socket.walletAddress) {
         await matchmakingService.leaveQueue(socket.walletAddress);
-        socket.emit('matchmaking:cancelled');
+        socket.emit(EVENTS.MATCHMAKING_CANCELLED);
       }
     });
 
     // Room events
-    socket.on('room:create', async (data: { wager: number; isPrivate?: boolean }) => {
+    socket.on(EVENTS.ROOM_CREATE, async (data: { wager: number; isPrivate?: boolean } & RoomOptions) => {
       if (socket.walletAddress && socket.username) {
         const room = await roomManager.createRoom(
           socket.walletAddress,
           socket.username,
           data.wager,
-          data.isPrivate || false
+          data.isPrivate || false,
+          {
+            pauseOnDisconnect: data.pauseOnDisconnect,
+            allowSpectators: data.allowSpectators,
+            maxPlayers: data.maxPlayers,
+            targeting: data.targeting,
+          }
         );
-        socket.emit('room:created', room);
+        socket.emit(EVENTS.ROOM_CREATED, room);
       }
     });
 
-    socket.on('room:join', async (data: { roomKey: string }) => {
+    socket.on(EVENTS.ROOM_JOIN, async (data: { roomKey: string }) => {
       if (socket.walletAddress && socket.username) {
         const room = await roomManager.joinRoomByKey(
           data.roomKey,
@@ -119,44 +172,26 @@ function setupEventHandlers() {
           socket.username
         );
         if (room) {
-          socket.emit('room:joined', room);
+          socket.emit(EVENTS.ROOM_JOINED, room);
         } else {
-          socket.emit('room:error', { message: 'Room not found or full' });
+          socket.emit(EVENTS.ROOM_ERROR, { message: 'Room not found, full or already started' });
         }
       }
     });
 
-    socket.on('room:ready', async (data: { roomId: string; ready: boolean }) => {
+    socket.on(EVENTS.ROOM_READY, async (data: { roomId: string; ready: boolean }) => {
       if (socket.walletAddress) {
         await roomManager.setPlayerReady(data.roomId, socket.walletAddress, data.ready);
       }
     });
 
-    socket.on('room:leave', async (data: { roomId: string }) => {
+    socket.on(EVENTS.ROOM_LEAVE, async (data: { roomId: string }) => {
       if (socket.walletAddress) {
         await roomManager.leaveRoom(data.roomId, socket.walletAddress);
       }
     });
 
-    // Game state synchronization is handled by GameStateSync service
-
-    socket.on('game:over', async (data: { roomId: string; winner: string }) => {
-      if (!socket.walletAddress) return;
-
-      const room = await roomManager.getRoom(data.roomId);
-      if (!room) return;
-
-      // Notify opponent
-      const opponentAddress = room.player1.address === socket.walletAddress
-        ? room.player2?.address
-        : room.player1.address;
-
-      if (opponentAddress) {
-        socketManager.emitToPlayer(opponentAddress, 'game:opponent_game_over', {});
-      }
-
-      logger.info('Game over', { roomId: data.roomId, winner: data.winner });
-    });
+    // Game inputs, results, forfeits and spectating are handled by the GameStateSync service
   });
 }
 
@@ -184,6 +219,18 @@ app.get('/metrics', (req, res) => {
   });
 });
 
+// Score verification endpoints
+app.use('/api/scores', createScoreRoutes(() => scoreVerificationService));
+
+// Leaderboard endpoints
+app.use('/api/leaderboard', createLeaderboardRoutes(() => leaderboardService, () => scoreVerificationService));
+
+// Username endpoints
+app.use('/api/usernames', createUsernameRoutes(() => usernameService));
+
+// Player endpoints
+app.use('/api/players', createPlayerRoutes(() => verifiedStatsService, () => playerProfileService));
+
 // Error handling middleware
 app.use(notFoundHandler);
 app.use(errorHandler);
@@ -226,6 +273,10 @@ async function shutdown() {
     matchmakingService.stop();
   }
   
+  if (leaderboardService) {
+    leaderboardService.stop();
+  }
+  
   await redisClient.disconnect();
   
   httpServer.close(() => {
@@ -5,29 +5,113 @@ export interface Player {
   ready: boolean;
 }
 
+/**
+ * Who a player's attacks go to (TARGETING in client/src/attack.js)
+ */
+export type TargetingMode = 'random' | 'attackers' | 'kos' | 'even';
+
 export interface BattleRoom {
   roomId: string;
   roomKey?: string; // For private rooms
-  player1: Player;
-  player2?: Player;
+  players: Player[]; // In the order they joined; the first is the host
+  maxPlayers: number; // 2-8
   wager: number;
   status: 'waiting' | 'countdown' | 'active' | 'ended';
   startTime?: number;
   battleObjectId?: string; // On-chain battle object
+  pauseOnDisconnect: boolean; // Pause the battle while a player is reconnecting, rather than play on
+  allowSpectators: boolean; // The host can turn spectating off
+  targeting: TargetingMode; // Every player starts the battle with this targeting
 }
 
-export interface GameStateUpdate {
-  playerId: string;
-  grid: number[][];
-  currentPiece: any;
-  score: number;
-  linesCleared: number;
-  timestamp: number;
+/**
+ * Settings of a new room (defaults in RoomManager.createRoom)
+ */
+export interface RoomOptions {
+  pauseOnDisconnect?: boolean;
+  allowSpectators?: boolean;
+  maxPlayers?: number;
+  targeting?: TargetingMode;
+}
+
+/**
+ * A battle in progress, as listed for spectators
+ */
+export interface LiveBattle {
+  roomId: string;
+  players: Array<{ address: string; username: string }>;
+  wager: number;
+  startTime: number;
+  spectators: number;
+  placements: Record<string, number>; // Address -> placement of the players already out
+}
+
+/**
+ * One entry of a player's input stream (client -> server, in seq order)
+ * Either an engine action at a game clock time, or the point where a
+ * pending garbage attack rose on the player's board.
+ */
+export interface PlayerInput {
+  seq: number; // 1, 2, 3... per player per battle
+  action?: string; // One of the engine's ACTIONS
+  time?: number; // Game clock in ms when the action was applied
+  garbage?: number; // Id of the garbage_incoming attack that rose here
+}
+
+/**
+ * Server state hash after a player's input seq (see TetrisGame.getStateHash)
+ */
+export interface Checkpoint {
+  seq: number;
+  hash: string;
+}
+
+/**
+ * Authoritative state a client rebases onto when its own simulation diverged
+ */
+export interface Resync {
+  seq: number; // Last input applied to the snapshot
+  snapshot: unknown; // TetrisGame.getSnapshot()
+  garbage: Array<{ id: number; holes: number[] }>; // Attacks still pending on the player
+}
+
+/**
+ * Sent to a player who reconnected to a battle in progress
+ */
+export interface BattleResume {
+  roomId: string;
+  paused: boolean; // Still paused for another player
+  resync: Resync;
+}
+
+/**
+ * A player knocked out of a battle (the last one standing places 1st)
+ */
+export interface Elimination {
+  walletAddress: string;
+  placement: number;
+  reason: string; // END_REASONS value of their game, 'forfeit' or 'disconnect'
+  koBy: string | null; // Player whose garbage last hit them
+  paused: boolean; // Whether the battle is still paused (a player out no longer holds it)
+}
+
+/**
+ * A player's final standing, as sent with game:end
+ */
+export interface Placement {
+  address: string;
+  username: string;
+  placement: number;
+  kos: number;
+  reason: string | null; // Null for the winner
 }
 
 export interface GarbageEvent {
+  id: number; // Echoed in the input stream when the rows rise
   fromPlayer: string;
   toPlayer: string;
   lines: number;
+  holes: number[]; // Hole column of each garbage row, in the order they are added
+  delay: number; // Milliseconds before the rows rise
   timestamp: number;
 }
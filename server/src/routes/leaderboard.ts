@@ -0,0 +1,125 @@
+import { Router } from 'express';
+import { isValidSuiAddress, normalizeSuiAddress } from '@mysten/sui/utils';
+import { asyncHandler, AppError } from '../middleware/errorHandler';
+import {
+  LeaderboardService,
+  LeaderboardMode,
+  LeaderboardWindow,
+  LEADERBOARD_MODES,
+  LEADERBOARD_WINDOWS,
+} from '../services/LeaderboardService';
+import { ScoreVerificationService } from '../services/ScoreVerificationService';
+import { config } from '../config';
+
+/**
+ * Leaderboard routes (every query takes ?mode=marathon|sprint, default marathon,
+ * and ?window=daily|weekly|alltime, default alltime)
+ * GET  /api/leaderboard?page=&pageSize= - one page of the rankings
+ * GET  /api/leaderboard/players/:address?neighbors= - a player's rank and the players around it
+ * POST /api/leaderboard/sprint - verify a wallet-signed Sprint run on the daily seed and rank it
+ */
+export function createLeaderboardRoutes(
+  getLeaderboard: () => LeaderboardService | undefined,
+  getVerifier: () => ScoreVerificationService | undefined,
+): Router {
+  const router = Router();
+
+  const requireLeaderboard = (): LeaderboardService => {
+    const leaderboard = getLeaderboard();
+    if (!leaderboard) {
+      throw new AppError('Leaderboard service not initialized', 503);
+    }
+    return leaderboard;
+  };
+
+  const requireVerifier = (): ScoreVerificationService => {
+    const verifier = getVerifier();
+    if (!verifier) {
+      throw new AppError('Score verification service not initialized', 503);
+    }
+    return verifier;
+  };
+
+  const parseMode = (value: unknown): LeaderboardMode => {
+    if (value === undefined) {
+      return 'marathon';
+    }
+    if (!LEADERBOARD_MODES.includes(value as LeaderboardMode)) {
+      throw new AppError(`mode must be one of ${LEADERBOARD_MODES.join(', ')}`, 400);
+    }
+    return value as LeaderboardMode;
+  };
+
+  const parseWindow = (value: unknown): LeaderboardWindow => {
+    if (value === undefined) {
+      return 'alltime';
+    }
+    if (!LEADERBOARD_WINDOWS.includes(value as LeaderboardWindow)) {
+      throw new AppError(`window must be one of ${LEADERBOARD_WINDOWS.join(', ')}`, 400);
+    }
+    return value as LeaderboardWindow;
+  };
+
+  // Rankings hold the full addresses from the events, so short or upper-case ones are normalized
+  const parseAddress = (value: string): string => {
+    const address = normalizeSuiAddress(value);
+    if (!isValidSuiAddress(address)) {
+      throw new AppError('Invalid address', 400);
+    }
+    return address;
+  };
+
+  const parseCount = (value: unknown, name: string, fallback: number, min: number, max: number): number => {
+    if (value === undefined) {
+      return fallback;
+    }
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < min || count > max) {
+      throw new AppError(`${name} must be an integer from ${min} to ${max}`, 400);
+    }
+    return count;
+  };
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const mode = parseMode(req.query.mode);
+    const window = parseWindow(req.query.window);
+    const page = parseCount(req.query.page, 'page', 1, 1, Number.MAX_SAFE_INTEGER);
+    const pageSize = parseCount(req.query.pageSize, 'pageSize', config.leaderboard.pageSize, 1, config.leaderboard.maxPageSize);
+
+    res.json(await requireLeaderboard().getPage(mode, window, page, pageSize));
+  }));
+
+  router.get('/players/:address', asyncHandler(async (req, res) => {
+    const player = parseAddress(req.params.address);
+    const mode = parseMode(req.query.mode);
+    const window = parseWindow(req.query.window);
+    const neighbors = parseCount(req.query.neighbors, 'neighbors', config.leaderboard.neighbors, 0, config.leaderboard.maxNeighbors);
+
+    const standing = await requireLeaderboard().getPlayerStanding(mode, window, player, neighbors);
+    if (!standing) {
+      throw new AppError('Player has no ranked result in this window', 404);
+    }
+    res.json(standing);
+  }));
+
+  router.post('/sprint', asyncHandler(async (req, res) => {
+    const { player, replay, signature } = req.body || {};
+
+    if (typeof player !== 'string' || typeof replay !== 'string' || typeof signature !== 'string') {
+      throw new AppError('player, replay and signature are required', 400);
+    }
+    if (!isValidSuiAddress(player)) {
+      throw new AppError('Invalid wallet address', 400);
+    }
+
+    const leaderboard = requireLeaderboard();
+    const run = await requireVerifier().verifySprintRun(player, replay, signature);
+    await leaderboard.recordSprintRun(run);
+
+    // Rank among the runs on the same daily seed
+    const standing = await leaderboard.getPlayerStanding('sprint', 'daily', run.player, 0, run.seedDate);
+    res.json({ run, rank: standing?.entry.rank ?? null });
+  }));
+
+  return router;
+}
@@ -0,0 +1,55 @@
+import { Router } from 'express';
+import { isValidSuiAddress, normalizeSuiAddress } from '@mysten/sui/utils';
+import { asyncHandler, AppError } from '../middleware/errorHandler';
+import { VerifiedStatsService } from '../services/VerifiedStatsService';
+import { PlayerProfileService } from '../services/PlayerProfileService';
+
+/**
+ * Player routes
+ * GET /api/players/:address/verified-stats - best stats of the player's verified, submitted games
+ * GET /api/players/:address/profile - lifetime totals of the player's verified games and battles
+ */
+export function createPlayerRoutes(
+  getVerifiedStats: () => VerifiedStatsService | undefined,
+  getProfiles: () => PlayerProfileService | undefined,
+): Router {
+  const router = Router();
+
+  const requireVerifiedStats = (): VerifiedStatsService => {
+    const verifiedStats = getVerifiedStats();
+    if (!verifiedStats) {
+      throw new AppError('Verified stats service not initialized', 503);
+    }
+    return verifiedStats;
+  };
+
+  const requireProfiles = (): PlayerProfileService => {
+    const profiles = getProfiles();
+    if (!profiles) {
+      throw new AppError('Player profile service not initialized', 503);
+    }
+    return profiles;
+  };
+
+  const parseAddress = (value: string): string => {
+    const address = normalizeSuiAddress(value);
+    if (!isValidSuiAddress(address)) {
+      throw new AppError('Invalid address', 400);
+    }
+    return address;
+  };
+
+  router.get('/:address/verified-stats', asyncHandler(async (req, res) => {
+    const player = parseAddress(req.params.address);
+    res.json({ player, stats: await requireVerifiedStats().getStats(player) });
+  }));
+
+  router.get('/:address/profile', asyncHandler(async (req, res) => {
+    const player = parseAddress(req.params.address);
+    const profile = await requireProfiles().getProfile(player);
+    const piecesPerSecond = profile.timePlayed > 0 ? profile.piecesPlaced / (profile.timePlayed / 1000) : 0;
+    res.json({ player, profile: { ...profile, piecesPerSecond } });
+  }));
+
+  return router;
+}
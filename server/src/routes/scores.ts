@@ -0,0 +1,37 @@
+import { Router } from 'express';
+import { asyncHandler, AppError } from '../middleware/errorHandler';
+import { ScoreVerificationService } from '../services/ScoreVerificationService';
+
+/**
+ * Score verification routes
+ * POST /api/scores/verify - re-simulate a replay and return a signed attestation
+ * GET  /api/scores/verifier - public key the contract checks attestations against
+ */
+export function createScoreRoutes(getVerifier: () => ScoreVerificationService | undefined): Router {
+  const router = Router();
+
+  const requireVerifier = (): ScoreVerificationService => {
+    const verifier = getVerifier();
+    if (!verifier) {
+      throw new AppError('Score verification service not initialized', 503);
+    }
+    return verifier;
+  };
+
+  router.post('/verify', asyncHandler(async (req, res) => {
+    const { gameSeedObjectId, player, replay } = req.body || {};
+
+    if (typeof gameSeedObjectId !== 'string' || typeof player !== 'string' || typeof replay !== 'string') {
+      throw new AppError('gameSeedObjectId, player and replay are required', 400);
+    }
+
+    const attestation = await requireVerifier().verifyReplay(gameSeedObjectId, player, replay);
+    res.json(attestation);
+  }));
+
+  router.get('/verifier', (req, res) => {
+    res.json({ publicKey: requireVerifier().getPublicKey() });
+  });
+
+  return router;
+}
@@ -0,0 +1,36 @@
+import { Router } from 'express';
+import { asyncHandler, AppError } from '../middleware/errorHandler';
+import { UsernameService } from '../services/UsernameService';
+import { config } from '../config';
+
+/**
+ * Username routes
+ * GET /api/usernames?addresses=0x..,0x.. - on-chain usernames (null for addresses without one)
+ */
+export function createUsernameRoutes(getUsernames: () => UsernameService | undefined): Router {
+  const router = Router();
+
+  const requireUsernames = (): UsernameService => {
+    const usernames = getUsernames();
+    if (!usernames) {
+      throw new AppError('Username service not initialized', 503);
+    }
+    return usernames;
+  };
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const { addresses } = req.query;
+    if (typeof addresses !== 'string' || addresses.length === 0) {
+      throw new AppError('addresses is required', 400);
+    }
+
+    const list = addresses.split(',').map((address) => address.trim()).filter(Boolean);
+    if (list.length > config.usernames.maxAddressesPerRequest) {
+      throw new AppError(`At most ${config.usernames.maxAddressesPerRequest} addresses per request`, 400);
+    }
+
+    res.json({ usernames: await requireUsernames().resolve(list) });
+  }));
+
+  return router;
+}
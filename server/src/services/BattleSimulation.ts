@@ -0,0 +1,560 @@
+import { config } from '../config';
+import { GameEngine, GarbageGenerator, GarbageQueue, SeededRandom } from '../utils/gameEngine';
+import { Checkpoint, Elimination, GarbageEvent, PlayerInput, Resync } from '../models/BattleRoom';
+
+/**
+ * Callbacks for what a battle's simulations decide
+ */
+export interface SimulationHandlers {
+  onGarbage(garbage: GarbageEvent): void;
+  // The server changed a player's game itself (overdue garbage, gravity or a lock the
+  // client didn't apply in time, or held inputs it rejected); their client needs a resync
+  onCorrection(playerAddress: string, reason: string): void;
+  onEliminated(elimination: Elimination): void;
+  // One player is left standing (or none, if the last two went out together)
+  onBattleOver(winnerAddress: string, reason: string): void;
+}
+
+interface PlayerSimulation {
+  address: string;
+  game: any; // TetrisGame
+  queue: GarbageQueue; // Garbage sent to this player that has not risen yet
+  generator: GarbageGenerator;
+  lastSeq: number;
+  lastTime: number;
+  heldInputs: PlayerInput[]; // Received while the battle was paused, applied when it resumes
+  fallTime: number; // Game clock when the current piece spawned or last reached a lower row
+  fallPiece: any; // The piece fallTime belongs to
+  fallRow: number;
+  timers: Map<number, NodeJS.Timeout>; // Garbage id -> forced rise
+  targeting: string; // One of the engine's TARGETING modes
+  lastTargets: Set<string>; // Who this player's last attack went to
+  lastAttacker: string | null; // Credited with the KO if this player goes out
+  kos: number;
+  placement: number | null; // Set once the player is out
+  eliminationReason: string | null;
+}
+
+/**
+ * BattleSimulation - The server's own copy of every board in a battle
+ *
+ * Each player's TetrisGame is seeded with the room id (as on the client) and
+ * fed only by that player's input stream. Attacks, garbage cancelling and
+ * game over all come from these games, never from what a client reports.
+ * A player who tops out is eliminated and the battle goes on until one is
+ * left; attacks go to the players still in, picked by the attacker's
+ * targeting mode.
+ * Clients apply gravity and locks themselves, but a client that lets a
+ * piece hang longer than gravity or the lock delay allows has the drop or
+ * lock applied by the server (and is resynced), on the input stream's clock
+ * and on the battle clock.
+ */
+export class BattleSimulation {
+  readonly roomId: string;
+  private engine: GameEngine;
+  private startTime: number;
+  private handlers: SimulationHandlers;
+  private players: Map<string, PlayerSimulation> = new Map();
+  private targetRandom: SeededRandom; // Seeded from the room id, so a battle's targets can be replayed
+  private nextGarbageId = 1;
+  private ended = false;
+  private pausedBy: Set<string> = new Set(); // Disconnected players the battle waits for
+  private pausedAt = 0;
+  private gravityTimer: NodeJS.Timeout;
+  private static readonly MAX_HELD_INPUTS = 500;
+  private static readonly MAX_FORCED_STEPS = 1000; // Per check, so a long stall can't block the server
+
+  constructor(
+    engine: GameEngine,
+    roomId: string,
+    playerAddresses: string[],
+    startTime: number,
+    handlers: SimulationHandlers,
+    targeting: string = engine.attack.DEFAULT_TARGETING
+  ) {
+    this.roomId = roomId;
+    this.engine = engine;
+    this.startTime = startTime;
+    this.handlers = handlers;
+    this.targetRandom = engine.random.createSeededRandom(`${roomId}:targets`);
+
+    const { TetrisGame, GAME_EVENTS } = engine.game;
+    for (const address of playerAddresses) {
+      // Standard rules, so the client's default game matches
+      const game = new TetrisGame(roomId);
+      game.start();
+      game.on(GAME_EVENTS.LINES_CLEARED, (event: any) => this.handleClear(address, event));
+      game.on(GAME_EVENTS.GAME_OVER, (event: any) => this.eliminate(address, event.reason, true));
+
+      this.players.set(address, {
+        address,
+        game,
+        queue: new engine.attack.GarbageQueue(),
+        // Seeded from the room id and the receiver's address, so a match's garbage can be regenerated
+        generator: new engine.random.GarbageGenerator(
+          `${roomId}:${address}`,
+          engine.random.CURRENT_PRNG_VERSION,
+          config.game.garbageMessiness
+        ),
+        lastSeq: 0,
+        lastTime: 0,
+        heldInputs: [],
+        fallTime: 0,
+        fallPiece: game.currentPiece,
+        fallRow: game.lowestY,
+        timers: new Map(),
+        targeting,
+        lastTargets: new Set(),
+        lastAttacker: null,
+        kos: 0,
+        placement: null,
+        eliminationReason: null,
+      });
+    }
+
+    this.gravityTimer = setInterval(() => this.enforceBattleClock(), config.game.gravityCheckInterval);
+  }
+
+  hasPlayer(address: string): boolean {
+    return this.players.has(address);
+  }
+
+  getPlayerAddresses(): string[] {
+    return [...this.players.keys()];
+  }
+
+  isEnded(): boolean {
+    return this.ended;
+  }
+
+  isPaused(): boolean {
+    return this.pausedBy.size > 0;
+  }
+
+  /**
+   * Change who a player's attacks go to
+   * @returns Whether the mode was valid and the player is still in the battle
+   */
+  setTargeting(address: string, mode: string): boolean {
+    const player = this.players.get(address);
+    if (!player || player.placement !== null || !Object.values(this.engine.attack.TARGETING).includes(mode)) {
+      return false;
+    }
+    player.targeting = mode;
+    return true;
+  }
+
+  /**
+   * Every player's standing so far: placement, KOs and why they went out
+   */
+  getPlacements(): Array<{ address: string; placement: number | null; kos: number; reason: string | null }> {
+    return [...this.players.values()].map((player) => ({
+      address: player.address,
+      placement: player.placement,
+      kos: player.kos,
+      reason: player.eliminationReason,
+    }));
+  }
+
+  /**
+   * What each player's game has done so far, for their lifetime stats
+   */
+  getGameStats(): Array<{ address: string; linesCleared: number; tetrisCount: number; maxCombo: number; piecesPlaced: number; time: number }> {
+    return [...this.players.values()].map(({ address, game }) => ({
+      address,
+      linesCleared: game.linesCleared,
+      tetrisCount: game.tetrisCount,
+      maxCombo: game.maxCombo,
+      piecesPlaced: game.piecesPlaced,
+      time: game.currentTime,
+    }));
+  }
+
+  /**
+   * Hold the battle while a player reconnects
+   * The battle clock and pending garbage stop until every player who paused it has resumed.
+   */
+  pause(address: string): void {
+    if (this.ended || this.players.get(address)?.placement !== null) {
+      return;
+    }
+    if (this.pausedBy.size === 0) {
+      this.pausedAt = Date.now();
+      for (const player of this.players.values()) {
+        player.timers.forEach(clearTimeout);
+        player.timers.clear();
+      }
+    }
+    this.pausedBy.add(address);
+  }
+
+  /**
+   * Release a player's pause
+   * @returns Whether the battle is running again
+   */
+  resume(address: string): boolean {
+    if (!this.pausedBy.delete(address) || this.pausedBy.size > 0) {
+      return !this.isPaused();
+    }
+
+    // The pause is taken off the battle clock and the rises that were waiting through it
+    const pausedFor = Date.now() - this.pausedAt;
+    this.startTime += pausedFor;
+    for (const player of this.players.values()) {
+      player.queue.postpone(pausedFor, this.pausedAt);
+      for (const entry of player.queue.entries) {
+        this.scheduleForcedRise(player, entry.id as number, entry.readyAt - Date.now());
+      }
+    }
+
+    // Inputs that arrived during the pause were played before it
+    for (const player of this.players.values()) {
+      const held = player.heldInputs;
+      player.heldInputs = [];
+      const rejection = held.length > 0 ? this.applyInputs(player.address, held) : null;
+      if (rejection) {
+        this.handlers.onCorrection(player.address, rejection);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Apply a batch of a player's inputs in seq order
+   * Inputs at or below the last applied seq are retransmits and are skipped.
+   * An invalid input is consumed without being applied. While the battle is
+   * paused, inputs are held and applied when it resumes.
+   * @returns Why an input was rejected or the server moved the piece itself
+   *   (the player should be resynced), or null
+   */
+  applyInputs(address: string, inputs: PlayerInput[]): string | null {
+    const player = this.players.get(address);
+    if (!player) {
+      return 'Not a player in this battle';
+    }
+
+    if (this.isPaused()) {
+      if (player.heldInputs.length + inputs.length > BattleSimulation.MAX_HELD_INPUTS) {
+        return 'Too many inputs while the battle is paused';
+      }
+      player.heldInputs.push(...inputs);
+      return null;
+    }
+
+    let rejection: string | null = null;
+    for (const input of inputs) {
+      if (this.ended || player.placement !== null || player.game.isGameOver) {
+        break;
+      }
+      if (!Number.isInteger(input?.seq) || input.seq <= player.lastSeq) {
+        continue;
+      }
+      if (input.seq !== player.lastSeq + 1) {
+        // Later inputs can't be applied in order either; the client rebases on the resync
+        return rejection ?? `Input seq ${input.seq} after ${player.lastSeq}`;
+      }
+
+      player.lastSeq = input.seq;
+      const error = this.applyInput(player, input);
+      if (error) {
+        rejection = rejection ?? error;
+      }
+    }
+
+    return rejection;
+  }
+
+  private applyInput(player: PlayerSimulation, input: PlayerInput): string | null {
+    if (input.garbage !== undefined) {
+      const entry = player.queue.remove(input.garbage);
+      this.clearTimer(player, input.garbage);
+      // Cancelled or already forced here; the checkpoint hash tells the client
+      if (entry) {
+        player.game.addGarbageLines(entry.lines, entry.holes);
+      }
+      return null;
+    }
+
+    const { action, time } = input;
+    if (typeof action !== 'string' || !Object.values(this.engine.game.ACTIONS).includes(action)) {
+      return `Unknown action: ${action}`;
+    }
+    if (typeof time !== 'number' || !Number.isFinite(time) || time < player.lastTime) {
+      return `Invalid input time: ${time}`;
+    }
+    if (time > Date.now() - this.startTime + config.game.inputClockTolerance) {
+      return `Input time ${time} is ahead of the battle clock`;
+    }
+
+    // Drops and locks the client owed before this input come first
+    const forced = this.enforceGravity(player, time);
+
+    player.lastTime = time;
+    player.game.applyAction(action, time);
+    this.trackFall(player);
+    return forced;
+  }
+
+  /**
+   * Note when the current piece last fell (a new piece counts as falling)
+   */
+  private trackFall(player: PlayerSimulation): void {
+    const { game } = player;
+    if (game.currentPiece !== player.fallPiece || game.lowestY > player.fallRow) {
+      player.fallTime = game.currentTime;
+      player.fallPiece = game.currentPiece;
+      player.fallRow = game.lowestY;
+    }
+  }
+
+  /**
+   * Apply the gravity drops and locks a player's client should have applied by a time
+   * An airborne piece must fall a row every getDropInterval(level) ms, and a grounded
+   * one lock once its lock delay runs out (in classic mode, on the next failed drop);
+   * each gets gravityTolerance ms of slack before the server applies it at its due time.
+   * @returns Why the server moved the piece itself, or null
+   */
+  private enforceGravity(player: PlayerSimulation, until: number): string | null {
+    const { game } = player;
+    const { ACTIONS, LOCK_MODES, getDropInterval } = this.engine.game;
+    const tolerance = config.game.gravityTolerance;
+    let forced: string | null = null;
+
+    for (let step = 0; step < BattleSimulation.MAX_FORCED_STEPS; step++) {
+      if (this.ended || player.placement !== null || game.isGameOver || !game.currentPiece) {
+        break;
+      }
+
+      const locking = game.isGrounded() && game.lockMode !== LOCK_MODES.CLASSIC && game.lockStartTime !== null;
+      const due = locking
+        ? game.lockStartTime + game.lockDelay + tolerance
+        : player.fallTime + getDropInterval(game.level) + tolerance;
+      if (due > until) {
+        break;
+      }
+
+      game.applyAction(locking ? ACTIONS.TICK : ACTIONS.GRAVITY, Math.max(due, game.currentTime));
+      forced = forced ?? `${locking ? 'Lock' : 'Gravity'} applied by the server at ${due}`;
+      // A drop that didn't move the piece still restarts the gravity timer
+      player.fallTime = Math.max(due, game.currentTime);
+      this.trackFall(player);
+    }
+
+    return forced;
+  }
+
+  /**
+   * Hold every board to the battle clock, for clients that stopped sending inputs
+   */
+  private enforceBattleClock(): void {
+    if (this.ended || this.isPaused()) {
+      return;
+    }
+
+    const now = Date.now() - this.startTime;
+    for (const player of this.players.values()) {
+      const forced = this.enforceGravity(player, now);
+      if (forced) {
+        this.handlers.onCorrection(player.address, forced);
+      }
+    }
+  }
+
+  /**
+   * A clear's attack cancels the clearer's pending garbage; the rest goes to
+   * the opponents the clearer's targeting picks
+   */
+  private handleClear(address: string, clear: any): void {
+    const player = this.players.get(address)!;
+    const attack = this.engine.attack.calculateAttack(clear);
+    const lines = player.queue.cancel(attack);
+    if (lines <= 0 || player.placement !== null) {
+      return;
+    }
+
+    const opponents = this.getStanding().filter((opponent) => opponent.address !== address);
+    const shares = this.engine.attack.chooseTargets(
+      lines,
+      player.targeting,
+      opponents.map((opponent) => ({
+        address: opponent.address,
+        danger: this.getDanger(opponent),
+        attacking: opponent.lastTargets.has(address),
+      })),
+      this.targetRandom
+    );
+
+    player.lastTargets = new Set(shares.map((share) => share.address));
+    for (const share of shares) {
+      this.sendGarbage(player, this.players.get(share.address)!, share.lines);
+    }
+  }
+
+  private sendGarbage(sender: PlayerSimulation, target: PlayerSimulation, lines: number): void {
+    const id = this.nextGarbageId++;
+    const holes = target.generator.nextHoles(lines, target.game.width);
+    const delay = config.game.garbageDelay;
+    target.queue.add(holes, Date.now() + delay, id, Date.now());
+    target.lastAttacker = sender.address;
+    if (!this.isPaused()) {
+      this.scheduleForcedRise(target, id, delay);
+    }
+
+    this.handlers.onGarbage({
+      id,
+      fromPlayer: sender.address,
+      toPlayer: target.address,
+      lines,
+      holes,
+      delay,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * A client that never reports the rows rising gets them anyway
+   */
+  private scheduleForcedRise(player: PlayerSimulation, id: number, delay: number): void {
+    const wait = Math.max(0, delay) + config.game.garbageRiseGrace;
+    player.timers.set(id, setTimeout(() => this.forceGarbage(player, id), wait));
+  }
+
+  private forceGarbage(player: PlayerSimulation, id: number): void {
+    player.timers.delete(id);
+    const entry = player.queue.remove(id);
+    if (!entry || this.ended) {
+      return;
+    }
+
+    player.game.addGarbageLines(entry.lines, entry.holes);
+    this.handlers.onCorrection(player.address, 'Garbage rise not reported in time, applied by the server');
+  }
+
+  /**
+   * Knock a player out: topped out, forfeited or gone past the reconnect grace period
+   * The first player out of n places n-th; the last one standing wins.
+   * @param creditKo - Count a KO for whoever's garbage last hit them (only when they topped out)
+   */
+  eliminate(address: string, reason: string, creditKo: boolean = false): void {
+    const player = this.players.get(address);
+    if (this.ended || !player || player.placement !== null) {
+      return;
+    }
+
+    player.placement = this.getStanding().length;
+    player.eliminationReason = reason;
+    player.timers.forEach(clearTimeout);
+    player.timers.clear();
+    player.queue.clear();
+
+    const koBy = creditKo && player.lastAttacker && this.players.get(player.lastAttacker)?.placement === null
+      ? player.lastAttacker
+      : null;
+    if (koBy) {
+      this.players.get(koBy)!.kos++;
+    }
+
+    // A player who is out no longer holds the battle paused
+    if (this.pausedBy.has(address)) {
+      this.resume(address);
+    }
+
+    this.handlers.onEliminated({
+      walletAddress: address,
+      placement: player.placement,
+      reason,
+      koBy,
+      paused: this.isPaused(),
+    });
+
+    const standing = this.getStanding();
+    if (standing.length <= 1) {
+      this.ended = true;
+      if (standing[0]) {
+        standing[0].placement = 1;
+      }
+      this.handlers.onBattleOver(standing[0]?.address ?? address, reason);
+    }
+  }
+
+  /**
+   * Players still in the battle
+   */
+  private getStanding(): PlayerSimulation[] {
+    return [...this.players.values()].filter((player) => player.placement === null);
+  }
+
+  /**
+   * How close a player is to topping out: stack height plus garbage waiting to rise
+   */
+  private getDanger(player: PlayerSimulation): number {
+    const grid: number[][] = player.game.grid;
+    const top = grid.findIndex((row) => row.some((cell) => cell !== 0));
+    return (top === -1 ? 0 : grid.length - top) + player.queue.getPendingLines();
+  }
+
+  private clearTimer(player: PlayerSimulation, id: number): void {
+    const timer = player.timers.get(id);
+    if (timer) {
+      clearTimeout(timer);
+      player.timers.delete(id);
+    }
+  }
+
+  /**
+   * State hash after the player's last applied input
+   */
+  getCheckpoint(address: string): Checkpoint {
+    const player = this.players.get(address)!;
+    return { seq: player.lastSeq, hash: player.game.getStateHash() };
+  }
+
+  /**
+   * Everything a client needs to continue from the server's copy of its game
+   */
+  getResync(address: string): Resync {
+    const player = this.players.get(address)!;
+    return {
+      seq: player.lastSeq,
+      snapshot: player.game.getSnapshot(),
+      garbage: player.queue.entries.map(entry => ({ id: entry.id as number, holes: [...entry.holes] })),
+    };
+  }
+
+  /**
+   * Board shown to the player's opponents and spectators
+   */
+  getPublicState(address: string): Record<string, unknown> {
+    const state = this.players.get(address)!.game.getState();
+    const serializePiece = (piece: any) => piece && { type: piece.type, x: piece.x, y: piece.y, rotation: piece.rotation };
+
+    return {
+      grid: state.grid,
+      score: state.score,
+      linesCleared: state.linesCleared,
+      level: state.level,
+      currentPiece: serializePiece(state.currentPiece),
+      ghostPiece: serializePiece(state.ghostPiece),
+      holdPiece: serializePiece(state.holdPiece),
+      nextQueue: state.nextQueue,
+      piecesPlaced: state.piecesPlaced,
+      pendingGarbage: this.players.get(address)!.queue.getPendingLines(),
+      isGameOver: state.isGameOver,
+      width: state.width,
+      height: state.height,
+      bufferRows: state.bufferRows,
+    };
+  }
+
+  /**
+   * Stop the forced garbage and gravity timers
+   */
+  dispose(): void {
+    this.ended = true;
+    clearInterval(this.gravityTimer);
+    for (const player of this.players.values()) {
+      player.timers.forEach(clearTimeout);
+      player.timers.clear();
+    }
+  }
+}
@@ -1,5 +1,7 @@
 import { SuiClient, SuiTransactionBlockResponse } from '@mysten/sui/client';
 import { Transaction } from '@mysten/sui/transactions';
+import { bcs } from '@mysten/sui/bcs';
+import { deriveDynamicFieldID, isValidSuiAddress, normalizeSuiAddress } from '@mysten/sui/utils';
 import { config } from '../config';
 import { logger } from '../utils/logger';
 
@@ -8,8 +10,17 @@ export interface BattleCreationResult {
   digest: string;
 }
 
+export interface GameSeedObject {
+  objectId: string;
+  seed: Uint8Array;
+  player: string;
+  used: boolean;
+}
+
 export class BlockchainService {
+  private static readonly MAX_OBJECTS_PER_QUERY = 50; // multiGetObjects limit
   private client: SuiClient;
+  private usernamesTableId: string | null = null;
 
   constructor() {
     this.client = new SuiClient({ url: config.sui.rpcUrl });
@@ -182,34 +193,115 @@ export class BlockchainService {
   }
 
   /**
-   * Get username from registry
+   * Fetch a GameSeed object created by create_game_seed
    */
-  async getUsername(walletAddress: string): Promise<string | null> {
+  async getGameSeed(objectId: string): Promise<GameSeedObject | null> {
     try {
-      // TODO: Implement actual smart contract query
-      logger.debug('Fetching username from registry', { walletAddress });
+      const result = await this.client.getObject({
+        id: objectId,
+        options: { showContent: true },
+      });
 
-      // Mock implementation
+      const content = result.data?.content;
+      if (!content || content.dataType !== 'moveObject' || !content.type.endsWith('::game::GameSeed')) {
+        return null;
+      }
+
+      const fields = content.fields as { seed: number[]; player: string; used: boolean };
+      return {
+        objectId,
+        seed: Uint8Array.from(fields.seed),
+        player: fields.player,
+        used: fields.used,
+      };
+    } catch (error) {
+      logger.error('Error fetching game seed', { error, objectId });
       return null;
+    }
+  }
 
-      /* Production implementation:
-      const result = await this.client.getObject({
-        id: config.sui.usernameRegistryId,
-        options: {
-          showContent: true,
-        },
-      });
+  /**
+   * Id of the UsernameRegistry's address -> username table (it never changes)
+   */
+  private async getUsernamesTableId(): Promise<string | null> {
+    if (this.usernamesTableId) {
+      return this.usernamesTableId;
+    }
 
-      // Parse the registry and look up the username
-      // This depends on the actual smart contract structure
-      */
+    const result = await this.client.getObject({
+      id: config.sui.usernameRegistryId,
+      options: { showContent: true },
+    });
+
+    const content = result.data?.content;
+    if (!content || content.dataType !== 'moveObject') {
+      return null;
+    }
+
+    const fields = content.fields as { usernames?: { fields?: { id?: { id?: string } } } };
+    this.usernamesTableId = fields.usernames?.fields?.id?.id ?? null;
+    return this.usernamesTableId;
+  }
+
+  /**
+   * Get usernames from the registry
+   * Each table entry is a dynamic field of the table whose id can be derived
+   * from the address, so a batch is read with one multiGetObjects call.
+   * @returns Address -> username (null if the address has none), or null if the registry can't be read
+   */
+  async getUsernames(walletAddresses: string[]): Promise<Map<string, string | null> | null> {
+    const usernames = new Map<string, string | null>(walletAddresses.map((address) => [address, null]));
+    if (!config.sui.usernameRegistryId || walletAddresses.length === 0) {
+      return usernames;
+    }
+
+    try {
+      const tableId = await this.getUsernamesTableId();
+      if (!tableId) {
+        logger.warn('Username registry not found', { registryId: config.sui.usernameRegistryId });
+        return null;
+      }
+
+      // Anything that isn't an address can't have a username
+      const addresses = walletAddresses.filter((address) => isValidSuiAddress(normalizeSuiAddress(address)));
+
+      for (let i = 0; i < addresses.length; i += BlockchainService.MAX_OBJECTS_PER_QUERY) {
+        const batch = addresses.slice(i, i + BlockchainService.MAX_OBJECTS_PER_QUERY);
+        const fieldIds = batch.map((address) =>
+          deriveDynamicFieldID(tableId, 'address', bcs.Address.serialize(normalizeSuiAddress(address)).toBytes())
+        );
+
+        const objects = await this.client.multiGetObjects({
+          ids: fieldIds,
+          options: { showContent: true },
+        });
+
+        objects.forEach((object, index) => {
+          const content = object.data?.content;
+          if (content && content.dataType === 'moveObject') {
+            const { value } = content.fields as { value?: string };
+            usernames.set(batch[index], value || null);
+          }
+        });
+      }
+
+      logger.debug('Fetched usernames from registry', { count: walletAddresses.length });
+      return usernames;
 
     } catch (error) {
-      logger.error('Error fetching username', { error, walletAddress });
+      logger.error('Error fetching usernames', { error, count: walletAddresses.length });
       return null;
     }
   }
 
+  /**
+   * Get username from registry
+   */
+  async getUsername(walletAddress: string): Promise<string | null> {
+    const usernames = await this.getUsernames([walletAddress]);
+    return usernames?.get(walletAddress) ?? null;
+  }
+
   /**
    * Listen for on-chain events
    */
@@ -1,314 +1,514 @@
+import { Socket } from 'socket.io';
 import { SocketManager } from './SocketManager';
 import { RoomManager } from './RoomManager';
 import { logger } from '../utils/logger';
-import { GameStateUpdate, GarbageEvent } from '../models/BattleRoom';
-
+import { getProtocol, loadGameEngine, StateEncoder } from '../utils/gameEngine';
+import { BattleResume, BattleRoom, Checkpoint, Elimination, LiveBattle, Placement, PlayerInput, Resync } from '../models/BattleRoom';
+import { BattleSimulation } from './BattleSimulation';
+import { RatingService } from './RatingService';
+import { PlayerProfileService } from './PlayerProfileService';
+
+/**
+ * GameStateSync - Runs battles on the server
+ *
+ * Clients send their input streams; the server applies them to its own
+ * simulation of every board (see BattleSimulation), sends the garbage and
+ * decides eliminations and placements from it, and answers each batch with a
+ * checkpoint the client compares against its own state. A player whose connection drops
+ * keeps their place for the disconnect grace period and is resumed from the
+ * server's copy of their game when they authenticate again. Spectators get
+ * every board's frames in their own Socket.IO room and can't send game events.
+ */
 export class GameStateSync {
   private socketManager: SocketManager;
   private roomManager: RoomManager;
+  private ratingService: RatingService;
+  private playerProfileService: PlayerProfileService;
+  private static readonly MAX_INPUT_BATCH = 1000;
+  private simulations: Map<string, Promise<BattleSimulation | null>> = new Map(); // roomId -> simulation
+  private stateEncoders: Map<string, StateEncoder> = new Map(); // "roomId:playerAddress" -> frames of their board
 
-  constructor(socketManager: SocketManager, roomManager: RoomManager) {
+  constructor(socketManager: SocketManager, roomManager: RoomManager, ratingService: RatingService, playerProfileService: PlayerProfileService) {
     this.socketManager = socketManager;
     this.roomManager = roomManager;
+    this.ratingService = ratingService;
+    this.playerProfileService = playerProfileService;
   }
 
   /**
-   * Calculate garbage lines based on lines cleared
-   * 1 line = 0 garbage
-   * 2 lines = 1 garbage
-   * 3 lines = 2 garbage
-   * 4 lines (Tetris) = 4 garbage
+   * Simulation of an active battle, started on its first input
    */
-  private calculateGarbageLines(linesCleared: number): number {
-    switch (linesCleared) {
-      case 1:
-        return 0;
-      case 2:
-        return 1;
-      case 3:
-        return 2;
-      case 4:
-        return 4;
-      default:
-        return 0;
+  private getSimulation(roomId: string): Promise<BattleSimulation | null> {
+    let simulation = this.simulations.get(roomId);
+    if (!simulation) {
+      simulation = this.startSimulation(roomId);
+      this.simulations.set(roomId, simulation);
+      // Let a later input try again if the room wasn't active yet
+      simulation.then((started) => {
+        if (!started && this.simulations.get(roomId) === simulation) {
+          this.simulations.delete(roomId);
+        }
+      });
     }
+    return simulation;
   }
 
-  /**
-   * Handle piece movement
-   */
-  async handleMove(
-    roomId: string,
-    walletAddress: string,
-    moveData: { direction: 'left' | 'right' | 'down' }
-  ): Promise<void> {
+  private async startSimulation(roomId: string): Promise<BattleSimulation | null> {
     try {
       const room = await this.roomManager.getRoom(roomId);
-      if (!room || room.status !== 'active') {
-        return;
+      if (!room || room.status !== 'active' || room.players.length < RoomManager.MIN_PLAYERS) {
+        return null;
       }
 
-      // Get opponent address
-      const opponentAddress = room.player1.address === walletAddress
-        ? room.player2?.address
-        : room.player1.address;
+      const engine = await loadGameEngine();
+      const { EVENTS } = engine.protocol;
+      const players = room.players.map((player) => player.address);
+      logger.info('Battle simulation started', { roomId, players, targeting: room.targeting });
+
+      return new BattleSimulation(engine, roomId, players, room.startTime ?? Date.now(), {
+        onGarbage: (garbage) => {
+          this.socketManager.emitToPlayer(garbage.toPlayer, EVENTS.GAME_GARBAGE_INCOMING, garbage);
+          logger.info('Garbage sent', { roomId, from: garbage.fromPlayer, to: garbage.toPlayer, lines: garbage.lines });
+        },
+        onCorrection: (playerAddress, reason) => {
+          logger.warn('Game corrected by the server', { roomId, playerAddress, reason });
+          void this.sendResync(roomId, playerAddress);
+        },
+        onEliminated: (elimination) => {
+          this.handleElimination(roomId, elimination);
+        },
+        onBattleOver: (winnerAddress, reason) => {
+          void this.handleBattleOver(roomId, winnerAddress, reason);
+        },
+      }, room.targeting);
+    } catch (error) {
+      logger.error('Error starting battle simulation', { error, roomId });
+      return null;
+    }
+  }
 
-      if (!opponentAddress) {
-        return;
-      }
+  /**
+   * Send a player the server's copy of their game to rebase onto
+   */
+  private async sendResync(roomId: string, walletAddress: string): Promise<void> {
+    const simulation = await this.simulations.get(roomId);
+    if (!simulation || !simulation.hasPlayer(walletAddress)) {
+      return;
+    }
 
-      // Broadcast move to opponent
-      const timestamp = Date.now();
-      this.socketManager.emitToPlayer(opponentAddress, 'game:opponent_move', {
-        direction: moveData.direction,
-        timestamp,
-      });
+    const { EVENTS } = getProtocol();
+    const resync: Resync = simulation.getResync(walletAddress);
+    this.socketManager.emitToPlayer(walletAddress, EVENTS.GAME_RESYNC, resync);
+    await this.broadcastState(simulation, walletAddress);
+  }
 
-      logger.debug('Move broadcasted', { roomId, walletAddress, direction: moveData.direction });
+  /**
+   * Show a player's simulated board to the other players and the spectators, as a binary state
+   * frame (see client/src/stateSync.js). Frames may be dropped; viewers recover on the next keyframe.
+   */
+  private async broadcastState(simulation: BattleSimulation, walletAddress: string): Promise<void> {
+    const key = `${simulation.roomId}:${walletAddress}`;
+    const engine = await loadGameEngine();
+    const { EVENTS } = engine.protocol;
+    let encoder = this.stateEncoders.get(key);
+    if (!encoder) {
+      encoder = new engine.stateSync.StateEncoder();
+      this.stateEncoders.set(key, encoder);
+    }
 
-    } catch (error) {
-      logger.error('Error handling move', { error, roomId, walletAddress });
+    const frame = Buffer.from(encoder.encode(simulation.getPublicState(walletAddress)));
+    for (const address of simulation.getPlayerAddresses()) {
+      if (address !== walletAddress) {
+        this.socketManager.emitVolatileToPlayer(address, EVENTS.GAME_OPPONENT_FRAME, { walletAddress, frame });
+      }
     }
+    this.socketManager.emitVolatileToRoom(RoomManager.getSpectatorRoomId(simulation.roomId), EVENTS.GAME_SPECTATOR_FRAME, {
+      walletAddress,
+      frame,
+    });
   }
 
   /**
-   * Handle piece rotation
+   * Send a keyframe of every board in a battle (for viewers that just arrived)
    */
-  async handleRotate(
+  private async broadcastKeyframes(simulation: BattleSimulation, exceptAddress?: string): Promise<void> {
+    for (const address of simulation.getPlayerAddresses()) {
+      if (address !== exceptAddress) {
+        this.stateEncoders.get(`${simulation.roomId}:${address}`)?.requestKeyframe();
+        await this.broadcastState(simulation, address);
+      }
+    }
+  }
+
+  /**
+   * Drop the state encoders of a finished room
+   */
+  private clearStateEncoders(roomId: string): void {
+    for (const key of this.stateEncoders.keys()) {
+      if (key.startsWith(`${roomId}:`)) {
+        this.stateEncoders.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Apply a batch of a player's inputs and answer with a checkpoint
+   */
+  async handleInput(
     roomId: string,
     walletAddress: string,
-    rotateData: { direction: 'cw' | 'ccw' }
+    inputs: PlayerInput[]
   ): Promise<void> {
     try {
-      const room = await this.roomManager.getRoom(roomId);
-      if (!room || room.status !== 'active') {
+      if (!Array.isArray(inputs) || inputs.length === 0 || inputs.length > GameStateSync.MAX_INPUT_BATCH) {
         return;
       }
 
-      // Get opponent address
-      const opponentAddress = room.player1.address === walletAddress
-        ? room.player2?.address
-        : room.player1.address;
-
-      if (!opponentAddress) {
+      const simulation = await this.getSimulation(roomId);
+      if (!simulation || simulation.isEnded() || !simulation.hasPlayer(walletAddress)) {
         return;
       }
 
-      // Broadcast rotation to opponent
-      const timestamp = Date.now();
-      this.socketManager.emitToPlayer(opponentAddress, 'game:opponent_rotate', {
-        direction: rotateData.direction,
-        timestamp,
-      });
+      const rejection = simulation.applyInputs(walletAddress, inputs);
+      if (rejection) {
+        logger.warn('Input rejected', { roomId, walletAddress, reason: rejection });
+        await this.sendResync(roomId, walletAddress);
+        return;
+      }
 
-      logger.debug('Rotation broadcasted', { roomId, walletAddress, direction: rotateData.direction });
+      const { EVENTS } = getProtocol();
+      const checkpoint: Checkpoint = simulation.getCheckpoint(walletAddress);
+      this.socketManager.emitToPlayer(walletAddress, EVENTS.GAME_CHECKPOINT, checkpoint);
+      await this.broadcastState(simulation, walletAddress);
 
     } catch (error) {
-      logger.error('Error handling rotation', { error, roomId, walletAddress });
+      logger.error('Error handling input', { error, roomId, walletAddress });
     }
   }
 
   /**
-   * Handle hard drop
+   * Hold a disconnected player's place in their battle, pausing it if the room asks for that
    */
-  async handleDrop(
-    roomId: string,
-    walletAddress: string
-  ): Promise<void> {
+  async handleDisconnect(walletAddress: string, gracePeriod: number): Promise<void> {
     try {
-      const room = await this.roomManager.getRoom(roomId);
+      const room = await this.roomManager.getRoomForPlayer(walletAddress);
       if (!room || room.status !== 'active') {
         return;
       }
 
-      // Get opponent address
-      const opponentAddress = room.player1.address === walletAddress
-        ? room.player2?.address
-        : room.player1.address;
-
-      if (!opponentAddress) {
-        return;
+      const simulation = await this.getSimulation(room.roomId);
+      if (simulation && room.pauseOnDisconnect) {
+        simulation.pause(walletAddress);
       }
 
-      // Broadcast drop to opponent
-      const timestamp = Date.now();
-      this.socketManager.emitToPlayer(opponentAddress, 'game:opponent_drop', {
-        timestamp,
+      const paused = simulation?.isPaused() ?? false;
+      this.socketManager.emitToRoom(room.roomId, getProtocol().EVENTS.PLAYER_DISCONNECTED, {
+        walletAddress,
+        gracePeriod,
+        paused,
       });
 
-      logger.debug('Drop broadcasted', { roomId, walletAddress });
+      logger.info('Player disconnected from battle', { roomId: room.roomId, walletAddress, paused });
 
     } catch (error) {
-      logger.error('Error handling drop', { error, roomId, walletAddress });
+      logger.error('Error handling battle disconnect', { error, walletAddress });
     }
   }
 
   /**
-   * Serialize a piece object to a plain format (without methods)
+   * Put a player who reconnected in time back into their battle
    */
-  private serializePiece(piece: any): any {
-    if (!piece) return null;
-    
-    return {
-      type: piece.type,
-      x: piece.x,
-      y: piece.y,
-      rotation: piece.rotation,
-    };
-  }
-
-  /**
-   * Handle game state update
-   */
-  async handleStateUpdate(
-    roomId: string,
-    walletAddress: string,
-    stateUpdate: any
-  ): Promise<void> {
+  async handleResume(walletAddress: string): Promise<void> {
     try {
-      const room = await this.roomManager.getRoom(roomId);
+      const room = await this.roomManager.getRoomForPlayer(walletAddress);
       if (!room || room.status !== 'active') {
         return;
       }
 
-      // Get opponent address
-      const opponentAddress = room.player1.address === walletAddress
-        ? room.player2?.address
-        : room.player1.address;
+      await this.roomManager.rejoinRoom(room, walletAddress);
 
-      if (!opponentAddress) {
+      const simulation = await this.getSimulation(room.roomId);
+      if (!simulation || simulation.isEnded()) {
         return;
       }
 
-      // Serialize the state to remove class methods
-      const serializedState = {
-        grid: stateUpdate.grid,
-        score: stateUpdate.score,
-        linesCleared: stateUpdate.linesCleared,
-        level: stateUpdate.level,
-        currentPiece: this.serializePiece(stateUpdate.currentPiece),
-        ghostPiece: this.serializePiece(stateUpdate.ghostPiece),
-        holdPiece: this.serializePiece(stateUpdate.holdPiece),
-        nextQueue: stateUpdate.nextQueue,
-        piecesPlaced: stateUpdate.piecesPlaced || 0,
-        timestamp: Date.now(),
+      const { EVENTS } = getProtocol();
+      simulation.resume(walletAddress);
+      const paused = simulation.isPaused();
+
+      // The client rebases onto this and sends again whatever the server didn't get
+      const resume: BattleResume = {
+        roomId: room.roomId,
+        paused,
+        resync: simulation.getResync(walletAddress),
       };
+      this.socketManager.emitToPlayer(walletAddress, EVENTS.GAME_RESUME, resume);
 
-      // Broadcast state to opponent - use consistent event name
-      this.socketManager.emitToPlayer(opponentAddress, 'game:opponent_state', {
-        state: serializedState,
-      });
+      // The new connection missed frames; start it on keyframes of the other boards
+      await this.broadcastKeyframes(simulation, walletAddress);
+
+      this.socketManager.emitToRoom(room.roomId, EVENTS.PLAYER_RECONNECTED, { walletAddress, paused });
 
-      logger.debug('State update broadcasted', { roomId, walletAddress, score: serializedState.score });
+      logger.info('Player resumed battle', { roomId: room.roomId, walletAddress, paused });
 
     } catch (error) {
-      logger.error('Error handling state update', { error, roomId, walletAddress });
+      logger.error('Error resuming battle', { error, walletAddress });
     }
   }
 
   /**
-   * Handle lines cleared and send garbage
+   * A player who didn't come back within the grace period forfeits
    */
-  async handleLinesCleared(
-    roomId: string,
-    walletAddress: string,
-    linesCleared: number
-  ): Promise<void> {
-    try {
-      const room = await this.roomManager.getRoom(roomId);
-      if (!room || room.status !== 'active') {
-        return;
-      }
-
-      // Get opponent address
-      const opponentAddress = room.player1.address === walletAddress
-        ? room.player2?.address
-        : room.player1.address;
+  async handleDisconnectFinal(walletAddress: string): Promise<void> {
+    const room = await this.roomManager.getRoomForPlayer(walletAddress);
+    if (!room || room.status !== 'active') {
+      return;
+    }
 
-      if (!opponentAddress) {
-        return;
-      }
+    this.socketManager.emitToRoom(room.roomId, getProtocol().EVENTS.PLAYER_DISCONNECTED_FINAL, { walletAddress });
+    await this.handleForfeit(room.roomId, walletAddress, 'disconnect');
+  }
 
-      // Calculate garbage lines
-      const garbageLines = this.calculateGarbageLines(linesCleared);
-
-      if (garbageLines > 0) {
-        const garbageEvent: GarbageEvent = {
-          fromPlayer: walletAddress,
-          toPlayer: opponentAddress,
-          lines: garbageLines,
-          timestamp: Date.now(),
-        };
-
-        // Send garbage to opponent
-        this.socketManager.emitToPlayer(opponentAddress, 'game:garbage_incoming', garbageEvent);
-
-        logger.info('Garbage sent', {
-          roomId,
-          from: walletAddress,
-          to: opponentAddress,
-          lines: garbageLines,
-          clearedLines: linesCleared,
-        });
-      }
+  /**
+   * Take a player out of their battle (a forfeit, or a disconnect past the grace period)
+   * Losing on the board is decided by the simulation.
+   */
+  async handleForfeit(roomId: string, walletAddress: string, reason: string = 'forfeit'): Promise<void> {
+    try {
+      const simulation = await this.getSimulation(roomId);
+      simulation?.eliminate(walletAddress, reason);
 
     } catch (error) {
-      logger.error('Error handling lines cleared', { error, roomId, walletAddress });
+      logger.error('Error handling forfeit', { error, roomId, walletAddress });
     }
   }
 
   /**
-   * Handle game over
+   * Tell a battle's players and spectators that a player is out
    */
-  async handleGameOver(
-    roomId: string,
-    loserAddress: string
-  ): Promise<void> {
+  private handleElimination(roomId: string, elimination: Elimination): void {
+    const { EVENTS } = getProtocol();
+    const update = { roomId, ...elimination };
+    this.socketManager.emitToRoom(roomId, EVENTS.GAME_PLAYER_ELIMINATED, update);
+    this.socketManager.emitToRoom(RoomManager.getSpectatorRoomId(roomId), EVENTS.GAME_PLAYER_ELIMINATED, update);
+
+    logger.info('Player eliminated', { roomId, ...elimination });
+  }
+
+  /**
+   * End a battle with its last player standing
+   */
+  private async handleBattleOver(roomId: string, winnerAddress: string, reason: string): Promise<void> {
     try {
       const room = await this.roomManager.getRoom(roomId);
       if (!room || room.status !== 'active') {
         return;
       }
 
-      // Determine winner
-      const winnerAddress = room.player1.address === loserAddress
-        ? room.player2?.address
-        : room.player1.address;
-
-      if (!winnerAddress) {
-        logger.error('Cannot determine winner', { roomId, loserAddress });
-        return;
-      }
-
       // Update room status
       room.status = 'ended';
       await this.roomManager.updateRoom(room);
+      const simulation = await this.simulations.get(roomId);
+      const placements: Placement[] = (simulation?.getPlacements() ?? [])
+        .map((standing) => ({
+          ...standing,
+          placement: standing.placement ?? 1,
+          username: RoomManager.findPlayer(room, standing.address)?.username ?? 'Unknown',
+        }))
+        .sort((a, b) => a.placement - b.placement);
+      const games = new Map((simulation?.getGameStats() ?? []).map(({ address, ...game }) => [address, game]));
+      simulation?.dispose();
+      this.simulations.delete(roomId);
+      this.clearStateEncoders(roomId);
 
       // Calculate battle duration
       const duration = room.startTime ? Date.now() - room.startTime : 0;
 
-      // Emit game end to both players
-      this.socketManager.emitToRoom(roomId, 'game:end', {
+      // Emit game end to every player
+      const { EVENTS } = getProtocol();
+      const result = {
         winner: winnerAddress,
-        loser: loserAddress,
+        placements,
         duration,
         wager: room.wager,
-      });
+        reason,
+      };
+      this.socketManager.emitToRoom(roomId, EVENTS.GAME_END, result);
+      this.endSpectating(roomId, 'battle_over', result);
 
       logger.info('Game ended', {
         roomId,
         winner: winnerAddress,
-        loser: loserAddress,
+        players: placements.length,
+        reason,
         duration,
       });
 
+      // Every battle counts towards the players' ratings, however it ended
+      await this.ratingService.recordBattle(placements);
+      await this.playerProfileService.recordBattle(placements.map(({ address, placement }) => ({
+        address,
+        placement,
+        game: games.get(address),
+      })));
+
       // Clean up room after a delay
       setTimeout(async () => {
         await this.roomManager.deleteRoom(roomId);
       }, 30000); // 30 seconds
 
     } catch (error) {
-      logger.error('Error handling game over', { error, roomId, loserAddress });
+      logger.error('Error ending battle', { error, roomId, winnerAddress });
+    }
+  }
+
+  /**
+   * A battle as listed for spectators
+   */
+  private async describeBattle(room: BattleRoom): Promise<LiveBattle> {
+    const placements: Record<string, number> = {};
+    const simulation = await this.simulations.get(room.roomId);
+    for (const standing of simulation?.getPlacements() ?? []) {
+      if (standing.placement !== null) {
+        placements[standing.address] = standing.placement;
+      }
+    }
+
+    return {
+      roomId: room.roomId,
+      players: room.players.map((player) => ({ address: player.address, username: player.username })),
+      wager: room.wager,
+      startTime: room.startTime ?? 0,
+      spectators: this.socketManager.getRoomSize(RoomManager.getSpectatorRoomId(room.roomId)),
+      placements,
+    };
+  }
+
+  /**
+   * Tell a battle's players and spectators how many are watching
+   */
+  private emitSpectatorCount(room: BattleRoom): void {
+    const { EVENTS } = getProtocol();
+    const update = {
+      roomId: room.roomId,
+      count: this.socketManager.getRoomSize(RoomManager.getSpectatorRoomId(room.roomId)),
+      allowSpectators: room.allowSpectators,
+    };
+    this.socketManager.emitToRoom(room.roomId, EVENTS.ROOM_SPECTATORS, update);
+    this.socketManager.emitToRoom(RoomManager.getSpectatorRoomId(room.roomId), EVENTS.ROOM_SPECTATORS, update);
+  }
+
+  /**
+   * Send a battle's spectators away
+   */
+  private endSpectating(roomId: string, reason: string, result?: Record<string, unknown>): void {
+    const spectatorRoomId = RoomManager.getSpectatorRoomId(roomId);
+    this.socketManager.emitToRoom(spectatorRoomId, getProtocol().EVENTS.SPECTATE_ENDED, { roomId, reason, result });
+    this.socketManager.clearRoom(spectatorRoomId);
+  }
+
+  /**
+   * Battles in progress that allow spectators
+   */
+  async listLiveBattles(): Promise<LiveBattle[]> {
+    const rooms = await this.roomManager.getLiveRooms();
+    return Promise.all(rooms.filter((room) => room.allowSpectators).map((room) => this.describeBattle(room)));
+  }
+
+  /**
+   * Start watching a battle, by room id or private room key
+   * @returns Why the socket can't watch it, or null
+   */
+  async handleSpectateJoin(
+    socket: Socket,
+    walletAddress: string,
+    target: { roomId?: string; roomKey?: string }
+  ): Promise<string | null> {
+    try {
+      const room = target?.roomKey
+        ? await this.roomManager.getRoomByKey(target.roomKey)
+        : target?.roomId ? await this.roomManager.getRoom(target.roomId) : null;
+
+      if (!room || room.status !== 'active') {
+        return 'Battle not found or already over';
+      }
+      if (!room.allowSpectators) {
+        return 'The host has turned spectating off for this battle';
+      }
+      if (RoomManager.findPlayer(room, walletAddress)) {
+        return 'You are playing in this battle';
+      }
+
+      // One battle at a time
+      const previousRoomId: string | undefined = socket.data.spectating;
+      if (previousRoomId && previousRoomId !== room.roomId) {
+        await this.handleSpectateLeave(socket, previousRoomId);
+      }
+
+      socket.join(RoomManager.getSpectatorRoomId(room.roomId));
+      socket.data.spectating = room.roomId;
+      socket.emit(getProtocol().EVENTS.SPECTATE_JOINED, await this.describeBattle(room));
+      this.emitSpectatorCount(room);
+
+      // Boards that have started streaming; the rest start on a keyframe anyway
+      const simulation = await this.simulations.get(room.roomId);
+      if (simulation && !simulation.isEnded()) {
+        await this.broadcastKeyframes(simulation);
+      }
+
+      logger.info('Spectator joined', { roomId: room.roomId, walletAddress });
+      return null;
+
+    } catch (error) {
+      logger.error('Error joining as spectator', { error, walletAddress });
+      return 'Could not join the battle';
+    }
+  }
+
+  /**
+   * Stop watching a battle
+   */
+  async handleSpectateLeave(socket: Socket, roomId: string): Promise<void> {
+    if (socket.data.spectating !== roomId) {
+      return;
+    }
+
+    socket.leave(RoomManager.getSpectatorRoomId(roomId));
+    socket.data.spectating = undefined;
+
+    const room = await this.roomManager.getRoom(roomId);
+    if (room) {
+      this.emitSpectatorCount(room);
+    }
+  }
+
+  /**
+   * Let the host turn spectating on or off; turning it off sends current spectators away
+   */
+  async handleSetSpectating(roomId: string, walletAddress: string, allowSpectators: boolean): Promise<void> {
+    try {
+      const room = await this.roomManager.setAllowSpectators(roomId, walletAddress, !!allowSpectators);
+      if (!room) {
+        return;
+      }
+
+      if (!room.allowSpectators) {
+        this.endSpectating(roomId, 'spectating_disabled');
+      }
+      this.emitSpectatorCount(room);
+
+    } catch (error) {
+      logger.error('Error changing spectating', { error, roomId, walletAddress });
+    }
+  }
+
+  /**
+   * Change who a player's attacks go to
+   */
+  async handleSetTargeting(roomId: string, walletAddress: string, targeting: string): Promise<void> {
+    const simulation = await this.simulations.get(roomId);
+    if (simulation?.setTargeting(walletAddress, targeting)) {
+      logger.info('Targeting changed', { roomId, walletAddress, targeting });
     }
   }
 
@@ -317,51 +517,77 @@ export class GameStateSync {
    */
   setupEventHandlers(): void {
     const io = this.socketManager.getIO();
+    const { EVENTS } = getProtocol();
 
     io.on('connection', (socket) => {
       const socketWithWallet = socket as any;
-      
-      // Movement events
-      socket.on('game:move', async (data: { roomId: string; direction: 'left' | 'right' | 'down' }) => {
+
+      // Input stream batches
+      socket.on(EVENTS.GAME_INPUT, async (data: { roomId: string; inputs: PlayerInput[] }) => {
         if (socketWithWallet.walletAddress) {
-          await this.handleMove(data.roomId, socketWithWallet.walletAddress, { direction: data.direction });
+          await this.handleInput(data.roomId, socketWithWallet.walletAddress, data.inputs);
         }
       });
 
-      // Rotation events
-      socket.on('game:rotate', async (data: { roomId: string; direction: 'cw' | 'ccw' }) => {
+      // A client whose state hash didn't match a checkpoint
+      socket.on(EVENTS.GAME_RESYNC_REQUEST, async (data: { roomId: string }) => {
         if (socketWithWallet.walletAddress) {
-          await this.handleRotate(data.roomId, socketWithWallet.walletAddress, { direction: data.direction });
+          await this.sendResync(data.roomId, socketWithWallet.walletAddress);
         }
       });
 
-      // Drop events
-      socket.on('game:drop', async (data: { roomId: string }) => {
+      socket.on(EVENTS.GAME_TARGETING, async (data: { roomId: string; targeting: string }) => {
         if (socketWithWallet.walletAddress) {
-          await this.handleDrop(data.roomId, socketWithWallet.walletAddress);
+          await this.handleSetTargeting(data.roomId, socketWithWallet.walletAddress, data.targeting);
         }
       });
 
-      // State update events
-      socket.on('game:state_update', async (data: { roomId: string; state: GameStateUpdate }) => {
+      // Forfeits (losing on the board is decided by the simulation)
+      socket.on(EVENTS.GAME_FORFEIT, async (data: { roomId: string }) => {
         if (socketWithWallet.walletAddress) {
-          await this.handleStateUpdate(data.roomId, socketWithWallet.walletAddress, data.state);
+          await this.handleForfeit(data.roomId, socketWithWallet.walletAddress);
         }
       });
 
-      // Lines cleared events
-      socket.on('game:lines_cleared', async (data: { roomId: string; lines: number }) => {
+      // Spectating: read-only, so the handlers above ignore spectators (they aren't in the simulation)
+      socket.on(EVENTS.SPECTATE_LIST, async () => {
+        socket.emit(EVENTS.SPECTATE_BATTLES, { battles: await this.listLiveBattles() });
+      });
+
+      socket.on(EVENTS.SPECTATE_JOIN, async (data: { roomId?: string; roomKey?: string }) => {
         if (socketWithWallet.walletAddress) {
-          await this.handleLinesCleared(data.roomId, socketWithWallet.walletAddress, data.lines);
+          const error = await this.handleSpectateJoin(socket, socketWithWallet.walletAddress, data);
+          if (error) {
+            socket.emit(EVENTS.SPECTATE_ERROR, { message: error });
+          }
         }
       });
 
-      // Game over events
-      socket.on('game:over', async (data: { roomId: string }) => {
+      socket.on(EVENTS.SPECTATE_LEAVE, async (data: { roomId: string }) => {
+        await this.handleSpectateLeave(socket, data?.roomId);
+      });
+
+      socket.on(EVENTS.ROOM_SPECTATING, async (data: { roomId: string; allowSpectators: boolean }) => {
         if (socketWithWallet.walletAddress) {
-          await this.handleGameOver(data.roomId, socketWithWallet.walletAddress);
+          await this.handleSetSpectating(data.roomId, socketWithWallet.walletAddress, data.allowSpectators);
         }
       });
+
+      // Socket.IO drops a closed socket from its rooms; the players see one fewer watching
+      socket.on('disconnect', async () => {
+        const roomId: string | undefined = socket.data.spectating;
+        const room = roomId ? await this.roomManager.getRoom(roomId) : null;
+        if (room) {
+          this.emitSpectatorCount(room);
+        }
+      });
+    });
+
+    // Battles outlive a dropped connection for the grace period
+    this.socketManager.addConnectionHandlers({
+      onDisconnect: (walletAddress, gracePeriod) => void this.handleDisconnect(walletAddress, gracePeriod),
+      onResume: (walletAddress) => void this.handleResume(walletAddress),
+      onDisconnectFinal: (walletAddress) => void this.handleDisconnectFinal(walletAddress),
     });
 
     logger.info('GameStateSync event handlers registered');
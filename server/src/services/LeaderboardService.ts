@@ -0,0 +1,361 @@
+import type { EventId, SuiEvent } from '@mysten/sui/client';
+import { redisClient } from './RedisClient';
+import { BlockchainService } from './BlockchainService';
+import { VerifiedStatsService } from './VerifiedStatsService';
+import { SprintRun } from './ScoreVerificationService';
+import { logger } from '../utils/logger';
+import { config } from '../config';
+
+export type LeaderboardWindow = 'daily' | 'weekly' | 'alltime';
+
+export const LEADERBOARD_WINDOWS: LeaderboardWindow[] = ['daily', 'weekly', 'alltime'];
+
+// marathon: on-chain scores, highest first; sprint: verified runs on daily seeds, fastest first
+export type LeaderboardMode = 'marathon' | 'sprint';
+
+export const LEADERBOARD_MODES: LeaderboardMode[] = ['marathon', 'sprint'];
+
+export interface LeaderboardEntry {
+  rank: number; // 1 = best
+  player: string;
+  score: number;
+  timestamp: number; // When the player's best result of the window was set
+  gameSeedId: string; // Marathon: the on-chain GameSeed
+  time?: number; // Sprint: ms to clear the line goal
+  seed?: string; // Sprint: daily seed text
+}
+
+export interface LeaderboardPage {
+  mode: LeaderboardMode;
+  window: LeaderboardWindow;
+  page: number; // 1-based
+  pageSize: number;
+  total: number; // Ranked players in the window
+  entries: LeaderboardEntry[];
+}
+
+export interface PlayerStanding {
+  mode: LeaderboardMode;
+  window: LeaderboardWindow;
+  total: number;
+  entry: LeaderboardEntry;
+  neighbors: LeaderboardEntry[]; // Ranks around the player's, the player included
+}
+
+interface ScoreSubmission {
+  player: string;
+  score: number;
+  timestamp: number;
+  gameSeedId: string;
+  // Attested stats of the game
+  level: number;
+  linesCleared: number;
+  tetrisCount: number;
+  maxCombo: number;
+  piecesPlaced: number;
+  playTime: number; // ms
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * LeaderboardService - Full rankings indexed from the chain
+ *
+ * The contract only keeps the top 10 scores, but emits a ScoreSubmitted
+ * event for every verified score. This service reads those events in order
+ * (resuming from a cursor kept in Redis) and keeps each player's best score
+ * in a sorted set per window: all time, and the current UTC day and week
+ * (weeks start on Monday). Reading an event twice is harmless. Each
+ * submission's attested stats are also credited to the player's verified stats.
+ *
+ * Sprint runs verified by the server are ranked the same way, by each
+ * player's fastest time, with a run's day being that of its daily seed (so a
+ * day's rankings are all on one seed).
+ */
+export class LeaderboardService {
+  private static readonly KEY_PREFIX = 'leaderboard:';
+  private static readonly CURSOR_KEY = 'leaderboard:cursor';
+  private static readonly EVENTS_PER_QUERY = 50;
+  private blockchainService: BlockchainService;
+  private verifiedStatsService: VerifiedStatsService;
+  private pollInterval: NodeJS.Timeout | null = null;
+  private isPolling = false;
+
+  constructor(blockchainService: BlockchainService, verifiedStatsService: VerifiedStatsService) {
+    this.blockchainService = blockchainService;
+    this.verifiedStatsService = verifiedStatsService;
+    this.startIndexing();
+  }
+
+  /**
+   * Sorted set of a mode's rankings in a window, for the period containing a time
+   * (Marathon keeps the keys from before there were other modes)
+   */
+  private static getWindowKey(mode: LeaderboardMode, window: LeaderboardWindow, time: number): string {
+    const prefix = mode === 'marathon' ? LeaderboardService.KEY_PREFIX : `${LeaderboardService.KEY_PREFIX}${mode}:`;
+    if (window === 'alltime') {
+      return `${prefix}alltime`;
+    }
+
+    const date = new Date(time);
+    if (window === 'weekly') {
+      const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+      date.setTime(time - daysSinceMonday * DAY_MS);
+    }
+    return `${prefix}${window}:${date.toISOString().slice(0, 10)}`;
+  }
+
+  /**
+   * Whether a mode ranks the lowest value (a time) first
+   */
+  private static isTimed(mode: LeaderboardMode): boolean {
+    return mode === 'sprint';
+  }
+
+  /**
+   * Seconds a window's keys outlive their last write (a period past its end)
+   */
+  private static getWindowTtl(window: LeaderboardWindow): number | null {
+    switch (window) {
+      case 'daily':
+        return (2 * DAY_MS) / 1000;
+      case 'weekly':
+        return (14 * DAY_MS) / 1000;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Start reading score events (needs the deployed package id)
+   */
+  private startIndexing(): void {
+    if (!config.sui.packageId) {
+      logger.warn('PACKAGE_ID not set, leaderboard indexing disabled');
+      return;
+    }
+
+    this.pollInterval = setInterval(() => {
+      this.indexNewScores();
+    }, config.leaderboard.pollInterval);
+    this.indexNewScores();
+
+    logger.info('Leaderboard indexing started');
+  }
+
+  /**
+   * Read every ScoreSubmitted event after the stored cursor. The cursor moves
+   * past each event only once it is recorded, so one that fails is read again
+   * on the next poll.
+   */
+  private async indexNewScores(): Promise<void> {
+    if (this.isPolling) {
+      return;
+    }
+    this.isPolling = true;
+
+    try {
+      const client = redisClient.getClient();
+      const sui = this.blockchainService.getClient();
+      const cursorData = await client.get(LeaderboardService.CURSOR_KEY);
+      let cursor: EventId | null = cursorData ? JSON.parse(cursorData) : null;
+      let indexed = 0;
+      let hasNextPage = true;
+
+      while (hasNextPage) {
+        const page = await sui.queryEvents({
+          query: { MoveEventType: `${config.sui.packageId}::game::ScoreSubmitted` },
+          cursor,
+          limit: LeaderboardService.EVENTS_PER_QUERY,
+          order: 'ascending',
+        });
+
+        for (const event of page.data) {
+          const submission = LeaderboardService.parseEvent(event);
+          if (submission) {
+            await this.recordScore(submission);
+            await this.verifiedStatsService.recordSubmission(submission.player, submission.gameSeedId, {
+              score: submission.score,
+              level: submission.level,
+              linesCleared: submission.linesCleared,
+              tetrisCount: submission.tetrisCount,
+              maxCombo: submission.maxCombo,
+              piecesPlaced: submission.piecesPlaced,
+              time: submission.playTime,
+            });
+            indexed++;
+          }
+
+          cursor = event.id;
+          await client.set(LeaderboardService.CURSOR_KEY, JSON.stringify(cursor));
+        }
+
+        hasNextPage = page.hasNextPage && page.data.length > 0;
+      }
+
+      if (indexed > 0) {
+        logger.info('Indexed score submissions', { count: indexed });
+      }
+
+    } catch (error) {
+      logger.error('Error indexing score submissions', { error });
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  private static parseEvent(event: SuiEvent): ScoreSubmission | null {
+    const fields = event.parsedJson as Record<string, string | undefined>;
+    const score = Number(fields?.score);
+    if (!fields?.player || !fields.game_seed_id || !Number.isFinite(score)) {
+      logger.warn('Skipping malformed ScoreSubmitted event', { id: event.id });
+      return null;
+    }
+
+    return {
+      player: fields.player,
+      score,
+      timestamp: Number(fields.timestamp ?? event.timestampMs ?? 0),
+      gameSeedId: fields.game_seed_id,
+      level: Number(fields.level ?? 0),
+      linesCleared: Number(fields.lines_cleared ?? 0),
+      tetrisCount: Number(fields.tetris_count ?? 0),
+      maxCombo: Number(fields.max_combo ?? 0),
+      piecesPlaced: Number(fields.pieces_placed ?? 0),
+      playTime: Number(fields.play_time_ms ?? 0),
+    };
+  }
+
+  /**
+   * Keep a score in every window it falls in, if it beats the player's best there
+   */
+  async recordScore(submission: ScoreSubmission): Promise<void> {
+    await this.recordResult('marathon', submission.player, submission.score, submission.timestamp, {
+      timestamp: submission.timestamp,
+      gameSeedId: submission.gameSeedId,
+    });
+  }
+
+  /**
+   * Keep a verified Sprint run in every window its seed's day falls in, if it beats the player's best there
+   */
+  async recordSprintRun(run: SprintRun): Promise<void> {
+    await this.recordResult('sprint', run.player, run.time, run.seedDate, {
+      timestamp: Date.now(),
+      seed: run.seed,
+      score: run.score,
+    });
+  }
+
+  /**
+   * Rank a player's result (score or time) in each of a mode's windows it improves
+   * @param periodTime - Time that picks each window's period
+   * @param details - Shown with the entry ({ timestamp, gameSeedId } or { timestamp, seed, score })
+   */
+  private async recordResult(
+    mode: LeaderboardMode,
+    player: string,
+    value: number,
+    periodTime: number,
+    details: Record<string, unknown>
+  ): Promise<void> {
+    const client = redisClient.getClient();
+    const timed = LeaderboardService.isTimed(mode);
+
+    for (const window of LEADERBOARD_WINDOWS) {
+      const key = LeaderboardService.getWindowKey(mode, window, periodTime);
+      const best = await client.zScore(key, player);
+      if (best !== null && (timed ? best <= value : best >= value)) {
+        continue;
+      }
+
+      const detailsKey = `${key}:entry:${player}`;
+      await client.zAdd(key, { score: value, value: player });
+
+      const ttl = LeaderboardService.getWindowTtl(window);
+      if (ttl) {
+        await client.set(detailsKey, JSON.stringify(details), { EX: ttl });
+        await client.expire(key, ttl);
+      } else {
+        await client.set(detailsKey, JSON.stringify(details));
+      }
+    }
+  }
+
+  /**
+   * Entries of a window's current period, from a 0-based rank
+   */
+  private async getEntries(mode: LeaderboardMode, key: string, start: number, stop: number): Promise<LeaderboardEntry[]> {
+    const client = redisClient.getClient();
+    const timed = LeaderboardService.isTimed(mode);
+    const ranked = timed
+      ? await client.zRangeWithScores(key, start, stop)
+      : await client.zRangeWithScores(key, start, stop, { REV: true });
+
+    return Promise.all(ranked.map(async ({ value, score }, index) => {
+      const details = await client.get(`${key}:entry:${value}`);
+      const { timestamp = 0, gameSeedId = '', seed, score: runScore = 0 } = details ? JSON.parse(details) : {};
+      const entry = { rank: start + index + 1, player: value, timestamp, gameSeedId };
+      return timed ? { ...entry, score: runScore, time: score, seed } : { ...entry, score };
+    }));
+  }
+
+  /**
+   * One page of a mode's rankings in a window
+   */
+  async getPage(mode: LeaderboardMode, window: LeaderboardWindow, page: number, pageSize: number): Promise<LeaderboardPage> {
+    const client = redisClient.getClient();
+    const key = LeaderboardService.getWindowKey(mode, window, Date.now());
+    const start = (page - 1) * pageSize;
+
+    const [total, entries] = await Promise.all([
+      client.zCard(key),
+      this.getEntries(mode, key, start, start + pageSize - 1),
+    ]);
+
+    return { mode, window, page, pageSize, total, entries };
+  }
+
+  /**
+   * A player's rank in a mode's window and the players ranked around them
+   * @param time - Picks the window's period (defaults to the current one)
+   * @returns null if the player has no result in the window's period
+   */
+  async getPlayerStanding(
+    mode: LeaderboardMode,
+    window: LeaderboardWindow,
+    player: string,
+    neighbors: number,
+    time: number = Date.now()
+  ): Promise<PlayerStanding | null> {
+    const client = redisClient.getClient();
+    const key = LeaderboardService.getWindowKey(mode, window, time);
+
+    const rank = LeaderboardService.isTimed(mode) ? await client.zRank(key, player) : await client.zRevRank(key, player);
+    if (rank === null) {
+      return null;
+    }
+
+    const [total, nearby] = await Promise.all([
+      client.zCard(key),
+      this.getEntries(mode, key, Math.max(0, rank - neighbors), rank + neighbors),
+    ]);
+    const entry = nearby.find((candidate) => candidate.player === player);
+    if (!entry) {
+      return null; // Outranked while we read
+    }
+
+    return { mode, window, total, entry, neighbors: nearby };
+  }
+
+  /**
+   * Stop reading score events
+   */
+  stop(): void {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+      logger.info('Leaderboard indexing stopped');
+    }
+  }
+}
@@ -3,23 +3,36 @@ import { logger } from '../utils/logger';
 import { config } from '../config';
 import { SocketManager } from './SocketManager';
 import { RoomManager } from './RoomManager';
+import { RatingService } from './RatingService';
+import { getProtocol } from '../utils/gameEngine';
 
 interface MatchmakingPlayer {
   walletAddress: string;
   username: string;
   wager: number;
   joinedAt: number;
+  rating: number; // Glicko-2 rating and deviation when they joined
+  deviation: number;
 }
 
+/**
+ * MatchmakingService - Pairs queued players by wager and skill
+ *
+ * Players are matched when their wagers are within tolerance and their
+ * ratings within a window that starts narrow and widens the longer either
+ * of them has waited, so a long wait trades match quality for a game.
+ */
 export class MatchmakingService {
   private static readonly QUEUE_KEY = 'matchmaking:queue';
   private static readonly TIMEOUT_KEY_PREFIX = 'matchmaking:timeout:';
   private socketManager: SocketManager;
+  private ratingService: RatingService;
   private roomManager: RoomManager | null = null;
   private matchmakingInterval: NodeJS.Timeout | null = null;
 
-  constructor(socketManager: SocketManager) {
+  constructor(socketManager: SocketManager, ratingService: RatingService) {
     this.socketManager = socketManager;
+    this.ratingService = ratingService;
     this.startMatchmakingLoop();
   }
 
@@ -44,11 +57,14 @@ export class MatchmakingService {
         return;
       }
 
+      const { rating, deviation } = await this.ratingService.getRating(walletAddress);
       const player: MatchmakingPlayer = {
         walletAddress,
         username,
         wager,
         joinedAt: Date.now(),
+        rating,
+        deviation,
       };
 
       // Add to queue (sorted set by wager amount for efficient matching)
@@ -61,7 +77,7 @@ export class MatchmakingService {
       const timeoutKey = `${MatchmakingService.TIMEOUT_KEY_PREFIX}${walletAddress}`;
       await client.setEx(timeoutKey, config.game.matchmakingTimeout / 1000, 'pending');
 
-      logger.info('Player joined matchmaking queue', { walletAddress, username, wager });
+      logger.info('Player joined matchmaking queue', { walletAddress, username, wager, rating: Math.round(rating) });
 
       // Start timeout timer
       setTimeout(() => {
@@ -143,7 +159,7 @@ export class MatchmakingService {
       await this.leaveQueue(walletAddress);
 
       // Notify player
-      this.socketManager.emitToPlayer(walletAddress, 'matchmaking:timeout', {
+      this.socketManager.emitToPlayer(walletAddress, getProtocol().EVENTS.MATCHMAKING_TIMEOUT, {
         message: 'No match found within timeout period',
       });
 
@@ -165,6 +181,29 @@ export class MatchmakingService {
     logger.info('Matchmaking loop started');
   }
 
+  /**
+   * A queue entry with its rating; entries queued before ratings existed
+   * get the player's current rating
+   */
+  private async withRating(player: MatchmakingPlayer): Promise<MatchmakingPlayer> {
+    if (Number.isFinite(player.rating) && Number.isFinite(player.deviation)) {
+      return player;
+    }
+    const { rating, deviation } = await this.ratingService.getRating(player.walletAddress);
+    return { ...player, rating, deviation };
+  }
+
+  /**
+   * Rating gap a player accepts after waiting since joinedAt
+   */
+  private getRatingWindow(player: MatchmakingPlayer, now: number): number {
+    const waited = Math.max(0, now - player.joinedAt) / 1000;
+    return Math.min(
+      config.rating.maxMatchWindow,
+      config.rating.matchWindow + waited * config.rating.matchWindowGrowth
+    );
+  }
+
   /**
    * Try to match players in the queue
    */
@@ -177,25 +216,39 @@ export class MatchmakingService {
         return; // Not enough players
       }
 
-      // Try to match players with similar wagers
-      for (let i = 0; i < allPlayers.length - 1; i++) {
-        const player1Data: MatchmakingPlayer = JSON.parse(allPlayers[i].value);
-        const player1Wager = allPlayers[i].score;
+      // Longest waiting first, each with the closest rating in range
+      const now = Date.now();
+      const queued = await Promise.all(allPlayers.map((entry) => this.withRating(JSON.parse(entry.value))));
+      const players = queued.sort((a, b) => a.joinedAt - b.joinedAt);
 
-        for (let j = i + 1; j < allPlayers.length; j++) {
-          const player2Data: MatchmakingPlayer = JSON.parse(allPlayers[j].value);
-          const player2Wager = allPlayers[j].score;
+      for (const player of players) {
+        let bestMatch: MatchmakingPlayer | null = null;
+        let bestGap = Infinity;
+
+        for (const candidate of players) {
+          if (candidate.walletAddress === player.walletAddress) {
+            continue;
+          }
 
           // Check if wagers are within tolerance (±20%)
-          const wagerDiff = Math.abs(player1Wager - player2Wager);
-          const tolerance = player1Wager * config.game.wagerMatchTolerance;
+          const wagerDiff = Math.abs(player.wager - candidate.wager);
+          if (wagerDiff > player.wager * config.game.wagerMatchTolerance) {
+            continue;
+          }
 
-          if (wagerDiff <= tolerance) {
-            // Match found!
-            await this.createMatch(player1Data, player2Data);
-            return; // Exit after creating one match
+          // Either player's window is enough, so whoever waited longest widens the search
+          const ratingGap = Math.abs(player.rating - candidate.rating);
+          const window = Math.max(this.getRatingWindow(player, now), this.getRatingWindow(candidate, now));
+          if (ratingGap <= window && ratingGap < bestGap) {
+            bestMatch = candidate;
+            bestGap = ratingGap;
           }
         }
+
+        if (bestMatch) {
+          await this.createMatch(player, bestMatch);
+          return; // Exit after creating one match
+        }
       }
 
     } catch (error) {
@@ -218,6 +271,7 @@ export class MatchmakingService {
         player1: player1.walletAddress,
         player2: player2.walletAddress,
         wager,
+        ratingGap: Math.round(Math.abs(player1.rating - player2.rating)),
       });
 
       // Create a battle room if RoomManager is available
@@ -233,22 +287,30 @@ export class MatchmakingService {
         await this.roomManager.joinRoom(room.roomId, player2.walletAddress, player2.username);
 
         // Notify both players with room data
-        this.socketManager.emitToPlayer(player1.walletAddress, 'matchmaking:found', {
+        this.socketManager.emitToPlayer(player1.walletAddress, getProtocol().EVENTS.MATCHMAKING_FOUND, {
           roomId: room.roomId,
           opponent: {
             address: player2.walletAddress,
             username: player2.username,
+            rating: player2.rating,
+            deviation: player2.deviation,
           },
           wager,
+          rating: player1.rating,
+          deviation: player1.deviation,
         });
 
-        this.socketManager.emitToPlayer(player2.walletAddress, 'matchmaking:found', {
+        this.socketManager.emitToPlayer(player2.walletAddress, getProtocol().EVENTS.MATCHMAKING_FOUND, {
           roomId: room.roomId,
           opponent: {
             address: player1.walletAddress,
             username: player1.username,
+            rating: player1.rating,
+            deviation: player1.deviation,
           },
           wager,
+          rating: player2.rating,
+          deviation: player2.deviation,
         });
 
         logger.info('Battle room created for match', { roomId: room.roomId });
@@ -0,0 +1,121 @@
+import { normalizeSuiAddress } from '@mysten/sui/utils';
+import { redisClient } from './RedisClient';
+import { logger } from '../utils/logger';
+
+/**
+ * What one game added to a player's totals
+ */
+export interface PlayedGame {
+  linesCleared: number;
+  tetrisCount: number;
+  maxCombo: number;
+  piecesPlaced: number;
+  time: number; // ms of game clock
+}
+
+export interface PlayerProfile {
+  games: number; // Verified solo games
+  battles: number;
+  battlesWon: number;
+  battlesLost: number;
+  linesCleared: number;
+  tetrisCount: number;
+  bestCombo: number;
+  piecesPlaced: number;
+  timePlayed: number; // ms, solo games and battles
+  updatedAt: number | null; // When a game was last added
+}
+
+/**
+ * PlayerProfileService - Lifetime totals per wallet
+ *
+ * Only games the server has checked itself are counted: solo games whose
+ * replay it verified, once their score is submitted on-chain (see
+ * VerifiedStatsService), and battles, which it simulates. Totals are kept
+ * as one JSON record per wallet.
+ */
+export class PlayerProfileService {
+  private static readonly PROFILE_KEY_PREFIX = 'profile:';
+
+  /**
+   * A wallet's profile (all zero if it has played no counted games)
+   */
+  async getProfile(walletAddress: string): Promise<PlayerProfile> {
+    try {
+      const client = redisClient.getClient();
+      const profileData = await client.get(`${PlayerProfileService.PROFILE_KEY_PREFIX}${normalizeSuiAddress(walletAddress)}`);
+      if (profileData) {
+        return JSON.parse(profileData);
+      }
+    } catch (error) {
+      logger.error('Error getting player profile', { error, walletAddress });
+    }
+
+    return PlayerProfileService.emptyProfile();
+  }
+
+  private static emptyProfile(): PlayerProfile {
+    return {
+      games: 0,
+      battles: 0,
+      battlesWon: 0,
+      battlesLost: 0,
+      linesCleared: 0,
+      tetrisCount: 0,
+      bestCombo: 0,
+      piecesPlaced: 0,
+      timePlayed: 0,
+      updatedAt: null,
+    };
+  }
+
+  /**
+   * Add a verified solo game to a wallet's totals (throws if it can't be stored,
+   * so the indexer can read the submission again)
+   */
+  async recordGame(walletAddress: string, game: PlayedGame): Promise<void> {
+    await this.update(walletAddress, game, { games: 1 });
+  }
+
+  /**
+   * Add a finished battle to every player's totals
+   * @param results - Each player's placement (1 = winner) and what their game did
+   */
+  async recordBattle(results: Array<{ address: string; placement: number; game?: PlayedGame }>): Promise<void> {
+    if (results.length < 2) {
+      return;
+    }
+
+    for (const { address, placement, game } of results) {
+      const won = placement === 1;
+      try {
+        await this.update(address, game, { battles: 1, battlesWon: won ? 1 : 0, battlesLost: won ? 0 : 1 });
+      } catch (error) {
+        logger.error('Error updating player profile', { error, walletAddress: address });
+      }
+    }
+  }
+
+  private async update(walletAddress: string, game: PlayedGame | undefined, counts: Partial<PlayerProfile>): Promise<void> {
+    // Read the record itself: totals from a failed read must not overwrite it
+    const client = redisClient.getClient();
+    const key = `${PlayerProfileService.PROFILE_KEY_PREFIX}${normalizeSuiAddress(walletAddress)}`;
+    const profileData = await client.get(key);
+    const profile: PlayerProfile = profileData ? JSON.parse(profileData) : PlayerProfileService.emptyProfile();
+
+    const updated: PlayerProfile = {
+      games: profile.games + (counts.games ?? 0),
+      battles: profile.battles + (counts.battles ?? 0),
+      battlesWon: profile.battlesWon + (counts.battlesWon ?? 0),
+      battlesLost: profile.battlesLost + (counts.battlesLost ?? 0),
+      linesCleared: profile.linesCleared + (game?.linesCleared ?? 0),
+      tetrisCount: profile.tetrisCount + (game?.tetrisCount ?? 0),
+      bestCombo: Math.max(profile.bestCombo, game?.maxCombo ?? 0),
+      piecesPlaced: profile.piecesPlaced + (game?.piecesPlaced ?? 0),
+      timePlayed: profile.timePlayed + (game?.time ?? 0),
+      updatedAt: Date.now(),
+    };
+
+    await client.set(key, JSON.stringify(updated));
+  }
+}
@@ -0,0 +1,93 @@
+import { redisClient } from './RedisClient';
+import { logger } from '../utils/logger';
+import { config } from '../config';
+import { Rating, RatedResult, updateRating } from '../utils/glicko2';
+
+export interface PlayerRating extends Rating {
+  games: number; // Rated battles played
+  updatedAt: number | null; // When the last battle was rated
+}
+
+/**
+ * RatingService - Per-wallet Glicko-2 skill ratings
+ *
+ * Every battle is one rating period. A battle of more than two players
+ * counts as a win against everyone who placed below and a loss against
+ * everyone who placed above, all rated against the ratings from before it.
+ */
+export class RatingService {
+  private static readonly RATING_KEY_PREFIX = 'rating:';
+
+  /**
+   * A wallet's rating (the initial rating if it hasn't played a rated battle)
+   */
+  async getRating(walletAddress: string): Promise<PlayerRating> {
+    try {
+      const client = redisClient.getClient();
+      const ratingData = await client.get(`${RatingService.RATING_KEY_PREFIX}${walletAddress}`);
+      if (ratingData) {
+        return JSON.parse(ratingData);
+      }
+    } catch (error) {
+      logger.error('Error getting rating', { error, walletAddress });
+    }
+
+    return {
+      rating: config.rating.initialRating,
+      deviation: config.rating.initialDeviation,
+      volatility: config.rating.initialVolatility,
+      games: 0,
+      updatedAt: null,
+    };
+  }
+
+  /**
+   * Rate a finished battle
+   * @param placements - Every player's final placement (1 = winner)
+   * @returns Address -> rating after the battle
+   */
+  async recordBattle(placements: Array<{ address: string; placement: number }>): Promise<Map<string, PlayerRating>> {
+    const updated = new Map<string, PlayerRating>();
+    if (placements.length < 2) {
+      return updated;
+    }
+
+    const before = new Map<string, PlayerRating>();
+    for (const { address } of placements) {
+      before.set(address, await this.getRating(address));
+    }
+
+    const client = redisClient.getClient();
+    const now = Date.now();
+    for (const player of placements) {
+      const results: RatedResult[] = placements
+        .filter((other) => other.address !== player.address)
+        .map((other) => ({
+          opponent: before.get(other.address)!,
+          score: player.placement < other.placement ? 1 : player.placement > other.placement ? 0 : 0.5,
+        }));
+      const previous = before.get(player.address)!;
+      const rating: PlayerRating = {
+        ...updateRating(previous, results, config.rating.tau),
+        games: previous.games + 1,
+        updatedAt: now,
+      };
+
+      try {
+        await client.set(`${RatingService.RATING_KEY_PREFIX}${player.address}`, JSON.stringify(rating));
+        updated.set(player.address, rating);
+      } catch (error) {
+        logger.error('Error saving rating', { error, walletAddress: player.address });
+      }
+    }
+
+    logger.info('Battle rated', {
+      ratings: Array.from(updated, ([address, rating]) => ({
+        address,
+        rating: Math.round(rating.rating),
+        change: Math.round(rating.rating - before.get(address)!.rating),
+      })),
+    });
+    return updated;
+  }
+}
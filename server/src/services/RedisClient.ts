@@ -102,12 +102,12 @@ class InMemoryStore {
     return sorted.slice(start, end);
   }
 
-  async zRangeWithScores(key: string, start: number, stop: number): Promise<Array<{ value: string; score: number }>> {
+  async zRangeWithScores(key: string, start: number, stop: number, options?: { REV?: true }): Promise<Array<{ value: string; score: number }>> {
     const set = this.sortedSets.get(key);
     if (!set) return [];
     
     const sorted = Array.from(set.entries())
-      .sort((a, b) => a[1] - b[1])
+      .sort((a, b) => options?.REV ? b[1] - a[1] : a[1] - b[1])
       .map(([member, score]) => ({ value: member, score }));
     
     const end = stop === -1 ? sorted.length : stop + 1;
@@ -124,6 +124,22 @@ class InMemoryStore {
     if (!set) return null;
     return set.get(member) ?? null;
   }
+
+  // Rank by ascending score (0 = lowest), as used by timed leaderboards
+  async zRank(key: string, member: string): Promise<number | null> {
+    const set = this.sortedSets.get(key);
+    if (!set || !set.has(member)) return null;
+    const ranked = await this.zRangeWithScores(key, 0, -1);
+    return ranked.findIndex(entry => entry.value === member);
+  }
+
+  // Rank by descending score (0 = highest), as used by the leaderboard
+  async zRevRank(key: string, member: string): Promise<number | null> {
+    const set = this.sortedSets.get(key);
+    if (!set || !set.has(member)) return null;
+    const ranked = await this.zRangeWithScores(key, 0, -1, { REV: true });
+    return ranked.findIndex(entry => entry.value === member);
+  }
 }
 
 class RedisClientManager {
@@ -1,18 +1,37 @@
 import { redisClient } from './RedisClient';
 import { logger } from '../utils/logger';
+import { config } from '../config';
 import { SocketManager } from './SocketManager';
-import { BattleRoom, Player } from '../models/BattleRoom';
+import { BattleRoom, Player, RoomOptions, TargetingMode } from '../models/BattleRoom';
+import { getProtocol, loadGameEngine } from '../utils/gameEngine';
 import { randomBytes } from 'crypto';
 
 export class RoomManager {
   private static readonly ROOM_KEY_PREFIX = 'room:';
   private static readonly ROOM_KEY_LENGTH = 6;
+  private static readonly LIVE_ROOMS_KEY = 'room:live'; // Sorted set of active room ids by start time
+  static readonly MIN_PLAYERS = 2;
+  static readonly MAX_PLAYERS = 8;
   private socketManager: SocketManager;
 
   constructor(socketManager: SocketManager) {
     this.socketManager = socketManager;
   }
 
+  /**
+   * Socket.IO room of a battle's spectators (kept apart from the players' room)
+   */
+  static getSpectatorRoomId(roomId: string): string {
+    return `${roomId}:spectators`;
+  }
+
+  /**
+   * A player of the room, if the address is one
+   */
+  static findPlayer(room: BattleRoom, walletAddress: string): Player | undefined {
+    return room.players.find((player) => player.address === walletAddress);
+  }
+
   /**
    * Generate a unique room key
    */
@@ -30,32 +49,45 @@ export class RoomManager {
 
   /**
    * Create a new battle room
+   * Rooms hold 2 players unless options.maxPlayers asks for up to MAX_PLAYERS.
    */
   async createRoom(
     walletAddress: string,
     username: string,
     wager: number,
-    isPrivate: boolean = false
+    isPrivate: boolean = false,
+    options: RoomOptions = {}
   ): Promise<BattleRoom> {
     try {
       const client = redisClient.getClient();
+      const { TARGETING, DEFAULT_TARGETING } = (await loadGameEngine()).attack;
       const roomId = `room_${Date.now()}_${randomBytes(4).toString('hex')}`;
       const roomKey = isPrivate ? this.generateRoomKey() : undefined;
 
-      const player1: Player = {
+      const host: Player = {
         address: walletAddress,
         username,
         socketId: this.socketManager.getSocket(walletAddress)?.id || '',
         ready: false,
       };
 
+      const maxPlayers = Number.isInteger(options.maxPlayers)
+        ? Math.min(RoomManager.MAX_PLAYERS, Math.max(RoomManager.MIN_PLAYERS, options.maxPlayers!))
+        : RoomManager.MIN_PLAYERS;
+      const targeting = Object.values(TARGETING).includes(options.targeting as string)
+        ? options.targeting!
+        : DEFAULT_TARGETING as TargetingMode;
+
       const room: BattleRoom = {
         roomId,
         roomKey,
-        player1,
-        player2: undefined,
+        players: [host],
+        maxPlayers,
         wager,
         status: 'waiting',
+        pauseOnDisconnect: options.pauseOnDisconnect ?? config.game.pauseOnDisconnect,
+        allowSpectators: options.allowSpectators ?? true,
+        targeting,
       };
 
       // Store room in Redis
@@ -66,11 +98,12 @@ export class RoomManager {
       if (roomKey) {
         await client.set(`${RoomManager.ROOM_KEY_PREFIX}key:${roomKey}`, roomId, { EX: 3600 });
       }
+      await client.set(`${RoomManager.ROOM_KEY_PREFIX}player:${walletAddress}`, roomId, { EX: 3600 });
 
       // Join socket room
       this.socketManager.joinRoom(walletAddress, roomId);
 
-      logger.info('Room created', { roomId, roomKey, walletAddress, isPrivate });
+      logger.info('Room created', { roomId, roomKey, walletAddress, isPrivate, maxPlayers });
 
       return room;
 
@@ -89,16 +122,13 @@ export class RoomManager {
     username: string
   ): Promise<BattleRoom | null> {
     try {
-      const client = redisClient.getClient();
-
-      // Get room ID from room key
-      const roomId = await client.get(`${RoomManager.ROOM_KEY_PREFIX}key:${roomKey}`);
-      if (!roomId) {
+      const room = await this.getRoomByKey(roomKey);
+      if (!room) {
         logger.warn('Room key not found', { roomKey });
         return null;
       }
 
-      return await this.joinRoom(roomId, walletAddress, username);
+      return await this.joinRoom(room.roomId, walletAddress, username);
 
     } catch (error) {
       logger.error('Error joining room by key', { error, roomKey, walletAddress });
@@ -127,39 +157,39 @@ export class RoomManager {
 
       const room: BattleRoom = JSON.parse(roomData);
 
-      // Check if room is full
-      if (room.player2) {
-        logger.warn('Room is full', { roomId });
-        return null;
-      }
-
       // Check if player is already in room
-      if (room.player1.address === walletAddress) {
+      if (RoomManager.findPlayer(room, walletAddress)) {
         logger.warn('Player already in room', { roomId, walletAddress });
         return room;
       }
 
-      // Add player 2
-      const player2: Player = {
+      // Check if room is full or its battle has started
+      if (room.players.length >= room.maxPlayers || room.status !== 'waiting') {
+        logger.warn('Room is full', { roomId });
+        return null;
+      }
+
+      const player: Player = {
         address: walletAddress,
         username,
         socketId: this.socketManager.getSocket(walletAddress)?.id || '',
         ready: false,
       };
 
-      room.player2 = player2;
+      room.players.push(player);
 
       // Update room in Redis
       await client.set(roomDataKey, JSON.stringify(room), { EX: 3600 });
+      await client.set(`${RoomManager.ROOM_KEY_PREFIX}player:${walletAddress}`, roomId, { EX: 3600 });
 
       // Join socket room
       this.socketManager.joinRoom(walletAddress, roomId);
 
       logger.info('Player joined room', { roomId, walletAddress });
 
-      // Notify both players
-      this.socketManager.emitToRoom(roomId, 'room:player_joined', {
-        player: player2,
+      // Notify everyone in the room
+      this.socketManager.emitToRoom(roomId, getProtocol().EVENTS.ROOM_PLAYER_JOINED, {
+        player,
       });
 
       return room;
@@ -186,25 +216,23 @@ export class RoomManager {
       const room: BattleRoom = JSON.parse(roomData);
 
       // Update ready status
-      if (room.player1.address === walletAddress) {
-        room.player1.ready = ready;
-      } else if (room.player2?.address === walletAddress) {
-        room.player2.ready = ready;
-      } else {
+      const player = RoomManager.findPlayer(room, walletAddress);
+      if (!player || room.status !== 'waiting') {
         return false;
       }
+      player.ready = ready;
 
       // Save updated room
       await client.set(roomDataKey, JSON.stringify(room), { EX: 3600 });
 
       // Notify room
-      this.socketManager.emitToRoom(roomId, 'room:player_ready', {
+      this.socketManager.emitToRoom(roomId, getProtocol().EVENTS.ROOM_PLAYER_READY, {
         walletAddress,
         ready,
       });
 
-      // Check if both players are ready
-      if (room.player2 && room.player1.ready && room.player2.ready) {
+      // Start once everyone who has joined is ready, with at least two players in
+      if (room.players.length >= RoomManager.MIN_PLAYERS && room.players.every((roomPlayer) => roomPlayer.ready)) {
         await this.startBattleCountdown(roomId);
       }
 
@@ -237,14 +265,14 @@ export class RoomManager {
       logger.info('Starting battle countdown', { roomId });
 
       // Emit countdown events
-      this.socketManager.emitToRoom(roomId, 'game:countdown', { count: 3 });
+      this.socketManager.emitToRoom(roomId, getProtocol().EVENTS.GAME_COUNTDOWN, { count: 3 });
       
       setTimeout(() => {
-        this.socketManager.emitToRoom(roomId, 'game:countdown', { count: 2 });
+        this.socketManager.emitToRoom(roomId, getProtocol().EVENTS.GAME_COUNTDOWN, { count: 2 });
       }, 1000);
 
       setTimeout(() => {
-        this.socketManager.emitToRoom(roomId, 'game:countdown', { count: 1 });
+        this.socketManager.emitToRoom(roomId, getProtocol().EVENTS.GAME_COUNTDOWN, { count: 1 });
       }, 2000);
 
       setTimeout(() => {
@@ -274,12 +302,16 @@ export class RoomManager {
       room.startTime = Date.now();
 
       await client.set(roomDataKey, JSON.stringify(room), { EX: 3600 });
+      await client.zAdd(RoomManager.LIVE_ROOMS_KEY, { score: room.startTime, value: roomId });
 
       logger.info('Battle started', { roomId });
 
-      this.socketManager.emitToRoom(roomId, 'game:start', {
+      this.socketManager.emitToRoom(roomId, getProtocol().EVENTS.GAME_START, {
         roomId,
         startTime: room.startTime,
+        pauseOnDisconnect: room.pauseOnDisconnect,
+        players: room.players.map((player) => ({ address: player.address, username: player.username })),
+        targeting: room.targeting,
       });
 
     } catch (error) {
@@ -308,6 +340,101 @@ export class RoomManager {
     }
   }
 
+  /**
+   * Get room by private room key
+   */
+  async getRoomByKey(roomKey: string): Promise<BattleRoom | null> {
+    try {
+      const client = redisClient.getClient();
+      const roomId = await client.get(`${RoomManager.ROOM_KEY_PREFIX}key:${roomKey}`);
+      return roomId ? await this.getRoom(roomId) : null;
+
+    } catch (error) {
+      logger.error('Error getting room by key', { error, roomKey });
+      return null;
+    }
+  }
+
+  /**
+   * Battles in progress, oldest first
+   */
+  async getLiveRooms(): Promise<BattleRoom[]> {
+    try {
+      const client = redisClient.getClient();
+      const roomIds = await client.zRange(RoomManager.LIVE_ROOMS_KEY, 0, -1);
+
+      const rooms: BattleRoom[] = [];
+      for (const roomId of roomIds) {
+        const room = await this.getRoom(roomId);
+        if (room?.status === 'active') {
+          rooms.push(room);
+        } else {
+          await client.zRem(RoomManager.LIVE_ROOMS_KEY, roomId); // Ended or expired
+        }
+      }
+      return rooms;
+
+    } catch (error) {
+      logger.error('Error getting live rooms', { error });
+      return [];
+    }
+  }
+
+  /**
+   * Let the host turn spectating on or off
+   * @returns The updated room, or null if the player isn't its host
+   */
+  async setAllowSpectators(roomId: string, walletAddress: string, allowSpectators: boolean): Promise<BattleRoom | null> {
+    const room = await this.getRoom(roomId);
+    if (!room || room.players[0]?.address !== walletAddress) {
+      return null;
+    }
+
+    room.allowSpectators = allowSpectators;
+    if (!await this.updateRoom(room)) {
+      return null;
+    }
+
+    logger.info('Spectating changed', { roomId, allowSpectators });
+    return room;
+  }
+
+  /**
+   * Get the room a player last created or joined, if they are still in it
+   */
+  async getRoomForPlayer(walletAddress: string): Promise<BattleRoom | null> {
+    try {
+      const client = redisClient.getClient();
+      const roomId = await client.get(`${RoomManager.ROOM_KEY_PREFIX}player:${walletAddress}`);
+      if (!roomId) {
+        return null;
+      }
+
+      const room = await this.getRoom(roomId);
+      return room && RoomManager.findPlayer(room, walletAddress) ? room : null;
+
+    } catch (error) {
+      logger.error('Error getting room for player', { error, walletAddress });
+      return null;
+    }
+  }
+
+  /**
+   * Put a reconnected player's new socket back in their room
+   */
+  async rejoinRoom(room: BattleRoom, walletAddress: string): Promise<void> {
+    const player = RoomManager.findPlayer(room, walletAddress);
+    if (!player) {
+      return;
+    }
+
+    player.socketId = this.socketManager.getSocket(walletAddress)?.id || '';
+    await this.updateRoom(room);
+    this.socketManager.joinRoom(walletAddress, room.roomId);
+
+    logger.info('Player rejoined room', { roomId: room.roomId, walletAddress });
+  }
+
   /**
    * Update room
    */
@@ -340,9 +467,13 @@ export class RoomManager {
         if (room.roomKey) {
           await client.del(`${RoomManager.ROOM_KEY_PREFIX}key:${room.roomKey}`);
         }
+        for (const player of room.players) {
+          await this.clearPlayerIndex(player.address, roomId);
+        }
       }
 
       await client.del(roomDataKey);
+      await client.zRem(RoomManager.LIVE_ROOMS_KEY, roomId);
       logger.info('Room deleted', { roomId });
       return true;
 
@@ -352,6 +483,17 @@ export class RoomManager {
     }
   }
 
+  /**
+   * Forget which room a player is in, if it is still this one
+   */
+  private async clearPlayerIndex(walletAddress: string, roomId: string): Promise<void> {
+    const client = redisClient.getClient();
+    const playerKey = `${RoomManager.ROOM_KEY_PREFIX}player:${walletAddress}`;
+    if (await client.get(playerKey) === roomId) {
+      await client.del(playerKey);
+    }
+  }
+
   /**
    * Handle player leaving room
    */
@@ -365,15 +507,22 @@ export class RoomManager {
       // Remove player from socket room
       this.socketManager.leaveRoom(walletAddress, roomId);
 
-      // If battle hasn't started, just remove the room
-      if (room.status === 'waiting') {
+      // If battle hasn't started, the room closes when its host leaves; anyone else just leaves
+      if (room.status === 'waiting' && room.players[0].address === walletAddress) {
         await this.deleteRoom(roomId);
-        this.socketManager.emitToRoom(roomId, 'room:closed', {
-          reason: 'Player left before battle started',
+        this.socketManager.emitToRoom(roomId, getProtocol().EVENTS.ROOM_CLOSED, {
+          reason: 'Host left before battle started',
+        });
+      } else if (room.status === 'waiting') {
+        room.players = room.players.filter((player) => player.address !== walletAddress);
+        await this.updateRoom(room);
+        await this.clearPlayerIndex(walletAddress, roomId);
+        this.socketManager.emitToRoom(roomId, getProtocol().EVENTS.PLAYER_LEFT, {
+          walletAddress,
         });
       } else {
         // If battle is active, handle as forfeit
-        this.socketManager.emitToRoom(roomId, 'player:left', {
+        this.socketManager.emitToRoom(roomId, getProtocol().EVENTS.PLAYER_LEFT, {
           walletAddress,
         });
       }
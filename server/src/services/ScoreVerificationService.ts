@@ -0,0 +1,259 @@
+import { createHash } from 'crypto';
+import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519';
+import { bcs } from '@mysten/sui/bcs';
+import { normalizeSuiAddress, toBase64, toHex } from '@mysten/sui/utils';
+import { verifyPersonalMessageSignature } from '@mysten/sui/verify';
+import { config } from '../config';
+import { logger } from '../utils/logger';
+import { AppError } from '../middleware/errorHandler';
+import { GameEngine, loadGameEngine, LockRules, ModeRules, Replay } from '../utils/gameEngine';
+import { BlockchainService } from './BlockchainService';
+
+// Must match SCORE_ATTESTATION_DOMAIN in contract/sources/game.move
+const SCORE_ATTESTATION_DOMAIN = new TextEncoder().encode('TETRICHAIN_SCORE_V1');
+
+/**
+ * Stats of a verified game, all covered by the attestation signature
+ * (submit_score takes them in this order and emits them in ScoreSubmitted)
+ */
+export interface AttestedStats {
+  score: number;
+  level: number;
+  linesCleared: number;
+  tetrisCount: number;
+  maxCombo: number;
+  piecesPlaced: number;
+  playTime: number; // ms
+}
+
+export interface ScoreAttestation extends AttestedStats {
+  gameSeedObjectId: string;
+  player: string;
+  replayHash: string;
+  signature: string;
+  publicKey: string;
+  issuedAt: number;
+}
+
+/**
+ * A Sprint run verified for the server's leaderboard
+ */
+export interface SprintRun {
+  player: string;
+  seed: string; // Daily seed text
+  seedDate: number; // Start (UTC) of the seed's day
+  time: number; // ms to clear the line goal
+  score: number;
+  piecesPlaced: number;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Re-simulates submitted replays with the shared game engine and signs the
+ * verified stats, so submit_score only accepts games that were actually played.
+ * Sprint runs are verified the same way for the server's own leaderboard.
+ */
+export class ScoreVerificationService {
+  private blockchainService: BlockchainService;
+  private keypair: Ed25519Keypair;
+
+  constructor(blockchainService: BlockchainService) {
+    this.blockchainService = blockchainService;
+
+    if (config.verification.signerSecretKey) {
+      this.keypair = Ed25519Keypair.fromSecretKey(config.verification.signerSecretKey);
+    } else {
+      this.keypair = Ed25519Keypair.generate();
+      logger.warn('SCORE_VERIFIER_SECRET_KEY not set - using a temporary verifier key');
+    }
+
+    logger.info('Score verifier key loaded', { publicKey: this.getPublicKey() });
+  }
+
+  /**
+   * Base64 ed25519 public key to register on-chain with set_verifier_key
+   */
+  getPublicKey(): string {
+    return toBase64(this.keypair.getPublicKey().toRawBytes());
+  }
+
+  /**
+   * Verify a serialized replay against its on-chain GameSeed and sign the result
+   */
+  async verifyReplay(gameSeedObjectId: string, player: string, replayData: string): Promise<ScoreAttestation> {
+    const engine = await loadGameEngine();
+
+    let replay: Replay;
+    try {
+      replay = engine.replay.deserializeReplay(replayData);
+    } catch (error) {
+      throw new AppError(`Invalid replay: ${(error as Error).message}`, 400);
+    }
+
+    const { DEFAULT_RULES } = engine.game;
+    ScoreVerificationService.checkStandardGame(engine, replay, DEFAULT_RULES, 'Marathon');
+
+    const gameSeed = await this.blockchainService.getGameSeed(gameSeedObjectId);
+    if (!gameSeed) {
+      throw new AppError('Game seed not found', 404);
+    }
+
+    if (normalizeSuiAddress(gameSeed.player) !== normalizeSuiAddress(player)) {
+      throw new AppError('Game seed belongs to a different player', 403);
+    }
+
+    if (gameSeed.used) {
+      throw new AppError('Game seed has already been used', 409);
+    }
+
+    // The replay must have been played with the seed's on-chain bytes
+    if (replay.seed.hex !== toHex(gameSeed.seed)) {
+      throw new AppError('Replay seed does not match the game seed', 422);
+    }
+
+    const { game, result, matches } = engine.replay.runReplay(replay);
+    if (!matches) {
+      logger.warn('Replay result mismatch', {
+        gameSeedObjectId,
+        player,
+        claimed: replay.result,
+        simulated: result,
+      });
+      throw new AppError('Replay does not reproduce the claimed score', 422);
+    }
+
+    // Only signed here; the stats are credited to the player when the indexer reads the submission
+    const stats: AttestedStats = {
+      score: result.score,
+      level: result.level,
+      linesCleared: result.linesCleared,
+      tetrisCount: game.tetrisCount,
+      maxCombo: game.maxCombo,
+      piecesPlaced: game.piecesPlaced,
+      playTime: Math.round(game.currentTime),
+    };
+    const signature = await this.keypair.sign(this.buildMessage(gameSeedObjectId, player, stats));
+
+    logger.info('Score verified', { gameSeedObjectId, player, score: result.score });
+
+    return {
+      gameSeedObjectId,
+      player,
+      ...stats,
+      replayHash: createHash('sha256').update(replayData).digest('hex'),
+      signature: toBase64(signature),
+      publicKey: this.getPublicKey(),
+      issuedAt: Date.now(),
+    };
+  }
+
+  /**
+   * Verify a Sprint run on a daily seed, signed by the player's wallet
+   * Runs on today's or yesterday's (UTC) daily seed are accepted, so a run
+   * finished just after midnight still counts.
+   * @param signature - Wallet signature of getRankedRunMessage() for the run
+   */
+  async verifySprintRun(player: string, replayData: string, signature: string): Promise<SprintRun> {
+    const engine = await loadGameEngine();
+    const { GAME_MODES, MODE_CONFIGS, getDailySeed, getRankedRunMessage } = engine.modes;
+    const mode = GAME_MODES.SPRINT;
+
+    let replay: Replay;
+    try {
+      replay = engine.replay.deserializeReplay(replayData);
+    } catch (error) {
+      throw new AppError(`Invalid replay: ${(error as Error).message}`, 400);
+    }
+
+    const { label, options } = MODE_CONFIGS[mode];
+    ScoreVerificationService.checkStandardGame(engine, replay, { ...engine.game.DEFAULT_RULES, ...options }, label);
+
+    const today = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+    const seedDate = [today, today - DAY_MS].find((day) => replay.seed.text === getDailySeed(mode, new Date(day)));
+    if (seedDate === undefined) {
+      throw new AppError(`Only runs on today's ${label} seed can be ranked`, 422);
+    }
+
+    const { game, result, matches } = engine.replay.runReplay(replay);
+    if (!matches || game.endReason !== engine.game.END_REASONS.GOAL) {
+      throw new AppError(`Replay does not reproduce a finished ${label} run`, 422);
+    }
+
+    const seed = replay.seed.text as string;
+    const time = Math.round(game.currentTime);
+    const message = new TextEncoder().encode(getRankedRunMessage(mode, seed, time));
+    try {
+      await verifyPersonalMessageSignature(message, signature, { address: normalizeSuiAddress(player) });
+    } catch (error) {
+      throw new AppError('Run is not signed by the player\'s wallet', 401);
+    }
+
+    logger.info('Sprint run verified', { player, seed, time });
+
+    return { player: normalizeSuiAddress(player), seed, seedDate, time, score: result.score, piecesPlaced: game.piecesPlaced };
+  }
+
+  /**
+   * Reject replays that weren't played on the standard board, randomizer and lock
+   * rules with a mode's rules; their results aren't comparable with other players'
+   */
+  private static checkStandardGame(engine: GameEngine, replay: Replay, modeRules: ModeRules, modeLabel: string): void {
+    if (replay.events.length > config.verification.maxReplayEvents) {
+      throw new AppError('Replay is too long', 413);
+    }
+
+    const { GRID_WIDTH, GRID_HEIGHT, BUFFER_ROWS } = engine.game;
+    const board = replay.board || {};
+    if (board.width !== GRID_WIDTH || board.height !== GRID_HEIGHT || board.bufferRows !== BUFFER_ROWS) {
+      throw new AppError('Replay was not played on the standard board', 422);
+    }
+
+    const rules: Partial<ModeRules> = replay.rules || {};
+    if ((Object.keys(modeRules) as Array<keyof ModeRules>).some((key) => rules[key] !== modeRules[key])) {
+      throw new AppError(`Replay was not played in ${modeLabel} mode`, 422);
+    }
+
+    // The piece sequence and lock timing are taken from the header, so they must be the standard ones
+    if (replay.randomizer !== engine.random.DEFAULT_RANDOMIZER || replay.prngVersion !== engine.random.CURRENT_PRNG_VERSION) {
+      throw new AppError('Replay was not played with the standard randomizer', 422);
+    }
+
+    const lock: Partial<LockRules> = replay.lock || {};
+    const { DEFAULT_LOCK_RULES } = engine.game;
+    if ((Object.keys(DEFAULT_LOCK_RULES) as Array<keyof LockRules>).some((key) => lock[key] !== DEFAULT_LOCK_RULES[key])) {
+      throw new AppError('Replay was not played with the standard lock rules', 422);
+    }
+  }
+
+  /**
+   * Same bytes as game::score_attestation_message:
+   * domain || bcs(game seed id) || bcs(player) || bcs(score) || bcs(level) || bcs(lines)
+   *   || bcs(tetrises) || bcs(max combo) || bcs(pieces) || bcs(play time)
+   */
+  private buildMessage(gameSeedObjectId: string, player: string, stats: AttestedStats): Uint8Array {
+    const values = [
+      stats.score,
+      stats.level,
+      stats.linesCleared,
+      stats.tetrisCount,
+      stats.maxCombo,
+      stats.piecesPlaced,
+      stats.playTime,
+    ];
+    const parts = [
+      SCORE_ATTESTATION_DOMAIN,
+      bcs.Address.serialize(gameSeedObjectId).toBytes(),
+      bcs.Address.serialize(player).toBytes(),
+      ...values.map((value) => bcs.u64().serialize(value).toBytes()),
+    ];
+
+    const message = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      message.set(part, offset);
+      offset += part.length;
+    }
+    return message;
+  }
+}
@@ -2,6 +2,7 @@ import { Server as SocketIOServer, Socket } from 'socket.io';
 import { Server as HTTPServer } from 'http';
 import { logger } from '../utils/logger';
 import { config } from '../config';
+import { getProtocol } from '../utils/gameEngine';
 
 export interface AuthenticatedSocket extends Socket {
   walletAddress?: string;
@@ -9,10 +10,23 @@ export interface AuthenticatedSocket extends Socket {
   lastActivity?: number;
 }
 
+/**
+ * Callbacks for a player's connection dropping and coming back
+ */
+export interface ConnectionHandlers {
+  // The player's socket dropped; they have gracePeriod ms to authenticate again
+  onDisconnect(walletAddress: string, gracePeriod: number): void;
+  // The player authenticated again within the grace period
+  onResume(walletAddress: string): void;
+  // The grace period ran out
+  onDisconnectFinal(walletAddress: string): void;
+}
+
 export class SocketManager {
   private io: SocketIOServer;
   private connectedClients: Map<string, AuthenticatedSocket> = new Map();
   private disconnectTimers: Map<string, NodeJS.Timeout> = new Map();
+  private connectionHandlers: ConnectionHandlers[] = [];
 
   constructor(httpServer: HTTPServer) {
     this.io = new SocketIOServer(httpServer, {
@@ -29,11 +43,13 @@ export class SocketManager {
   }
 
   private setupConnectionHandlers(): void {
+    const { EVENTS } = getProtocol();
+
     this.io.on('connection', (socket: AuthenticatedSocket) => {
       logger.info('Client connected', { socketId: socket.id });
 
       // Handle authentication
-      socket.on('auth', (data: { walletAddress: string; username: string; signature?: string }) => {
+      socket.on(EVENTS.AUTH, (data: { walletAddress: string; username: string; signature?: string; protocolVersion?: number }) => {
         this.handleAuthentication(socket, data);
       });
 
@@ -42,11 +58,6 @@ export class SocketManager {
         this.handleDisconnection(socket, reason);
       });
 
-      // Handle reconnection
-      socket.on('reconnect', () => {
-        this.handleReconnection(socket);
-      });
-
       // Update last activity on any event
       socket.onAny(() => {
         if (socket.walletAddress) {
@@ -58,13 +69,27 @@ export class SocketManager {
 
   private handleAuthentication(
     socket: AuthenticatedSocket,
-    data: { walletAddress: string; username: string; signature?: string }
+    data: { walletAddress: string; username: string; signature?: string; protocolVersion?: number }
   ): void {
+    const { EVENTS, VERSION_MISMATCH, getProtocolMismatch } = getProtocol();
+
+    // Clients built against another version of the event contract can't play here
+    const mismatch = getProtocolMismatch(data?.protocolVersion);
+    if (mismatch) {
+      logger.warn('Client rejected: protocol version mismatch', {
+        socketId: socket.id,
+        clientVersion: data?.protocolVersion,
+      });
+      socket.emit(EVENTS.AUTH_ERROR, { message: mismatch, code: VERSION_MISMATCH });
+      socket.disconnect();
+      return;
+    }
+
     // TODO: Verify wallet signature in production
     // For now, we'll accept the wallet address and username
-    
+
     if (!data.walletAddress || !data.username) {
-      socket.emit('auth:error', { message: 'Invalid authentication data' });
+      socket.emit(EVENTS.AUTH_ERROR, { message: 'Invalid authentication data' });
       socket.disconnect();
       return;
     }
@@ -73,7 +98,7 @@ export class SocketManager {
     socket.username = data.username;
     socket.lastActivity = Date.now();
 
-    // Cancel any pending disconnect timer for this wallet
+    // Back within the grace period: cancel the disconnect timer and resume
     const existingTimer = this.disconnectTimers.get(data.walletAddress);
     if (existingTimer) {
       clearTimeout(existingTimer);
@@ -83,14 +108,27 @@ export class SocketManager {
       });
     }
 
+    // A connection that dropped before the server noticed is replaced by this one
+    const previousSocket = this.connectedClients.get(data.walletAddress);
+    const replaced = !!previousSocket && previousSocket !== socket;
+
     // Store the authenticated socket
     this.connectedClients.set(data.walletAddress, socket);
+    if (replaced) {
+      previousSocket.disconnect(true);
+    }
 
-    socket.emit('auth:success', {
+    const resumed = !!existingTimer || replaced;
+    socket.emit(EVENTS.AUTH_SUCCESS, {
       walletAddress: data.walletAddress,
       username: data.username,
+      resumed,
     });
 
+    if (resumed) {
+      this.connectionHandlers.forEach(handlers => handlers.onResume(data.walletAddress));
+    }
+
     logger.info('Client authenticated', {
       socketId: socket.id,
       walletAddress: data.walletAddress,
@@ -105,45 +143,21 @@ export class SocketManager {
       reason,
     });
 
-    if (!socket.walletAddress) {
+    // Ignore sockets a newer connection of the same wallet has replaced
+    const walletAddress = socket.walletAddress;
+    if (!walletAddress || this.connectedClients.get(walletAddress) !== socket) {
       return;
     }
 
     // Start a grace period timer
     const timer = setTimeout(() => {
-      this.finalizeDisconnection(socket.walletAddress!);
+      this.finalizeDisconnection(walletAddress);
     }, config.game.disconnectGracePeriod);
 
-    this.disconnectTimers.set(socket.walletAddress, timer);
+    this.disconnectTimers.set(walletAddress, timer);
 
-    // Emit disconnect event to other services
-    this.io.emit('player:disconnected', {
-      walletAddress: socket.walletAddress,
-      gracePeriod: config.game.disconnectGracePeriod,
-    });
-  }
-
-  private handleReconnection(socket: AuthenticatedSocket): void {
-    if (!socket.walletAddress) {
-      return;
-    }
-
-    logger.info('Client reconnected', {
-      socketId: socket.id,
-      walletAddress: socket.walletAddress,
-    });
-
-    // Cancel disconnect timer
-    const timer = this.disconnectTimers.get(socket.walletAddress);
-    if (timer) {
-      clearTimeout(timer);
-      this.disconnectTimers.delete(socket.walletAddress);
-    }
-
-    // Emit reconnection event
-    this.io.emit('player:reconnected', {
-      walletAddress: socket.walletAddress,
-    });
+    // Let other services hold the player's place
+    this.connectionHandlers.forEach(handlers => handlers.onDisconnect(walletAddress, config.game.disconnectGracePeriod));
   }
 
   private finalizeDisconnection(walletAddress: string): void {
@@ -152,8 +166,14 @@ export class SocketManager {
     this.connectedClients.delete(walletAddress);
     this.disconnectTimers.delete(walletAddress);
 
-    // Emit final disconnect event
-    this.io.emit('player:disconnected:final', { walletAddress });
+    this.connectionHandlers.forEach(handlers => handlers.onDisconnectFinal(walletAddress));
+  }
+
+  /**
+   * Be told when players disconnect, come back within the grace period, or don't
+   */
+  public addConnectionHandlers(handlers: ConnectionHandlers): void {
+    this.connectionHandlers.push(handlers);
   }
 
   public getIO(): SocketIOServer {
@@ -181,10 +201,34 @@ export class SocketManager {
     return false;
   }
 
+  // The message is dropped rather than buffered if the player's connection isn't ready for it
+  public emitVolatileToPlayer(walletAddress: string, event: string, data: any): boolean {
+    const socket = this.connectedClients.get(walletAddress);
+    if (socket) {
+      socket.volatile.emit(event, data);
+      return true;
+    }
+    return false;
+  }
+
   public emitToRoom(roomId: string, event: string, data: any): void {
     this.io.to(roomId).emit(event, data);
   }
 
+  public emitVolatileToRoom(roomId: string, event: string, data: any): void {
+    this.io.to(roomId).volatile.emit(event, data);
+  }
+
+  // Sockets currently in a Socket.IO room
+  public getRoomSize(roomId: string): number {
+    return this.io.sockets.adapter.rooms.get(roomId)?.size ?? 0;
+  }
+
+  // Remove every socket from a Socket.IO room
+  public clearRoom(roomId: string): void {
+    this.io.in(roomId).socketsLeave(roomId);
+  }
+
   public joinRoom(walletAddress: string, roomId: string): boolean {
     const socket = this.connectedClients.get(walletAddress);
     if (socket) {
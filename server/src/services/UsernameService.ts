@@ -0,0 +1,77 @@
+import { redisClient } from './RedisClient';
+import { BlockchainService } from './BlockchainService';
+import { logger } from '../utils/logger';
+import { config } from '../config';
+
+/**
+ * UsernameService - On-chain usernames with a Redis cache
+ *
+ * Addresses missing from the cache are read from the UsernameRegistry in
+ * one batch (see BlockchainService.getUsernames). Addresses without a
+ * username are cached too, for less time, since they can register later.
+ */
+export class UsernameService {
+  private static readonly USERNAME_KEY_PREFIX = 'username:';
+  private blockchainService: BlockchainService;
+
+  constructor(blockchainService: BlockchainService) {
+    this.blockchainService = blockchainService;
+  }
+
+  /**
+   * Usernames of several addresses
+   * @returns Address -> username, or null if the address has none
+   */
+  async resolve(walletAddresses: string[]): Promise<Record<string, string | null>> {
+    const client = redisClient.getClient();
+    const addresses = Array.from(new Set(walletAddresses));
+    const usernames: Record<string, string | null> = {};
+    const missing: string[] = [];
+
+    for (const address of addresses) {
+      try {
+        const cached = await client.get(`${UsernameService.USERNAME_KEY_PREFIX}${address}`);
+        if (cached !== null) {
+          usernames[address] = JSON.parse(cached).username;
+          continue;
+        }
+      } catch (error) {
+        logger.error('Error reading cached username', { error, walletAddress: address });
+      }
+      missing.push(address);
+    }
+
+    if (missing.length === 0) {
+      return usernames;
+    }
+
+    const fetched = await this.blockchainService.getUsernames(missing);
+    for (const address of missing) {
+      const username = fetched?.get(address) ?? null;
+      usernames[address] = username;
+
+      // Don't remember failed reads as "no username"
+      if (!fetched) {
+        continue;
+      }
+
+      try {
+        await client.set(`${UsernameService.USERNAME_KEY_PREFIX}${address}`, JSON.stringify({ username }), {
+          EX: username ? config.usernames.cacheTtl : config.usernames.missingCacheTtl,
+        });
+      } catch (error) {
+        logger.error('Error caching username', { error, walletAddress: address });
+      }
+    }
+
+    return usernames;
+  }
+
+  /**
+   * Username of one address, or null if it has none
+   */
+  async getUsername(walletAddress: string): Promise<string | null> {
+    const usernames = await this.resolve([walletAddress]);
+    return usernames[walletAddress];
+  }
+}
@@ -0,0 +1,87 @@
+import { normalizeSuiAddress } from '@mysten/sui/utils';
+import { redisClient } from './RedisClient';
+import { PlayerProfileService, PlayedGame } from './PlayerProfileService';
+import { logger } from '../utils/logger';
+
+export interface VerifiedGameStats {
+  score: number;
+  level: number;
+  linesCleared: number;
+  tetrisCount: number;
+  maxCombo: number;
+}
+
+export interface VerifiedStats extends VerifiedGameStats {
+  updatedAt: number;
+}
+
+/**
+ * VerifiedStatsService - Each player's best stats from verified games
+ *
+ * Every ScoreSubmitted event carries the stats the verification server
+ * attested to (the contract checks the signature), so the leaderboard
+ * indexer credits each submission from the chain alone: its stats are
+ * folded into the player's bests, which skin unlocks are checked against,
+ * and the game is added to the player's lifetime profile.
+ */
+export class VerifiedStatsService {
+  private static readonly CREDITED_KEY_PREFIX = 'verified:game:';
+  private static readonly STATS_KEY_PREFIX = 'verified:stats:';
+  private playerProfileService: PlayerProfileService;
+
+  constructor(playerProfileService: PlayerProfileService) {
+    this.playerProfileService = playerProfileService;
+  }
+
+  /**
+   * Credit a submitted game to the player. Each game seed is credited once,
+   * so reading the same event twice is harmless. Throws if the game can't be
+   * credited, so the indexer reads its event again.
+   */
+  async recordSubmission(player: string, gameSeedId: string, game: VerifiedGameStats & PlayedGame): Promise<void> {
+    const client = redisClient.getClient();
+    const address = normalizeSuiAddress(player);
+    const creditedKey = `${VerifiedStatsService.CREDITED_KEY_PREFIX}${normalizeSuiAddress(gameSeedId)}`;
+
+    try {
+      if (await client.exists(creditedKey)) {
+        return;
+      }
+
+      const current = await this.getStats(address);
+      const stats: VerifiedStats = {
+        score: Math.max(current.score, game.score),
+        level: Math.max(current.level, game.level),
+        linesCleared: Math.max(current.linesCleared, game.linesCleared),
+        tetrisCount: Math.max(current.tetrisCount, game.tetrisCount),
+        maxCombo: Math.max(current.maxCombo, game.maxCombo),
+        updatedAt: Date.now(),
+      };
+
+      await client.set(`${VerifiedStatsService.STATS_KEY_PREFIX}${address}`, JSON.stringify(stats));
+      await this.playerProfileService.recordGame(address, {
+        linesCleared: game.linesCleared,
+        tetrisCount: game.tetrisCount,
+        maxCombo: game.maxCombo,
+        piecesPlaced: game.piecesPlaced,
+        time: game.time,
+      });
+      await client.set(creditedKey, address);
+    } catch (error) {
+      logger.error('Error recording verified stats', { error, player, gameSeedId });
+      throw error;
+    }
+  }
+
+  /**
+   * A player's best verified stats (all zero if they have none)
+   */
+  async getStats(player: string): Promise<VerifiedStats> {
+    const client = redisClient.getClient();
+    const data = await client.get(`${VerifiedStatsService.STATS_KEY_PREFIX}${normalizeSuiAddress(player)}`);
+    if (data) {
+      return JSON.parse(data);
+    }
+    return { score: 0, level: 0, linesCleared: 0, tetrisCount: 0, maxCombo: 0, updatedAt: 0 };
+  }
+}
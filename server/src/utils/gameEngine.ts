@@ -0,0 +1,228 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { config } from '../config';
+
+/**
+ * Typed view of the shared client game engine (client/src/*.js).
+ * The server runs the exact same TetrisGame code the browser does, so a
+ * replay re-simulated here produces the same grid and score.
+ */
+
+export interface ReplayEvent {
+  action: string;
+  time: number;
+}
+
+export interface ReplayResult {
+  score: number;
+  linesCleared: number;
+  level: number;
+  isGameOver: boolean;
+}
+
+export interface ModeRules {
+  lineGoal: number | null;
+  timeLimit: number | null;
+  linesPerLevel: number | null;
+  comboMultiplier: number;
+  digLines: number;
+  garbageMessiness: number;
+}
+
+export interface LockRules {
+  mode: string;
+  delay: number;
+  maxResets: number;
+}
+
+export interface Replay {
+  version: number;
+  seed: { hex?: string; text?: string; number?: number };
+  randomizer: string;
+  prngVersion: number;
+  lock: LockRules;
+  board: { width: number; height: number; bufferRows: number };
+  rules: ModeRules;
+  events: ReplayEvent[];
+  result: ReplayResult;
+}
+
+export interface ReplayModule {
+  REPLAY_FORMAT_VERSION: number;
+  deserializeReplay(data: string): Replay;
+  runReplay(replay: Replay | string): { game: any; result: ReplayResult; matches: boolean };
+}
+
+export interface GameModule {
+  TetrisGame: new (seed?: any, options?: Record<string, any>) => any;
+  ACTIONS: Record<string, string>;
+  LOCK_MODES: Record<string, string>;
+  GAME_EVENTS: Record<string, string>;
+  END_REASONS: Record<string, string>;
+  GRID_WIDTH: number;
+  GRID_HEIGHT: number;
+  BUFFER_ROWS: number;
+  DEFAULT_LOCK_RULES: LockRules;
+  DEFAULT_RULES: ModeRules;
+  getDropInterval(level: number): number;
+}
+
+export interface ModeConfig {
+  label: string;
+  options: Partial<ModeRules>;
+  splitLines: number;
+  record: 'score' | 'time';
+}
+
+export interface ModesModule {
+  GAME_MODES: Record<'MARATHON' | 'SPRINT' | 'ULTRA' | 'BLITZ' | 'DIG', string>;
+  MODE_CONFIGS: Record<string, ModeConfig>;
+  getDailySeed(mode: string, date?: Date): string;
+  getRankedRunMessage(mode: string, seed: string, time: number): string;
+}
+
+export interface GarbageGenerator {
+  messiness: number;
+  nextHoles(numLines: number, width: number): number[];
+}
+
+export interface SeededRandom {
+  next(): number;
+  nextInt(min: number, max: number): number;
+}
+
+export interface RandomModule {
+  GarbageGenerator: new (seed: any, prngVersion?: number, messiness?: number) => GarbageGenerator;
+  createSeededRandom(seed: any, version?: number): SeededRandom;
+  CURRENT_PRNG_VERSION: number;
+  DEFAULT_RANDOMIZER: string;
+}
+
+export interface ClearInfo {
+  lines: number;
+  tSpin: string | null;
+  b2b: boolean;
+  combo: number;
+  perfectClear: boolean;
+}
+
+export interface GarbageEntry {
+  lines: number;
+  holes: number[];
+  readyAt: number;
+  id: number | null;
+  queuedAt: number | null;
+}
+
+export interface GarbageQueue {
+  entries: GarbageEntry[];
+  add(holes: number[], readyAt: number, id?: number | null, queuedAt?: number | null): void;
+  cancel(attack: number): number;
+  takeReady(now: number): GarbageEntry[];
+  remove(id: number): GarbageEntry | null;
+  postpone(delay: number, pausedAt?: number): void;
+  getPendingLines(): number;
+  clear(): void;
+}
+
+export interface TargetCandidate {
+  address: string;
+  danger: number; // Stack height plus pending garbage
+  attacking: boolean; // Their last attack hit the sender
+}
+
+export interface AttackModule {
+  calculateAttack(clear: Partial<ClearInfo>): number;
+  chooseTargets(lines: number, mode: string, opponents: TargetCandidate[], rng: SeededRandom): Array<{ address: string; lines: number }>;
+  GarbageQueue: new () => GarbageQueue;
+  DEFAULT_GARBAGE_DELAY: number;
+  TARGETING: Record<'RANDOM' | 'ATTACKERS' | 'KOS' | 'EVEN', string>;
+  DEFAULT_TARGETING: string;
+}
+
+export interface StateEncoder {
+  encode(state: Record<string, unknown>): Uint8Array;
+  requestKeyframe(): void;
+}
+
+export interface StateSyncModule {
+  StateEncoder: new (options?: { keyframeInterval?: number }) => StateEncoder;
+  STATE_SYNC_VERSION: number;
+}
+
+export type ProtocolEvent =
+  | 'AUTH' | 'AUTH_SUCCESS' | 'AUTH_ERROR'
+  | 'PLAYER_DISCONNECTED' | 'PLAYER_RECONNECTED' | 'PLAYER_DISCONNECTED_FINAL' | 'PLAYER_LEFT'
+  | 'MATCHMAKING_JOIN' | 'MATCHMAKING_CANCEL' | 'MATCHMAKING_CANCELLED' | 'MATCHMAKING_FOUND' | 'MATCHMAKING_TIMEOUT'
+  | 'ROOM_CREATE' | 'ROOM_CREATED' | 'ROOM_JOIN' | 'ROOM_JOINED' | 'ROOM_PLAYER_JOINED' | 'ROOM_READY'
+  | 'ROOM_PLAYER_READY' | 'ROOM_LEAVE' | 'ROOM_CLOSED' | 'ROOM_ERROR' | 'ROOM_SPECTATING' | 'ROOM_SPECTATORS'
+  | 'SPECTATE_LIST' | 'SPECTATE_BATTLES' | 'SPECTATE_JOIN' | 'SPECTATE_JOINED' | 'SPECTATE_LEAVE' | 'SPECTATE_ERROR'
+  | 'SPECTATE_ENDED'
+  | 'GAME_COUNTDOWN' | 'GAME_START' | 'GAME_INPUT' | 'GAME_CHECKPOINT' | 'GAME_RESYNC_REQUEST' | 'GAME_RESYNC'
+  | 'GAME_GARBAGE_INCOMING' | 'GAME_OPPONENT_FRAME' | 'GAME_SPECTATOR_FRAME' | 'GAME_RESUME' | 'GAME_TARGETING'
+  | 'GAME_PLAYER_ELIMINATED' | 'GAME_FORFEIT' | 'GAME_END';
+
+export interface ProtocolModule {
+  PROTOCOL_VERSION: number;
+  VERSION_MISMATCH: string;
+  EVENTS: Record<ProtocolEvent, string>;
+  getProtocolMismatch(clientVersion: unknown): string | null;
+}
+
+export interface GameEngine {
+  game: GameModule;
+  replay: ReplayModule;
+  random: RandomModule;
+  attack: AttackModule;
+  stateSync: StateSyncModule;
+  protocol: ProtocolModule;
+  modes: ModesModule;
+}
+
+// The engine is native ESM; keep import() from being compiled into require()
+const importModule = new Function('specifier', 'return import(specifier)') as (
+  specifier: string
+) => Promise<any>;
+
+let enginePromise: Promise<GameEngine> | null = null;
+let loadedEngine: GameEngine | null = null;
+
+/**
+ * Load the shared game engine once and reuse it
+ */
+export function loadGameEngine(): Promise<GameEngine> {
+  if (!enginePromise) {
+    const load = (file: string) => importModule(pathToFileURL(path.join(config.verification.engineDir, file)).href);
+
+    enginePromise = Promise.all([
+      load('game.js'),
+      load('replay.js'),
+      load('random.js'),
+      load('attack.js'),
+      load('stateSync.js'),
+      load('protocol.js'),
+      load('modes.js'),
+    ]).then(([game, replay, random, attack, stateSync, protocol, modes]) => {
+      loadedEngine = { game, replay, random, attack, stateSync, protocol, modes };
+      return loadedEngine;
+    });
+
+    // Allow a retry if the engine could not be loaded
+    enginePromise.catch(() => {
+      enginePromise = null;
+    });
+  }
+
+  return enginePromise;
+}
+
+/**
+ * The client/server event contract (client/src/protocol.js)
+ * Only available once loadGameEngine() has resolved; the server loads it at startup.
+ */
+export function getProtocol(): ProtocolModule {
+  if (!loadedEngine) {
+    throw new Error('Game engine not loaded');
+  }
+  return loadedEngine.protocol;
+}
@@ -0,0 +1,108 @@
+/**
+ * Glicko-2 rating system
+ * (Glickman, "Example of the Glicko-2 system", http://www.glicko.net/glicko/glicko2.pdf)
+ *
+ * Ratings are stored on the familiar Glicko scale (1500 ± 350); updates run
+ * on the Glicko-2 scale. Each battle is one rating period.
+ */
+
+export interface Rating {
+  rating: number;
+  deviation: number; // Rating deviation (RD): how uncertain the rating is
+  volatility: number; // How erratic the player's results are
+}
+
+export interface RatedResult {
+  opponent: Rating;
+  score: number; // 1 win, 0.5 draw, 0 loss
+}
+
+const GLICKO2_SCALE = 173.7178;
+const BASE_RATING = 1500;
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+const g = (phi: number): number => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+
+const expectedScore = (mu: number, muOpponent: number, phiOpponent: number): number =>
+  1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+
+/**
+ * New volatility, found with the Illinois algorithm (step 5 of the paper)
+ */
+function updateVolatility(phi: number, sigma: number, v: number, delta: number, tau: number): number {
+  const a = Math.log(sigma * sigma);
+  const f = (x: number): number => {
+    const ex = Math.exp(x);
+    const denominator = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denominator * denominator) - (x - a) / (tau * tau);
+  };
+
+  let A = a;
+  let B: number;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * tau) < 0) {
+      k++;
+    }
+    B = a - k * tau;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/**
+ * A player's rating after one rating period
+ * @param player - Rating before the period
+ * @param results - Games of the period, against the opponents' ratings before it
+ * @param tau - System constant limiting how fast volatility changes (0.3-1.2)
+ */
+export function updateRating(player: Rating, results: RatedResult[], tau: number): Rating {
+  const mu = (player.rating - BASE_RATING) / GLICKO2_SCALE;
+  const phi = player.deviation / GLICKO2_SCALE;
+
+  // No games: only the deviation grows
+  if (results.length === 0) {
+    const phiStar = Math.sqrt(phi * phi + player.volatility * player.volatility);
+    return { ...player, deviation: phiStar * GLICKO2_SCALE };
+  }
+
+  let vInverse = 0;
+  let improvement = 0;
+  for (const { opponent, score } of results) {
+    const muOpponent = (opponent.rating - BASE_RATING) / GLICKO2_SCALE;
+    const phiOpponent = opponent.deviation / GLICKO2_SCALE;
+    const expected = expectedScore(mu, muOpponent, phiOpponent);
+    vInverse += g(phiOpponent) * g(phiOpponent) * expected * (1 - expected);
+    improvement += g(phiOpponent) * (score - expected);
+  }
+  const v = 1 / vInverse;
+  const delta = v * improvement;
+
+  const volatility = updateVolatility(phi, player.volatility, v, delta, tau);
+  const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * improvement;
+
+  return {
+    rating: newMu * GLICKO2_SCALE + BASE_RATING,
+    deviation: newPhi * GLICKO2_SCALE,
+    volatility,
+  };
+}